@@ -0,0 +1,106 @@
+/**
+ * Backfill Event Rollups
+ *
+ * Rolls up existing interaction_events into event_rollups (and rebuilds their
+ * sessions), for data recorded before rollups existed or after changing how
+ * they're computed. Safe to re-run: days whose raw events were already pruned
+ * keep their rollup.
+ *
+ * Usage:
+ *   npm run backfill-rollups -- [--user <user-id>] [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--prune]
+ *
+ * Without --user every profile is backfilled. --from defaults to the day of the
+ * user's oldest event, --to to today (in the user's timezone). --prune then
+ * deletes raw events older than EVENT_RETENTION_DAYS, like the server's job.
+ */
+require('dotenv').config({ quiet: true });
+
+const db = require('../src/repositories');
+const { rollUpDays, pruneEvents, retentionDays } = require('../src/services/eventRollups');
+const { isValidDate, localDate, timezoneOf } = require('../src/lib/time');
+
+const USAGE = 'Usage: npm run backfill-rollups -- [--user <user-id>] [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--prune]';
+
+/**
+ * Roll up every profile's events (or one user's), then prune if asked
+ * @param {object} options - { userId, from, to, prune }
+ * @returns {Array<object>} - Per profile: { userId, from, to, days, events, deleted }
+ *   (from is null when there was nothing to roll up, deleted when not pruning)
+ */
+async function backfill({ userId, from: fromOption, to: toOption, prune = false } = {}) {
+    const profiles = userId
+        ? [await db.profiles.findById(userId)].filter(Boolean)
+        : await db.profiles.list();
+
+    if (userId && profiles.length === 0) {
+        throw new Error(`Profile not found for user ${userId}`);
+    }
+
+    const results = [];
+    for (const profile of profiles) {
+        const timeZone = timezoneOf(profile);
+        const oldest = fromOption ? null : await db.interactionEvents.oldest(profile.id);
+        const from = fromOption || (oldest && localDate(timeZone, new Date(oldest.timestamp)));
+        const to = toOption || localDate(timeZone);
+
+        if (!from || from > to) {
+            results.push({ userId: profile.id, from: null, to, days: 0, events: 0 });
+            continue;
+        }
+
+        const rollups = await rollUpDays(profile.id, { from, to, profile });
+        const result = {
+            userId: profile.id,
+            from,
+            to,
+            days: rollups.length,
+            events: rollups.reduce((sum, r) => sum + r.total_events, 0),
+        };
+        if (prune) result.deleted = await pruneEvents(profile.id, profile);
+        results.push(result);
+    }
+    return results;
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const option = (name) => {
+        const index = args.indexOf(`--${name}`);
+        return index >= 0 ? args[index + 1] : undefined;
+    };
+    const options = {
+        userId: option('user'),
+        from: option('from'),
+        to: option('to'),
+        prune: args.includes('--prune'),
+    };
+
+    if ((options.from && !isValidDate(options.from)) || (options.to && !isValidDate(options.to))) {
+        console.error(USAGE);
+        process.exit(1);
+    }
+
+    for (const result of await backfill(options)) {
+        if (!result.from) {
+            console.log(`${result.userId}: no events to roll up`);
+            continue;
+        }
+
+        let line = `${result.userId}: ${result.days} days rolled up (${result.from} to ${result.to}, ${result.events} events)`;
+        if (options.prune) {
+            line += `, ${result.deleted} events older than ${retentionDays()} days deleted`;
+        }
+        console.log(line);
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('Backfill failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    backfill,
+};
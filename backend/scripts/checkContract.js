@@ -0,0 +1,357 @@
+/**
+ * API Contract Check
+ *
+ * Checks that the Express app and shared/apiRoutes.mjs (which the OpenAPI
+ * document and the frontend client are built from) describe the same API:
+ * - every documented route is served, and every served route is documented
+ * - each route validates with the body/query schema the docs name
+ * - frontend/src/lib/api.generated.js is up to date (npm run generate-client)
+ * - calling each route (in memory, as a new user) answers with a status the
+ *   docs list - 401 without a token for the authenticated ones
+ * - every response body, errors included, matches the schema the OpenAPI
+ *   document gives for its status; a scenario of valid requests gets a
+ *   success out of every route, so each success schema is checked too
+ *
+ * Usage:
+ *   npm run check-contract   (also part of npm test, see test/contract.test.js)
+ *
+ * Exits with 1 and lists the differences if there are any.
+ */
+process.env.STORAGE_DRIVER = 'memory';
+process.env.SUPABASE_JWT_SECRET = 'contract-check-secret';
+
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+const app = require('../src/app');
+const { loadShared } = require('../src/lib/shared');
+const { CLIENT_FILE, renderClient } = require('./generateClient');
+
+const USER_ID = 'contract-check-user';
+const SCENARIO_USER_ID = 'contract-check-scenario-user';
+const PATH_PARAM_VALUE = 'contract-check-id';
+
+/**
+ * Routes the app serves, with the schemas their validators use
+ * Express doesn't keep a router's mount path, so it is found by asking each
+ * router layer which of the documented prefixes it matches.
+ */
+function servedRoutes(prefixes) {
+    const routes = [];
+    const addRoute = (prefix, route) => {
+        const path = `${prefix}${route.path === '/' ? '' : route.path}`.replace(/:(\w+)/g, '{$1}') || '/';
+        const schemas = route.stack.map(layer => layer.handle.schema).filter(Boolean);
+        for (const method of Object.keys(route.methods)) {
+            routes.push({ method, path, schemas });
+        }
+    };
+
+    for (const layer of app.router.stack) {
+        if (layer.route) {
+            addRoute('', layer.route);
+        } else if (layer.name === 'router') {
+            const prefix = layer.slash ? '' : prefixes.find(candidate => layer.matchers[0](candidate));
+            if (prefix === undefined) {
+                routes.push({ unknownMount: true, count: layer.handle.stack.filter(l => l.route).length });
+                continue;
+            }
+            for (const inner of layer.handle.stack.filter(l => l.route)) addRoute(prefix, inner.route);
+        }
+    }
+    return routes;
+}
+
+/**
+ * Compare the served routes with the documented ones
+ * @returns {Array} - The documented routes that are served
+ */
+function compareRoutes(ROUTES, problems) {
+    const prefixes = [...new Set(ROUTES.map(route => `/${route.path.split('/')[1]}`))];
+    const served = servedRoutes(prefixes);
+    const key = (route) => `${route.method.toUpperCase()} ${route.path}`;
+    const servedByKey = new Map(served.filter(route => !route.unknownMount).map(route => [key(route), route]));
+    const documented = new Set(ROUTES.map(key));
+
+    for (const route of served.filter(r => r.unknownMount)) {
+        problems.push(`A router with ${route.count} routes is mounted at a path no documented route uses`);
+    }
+    for (const route of servedByKey.values()) {
+        if (!documented.has(key(route))) problems.push(`${key(route)} is served but not in shared/apiRoutes.mjs`);
+    }
+    const matching = [];
+    for (const route of ROUTES) {
+        const servedRoute = servedByKey.get(key(route));
+        if (!servedRoute) {
+            problems.push(`${key(route)} is documented but not served`);
+            continue;
+        }
+        const body = servedRoute.schemas.find(schema => schema.in === 'body');
+        const query = servedRoute.schemas.find(schema => schema.in === 'query');
+        if ((body?.name ?? null) !== (route.body ?? null) || Boolean(body?.partial) !== Boolean(route.partial)) {
+            problems.push(`${key(route)} validates its body with ${body ? `${body.name}${body.partial ? ' (partial)' : ''}` : 'nothing'}, documented: ${route.body ? `${route.body}${route.partial ? ' (partial)' : ''}` : 'none'}`);
+        }
+        if ((query?.name ?? null) !== (route.query ?? null)) {
+            problems.push(`${key(route)} validates its query with ${query?.name ?? 'nothing'}, documented: ${route.query ?? 'none'}`);
+        }
+        matching.push(route);
+    }
+    return matching;
+}
+
+async function checkClient(problems) {
+    const current = fs.existsSync(CLIENT_FILE) ? fs.readFileSync(CLIENT_FILE, 'utf8') : null;
+    if (current !== await renderClient()) {
+        problems.push('frontend/src/lib/api.generated.js is out of date - run npm run generate-client');
+    }
+}
+
+/**
+ * Check a JSON value against a schema of the OpenAPI document - the subset
+ * shared/openapi.mjs writes: $ref, type, nullable, enum, minimum/maximum,
+ * pattern, format: date, properties, required, items and additionalProperties
+ * @returns {Array<string>} - One line per problem, with the path to the value
+ */
+function schemaProblems(spec, schema, value, path = 'body') {
+    if (schema.$ref) {
+        return schemaProblems(spec, spec.components.schemas[schema.$ref.split('/').pop()], value, path);
+    }
+    if (value === null) {
+        return schema.nullable ? [] : [`${path} is null`];
+    }
+
+    const shown = JSON.stringify(value).slice(0, 60);
+    const typeOf = Array.isArray(value) ? 'array' : typeof value;
+    const typeMatches = {
+        integer: Number.isInteger(value),
+        number: typeof value === 'number',
+        object: typeOf === 'object',
+    }[schema.type] ?? (!schema.type || typeOf === schema.type);
+    if (!typeMatches) return [`${path} is ${shown}, expected ${schema.type}`];
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [`${path} is ${shown}, expected one of ${schema.enum.join(', ')}`];
+    }
+    if ((schema.minimum !== undefined && value < schema.minimum) || (schema.maximum !== undefined && value > schema.maximum)) {
+        return [`${path} is ${value}, out of range`];
+    }
+    if ((schema.pattern && !new RegExp(schema.pattern).test(value)) ||
+        (schema.format === 'date' && !/^\d{4}-\d{2}-\d{2}$/.test(value))) {
+        return [`${path} is ${shown}, not the documented format`];
+    }
+
+    const problems = [];
+    if (schema.type === 'object') {
+        for (const field of schema.required || []) {
+            if (value[field] === undefined) problems.push(`${path}.${field} is missing`);
+        }
+        for (const [field, fieldValue] of Object.entries(value)) {
+            const fieldSchema = schema.properties?.[field] ??
+                (typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null);
+            if (fieldSchema) problems.push(...schemaProblems(spec, fieldSchema, fieldValue, `${path}.${field}`));
+        }
+    }
+    if (schema.type === 'array' && schema.items) {
+        value.forEach((item, i) => problems.push(...schemaProblems(spec, schema.items, item, `${path}[${i}]`)));
+    }
+    return problems;
+}
+
+/**
+ * Run the app for the checks
+ * @returns {object} - { request(method, path, { body, user, auth }) -> { status, body }, close() }
+ *   (as USER_ID unless another user is given; auth: false sends no token)
+ */
+function startApp() {
+    const tokenFor = (userId) => jwt.sign({ sub: userId, role: 'authenticated' }, process.env.SUPABASE_JWT_SECRET, {
+        algorithm: 'HS256', audience: 'authenticated', expiresIn: '5m',
+    });
+    const server = app.listen(0);
+    const baseUrl = `http://localhost:${server.address().port}`;
+    // The app logs every request
+    const log = console.log;
+    console.log = () => {};
+
+    const request = async (method, path, { body, user = USER_ID, auth = true } = {}) => {
+        const response = await fetch(baseUrl + path, {
+            method: method.toUpperCase(),
+            headers: { 'Content-Type': 'application/json', ...(auth && { Authorization: `Bearer ${tokenFor(user)}` }) },
+            ...(body !== undefined && { body: JSON.stringify(body) }),
+        });
+        const isJson = response.headers.get('content-type')?.includes('application/json');
+        return { status: response.status, body: isJson ? await response.json() : await response.text() };
+    };
+    const close = () => {
+        console.log = log;
+        server.close();
+    };
+    return { request, close };
+}
+
+/**
+ * A response's status and body against what the document says about the route
+ */
+function checkResponse(spec, route, { status, body }, problems) {
+    const label = `${route.method.toUpperCase()} ${route.path}`;
+    const response = spec.paths[route.path][route.method].responses[String(status)];
+    if (!response) {
+        const documented = Object.keys(spec.paths[route.path][route.method].responses);
+        problems.push(`${label} answered ${status}, documented: ${documented.join(', ')}`);
+        return;
+    }
+    const schema = response.content?.['application/json']?.schema;
+    if (!schema) return;
+    for (const problem of schemaProblems(spec, schema, body)) {
+        problems.push(`${label} (${status}): ${problem}`);
+    }
+}
+
+/**
+ * Call each route as a new user with an empty request: 401 without a token for
+ * the authenticated ones, and a documented status and body with one
+ */
+async function checkEmptyRequests(spec, api, routes, problems) {
+    for (const route of routes) {
+        const path = route.path.replace(/\{\w+\}/g, PATH_PARAM_VALUE);
+        const options = route.body ? { body: {} } : {};
+
+        if (!route.public) {
+            const response = await api.request(route.method, path, { ...options, auth: false });
+            if (response.status !== 401) {
+                problems.push(`${route.method.toUpperCase()} ${route.path} answered ${response.status} without a token, expected 401`);
+            }
+            checkResponse(spec, route, response, problems);
+        }
+        checkResponse(spec, route, await api.request(route.method, path, options), problems);
+    }
+}
+
+/**
+ * Walk another user through the API with valid requests, so every route's
+ * success response is checked against the document
+ */
+async function checkScenario(spec, api, routes, problems) {
+    const succeeded = new Set();
+    const call = async (method, path, body) => {
+        const response = await api.request(method, path, { body, user: SCENARIO_USER_ID });
+        const route = routes.find(r => r.method === method &&
+            new RegExp(`^${r.path.replace(/\{\w+\}/g, '[^/]+')}$`).test(path.split('?')[0]));
+        if (!route) {
+            problems.push(`Scenario: ${method.toUpperCase()} ${path} isn't a documented route`);
+        } else if (response.status >= 300) {
+            problems.push(`Scenario: ${method.toUpperCase()} ${path} answered ${response.status} (${response.body?.error})`);
+        } else {
+            succeeded.add(route);
+            checkResponse(spec, route, response, problems);
+        }
+        return response.body;
+    };
+
+    await call('get', '/health');
+    await call('get', '/openapi.json');
+    await call('get', '/docs');
+
+    // Onboarding, with a load model that puts the user in auto mode (for auto-accept)
+    await call('get', '/profile');
+    await call('post', '/profile', { wake_time: '07:00', sleep_time: '23:00', auto_accept_threshold: 0.5 });
+    await call('put', '/profile', { work_style: 'deep_work' });
+    await call('get', '/profile/cognitive-load/config');
+    await call('put', '/profile/cognitive-load/config', { config: { thresholds: { assist: 1, auto: 2 } } });
+    await call('get', '/profile/csp');
+
+    await call('post', '/check-ins', { energy: 1, mood: 2, stress: 5, sleep_hours: 5 });
+    await call('get', '/check-ins');
+    await call('get', '/check-ins/today');
+    await call('get', '/check-ins/insights');
+    await call('get', '/profile/cognitive-load');
+    await call('get', '/profile/cognitive-load/history');
+
+    const { decision } = await call('post', '/decisions', { type: 'task', title: 'Write report', estimated_minutes: 60, effort: 4 });
+    await call('post', '/decisions', { type: 'task', title: 'Answer email', estimated_minutes: 30, effort: 2 });
+    await call('post', '/decisions', { type: 'meal', title: 'Lunch', meal_type: 'lunch' });
+    await call('post', '/decisions', { type: 'break', title: 'Walk', break_duration: 10 });
+    await call('get', '/decisions');
+    await call('get', `/decisions/${decision.id}`);
+    await call('put', `/decisions/${decision.id}`, { deadline: '2030-01-31T17:00' });
+
+    const { plan } = await call('post', '/plan/generate');
+    await call('post', '/plan/generate');
+    await call('get', '/plan/today');
+    await call('post', '/plan/accept', { plan_id: plan.id });
+    await call('get', '/plan/history');
+    await call('get', '/plan/week');
+    await call('get', `/plan/${plan.id}/versions`);
+
+    // Accept one task, take it through to done; auto-accept another card and undo it
+    const [first, ...others] = plan.compressed_decision_cards;
+    const task = first.items.find(item => item.type === 'task');
+    await call('post', '/feedback', {
+        plan_id: plan.id, item_type: 'task', item_id: task.decision.id, action: 'accept', context: { card_id: first.id },
+    });
+    await call('post', '/progress', { plan_id: plan.id, card_id: first.id, decision_id: task.decision.id, status: 'started' });
+    await call('get', '/progress');
+    if (others.length > 0) {
+        const { feedback } = await call('post', '/feedback', {
+            plan_id: plan.id, item_type: 'card', item_id: others[0].id, action: 'auto_accept',
+        });
+        if (feedback) await call('post', `/feedback/${feedback.id}/undo`);
+    }
+    await call('get', '/feedback');
+    await call('get', '/feedback/stats');
+    await call('post', '/plan/replan');
+
+    await call('post', '/events', { event_type: 'page_load', metadata: { path: '/' } });
+    await call('post', '/events/batch', { events: [{ event_type: 'idle', client_event_id: 'contract-1' }] });
+    await call('get', '/events/today-stats');
+    await call('get', '/events/sessions');
+    await call('get', '/events');
+
+    await call('delete', `/decisions/${decision.id}`);
+
+    for (const route of routes.filter(r => !succeeded.has(r))) {
+        problems.push(`Scenario: no successful call of ${route.method.toUpperCase()} ${route.path} - add one to checkScenario`);
+    }
+}
+
+/**
+ * Run every check
+ * @returns {object} - { routes: number of documented routes, problems: [string] }
+ */
+async function checkContract() {
+    const { ROUTES } = await loadShared('apiRoutes.mjs');
+    const { buildOpenApiSpec } = await loadShared('openapi.mjs');
+    const spec = buildOpenApiSpec();
+    const problems = [];
+
+    const served = compareRoutes(ROUTES, problems);
+    await checkClient(problems);
+
+    const api = startApp();
+    try {
+        await checkEmptyRequests(spec, api, served, problems);
+        await checkScenario(spec, api, served, problems);
+    } finally {
+        api.close();
+    }
+    return { routes: ROUTES.length, problems };
+}
+
+async function main() {
+    const { routes, problems } = await checkContract();
+
+    if (problems.length > 0) {
+        console.error(`API contract check failed (${problems.length}):`);
+        for (const problem of problems) console.error(`  - ${problem}`);
+        process.exit(1);
+    }
+    console.log(`API contract OK: ${routes} routes match shared/apiRoutes.mjs, the generated client and the documented responses`);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('Contract check failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    checkContract,
+};
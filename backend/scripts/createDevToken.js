@@ -0,0 +1,39 @@
+/**
+ * Create a Dev Access Token
+ *
+ * Signs a Supabase-shaped access token with SUPABASE_JWT_SECRET so the backend
+ * can be called locally (curl, Postman) without signing in through Supabase.
+ *
+ * Usage:
+ *   npm run token -- <user-id> [expires-in]
+ *   npm run token -- 6f1c...e2 2h
+ */
+require('dotenv').config({ quiet: true });
+
+const jwt = require('jsonwebtoken');
+
+const [userId, expiresIn = '1h'] = process.argv.slice(2);
+const secret = process.env.SUPABASE_JWT_SECRET;
+
+if (!userId) {
+    console.error('Usage: npm run token -- <user-id> [expires-in]');
+    process.exit(1);
+}
+
+if (!secret) {
+    console.error('Missing SUPABASE_JWT_SECRET environment variable');
+    process.exit(1);
+}
+
+const token = jwt.sign(
+    { sub: userId, role: 'authenticated' },
+    secret,
+    {
+        algorithm: 'HS256',
+        audience: process.env.SUPABASE_JWT_AUDIENCE || 'authenticated',
+        expiresIn,
+        ...(process.env.SUPABASE_JWT_ISSUER && { issuer: process.env.SUPABASE_JWT_ISSUER }),
+    }
+);
+
+console.log(token);
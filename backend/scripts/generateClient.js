@@ -0,0 +1,93 @@
+/**
+ * Generate the Frontend API Client
+ *
+ * Writes frontend/src/lib/api.generated.js from the route list in
+ * shared/apiRoutes.mjs: one object per tag (profileApi, decisionsApi...) with
+ * one method per route. Re-run it after adding or changing a route;
+ * npm run check-contract fails while the file is out of date.
+ *
+ * Usage:
+ *   npm run generate-client
+ *
+ * Every method takes the access token first, then the path params in order,
+ * then the body (routes with a body schema) or the query params as an object:
+ *   decisionsApi.update(token, id, { title })
+ *   planApi.getHistory(token, { limit: 7 })
+ */
+const fs = require('fs');
+const path = require('path');
+const { loadShared } = require('../src/lib/shared');
+
+const CLIENT_FILE = path.join(__dirname, '../../frontend/src/lib/api.generated.js');
+
+const HEADER = `/**
+ * API Client (generated - do not edit)
+ *
+ * Written by \`npm run generate-client\` (backend) from shared/apiRoutes.mjs.
+ * Change the route list there and re-run it. Import from ./api.
+ */
+import { apiRequest, withQuery } from './apiRequest';
+`;
+
+function renderMethod(route, pathParams) {
+    const args = ['token', ...pathParams];
+    if (route.body) args.push('body');
+    if (route.query) args.push('query = {}');
+
+    let endpoint = pathParams.length > 0
+        ? `\`${route.path.replace(/\{(\w+)\}/g, '${encodeURIComponent($1)}')}\``
+        : `'${route.path}'`;
+    if (route.query) endpoint = `withQuery(${endpoint}, query)`;
+
+    const method = route.method.toUpperCase();
+    const call = route.body
+        ? `apiRequest(${endpoint}, {
+        method: '${method}',
+        body: JSON.stringify(body),
+    }, token)`
+        : `apiRequest(${endpoint}, { method: '${method}' }, token)`;
+
+    return `    // ${method} ${route.path} - ${route.summary}
+    ${route.client}: (${args.join(', ')}) => ${call},`;
+}
+
+/**
+ * Source of the generated client
+ * @returns {Promise<string>}
+ */
+async function renderClient() {
+    const { TAGS, ROUTES, pathParams } = await loadShared('apiRoutes.mjs');
+
+    const groups = Object.entries(TAGS)
+        .filter(([, tag]) => tag.client)
+        .map(([key, tag]) => {
+            const methods = ROUTES
+                .filter(route => route.tag === key && route.client)
+                .map(route => renderMethod(route, pathParams(route.path)));
+            return `
+// ${tag.name}: ${tag.description}
+export const ${tag.client} = {
+${methods.join('\n')}
+};
+`;
+        });
+
+    return HEADER + groups.join('');
+}
+
+async function main() {
+    fs.writeFileSync(CLIENT_FILE, await renderClient());
+    console.log(`Wrote ${path.relative(process.cwd(), CLIENT_FILE)}`);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('Client generation failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    CLIENT_FILE,
+    renderClient,
+};
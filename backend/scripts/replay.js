@@ -0,0 +1,96 @@
+/**
+ * Replay Evaluation
+ *
+ * Replays a user's history (plans + feedback) through the decision engine and
+ * prints how well each learner would have predicted what the user did. Run it
+ * before and after a scoring/learning change to see whether it helped.
+ *
+ * Usage:
+ *   npm run replay -- <history.json> [--learner heuristic|linucb|all] [--json]
+ *   npm run replay -- --user <user-id> [--learner ...] [--json]
+ *
+ * A history file needs no database (see src/evaluation/replay.js for its
+ * format; scripts/fixtures/replay-sample.json is a synthetic example).
+ * --user reads the history from the configured storage instead.
+ */
+require('dotenv').config({ quiet: true });
+
+const fs = require('fs');
+
+const args = process.argv.slice(2);
+const option = (name) => {
+    const index = args.indexOf(`--${name}`);
+    return index >= 0 ? args[index + 1] : undefined;
+};
+const userId = option('user');
+const learnerOption = (option('learner') || 'all').toLowerCase();
+const asJson = args.includes('--json');
+const file = args.find((arg, i) => !arg.startsWith('--') && !['--user', '--learner'].includes(args[i - 1]));
+
+if (!file && !userId) {
+    console.error('Usage: npm run replay -- <history.json> [--learner heuristic|linucb|all] [--json]');
+    console.error('       npm run replay -- --user <user-id> [--learner heuristic|linucb|all] [--json]');
+    process.exit(1);
+}
+
+// A history file is replayed entirely in memory
+if (!userId) {
+    process.env.STORAGE_DRIVER = 'memory';
+}
+
+const { replay } = require('../src/evaluation/replay');
+const { getLearner, LEARNER_NAMES } = require('../src/services/learners');
+
+if (learnerOption !== 'all' && !LEARNER_NAMES.includes(learnerOption)) {
+    console.error(`Unknown learner "${learnerOption}". Use one of: ${LEARNER_NAMES.join(', ')}, all`);
+    process.exit(1);
+}
+
+/**
+ * Load a user's whole history from storage
+ */
+async function loadHistory(id) {
+    const db = require('../src/repositories');
+    const [profile, decisions, dailyPlans, feedback] = await Promise.all([
+        db.profiles.findById(id),
+        db.decisions.list(id),
+        db.dailyPlans.list(id),
+        db.feedback.list(id),
+    ]);
+    if (!profile) {
+        throw new Error(`Profile not found for user ${id}`);
+    }
+    return { profile, decisions, daily_plans: dailyPlans, feedback };
+}
+
+const percent = (value) => (value === null ? '-' : `${(value * 100).toFixed(1)}%`);
+const decimal = (value) => (value === null ? '-' : value.toFixed(2));
+
+async function main() {
+    const history = userId
+        ? await loadHistory(userId)
+        : JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    const learners = learnerOption === 'all' ? LEARNER_NAMES : [learnerOption];
+    const results = learners.map(name => replay(history, getLearner(name)));
+
+    if (asJson) {
+        console.log(JSON.stringify(results, null, 2));
+        return;
+    }
+
+    const { days, feedback, chosen } = results[0];
+    console.log(`Replayed ${days} days, ${feedback} feedback entries, ${chosen} chosen decisions\n`);
+    console.table(Object.fromEntries(results.map(r => [r.learner, {
+        'hit rate': percent(r.hit_rate),
+        'on time': percent(r.time_hit_rate),
+        'overrides repeated': percent(r.override_rate),
+        'mean rank': decimal(r.mean_rank),
+        'MRR': decimal(r.mrr),
+    }])));
+}
+
+main().catch(error => {
+    console.error('Replay failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,65 @@
+/**
+ * ShadowMe Backend - Express App
+ * Middleware and routes, without binding a port (see index.js)
+ */
+const express = require('express');
+const cors = require('cors');
+
+// Import routes
+const profileRoutes = require('./routes/profile');
+const decisionsRoutes = require('./routes/decisions');
+const planRoutes = require('./routes/plan');
+const feedbackRoutes = require('./routes/feedback');
+const progressRoutes = require('./routes/progress');
+const eventsRoutes = require('./routes/events');
+const checkInsRoutes = require('./routes/checkIns');
+const docsRoutes = require('./routes/docs');
+
+const app = express();
+
+// Middleware
+app.use(cors({
+    origin: ['http://localhost:5173', 'http://localhost:3000'], // Vite dev server
+    credentials: true
+}));
+app.use(express.json());
+
+// Request logging (helpful for debugging)
+app.use((req, res, next) => {
+    console.log(`[${new Date().toISOString()}] ${req.method} ${req.path}`);
+    next();
+});
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+    res.json({ 
+        status: 'ok', 
+        service: 'shadowme-backend',
+        timestamp: new Date().toISOString()
+    });
+});
+
+// API documentation (/openapi.json, /docs)
+app.use('/', docsRoutes);
+
+// API Routes
+app.use('/profile', profileRoutes);
+app.use('/decisions', decisionsRoutes);
+app.use('/plan', planRoutes);
+app.use('/feedback', feedbackRoutes);
+app.use('/progress', progressRoutes);
+app.use('/events', eventsRoutes);
+app.use('/check-ins', checkInsRoutes);
+
+// 404 handler
+app.use((req, res) => {
+    res.status(404).json({ error: 'Endpoint not found' });
+});
+
+// Error handler
+app.use((err, req, res, next) => {
+    console.error('Server error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+});
+
+module.exports = app;
@@ -0,0 +1,236 @@
+/**
+ * Offline Replay Evaluation
+ *
+ * PURPOSE:
+ * Answers "did this change to scoring or learning make suggestions better?"
+ * without shipping it: a user's recorded history is replayed through the
+ * decision engine and a learner, entirely in memory.
+ *
+ * HOW IT WORKS:
+ * Days are replayed in date order, starting from a fresh CSP:
+ * 1. The day is re-planned with planDay(), using only what was learned on earlier days
+ * 2. That plan is compared with what the user actually did on the day
+ * 3. The day's feedback is fed to the learner, in the order it was given
+ *
+ * METRICS:
+ * - hit_rate: share of the decisions the user ended up doing (accepted, or picked
+ *   as the alternative in an override) that the replayed plan scheduled that day.
+ *   Auto-accepts are learned from but not scored - the user didn't choose them
+ * - time_hit_rate: share of those it scheduled within an hour of when they were done
+ * - override_rate: share of overridden suggestions the replayed plan puts back in
+ *   the same part of the day (lower is better)
+ * - mean_rank / mrr: rank of each chosen decision among the same-type decisions due
+ *   that day, scored at the hour it was done (1 = the engine's first choice)
+ *
+ * HISTORY FORMAT (JSON):
+ * {
+ *   profile:     { wake_time, sleep_time, peak_focus_start, peak_focus_end, timezone },
+ *   decisions:   [ decision rows ],
+ *   daily_plans: [ { id, plan_date, version, cognitive_load, autonomy_level, compressed_decision_cards } ],
+ *   feedback:    [ { plan_id, item_type, item_id, action, override_value, context, created_at } ]
+ * }
+ * Items on stored cards only need { type, decision: { id }, start_time }; the
+ * full decision is looked up by id.
+ */
+
+const { planDay, findFeedbackItems } = require('../services/decisionEngine');
+const { applyFeedback, getDefaultCsp } = require('../services/cspLearning');
+const { timeBucket } = require('../services/affinity');
+const { hourOf } = require('../services/scheduler');
+const { dayOfWeek, DAY_CODES } = require('../services/recurrence');
+const { localDate, localHour, timezoneOf } = require('../lib/time');
+
+// A chosen decision counts as "on time" within this many hours of when it was done
+const TIME_TOLERANCE_HOURS = 1;
+
+/**
+ * Hour of an item's 'HH:MM' start_time, or null
+ */
+function itemHour(item) {
+    return item.start_time ? parseInt(item.start_time.split(':')[0]) % 24 : null;
+}
+
+/**
+ * The decisions a piece of feedback says the user did, each with the hour it was done
+ */
+function chosenDecisions(entry, items, decisionsById) {
+    if (entry.action === 'accept') {
+        return items.map(item => ({ decision: item.decision, hour: itemHour(item) }));
+    }
+
+    if (entry.action === 'override' && items.length > 0) {
+        const alternativeId = entry.context?.chosen_alternative;
+        const alternative = alternativeId
+            ? decisionsById.get(alternativeId)
+            : [...decisionsById.values()].find(d => d.title === entry.override_value);
+        if (alternative) {
+            return [{ decision: alternative, hour: itemHour(items[0]) }];
+        }
+    }
+
+    return [];
+}
+
+/**
+ * Position of a decision among the same-type candidates at an hour (1 = best)
+ */
+function rankOf(decision, candidates, scoreAt, hour) {
+    const own = scoreAt(decision, hour);
+    return 1 + candidates.filter(d =>
+        d.id !== decision.id && d.type === decision.type && scoreAt(d, hour) > own
+    ).length;
+}
+
+/**
+ * Replay a user's history with one learner
+ * @param {object} history - See HISTORY FORMAT above
+ * @param {object} learner - Learner module (see services/learners)
+ * @returns {object} - Metrics for the run
+ */
+function replay(history, learner) {
+    const profile = history.profile || {};
+    const timeZone = timezoneOf(profile);
+    const csp = getDefaultCsp();
+
+    // Copies, so last_done_at can move forward as the replay goes
+    const decisions = (history.decisions || []).map(d => ({ ...d, last_done_at: null }));
+    const decisionsById = new Map(decisions.map(d => [d.id, d]));
+
+    // A regenerated day has several versions, each with its own feedback
+    const plans = [...(history.daily_plans || [])].sort((a, b) =>
+        a.plan_date.localeCompare(b.plan_date) || (a.version ?? 1) - (b.version ?? 1));
+    const feedbackByPlan = new Map();
+    for (const entry of history.feedback || []) {
+        if (!feedbackByPlan.has(entry.plan_id)) feedbackByPlan.set(entry.plan_id, []);
+        feedbackByPlan.get(entry.plan_id).push(entry);
+    }
+
+    const totals = {
+        days: new Set(plans.map(plan => plan.plan_date)).size,
+        feedback: 0,
+        chosen: 0,
+        hits: 0,
+        timeHits: 0,
+        overridden: 0,
+        repeatedOverrides: 0,
+        rankSum: 0,
+        reciprocalRankSum: 0,
+        ranked: 0,
+    };
+
+    for (const plan of plans) {
+        const planDate = plan.plan_date;
+        const dayFeedback = (feedbackByPlan.get(plan.id) || [])
+            .sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+
+        // Only decisions that existed on the day
+        const available = decisions.filter(d =>
+            d.active !== false && (!d.created_at || localDate(timeZone, new Date(d.created_at)) <= planDate)
+        );
+
+        const cognitiveLoad = plan.cognitive_load ?? 50;
+        const day = planDay(available, {
+            profile,
+            csp,
+            planDate,
+            cognitiveLoad,
+            autonomyLevel: plan.autonomy_level || 'assist',
+            learner,
+            localNow: `${planDate}T00:00`,
+        });
+
+        // Where the replayed plan put each decision
+        const replayedHours = new Map();
+        for (const slot of day.schedule.slots) {
+            if (!replayedHours.has(slot.decision.id)) replayedHours.set(slot.decision.id, []);
+            replayedHours.get(slot.decision.id).push(hourOf(slot.start));
+        }
+
+        const weekday = DAY_CODES[dayOfWeek(planDate)];
+        const cards = plan.compressed_decision_cards || [];
+
+        // The stored plan's items each piece of feedback was about
+        const resolved = dayFeedback.map(entry => ({
+            entry,
+            items: findFeedbackItems(cards, entry.item_type, entry.item_id, entry.context?.card_id)
+                .map(item => ({ ...item, decision: decisionsById.get(item.decision?.id) || item.decision }))
+                .filter(item => item.decision?.id),
+        })).filter(({ items }) => items.length > 0);
+
+        // ===== COMPARE WITH WHAT THE USER DID =====
+        // The whole day is judged before any of its feedback is learned
+        for (const { entry, items } of resolved) {
+            totals.feedback += 1;
+
+            for (const { decision, hour } of chosenDecisions(entry, items, decisionsById)) {
+                totals.chosen += 1;
+                const hours = replayedHours.get(decision.id);
+                if (hours) {
+                    totals.hits += 1;
+                    if (hour !== null && hours.some(h => Math.abs(h - hour) <= TIME_TOLERANCE_HOURS)) {
+                        totals.timeHits += 1;
+                    }
+                }
+                if (hour !== null) {
+                    const rank = rankOf(decision, day.applicableDecisions, day.scoreAt, hour);
+                    totals.rankSum += rank;
+                    totals.reciprocalRankSum += 1 / rank;
+                    totals.ranked += 1;
+                }
+            }
+
+            if (entry.action === 'override') {
+                for (const item of items) {
+                    const hour = itemHour(item);
+                    if (hour === null) continue;
+                    totals.overridden += 1;
+                    const hours = replayedHours.get(item.decision.id) || [];
+                    if (hours.some(h => timeBucket(h) === timeBucket(hour))) {
+                        totals.repeatedOverrides += 1;
+                    }
+                }
+            }
+        }
+
+        // ===== LEARN FROM IT =====
+        for (const { entry, items } of resolved) {
+            const createdAt = entry.created_at ? new Date(entry.created_at) : null;
+            const learnFrom = (action) => applyFeedback(csp, {
+                action,
+                items,
+                context: { cognitive_load: cognitiveLoad, ...entry.context },
+                hour: createdAt ? localHour(timeZone, createdAt) : (itemHour(items[0]) ?? 12),
+                weekday,
+            }, learner);
+
+            learnFrom(entry.action);
+            if (entry.action === 'auto_accept' && entry.undone_at) {
+                learnFrom('undo_auto_accept');
+            }
+
+            // Histories have no task progress: an accept stands in for the task being done
+            if (entry.action === 'accept' || (entry.action === 'auto_accept' && !entry.undone_at)) {
+                const doneAt = entry.created_at || `${planDate}T12:00:00Z`;
+                items.forEach(item => { item.decision.last_done_at = doneAt; });
+            }
+        }
+    }
+
+    const ratio = (part, whole) => (whole > 0 ? part / whole : null);
+
+    return {
+        learner: learner.name,
+        days: totals.days,
+        feedback: totals.feedback,
+        chosen: totals.chosen,
+        hit_rate: ratio(totals.hits, totals.chosen),
+        time_hit_rate: ratio(totals.timeHits, totals.chosen),
+        override_rate: ratio(totals.repeatedOverrides, totals.overridden),
+        mean_rank: ratio(totals.rankSum, totals.ranked),
+        mrr: ratio(totals.reciprocalRankSum, totals.ranked),
+    };
+}
+
+module.exports = {
+    replay,
+};
@@ -4,58 +4,29 @@
  */
 require('dotenv').config();
 
-const express = require('express');
-const cors = require('cors');
+const app = require('./app');
+const { driver } = require('./repositories');
+const { getLearner } = require('./services/learners');
+const { runRollupJob, retentionDays } = require('./services/eventRollups');
 
-// Import routes
-const profileRoutes = require('./routes/profile');
-const decisionsRoutes = require('./routes/decisions');
-const planRoutes = require('./routes/plan');
-const feedbackRoutes = require('./routes/feedback');
-const eventsRoutes = require('./routes/events');
-
-const app = express();
 const PORT = process.env.PORT || 5000;
 
-// Middleware
-app.use(cors({
-    origin: ['http://localhost:5173', 'http://localhost:3000'], // Vite dev server
-    credentials: true
-}));
-app.use(express.json());
-
-// Request logging (helpful for debugging)
-app.use((req, res, next) => {
-    console.log(`[${new Date().toISOString()}] ${req.method} ${req.path}`);
-    next();
-});
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-    res.json({ 
-        status: 'ok', 
-        service: 'shadowme-backend',
-        timestamp: new Date().toISOString()
-    });
-});
-
-// API Routes
-app.use('/profile', profileRoutes);
-app.use('/decisions', decisionsRoutes);
-app.use('/plan', planRoutes);
-app.use('/feedback', feedbackRoutes);
-app.use('/events', eventsRoutes);
-
-// 404 handler
-app.use((req, res) => {
-    res.status(404).json({ error: 'Endpoint not found' });
-});
-
-// Error handler
-app.use((err, req, res, next) => {
-    console.error('Server error:', err);
-    res.status(500).json({ error: 'Internal server error' });
-});
+// How often event rollups + retention run (0 = never; use npm run backfill-rollups)
+const ROLLUP_JOB_INTERVAL_MINUTES = Number(process.env.ROLLUP_JOB_INTERVAL_MINUTES ?? 60);
+
+let rollupJobRunning = false;
+async function rollUpEvents() {
+    if (rollupJobRunning) return; // the last run is still going
+    rollupJobRunning = true;
+    try {
+        const { users, rollups, eventsDeleted } = await runRollupJob();
+        console.log(`[Rollups] ${rollups} day rollups for ${users} users, ${eventsDeleted} old events deleted`);
+    } catch (error) {
+        console.error('[Rollups] Job failed:', error);
+    } finally {
+        rollupJobRunning = false;
+    }
+}
 
 // Start server
 app.listen(PORT, () => {
@@ -65,22 +36,17 @@ app.listen(PORT, () => {
 ╠═══════════════════════════════════════════════════════╣
 ║  Port: ${PORT}                                           ║
 ║  Health: http://localhost:${PORT}/health                 ║
+║  Storage: ${driver.padEnd(44)}║
+║  Learner: ${getLearner().name.padEnd(44)}║
 ╚═══════════════════════════════════════════════════════╝
     `);
-    console.log('Available endpoints:');
-    console.log('  GET  /health           - Health check');
-    console.log('  GET  /profile          - Get user profile');
-    console.log('  POST /profile          - Create profile (onboarding)');
-    console.log('  GET  /profile/csp      - Get CSP vector');
-    console.log('  GET  /decisions        - List decisions');
-    console.log('  POST /decisions        - Create decision');
-    console.log('  PUT  /decisions/:id    - Update decision');
-    console.log('  DELETE /decisions/:id  - Delete decision');
-    console.log('  POST /plan/generate    - Generate daily plan');
-    console.log('  GET  /plan/today       - Get today\'s plan');
-    console.log('  POST /plan/accept      - Accept plan');
-    console.log('  POST /feedback         - Submit feedback');
-    console.log('  POST /events           - Record interaction event');
-    console.log('');
-    console.log('Note: All endpoints except /health require x-user-id header');
+    console.log(`API docs: http://localhost:${PORT}/docs (OpenAPI: /openapi.json)`);
+    console.log('Note: All endpoints except /health and the docs require an Authorization: Bearer <access token> header');
+
+    if (ROLLUP_JOB_INTERVAL_MINUTES > 0) {
+        const retention = retentionDays();
+        console.log(`Event rollups every ${ROLLUP_JOB_INTERVAL_MINUTES} min, raw events kept ${retention ? `${retention} days` : 'forever'}`);
+        rollUpEvents();
+        setInterval(rollUpEvents, ROLLUP_JOB_INTERVAL_MINUTES * 60000);
+    }
 });
@@ -0,0 +1,30 @@
+/**
+ * Shared Modules
+ *
+ * shared/ (at the repo root) holds the ES modules both the frontend and the
+ * backend use - request schemas, the route list, the OpenAPI builder. The
+ * backend is CommonJS, so it loads them with import(), once each.
+ */
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const SHARED_DIR = path.join(__dirname, '../../../shared');
+
+const loaded = new Map();
+
+/**
+ * Load a module from shared/
+ * @param {string} file - e.g. 'requestSchemas.mjs'
+ * @returns {Promise<object>} - The module's exports
+ */
+function loadShared(file) {
+    if (!loaded.has(file)) {
+        loaded.set(file, import(pathToFileURL(path.join(SHARED_DIR, file)).href));
+    }
+    return loaded.get(file);
+}
+
+module.exports = {
+    SHARED_DIR,
+    loadShared,
+};
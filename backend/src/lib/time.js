@@ -0,0 +1,149 @@
+/**
+ * Time Helpers
+ *
+ * Every "today", hour-of-day and day-of-week calculation must happen in the
+ * user's own timezone (profiles.timezone, an IANA name like 'Europe/Berlin'),
+ * not the server's. These helpers wrap Intl.DateTimeFormat so no date library
+ * is needed. Profiles without a timezone are treated as UTC.
+ */
+
+const DEFAULT_TIMEZONE = 'UTC';
+
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+/**
+ * Is this a timezone name the runtime understands?
+ */
+function isValidTimezone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+    try {
+        formatterFor(timeZone);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * The timezone to use for a profile (falls back to UTC)
+ */
+function timezoneOf(profile) {
+    return isValidTimezone(profile?.timezone) ? profile.timezone : DEFAULT_TIMEZONE;
+}
+
+/**
+ * Wall-clock parts of an instant in a timezone
+ * @returns {object} - { date: 'YYYY-MM-DD', hour, minute, second }
+ */
+function localParts(timeZone, instant = new Date()) {
+    const parts = {};
+    for (const { type, value } of formatterFor(timeZone).formatToParts(instant)) {
+        parts[type] = value;
+    }
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        second: Number(parts.second),
+    };
+}
+
+/**
+ * Today's date ('YYYY-MM-DD') in the user's timezone
+ */
+function localDate(timeZone, instant = new Date()) {
+    return localParts(timeZone, instant).date;
+}
+
+/**
+ * Current hour (0-23) in the user's timezone
+ */
+function localHour(timeZone, instant = new Date()) {
+    return localParts(timeZone, instant).hour;
+}
+
+/**
+ * Current wall-clock time as 'YYYY-MM-DDTHH:MM' in the user's timezone
+ * (same shape as decisions.deadline, so the two can be compared directly)
+ */
+function localDateTime(timeZone, instant = new Date()) {
+    const { date, hour, minute } = localParts(timeZone, instant);
+    return `${date}T${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+/**
+ * Is this a real 'YYYY-MM-DD' calendar date?
+ */
+function isValidDate(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    // Date.parse accepts days like 2025-02-30 and rolls them over; a real date survives the round trip
+    const parsed = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(parsed.getTime()) && parsed.toISOString().startsWith(value);
+}
+
+/**
+ * The calendar day `days` after 'YYYY-MM-DD' (negative = before)
+ */
+function addDays(date, days) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+}
+
+/**
+ * Offset of the timezone from UTC at an instant, in milliseconds
+ */
+function offsetAt(timeZone, instant) {
+    const { date, hour, minute, second } = localParts(timeZone, instant);
+    const [year, month, day] = date.split('-').map(Number);
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+    return asUtc - Math.floor(instant.getTime() / 1000) * 1000;
+}
+
+/**
+ * The UTC instant a local day starts in a timezone: its midnight, or the DST
+ * change where clocks skip midnight (e.g. 00:00 -> 01:00 in America/Havana)
+ * @param {string} timeZone - IANA timezone
+ * @param {string} [date] - 'YYYY-MM-DD', defaults to the user's today
+ * @returns {string} - ISO timestamp, ready for >= comparisons against timestamptz columns
+ */
+function startOfLocalDay(timeZone, date = localDate(timeZone)) {
+    const [year, month, day] = date.split('-').map(Number);
+    const midnightUtc = Date.UTC(year, month - 1, day);
+    // Midnight at the offset of the evening before and at the day's: the earliest one
+    // that's on `date` (when clocks skip midnight, midnight at the evening's offset is
+    // the moment they jump past it)
+    const candidates = [-12, 12]
+        .map(hours => midnightUtc - offsetAt(timeZone, new Date(midnightUtc + hours * 3600000)))
+        .sort((a, b) => a - b);
+    const instant = candidates.find(candidate => localDate(timeZone, new Date(candidate)) === date) ?? candidates[1];
+    return new Date(instant).toISOString();
+}
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    isValidTimezone,
+    timezoneOf,
+    localParts,
+    localDate,
+    localHour,
+    localDateTime,
+    isValidDate,
+    addDays,
+    startOfLocalDay,
+};
@@ -1,34 +1,94 @@
 /**
  * Authentication Middleware
- * 
- * HACKATHON SIMPLIFICATION:
- * For now, we pass user_id via x-user-id header.
- * 
- * TODO for production:
- * - Verify JWT token from Authorization header
- * - Extract user_id from verified token
- * - Example:
- *   const token = req.headers.authorization?.replace('Bearer ', '');
- *   const { data: { user }, error } = await supabase.auth.getUser(token);
- *   if (error || !user) return res.status(401).json({ error: 'Unauthorized' });
- *   req.userId = user.id;
+ *
+ * Verifies the Supabase access token sent as `Authorization: Bearer <jwt>`
+ * and derives req.userId from its `sub` claim.
+ *
+ * Verification happens locally against SUPABASE_JWT_SECRET (Supabase Dashboard >
+ * Settings > API > JWT Secret), so no network call is made per request and the
+ * backend can be exercised offline with tokens signed by any configured secret.
+ *
+ * Environment:
+ * - SUPABASE_JWT_SECRET   (required) HS256 secret used to sign access tokens
+ * - SUPABASE_JWT_AUDIENCE (optional) expected `aud` claim, defaults to 'authenticated'
+ * - SUPABASE_JWT_ISSUER   (optional) expected `iss` claim, not checked if unset
  */
+const jwt = require('jsonwebtoken');
+
+const DEFAULT_AUDIENCE = 'authenticated';
+
+/**
+ * Pull the bearer token out of the Authorization header
+ * @param {object} req - Express request
+ * @returns {string|null}
+ */
+function getBearerToken(req) {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme?.toLowerCase() !== 'bearer' || !token) {
+        return null;
+    }
+    return token.trim();
+}
+
+/**
+ * Verify a Supabase access token and return its claims
+ * @param {string} token - Encoded JWT
+ * @returns {object} - Decoded claims (throws if invalid, expired or wrong audience)
+ */
+function verifyAccessToken(token) {
+    const secret = process.env.SUPABASE_JWT_SECRET;
+    if (!secret) {
+        throw new Error('SUPABASE_JWT_SECRET is not configured');
+    }
+
+    const options = {
+        algorithms: ['HS256'],
+        audience: process.env.SUPABASE_JWT_AUDIENCE || DEFAULT_AUDIENCE,
+    };
+    if (process.env.SUPABASE_JWT_ISSUER) {
+        options.issuer = process.env.SUPABASE_JWT_ISSUER;
+    }
+
+    return jwt.verify(token, secret, options);
+}
 
 const authMiddleware = (req, res, next) => {
-    // Hackathon: Get user ID from header
-    const userId = req.headers['x-user-id'];
-    
-    if (!userId) {
-        return res.status(401).json({ 
-            error: 'Missing x-user-id header',
-            hint: 'For hackathon, pass user_id in x-user-id header. In production, use JWT verification.'
+    const token = getBearerToken(req);
+
+    if (!token) {
+        return res.status(401).json({
+            error: 'Missing bearer token',
+            hint: 'Send the Supabase session access token as "Authorization: Bearer <token>".'
         });
     }
-    
+
+    if (!process.env.SUPABASE_JWT_SECRET) {
+        console.error('[Auth] SUPABASE_JWT_SECRET is not configured');
+        return res.status(500).json({ error: 'Authentication is not configured' });
+    }
+
+    let claims;
+    try {
+        claims = verifyAccessToken(token);
+    } catch (error) {
+        const expired = error.name === 'TokenExpiredError';
+        return res.status(401).json({
+            error: expired ? 'Token expired' : 'Invalid token'
+        });
+    }
+
+    if (!claims.sub) {
+        return res.status(401).json({ error: 'Invalid token' });
+    }
+
     // Attach userId to request for use in route handlers
-    req.userId = userId;
-    
+    req.userId = claims.sub;
+
     next();
 };
 
 module.exports = authMiddleware;
+module.exports.verifyAccessToken = verifyAccessToken;
+module.exports.getBearerToken = getBearerToken;
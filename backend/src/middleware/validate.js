@@ -0,0 +1,70 @@
+/**
+ * Request Validation Middleware
+ *
+ * Checks req.body or req.query against a schema from shared/requestSchemas.mjs
+ * (the same schemas the frontend's forms use) before the route runs.
+ *
+ * Invalid requests get a 400 listing every invalid field:
+ *   { error: 'title is required; effort must be a whole number from 1 to 5',
+ *     fields: { title: 'is required', effort: 'must be a whole number from 1 to 5' } }
+ * Routes reply the same way for the checks they do themselves (invalidRequest).
+ *
+ * A valid body is replaced by just the schema's fields, so a route can't store
+ * properties the API doesn't accept (user_id, csp_vector...).
+ */
+const { loadShared } = require('../lib/shared');
+
+// The schemas are an ES module (the frontend imports them too)
+const schemasReady = loadShared('requestSchemas.mjs');
+
+/**
+ * Reply 400 with the invalid fields
+ * @param {object} res - Express response
+ * @param {object} fields - { field: message }, the message without the field name
+ */
+function invalidRequest(res, fields) {
+    const error = Object.entries(fields).map(([field, message]) => `${field} ${message}`).join('; ');
+    return res.status(400).json({ error, fields });
+}
+
+/**
+ * Middleware validating req.body
+ * @param {string} schemaName - Export of shared/requestSchemas.mjs (e.g. 'decisionSchema')
+ * @param {object} [options] - { partial: true for updates (required fields may be left out) }
+ */
+function validateBody(schemaName, { partial = false } = {}) {
+    const middleware = async (req, res, next) => {
+        const schemas = await schemasReady;
+        const { valid, errors, value } = schemas.validate(schemas[schemaName], req.body ?? {}, { partial });
+        if (!valid) return invalidRequest(res, errors);
+
+        req.body = value;
+        next();
+    };
+    // Read by scripts/checkContract.js to compare with shared/apiRoutes.mjs
+    middleware.schema = { in: 'body', name: schemaName, partial };
+    return middleware;
+}
+
+/**
+ * Middleware validating req.query (numbers and booleans are read from the strings;
+ * the route still parses them itself)
+ * @param {string} schemaName - Export of shared/requestSchemas.mjs (e.g. 'planHistoryQuery')
+ */
+function validateQuery(schemaName) {
+    const middleware = async (req, res, next) => {
+        const schemas = await schemasReady;
+        const { valid, errors } = schemas.validate(schemas[schemaName], { ...req.query }, { coerce: true });
+        if (!valid) return invalidRequest(res, errors);
+
+        next();
+    };
+    middleware.schema = { in: 'query', name: schemaName };
+    return middleware;
+}
+
+module.exports = {
+    invalidRequest,
+    validateBody,
+    validateQuery,
+};
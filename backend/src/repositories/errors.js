@@ -0,0 +1,25 @@
+/**
+ * Repository Errors
+ * Storage-agnostic errors so routes don't depend on PostgREST/Postgres error codes
+ */
+
+class RepositoryError extends Error {
+    /**
+     * @param {string} message - Human readable message
+     * @param {string} code - One of RepositoryError.CONFLICT, RepositoryError.INVALID
+     */
+    constructor(message, code) {
+        super(message);
+        this.name = 'RepositoryError';
+        this.code = code;
+    }
+}
+
+// Unique constraint violated (e.g. profile already exists)
+RepositoryError.CONFLICT = 'conflict';
+// Row violates the table contract (unknown column, failed CHECK constraint)
+RepositoryError.INVALID = 'invalid';
+
+module.exports = {
+    RepositoryError,
+};
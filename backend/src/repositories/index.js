@@ -0,0 +1,35 @@
+/**
+ * Repository Selector
+ *
+ * All routes and services access storage through this module instead of
+ * building Supabase queries directly. The implementation is chosen by the
+ * STORAGE_DRIVER environment variable:
+ *
+ * - supabase (default): Supabase/PostgREST tables from supabase.sql
+ * - memory: in-process tables with the same contract, no network needed
+ *
+ * Every implementation exposes the same repositories:
+ *   profiles, decisions, dailyPlans, feedback, interactionEvents, checkIns,
+ *   loadSnapshots, sessions, eventRollups, taskProgress, provisionalPlans
+ */
+const { RepositoryError } = require('./errors');
+
+const DRIVERS = {
+    supabase: () => require('./supabaseRepository'),
+    memory: () => require('./memoryRepository'),
+};
+
+const driverName = (process.env.STORAGE_DRIVER || 'supabase').toLowerCase();
+
+if (!DRIVERS[driverName]) {
+    console.error(`Unknown STORAGE_DRIVER "${driverName}". Use one of: ${Object.keys(DRIVERS).join(', ')}`);
+    process.exit(1);
+}
+
+// Loaded lazily so the memory driver never requires Supabase credentials
+const repository = DRIVERS[driverName]();
+
+module.exports = {
+    ...repository,
+    RepositoryError,
+};
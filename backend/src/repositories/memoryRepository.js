@@ -0,0 +1,638 @@
+/**
+ * In-Memory Repository
+ *
+ * PURPOSE:
+ * Runs the whole backend with no network or database, for local development,
+ * demos and automated checks. Data lives only as long as the process.
+ *
+ * CONTRACT:
+ * Each table mirrors its definition in supabase.sql - same columns, defaults,
+ * CHECK constraints and unique keys - so code that works here behaves the same
+ * against Supabase. Writing an unknown column or an out-of-range value throws
+ * a RepositoryError just like Postgres would reject it.
+ */
+const { randomUUID } = require('crypto');
+const { RepositoryError } = require('./errors');
+
+const now = () => new Date().toISOString();
+const today = () => now().split('T')[0];
+const clone = (value) => structuredClone(value);
+
+const oneOf = (...allowed) => (value) => allowed.includes(value);
+const between = (min, max) => (value) => value >= min && value <= max;
+
+// Mirrors the csp_vector column default in supabase.sql
+const DEFAULT_CSP_VECTOR = {
+    morning_task_weight: 0.5,
+    afternoon_task_weight: 0.5,
+    evening_task_weight: 0.3,
+    high_effort_preference: 0.5,
+    low_effort_preference: 0.5,
+    break_frequency_weight: 0.5,
+    meal_regularity_weight: 0.5,
+    focus_duration_preference: 50,
+    context_busy_weight: 0.5,
+    context_free_weight: 0.5,
+    accept_rate: 0.5,
+    override_rate: 0.0,
+    total_decisions: 0,
+    total_accepts: 0,
+    total_overrides: 0,
+    total_ignores: 0,
+};
+
+// ===== TABLE DEFINITIONS (see supabase.sql) =====
+// columns: name -> default value (functions are evaluated per insert)
+const TABLES = {
+    profiles: {
+        columns: {
+            id: undefined,
+            wake_time: '07:00',
+            sleep_time: '23:00',
+            peak_focus_start: '09:00',
+            peak_focus_end: '12:00',
+            diet_preference: 'balanced',
+            work_style: 'flexible',
+            break_preference: 'short',
+            timezone: null,
+            auto_accept_threshold: 0.8,
+            cognitive_load_config: null,
+            csp_vector: () => clone(DEFAULT_CSP_VECTOR),
+            csp_last_updated: now,
+            onboarding_completed: false,
+            created_at: now,
+            updated_at: now,
+        },
+        required: ['id'],
+        unique: [['id']],
+        checks: {
+            auto_accept_threshold: between(0.5, 1),
+        },
+    },
+    decisions: {
+        columns: {
+            id: randomUUID,
+            user_id: undefined,
+            type: undefined,
+            title: undefined,
+            description: null,
+            tags: () => [],
+            effort: null,
+            estimated_minutes: 30,
+            meal_type: null,
+            break_duration: 10,
+            frequency: 'daily',
+            recurrence: null,
+            last_done_at: null,
+            preferred_time: null,
+            deadline: null,
+            fixed_time: null,
+            depends_on: null,
+            max_per_day: null,
+            active: true,
+            created_at: now,
+            updated_at: now,
+        },
+        required: ['user_id', 'type', 'title'],
+        unique: [['id']],
+        checks: {
+            type: oneOf('task', 'meal', 'break'),
+            effort: between(1, 5),
+            meal_type: oneOf('breakfast', 'lunch', 'dinner', 'snack'),
+            frequency: oneOf('daily', 'weekly', 'weekdays', 'weekends', 'custom'),
+            max_per_day: (value) => value >= 1,
+        },
+    },
+    daily_plans: {
+        columns: {
+            id: randomUUID,
+            user_id: undefined,
+            plan_date: today,
+            version: 1,
+            previous_plan_id: null,
+            superseded_at: null,
+            compressed_decision_cards: () => [],
+            schedule: () => ({}),
+            cognitive_load: 50,
+            autonomy_level: 'assist',
+            accepted: false,
+            accepted_at: null,
+            generation_context: () => ({}),
+            created_at: now,
+            updated_at: now,
+        },
+        required: ['user_id', 'plan_date'],
+        unique: [['id'], ['user_id', 'plan_date', 'version']],
+        checks: {
+            version: (value) => value >= 1,
+            cognitive_load: between(0, 100),
+            autonomy_level: oneOf('manual', 'assist', 'auto'),
+        },
+    },
+    feedback: {
+        columns: {
+            id: randomUUID,
+            user_id: undefined,
+            plan_id: undefined,
+            item_type: undefined,
+            item_id: null,
+            item_value: null,
+            action: undefined,
+            override_value: null,
+            rating: 0,
+            context: () => ({}),
+            undone_at: null,
+            created_at: now,
+        },
+        required: ['user_id', 'plan_id', 'item_type', 'action'],
+        unique: [['id']],
+        checks: {
+            item_type: oneOf('card', 'task', 'meal', 'break'),
+            action: oneOf('accept', 'override', 'ignore', 'auto_accept'),
+            rating: between(-1, 1),
+        },
+    },
+    interaction_events: {
+        columns: {
+            id: randomUUID,
+            user_id: undefined,
+            event_type: undefined,
+            metadata: () => ({}),
+            timestamp: now,
+            session_id: null,
+            client_event_id: null,
+            created_at: now,
+        },
+        required: ['user_id', 'event_type'],
+        unique: [['id'], ['user_id', 'client_event_id']],
+    },
+    check_ins: {
+        columns: {
+            id: randomUUID,
+            user_id: undefined,
+            energy: null,
+            mood: null,
+            stress: null,
+            sleep_hours: null,
+            note: null,
+            created_at: now,
+        },
+        required: ['user_id'],
+        unique: [['id']],
+        checks: {
+            energy: between(1, 5),
+            mood: between(1, 5),
+            stress: between(1, 5),
+            sleep_hours: between(0, 24),
+        },
+    },
+    cognitive_load_snapshots: {
+        columns: {
+            id: randomUUID,
+            user_id: undefined,
+            score: undefined,
+            autonomy_level: undefined,
+            factors: () => ({}),
+            created_at: now,
+        },
+        required: ['user_id', 'score', 'autonomy_level'],
+        unique: [['id']],
+        checks: {
+            score: between(0, 100),
+            autonomy_level: oneOf('manual', 'assist', 'auto'),
+        },
+    },
+    sessions: {
+        columns: {
+            id: randomUUID,
+            user_id: undefined,
+            session_id: null,
+            session_date: undefined,
+            started_at: undefined,
+            ended_at: undefined,
+            active_seconds: 0,
+            idle_seconds: 0,
+            away_seconds: 0,
+            event_count: 0,
+            closed: false,
+            created_at: now,
+        },
+        required: ['user_id', 'session_date', 'started_at', 'ended_at'],
+        unique: [['id']],
+        checks: {
+            active_seconds: (value) => value >= 0,
+            idle_seconds: (value) => value >= 0,
+            away_seconds: (value) => value >= 0,
+        },
+    },
+    event_rollups: {
+        columns: {
+            id: randomUUID,
+            user_id: undefined,
+            rollup_date: undefined,
+            total_events: 0,
+            event_counts: () => ({}),
+            action_breakdown: () => ({}),
+            sessions: 0,
+            active_minutes: 0,
+            idle_minutes: 0,
+            away_minutes: 0,
+            signals: () => ({}),
+            rolled_up_at: now,
+            created_at: now,
+            updated_at: now,
+        },
+        required: ['user_id', 'rollup_date'],
+        unique: [['id'], ['user_id', 'rollup_date']],
+    },
+    task_progress: {
+        columns: {
+            id: randomUUID,
+            user_id: undefined,
+            plan_id: undefined,
+            plan_date: undefined,
+            card_id: undefined,
+            decision_id: undefined,
+            status: 'accepted',
+            accepted_at: now,
+            started_at: null,
+            done_at: null,
+            abandoned_at: null,
+            actual_minutes: null,
+            created_at: now,
+            updated_at: now,
+        },
+        required: ['user_id', 'plan_id', 'plan_date', 'card_id', 'decision_id', 'status'],
+        unique: [['id'], ['user_id', 'plan_date', 'card_id', 'decision_id']],
+        checks: {
+            status: oneOf('accepted', 'started', 'done', 'abandoned'),
+            actual_minutes: (value) => value >= 0,
+        },
+    },
+    provisional_plans: {
+        columns: {
+            id: randomUUID,
+            user_id: undefined,
+            plan_date: undefined,
+            compressed_decision_cards: () => [],
+            schedule: () => ({}),
+            cognitive_load: null,
+            autonomy_level: null,
+            generation_context: () => ({}),
+            created_at: now,
+        },
+        required: ['user_id', 'plan_date'],
+        unique: [['id'], ['user_id', 'plan_date']],
+        checks: {
+            cognitive_load: between(0, 100),
+            autonomy_level: oneOf('manual', 'assist', 'auto'),
+        },
+    },
+};
+
+// ===== GENERIC TABLE STORE =====
+const store = {};
+
+function rowsOf(table) {
+    if (!store[table]) store[table] = [];
+    return store[table];
+}
+
+function assertValid(table, row, { partial = false } = {}) {
+    const { columns, required = [], checks = {} } = TABLES[table];
+
+    for (const column of Object.keys(row)) {
+        if (!(column in columns)) {
+            throw new RepositoryError(`Column "${column}" does not exist on ${table}`, RepositoryError.INVALID);
+        }
+    }
+    for (const column of required) {
+        if ((!partial || column in row) && (row[column] === undefined || row[column] === null)) {
+            throw new RepositoryError(`Column "${column}" on ${table} cannot be null`, RepositoryError.INVALID);
+        }
+    }
+    for (const [column, check] of Object.entries(checks)) {
+        const value = row[column];
+        if (value !== undefined && value !== null && !check(value)) {
+            throw new RepositoryError(`Value ${JSON.stringify(value)} violates check on ${table}.${column}`, RepositoryError.INVALID);
+        }
+    }
+}
+
+function assertUnique(table, row, ignoreRow = null) {
+    for (const key of TABLES[table].unique || []) {
+        // Like Postgres, NULLs never collide
+        if (key.some(column => row[column] === null || row[column] === undefined)) continue;
+        const duplicate = rowsOf(table).some(existing =>
+            existing !== ignoreRow && key.every(column => existing[column] === row[column])
+        );
+        if (duplicate) {
+            throw new RepositoryError(`Duplicate key (${key.join(', ')}) on ${table}`, RepositoryError.CONFLICT);
+        }
+    }
+}
+
+function insert(table, values) {
+    assertValid(table, values, { partial: true });
+
+    const row = {};
+    for (const [column, fallback] of Object.entries(TABLES[table].columns)) {
+        if (values[column] !== undefined) {
+            row[column] = clone(values[column]);
+        } else {
+            row[column] = typeof fallback === 'function' ? fallback() : fallback;
+        }
+    }
+
+    // Re-check with defaults applied (NOT NULL columns without a default)
+    assertValid(table, row);
+    assertUnique(table, row);
+    rowsOf(table).push(row);
+    return clone(row);
+}
+
+function update(table, predicate, updates) {
+    assertValid(table, updates, { partial: true });
+
+    const updated = [];
+    for (const row of rowsOf(table).filter(predicate)) {
+        const next = { ...row, ...clone(updates) };
+        if ('updated_at' in TABLES[table].columns) next.updated_at = now();
+        assertUnique(table, next, row);
+        Object.assign(row, next);
+        updated.push(clone(row));
+    }
+    return updated;
+}
+
+function remove(table, predicate) {
+    const rows = rowsOf(table);
+    const removed = rows.filter(predicate);
+    store[table] = rows.filter(row => !predicate(row));
+    return removed;
+}
+
+function select(table, predicate, { orderBy, ascending = false, limit } = {}) {
+    let rows = rowsOf(table).filter(predicate);
+
+    if (orderBy) {
+        rows = [...rows].sort((a, b) => {
+            if (a[orderBy] === b[orderBy]) return 0;
+            const result = a[orderBy] < b[orderBy] ? -1 : 1;
+            return ascending ? result : -result;
+        });
+    }
+    if (limit) rows = rows.slice(0, limit);
+
+    return rows.map(clone);
+}
+
+// ===== PROFILES =====
+const profiles = {
+    findById: async (id) => select('profiles', p => p.id === id)[0] || null,
+
+    list: async () => select('profiles', () => true),
+
+    create: async (profile) => insert('profiles', profile),
+
+    update: async (id, updates) => update('profiles', p => p.id === id, updates)[0] || null,
+};
+
+// ===== DECISIONS =====
+const decisions = {
+    list: async (userId, { type, active } = {}) => select('decisions', d =>
+        d.user_id === userId &&
+        (!type || d.type === type) &&
+        (active === undefined || d.active === active),
+        { orderBy: 'created_at' }
+    ),
+
+    findById: async (userId, id) =>
+        select('decisions', d => d.id === id && d.user_id === userId)[0] || null,
+
+    create: async (decision) => insert('decisions', decision),
+
+    update: async (userId, id, updates) =>
+        update('decisions', d => d.id === id && d.user_id === userId, updates)[0] || null,
+
+    remove: async (userId, id) => {
+        const removed = remove('decisions', d => d.id === id && d.user_id === userId);
+        // decisions.depends_on REFERENCES decisions(id) ON DELETE SET NULL,
+        // task_progress.decision_id ... ON DELETE CASCADE
+        if (removed.length) {
+            update('decisions', d => d.depends_on === id, { depends_on: null });
+            remove('task_progress', t => t.decision_id === id);
+        }
+    },
+};
+
+// ===== DAILY PLANS =====
+const dailyPlans = {
+    findById: async (userId, id) =>
+        select('daily_plans', p => p.id === id && p.user_id === userId)[0] || null,
+
+    // The day's latest version
+    findByDate: async (userId, planDate) =>
+        select('daily_plans', p => p.user_id === userId && p.plan_date === planDate, { orderBy: 'version' })[0] || null,
+
+    // Every version of a day's plan, oldest first
+    listVersions: async (userId, planDate) =>
+        select('daily_plans', p => p.user_id === userId && p.plan_date === planDate, { orderBy: 'version', ascending: true }),
+
+    // { latest: true } leaves out superseded versions
+    list: async (userId, { limit, latest = false } = {}) => select('daily_plans', p =>
+        p.user_id === userId && (!latest || !p.superseded_at),
+        { orderBy: 'plan_date', limit }
+    ),
+
+    create: async (plan) => insert('daily_plans', plan),
+
+    update: async (userId, id, updates) =>
+        update('daily_plans', p => p.id === id && p.user_id === userId, updates)[0] || null,
+};
+
+// ===== FEEDBACK =====
+const feedback = {
+    list: async (userId, { planId, since, limit } = {}) => select('feedback', f =>
+        f.user_id === userId &&
+        (!planId || f.plan_id === planId) &&
+        (!since || f.created_at >= since),
+        { orderBy: 'created_at', limit }
+    ),
+
+    findById: async (userId, id) =>
+        select('feedback', f => f.id === id && f.user_id === userId)[0] || null,
+
+    create: async (entry) => {
+        if (!select('daily_plans', p => p.id === entry.plan_id).length) {
+            throw new RepositoryError(`plan_id ${entry.plan_id} does not exist on daily_plans`, RepositoryError.INVALID);
+        }
+        return insert('feedback', entry);
+    },
+
+    update: async (userId, id, updates) =>
+        update('feedback', f => f.id === id && f.user_id === userId, updates)[0] || null,
+};
+
+// ===== INTERACTION EVENTS =====
+const interactionEvents = {
+    list: async (userId, { eventType, sessionId, since, until, limit } = {}) => select('interaction_events', e =>
+        e.user_id === userId &&
+        (!eventType || e.event_type === eventType) &&
+        (!sessionId || e.session_id === sessionId) &&
+        (!since || e.timestamp >= since) &&
+        (!until || e.timestamp < until),
+        { orderBy: 'timestamp', limit }
+    ),
+
+    count: async (userId, { since, until } = {}) => select('interaction_events', e =>
+        e.user_id === userId &&
+        (!since || e.timestamp >= since) &&
+        (!until || e.timestamp < until)
+    ).length,
+
+    create: async (event) => insert('interaction_events', event),
+
+    // Events whose client_event_id is already stored are skipped (ON CONFLICT DO NOTHING);
+    // returns the rows actually inserted
+    createMany: async (events) => {
+        // Validate the whole batch first so a bad row doesn't leave a partial insert
+        events.forEach(event => assertValid('interaction_events', event));
+
+        const inserted = [];
+        for (const event of events) {
+            const isStored = event.client_event_id && select('interaction_events', e =>
+                e.user_id === event.user_id && e.client_event_id === event.client_event_id
+            ).length > 0;
+            if (!isStored) inserted.push(insert('interaction_events', event));
+        }
+        return inserted;
+    },
+
+    oldest: async (userId) =>
+        select('interaction_events', e => e.user_id === userId, { orderBy: 'timestamp', ascending: true, limit: 1 })[0] || null,
+
+    // Returns how many events were deleted
+    removeBefore: async (userId, before) =>
+        remove('interaction_events', e => e.user_id === userId && e.timestamp < before).length,
+};
+
+// ===== CHECK-INS =====
+const checkIns = {
+    list: async (userId, { since, until, limit } = {}) => select('check_ins', c =>
+        c.user_id === userId &&
+        (!since || c.created_at >= since) &&
+        (!until || c.created_at < until),
+        { orderBy: 'created_at', limit }
+    ),
+
+    create: async (checkIn) => insert('check_ins', checkIn),
+};
+
+// ===== COGNITIVE LOAD SNAPSHOTS =====
+const loadSnapshots = {
+    list: async (userId, { since, until, limit } = {}) => select('cognitive_load_snapshots', s =>
+        s.user_id === userId &&
+        (!since || s.created_at >= since) &&
+        (!until || s.created_at < until),
+        { orderBy: 'created_at', limit }
+    ),
+
+    create: async (snapshot) => insert('cognitive_load_snapshots', snapshot),
+};
+
+// ===== EVENT ROLLUPS =====
+const eventRollups = {
+    list: async (userId, { from, to, limit } = {}) => select('event_rollups', r =>
+        r.user_id === userId &&
+        (!from || r.rollup_date >= from) &&
+        (!to || r.rollup_date <= to),
+        { orderBy: 'rollup_date', limit }
+    ),
+
+    findByDate: async (userId, date) =>
+        select('event_rollups', r => r.user_id === userId && r.rollup_date === date)[0] || null,
+
+    // Insert, or replace the user's rollup for that date
+    upsert: async (rollup) => {
+        const matches = r => r.user_id === rollup.user_id && r.rollup_date === rollup.rollup_date;
+        return update('event_rollups', matches, rollup)[0] || insert('event_rollups', rollup);
+    },
+};
+
+// ===== SESSIONS =====
+const sessions = {
+    list: async (userId, { from, to } = {}) => select('sessions', s =>
+        s.user_id === userId &&
+        (!from || s.session_date >= from) &&
+        (!to || s.session_date <= to),
+        { orderBy: 'started_at' }
+    ),
+
+    // Swap the stored sessions of some days for freshly rebuilt ones
+    replaceDays: async (userId, dates, rows) => {
+        rows.forEach(row => assertValid('sessions', row));
+        remove('sessions', s => s.user_id === userId && dates.includes(s.session_date));
+        return rows.map(row => insert('sessions', row));
+    },
+};
+
+// ===== TASK PROGRESS =====
+const taskProgress = {
+    list: async (userId, { planDate } = {}) => select('task_progress', t =>
+        t.user_id === userId &&
+        (!planDate || t.plan_date === planDate),
+        { orderBy: 'accepted_at', ascending: true }
+    ),
+
+    create: async (row) => insert('task_progress', row),
+
+    update: async (userId, id, updates) =>
+        update('task_progress', t => t.id === id && t.user_id === userId, updates)[0] || null,
+
+    remove: async (userId, id) => {
+        remove('task_progress', t => t.id === id && t.user_id === userId);
+    },
+};
+
+// ===== PROVISIONAL PLANS =====
+const provisionalPlans = {
+    list: async (userId, { from, to } = {}) => select('provisional_plans', p =>
+        p.user_id === userId &&
+        (!from || p.plan_date >= from) &&
+        (!to || p.plan_date <= to),
+        { orderBy: 'plan_date', ascending: true }
+    ),
+
+    // Swap all of the user's provisional plans for freshly computed ones
+    replaceAll: async (userId, rows) => {
+        rows.forEach(row => assertValid('provisional_plans', row));
+        remove('provisional_plans', p => p.user_id === userId);
+        return rows.map(row => insert('provisional_plans', row));
+    },
+};
+
+/**
+ * Clear all tables (useful between test runs)
+ */
+function reset() {
+    for (const table of Object.keys(store)) {
+        delete store[table];
+    }
+}
+
+module.exports = {
+    driver: 'memory',
+    profiles,
+    decisions,
+    dailyPlans,
+    feedback,
+    interactionEvents,
+    checkIns,
+    loadSnapshots,
+    sessions,
+    eventRollups,
+    taskProgress,
+    provisionalPlans,
+    reset,
+};
@@ -0,0 +1,408 @@
+/**
+ * Supabase Repository
+ * Storage implementation backed by the Supabase (PostgREST) tables in supabase.sql
+ */
+const supabase = require('../lib/supabase');
+const { RepositoryError } = require('./errors');
+
+// PostgREST: "JSON object requested, multiple (or no) rows returned"
+const NO_ROWS = 'PGRST116';
+
+// PostgREST returns at most this many rows per request (its max-rows setting)
+const PAGE_SIZE = 1000;
+
+/**
+ * Translate a Supabase error into a RepositoryError where we have a storage-agnostic meaning
+ */
+function toRepositoryError(error) {
+    if (error.code === '23505') { // unique violation
+        return new RepositoryError(error.message, RepositoryError.CONFLICT);
+    }
+    if (['23514', '22P02', 'PGRST204'].includes(error.code)) { // check violation, bad input, unknown column
+        return new RepositoryError(error.message, RepositoryError.INVALID);
+    }
+    return error;
+}
+
+/**
+ * Unwrap a query expected to return zero or one row
+ */
+async function maybeSingle(query) {
+    const { data, error } = await query;
+    if (error) {
+        if (error.code === NO_ROWS) return null;
+        throw toRepositoryError(error);
+    }
+    return data;
+}
+
+/**
+ * Unwrap a query expected to return a list (or a single inserted row)
+ */
+async function many(query) {
+    const { data, error } = await query;
+    if (error) throw toRepositoryError(error);
+    return data;
+}
+
+/**
+ * Read every row of a query, a page at a time, until a page comes back short
+ * @param {Function} buildQuery - Returns a fresh query (each page needs its own)
+ */
+async function allPages(buildQuery) {
+    const rows = [];
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+        const page = await many(buildQuery().range(offset, offset + PAGE_SIZE - 1));
+        rows.push(...page);
+        if (page.length < PAGE_SIZE) return rows;
+    }
+}
+
+// ===== PROFILES =====
+const profiles = {
+    findById: (id) => maybeSingle(
+        supabase.from('profiles').select('*').eq('id', id).single()
+    ),
+
+    list: () => many(supabase.from('profiles').select('*')),
+
+    create: (profile) => many(
+        supabase.from('profiles').insert(profile).select().single()
+    ),
+
+    update: (id, updates) => maybeSingle(
+        supabase.from('profiles').update(updates).eq('id', id).select().single()
+    ),
+};
+
+// ===== DECISIONS =====
+const decisions = {
+    list: (userId, { type, active } = {}) => {
+        let query = supabase
+            .from('decisions')
+            .select('*')
+            .eq('user_id', userId)
+            .order('created_at', { ascending: false });
+
+        if (type) query = query.eq('type', type);
+        if (active !== undefined) query = query.eq('active', active);
+
+        return many(query);
+    },
+
+    findById: (userId, id) => maybeSingle(
+        supabase.from('decisions').select('*').eq('id', id).eq('user_id', userId).single()
+    ),
+
+    create: (decision) => many(
+        supabase.from('decisions').insert(decision).select().single()
+    ),
+
+    update: (userId, id, updates) => maybeSingle(
+        supabase.from('decisions').update(updates).eq('id', id).eq('user_id', userId).select().single()
+    ),
+
+    remove: async (userId, id) => {
+        await many(supabase.from('decisions').delete().eq('id', id).eq('user_id', userId));
+    },
+};
+
+// ===== DAILY PLANS =====
+const dailyPlans = {
+    findById: (userId, id) => maybeSingle(
+        supabase.from('daily_plans').select('*').eq('id', id).eq('user_id', userId).single()
+    ),
+
+    // The day's latest version
+    findByDate: (userId, planDate) => maybeSingle(
+        supabase.from('daily_plans').select('*').eq('user_id', userId).eq('plan_date', planDate)
+            .order('version', { ascending: false }).limit(1).single()
+    ),
+
+    // Every version of a day's plan, oldest first
+    listVersions: (userId, planDate) => many(
+        supabase.from('daily_plans').select('*').eq('user_id', userId).eq('plan_date', planDate)
+            .order('version', { ascending: true })
+    ),
+
+    // { latest: true } leaves out superseded versions
+    list: (userId, { limit, latest = false } = {}) => {
+        let query = supabase
+            .from('daily_plans')
+            .select('*')
+            .eq('user_id', userId)
+            .order('plan_date', { ascending: false });
+
+        if (latest) query = query.is('superseded_at', null);
+        if (limit) query = query.limit(limit);
+
+        return many(query);
+    },
+
+    create: (plan) => many(
+        supabase.from('daily_plans').insert(plan).select().single()
+    ),
+
+    update: (userId, id, updates) => maybeSingle(
+        supabase.from('daily_plans').update(updates).eq('id', id).eq('user_id', userId).select().single()
+    ),
+};
+
+// ===== FEEDBACK =====
+const feedback = {
+    list: (userId, { planId, since, limit } = {}) => {
+        let query = supabase
+            .from('feedback')
+            .select('*')
+            .eq('user_id', userId)
+            .order('created_at', { ascending: false });
+
+        if (planId) query = query.eq('plan_id', planId);
+        if (since) query = query.gte('created_at', since);
+        if (limit) query = query.limit(limit);
+
+        return many(query);
+    },
+
+    findById: (userId, id) => maybeSingle(
+        supabase.from('feedback').select('*').eq('id', id).eq('user_id', userId).single()
+    ),
+
+    create: (entry) => many(
+        supabase.from('feedback').insert(entry).select().single()
+    ),
+
+    update: (userId, id, updates) => maybeSingle(
+        supabase.from('feedback').update(updates).eq('id', id).eq('user_id', userId).select().single()
+    ),
+};
+
+// ===== INTERACTION EVENTS =====
+const interactionEvents = {
+    // Newest first. Without a limit every matching event is returned, however many pages it takes
+    list: async (userId, { eventType, sessionId, since, until, limit } = {}) => {
+        const buildQuery = (ascending) => {
+            let query = supabase
+                .from('interaction_events')
+                .select('*')
+                .eq('user_id', userId)
+                .order('timestamp', { ascending })
+                .order('id', { ascending });
+
+            if (eventType) query = query.eq('event_type', eventType);
+            if (sessionId) query = query.eq('session_id', sessionId);
+            if (since) query = query.gte('timestamp', since);
+            if (until) query = query.lt('timestamp', until);
+            return query;
+        };
+
+        if (limit) return many(buildQuery(false).limit(limit));
+
+        // Paged oldest first, so events arriving meanwhile land after the pages already read
+        return (await allPages(() => buildQuery(true))).reverse();
+    },
+
+    count: async (userId, { since, until } = {}) => {
+        let query = supabase
+            .from('interaction_events')
+            .select('*', { count: 'exact', head: true })
+            .eq('user_id', userId);
+
+        if (since) query = query.gte('timestamp', since);
+        if (until) query = query.lt('timestamp', until);
+
+        const { count, error } = await query;
+        if (error) throw toRepositoryError(error);
+        return count || 0;
+    },
+
+    create: (event) => many(
+        supabase.from('interaction_events').insert(event).select().single()
+    ),
+
+    // Events whose client_event_id is already stored are skipped; returns the rows inserted
+    createMany: (events) => many(
+        supabase.from('interaction_events')
+            .upsert(events, { onConflict: 'user_id,client_event_id', ignoreDuplicates: true })
+            .select()
+    ),
+
+    oldest: (userId) => maybeSingle(
+        supabase.from('interaction_events').select('*').eq('user_id', userId)
+            .order('timestamp', { ascending: true }).limit(1).single()
+    ),
+
+    // Returns how many events were deleted
+    removeBefore: async (userId, before) => {
+        const { count, error } = await supabase
+            .from('interaction_events')
+            .delete({ count: 'exact' })
+            .eq('user_id', userId)
+            .lt('timestamp', before);
+        if (error) throw toRepositoryError(error);
+        return count || 0;
+    },
+};
+
+// ===== CHECK-INS =====
+const checkIns = {
+    list: (userId, { since, until, limit } = {}) => {
+        let query = supabase
+            .from('check_ins')
+            .select('*')
+            .eq('user_id', userId)
+            .order('created_at', { ascending: false });
+
+        if (since) query = query.gte('created_at', since);
+        if (until) query = query.lt('created_at', until);
+        if (limit) query = query.limit(limit);
+
+        return many(query);
+    },
+
+    create: (checkIn) => many(
+        supabase.from('check_ins').insert(checkIn).select().single()
+    ),
+};
+
+// ===== COGNITIVE LOAD SNAPSHOTS =====
+const loadSnapshots = {
+    // Newest first. Without a limit every matching snapshot is returned, however many pages it takes
+    list: async (userId, { since, until, limit } = {}) => {
+        const buildQuery = (ascending) => {
+            let query = supabase
+                .from('cognitive_load_snapshots')
+                .select('*')
+                .eq('user_id', userId)
+                .order('created_at', { ascending })
+                .order('id', { ascending });
+
+            if (since) query = query.gte('created_at', since);
+            if (until) query = query.lt('created_at', until);
+            return query;
+        };
+
+        if (limit) return many(buildQuery(false).limit(limit));
+
+        // Paged oldest first, so snapshots recorded meanwhile land after the pages already read
+        return (await allPages(() => buildQuery(true))).reverse();
+    },
+
+    create: (snapshot) => many(
+        supabase.from('cognitive_load_snapshots').insert(snapshot).select().single()
+    ),
+};
+
+// ===== EVENT ROLLUPS =====
+const eventRollups = {
+    list: (userId, { from, to, limit } = {}) => {
+        let query = supabase
+            .from('event_rollups')
+            .select('*')
+            .eq('user_id', userId)
+            .order('rollup_date', { ascending: false });
+
+        if (from) query = query.gte('rollup_date', from);
+        if (to) query = query.lte('rollup_date', to);
+        if (limit) query = query.limit(limit);
+
+        return many(query);
+    },
+
+    findByDate: (userId, date) => maybeSingle(
+        supabase.from('event_rollups').select('*').eq('user_id', userId).eq('rollup_date', date).single()
+    ),
+
+    // Insert, or replace the user's rollup for that date
+    upsert: (rollup) => many(
+        supabase.from('event_rollups').upsert(rollup, { onConflict: 'user_id,rollup_date' }).select().single()
+    ),
+};
+
+// ===== SESSIONS =====
+const sessions = {
+    list: (userId, { from, to } = {}) => {
+        let query = supabase
+            .from('sessions')
+            .select('*')
+            .eq('user_id', userId)
+            .order('started_at', { ascending: false });
+
+        if (from) query = query.gte('session_date', from);
+        if (to) query = query.lte('session_date', to);
+
+        return many(query);
+    },
+
+    // Swap the stored sessions of some days for freshly rebuilt ones
+    replaceDays: async (userId, dates, rows) => {
+        await many(supabase.from('sessions').delete().eq('user_id', userId).in('session_date', dates));
+        if (rows.length === 0) return [];
+        return many(supabase.from('sessions').insert(rows).select());
+    },
+};
+
+// ===== TASK PROGRESS =====
+const taskProgress = {
+    list: (userId, { planDate } = {}) => {
+        let query = supabase
+            .from('task_progress')
+            .select('*')
+            .eq('user_id', userId)
+            .order('accepted_at', { ascending: true });
+
+        if (planDate) query = query.eq('plan_date', planDate);
+
+        return many(query);
+    },
+
+    create: (row) => many(
+        supabase.from('task_progress').insert(row).select().single()
+    ),
+
+    update: (userId, id, updates) => maybeSingle(
+        supabase.from('task_progress').update(updates).eq('id', id).eq('user_id', userId).select().single()
+    ),
+
+    remove: async (userId, id) => {
+        await many(supabase.from('task_progress').delete().eq('id', id).eq('user_id', userId));
+    },
+};
+
+// ===== PROVISIONAL PLANS =====
+const provisionalPlans = {
+    list: (userId, { from, to } = {}) => {
+        let query = supabase
+            .from('provisional_plans')
+            .select('*')
+            .eq('user_id', userId)
+            .order('plan_date', { ascending: true });
+
+        if (from) query = query.gte('plan_date', from);
+        if (to) query = query.lte('plan_date', to);
+
+        return many(query);
+    },
+
+    // Swap all of the user's provisional plans for freshly computed ones
+    replaceAll: async (userId, rows) => {
+        await many(supabase.from('provisional_plans').delete().eq('user_id', userId));
+        if (rows.length === 0) return [];
+        return many(supabase.from('provisional_plans').insert(rows).select());
+    },
+};
+
+module.exports = {
+    driver: 'supabase',
+    profiles,
+    decisions,
+    dailyPlans,
+    feedback,
+    interactionEvents,
+    checkIns,
+    loadSnapshots,
+    sessions,
+    eventRollups,
+    taskProgress,
+    provisionalPlans,
+};
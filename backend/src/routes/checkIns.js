@@ -0,0 +1,116 @@
+/**
+ * Check-in Routes
+ * Self-reported energy, mood, stress and sleep - blended into the cognitive load score
+ */
+const express = require('express');
+const router = express.Router();
+const db = require('../repositories');
+const authMiddleware = require('../middleware/auth');
+const { validateBody, validateQuery } = require('../middleware/validate');
+const { checkInInsights, CHECK_IN_FIELDS } = require('../services/checkIns');
+const { addDays, localDate, startOfLocalDay, timezoneOf } = require('../lib/time');
+
+// Apply auth middleware to all routes
+router.use(authMiddleware);
+
+/**
+ * POST /check-ins
+ * Record a check-in
+ *
+ * Body (at least one of the ratings):
+ * {
+ *   energy: 1-5, mood: 1-5, stress: 1-5,
+ *   sleep_hours: 0-24 (hours slept last night),
+ *   note: string (optional)
+ * }
+ */
+router.post('/', validateBody('checkInSchema'), async (req, res) => {
+    try {
+        const answers = {};
+        for (const field of Object.keys(CHECK_IN_FIELDS)) {
+            if (req.body[field] !== undefined) answers[field] = req.body[field];
+        }
+
+        const checkIn = await db.checkIns.create({
+            user_id: req.userId,
+            ...answers,
+            note: req.body.note || null,
+        });
+
+        res.status(201).json({
+            message: 'Check-in recorded',
+            check_in: checkIn
+        });
+    } catch (error) {
+        console.error('Error recording check-in:', error);
+        res.status(500).json({ error: 'Failed to record check-in' });
+    }
+});
+
+/**
+ * GET /check-ins
+ * Check-in history, newest first
+ * Query params: from, to (dates, YYYY-MM-DD, in the user's timezone), limit (default 30)
+ */
+router.get('/', validateQuery('checkInListQuery'), async (req, res) => {
+    try {
+        const { from, to, limit = 30 } = req.query;
+
+        const profile = await db.profiles.findById(req.userId);
+        const timeZone = timezoneOf(profile);
+
+        // "to" includes the whole day: stop at the start of the next one
+        const checkIns = await db.checkIns.list(req.userId, {
+            since: from ? startOfLocalDay(timeZone, from) : undefined,
+            until: to ? startOfLocalDay(timeZone, addDays(to, 1)) : undefined,
+            limit: parseInt(limit)
+        });
+
+        res.json({ check_ins: checkIns });
+    } catch (error) {
+        console.error('Error fetching check-ins:', error);
+        res.status(500).json({ error: 'Failed to fetch check-ins' });
+    }
+});
+
+/**
+ * GET /check-ins/today
+ * The latest check-in today (the one the load score uses), or null
+ */
+router.get('/today', async (req, res) => {
+    try {
+        const profile = await db.profiles.findById(req.userId);
+        const timeZone = timezoneOf(profile);
+
+        const [checkIn] = await db.checkIns.list(req.userId, {
+            since: startOfLocalDay(timeZone),
+            limit: 1
+        });
+
+        res.json({ check_in: checkIn || null, date: localDate(timeZone) });
+    } catch (error) {
+        console.error('Error fetching today\'s check-in:', error);
+        res.status(500).json({ error: 'Failed to fetch today\'s check-in' });
+    }
+});
+
+/**
+ * GET /check-ins/insights
+ * How the user's check-ins correlate with what they accept and override
+ */
+router.get('/insights', async (req, res) => {
+    try {
+        const profile = await db.profiles.findById(req.userId);
+
+        if (!profile) {
+            return res.status(404).json({ error: 'Profile not found' });
+        }
+
+        res.json(checkInInsights(profile.csp_vector));
+    } catch (error) {
+        console.error('Error fetching check-in insights:', error);
+        res.status(500).json({ error: 'Failed to fetch check-in insights' });
+    }
+});
+
+module.exports = router;
@@ -4,38 +4,59 @@
  */
 const express = require('express');
 const router = express.Router();
-const supabase = require('../lib/supabase');
+const db = require('../repositories');
 const authMiddleware = require('../middleware/auth');
+const { invalidRequest, validateBody, validateQuery } = require('../middleware/validate');
+const { forgetDecision } = require('../services/affinity');
 
 // Apply auth middleware to all routes
 router.use(authMiddleware);
 
+/**
+ * Validate depends_on (everything else is checked by the request schema)
+ * @param {string} userId - Owner of the decision
+ * @param {object} fields - Request body
+ * @param {string} [decisionId] - Decision being updated (to catch self/circular dependencies)
+ * @returns {object|null} - { depends_on: message }, or null if valid
+ */
+async function validateDependency(userId, { depends_on }, decisionId = null) {
+    if (depends_on) {
+        if (depends_on === decisionId) {
+            return { depends_on: 'cannot be the decision itself' };
+        }
+
+        // Walk the dependency chain: it must exist and must not loop back to this decision
+        let current = await db.decisions.findById(userId, depends_on);
+        if (!current) {
+            return { depends_on: 'must reference one of your decisions' };
+        }
+        const seen = new Set([depends_on]);
+        while (current?.depends_on) {
+            if (current.depends_on === decisionId || seen.has(current.depends_on)) {
+                return { depends_on: `would be circular: "${current.title}" already comes after this decision` };
+            }
+            seen.add(current.depends_on);
+            current = await db.decisions.findById(userId, current.depends_on);
+        }
+    }
+
+    return null;
+}
+
 /**
  * GET /decisions
  * List all decisions for the user
  * Query params: type (optional filter), active (optional filter)
  */
-router.get('/', async (req, res) => {
+router.get('/', validateQuery('decisionListQuery'), async (req, res) => {
     try {
         const { type, active } = req.query;
         
-        let query = supabase
-            .from('decisions')
-            .select('*')
-            .eq('user_id', req.userId)
-            .order('created_at', { ascending: false });
-        
         // Apply filters if provided
-        if (type) {
-            query = query.eq('type', type);
-        }
-        if (active !== undefined) {
-            query = query.eq('active', active === 'true');
-        }
-        
-        const { data: decisions, error } = await query;
-        
-        if (error) throw error;
+        const decisions = await db.decisions.list(req.userId, {
+            type,
+            active: active !== undefined ? active === 'true' : undefined
+        });
         
         res.json({ decisions });
     } catch (error) {
@@ -50,18 +71,10 @@ router.get('/', async (req, res) => {
  */
 router.get('/:id', async (req, res) => {
     try {
-        const { data: decision, error } = await supabase
-            .from('decisions')
-            .select('*')
-            .eq('id', req.params.id)
-            .eq('user_id', req.userId)
-            .single();
-        
-        if (error) {
-            if (error.code === 'PGRST116') {
-                return res.status(404).json({ error: 'Decision not found' });
-            }
-            throw error;
+        const decision = await db.decisions.findById(req.userId, req.params.id);
+        
+        if (!decision) {
+            return res.status(404).json({ error: 'Decision not found' });
         }
         
         res.json({ decision });
@@ -75,7 +88,7 @@ router.get('/:id', async (req, res) => {
  * POST /decisions
  * Create a new decision
  */
-router.post('/', async (req, res) => {
+router.post('/', validateBody('decisionSchema'), async (req, res) => {
     try {
         const {
             type,
@@ -87,24 +100,18 @@ router.post('/', async (req, res) => {
             meal_type,
             break_duration,
             frequency,
+            recurrence,
             preferred_time,
+            deadline,
+            fixed_time,
+            depends_on,
+            max_per_day,
             active
         } = req.body;
         
-        // Validate required fields
-        if (!type || !title) {
-            return res.status(400).json({ 
-                error: 'Missing required fields',
-                required: ['type', 'title']
-            });
-        }
-        
-        // Validate type
-        if (!['task', 'meal', 'break'].includes(type)) {
-            return res.status(400).json({ 
-                error: 'Invalid type',
-                allowed: ['task', 'meal', 'break']
-            });
+        const invalid = await validateDependency(req.userId, req.body);
+        if (invalid) {
+            return invalidRequest(res, invalid);
         }
         
         // Build decision object
@@ -114,8 +121,13 @@ router.post('/', async (req, res) => {
             title,
             description: description || null,
             tags: tags || [],
-            frequency: frequency || 'daily',
+            frequency: recurrence ? 'custom' : (frequency || 'daily'),
+            recurrence: recurrence || null,
             preferred_time: preferred_time || null,
+            deadline: deadline || null,
+            fixed_time: fixed_time || null,
+            depends_on: depends_on || null,
+            max_per_day: max_per_day || null,
             active: active !== undefined ? active : true
         };
         
@@ -129,13 +141,7 @@ router.post('/', async (req, res) => {
             decisionData.break_duration = break_duration || 10;
         }
         
-        const { data: decision, error } = await supabase
-            .from('decisions')
-            .insert(decisionData)
-            .select()
-            .single();
-        
-        if (error) throw error;
+        const decision = await db.decisions.create(decisionData);
         
         res.status(201).json({ 
             message: 'Decision created successfully',
@@ -150,28 +156,26 @@ router.post('/', async (req, res) => {
 /**
  * PUT /decisions/:id
  * Update a decision
+ * Body: any of the fields POST accepts (others, like user_id, are dropped by the schema)
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', validateBody('decisionSchema', { partial: true }), async (req, res) => {
     try {
         const updates = req.body;
         
-        // Don't allow changing user_id
-        delete updates.user_id;
-        delete updates.id;
-        
-        const { data: decision, error } = await supabase
-            .from('decisions')
-            .update(updates)
-            .eq('id', req.params.id)
-            .eq('user_id', req.userId)
-            .select()
-            .single();
-        
-        if (error) {
-            if (error.code === 'PGRST116') {
-                return res.status(404).json({ error: 'Decision not found' });
-            }
-            throw error;
+        // A recurrence rule always means frequency 'custom'
+        if (updates.recurrence) {
+            updates.frequency = 'custom';
+        }
+        
+        const invalid = await validateDependency(req.userId, updates, req.params.id);
+        if (invalid) {
+            return invalidRequest(res, invalid);
+        }
+        
+        const decision = await db.decisions.update(req.userId, req.params.id, updates);
+        
+        if (!decision) {
+            return res.status(404).json({ error: 'Decision not found' });
         }
         
         res.json({ 
@@ -190,13 +194,14 @@ router.put('/:id', async (req, res) => {
  */
 router.delete('/:id', async (req, res) => {
     try {
-        const { error } = await supabase
-            .from('decisions')
-            .delete()
-            .eq('id', req.params.id)
-            .eq('user_id', req.userId);
+        await db.decisions.remove(req.userId, req.params.id);
         
-        if (error) throw error;
+        // Don't keep learning stats for a decision that no longer exists
+        const profile = await db.profiles.findById(req.userId);
+        if (profile?.csp_vector) {
+            forgetDecision(profile.csp_vector, req.params.id);
+            await db.profiles.update(req.userId, { csp_vector: profile.csp_vector });
+        }
         
         res.json({ message: 'Decision deleted successfully' });
     } catch (error) {
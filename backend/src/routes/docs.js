@@ -0,0 +1,158 @@
+/**
+ * API Documentation Routes
+ * The OpenAPI document (built from shared/apiRoutes.mjs and the request
+ * schemas) and a browsable page rendered from it. No auth needed.
+ */
+const express = require('express');
+const router = express.Router();
+const { loadShared } = require('../lib/shared');
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+async function specFor(req) {
+    const { buildOpenApiSpec } = await loadShared('openapi.mjs');
+    return buildOpenApiSpec({ serverUrl: `${req.protocol}://${req.get('host')}` });
+}
+
+/**
+ * GET /openapi.json
+ * The OpenAPI 3 document
+ */
+router.get('/openapi.json', async (req, res) => {
+    try {
+        res.json(await specFor(req));
+    } catch (error) {
+        console.error('Error building OpenAPI document:', error);
+        res.status(500).json({ error: 'Failed to build API documentation' });
+    }
+});
+
+/**
+ * GET /docs
+ * The same document as an HTML page
+ */
+router.get('/docs', async (req, res) => {
+    try {
+        res.type('html').send(renderDocs(await specFor(req)));
+    } catch (error) {
+        console.error('Error rendering API docs:', error);
+        res.status(500).json({ error: 'Failed to build API documentation' });
+    }
+});
+
+// ===== RENDERING =====
+
+const refName = (ref) => ref.split('/').pop();
+
+function describeType(schema) {
+    if (!schema) return '';
+    if (schema.$ref) return `<a href="#schema-${refName(schema.$ref)}">${refName(schema.$ref)}</a>`;
+    let type = schema.type || 'any';
+    if (schema.enum) type = schema.enum.map(value => escapeHtml(JSON.stringify(value))).join(' | ');
+    if (schema.type === 'array') type = `${describeType(schema.items)}[]`;
+    const notes = [];
+    if (schema.format) notes.push(schema.format);
+    if (schema.minimum !== undefined) notes.push(`≥ ${schema.minimum}`);
+    if (schema.maximum !== undefined) notes.push(`≤ ${schema.maximum}`);
+    if (schema.maxLength) notes.push(`≤ ${schema.maxLength} chars`);
+    if (schema.maxItems) notes.push(`≤ ${schema.maxItems} items`);
+    if (schema.example) notes.push(`e.g. ${escapeHtml(schema.example)}`);
+    if (schema.nullable) notes.push('nullable');
+    return notes.length > 0 ? `${type} <span class="note">(${notes.join(', ')})</span>` : type;
+}
+
+function renderFields(rows) {
+    if (rows.length === 0) return '';
+    return `<table>${rows.map(({ name, required, schema, where }) => `
+        <tr>
+            <td><code>${escapeHtml(name)}</code>${required ? ' <span class="required">required</span>' : ''}</td>
+            <td>${where ? `<span class="note">${where}</span> ` : ''}${describeType(schema)}</td>
+        </tr>`).join('')}
+    </table>`;
+}
+
+function renderSchema(name, schema) {
+    const required = new Set(schema.required || []);
+    const rows = Object.entries(schema.properties || {}).map(([field, fieldSchema]) => ({
+        name: field,
+        required: required.has(field),
+        schema: fieldSchema,
+    }));
+    return `
+    <section class="schema" id="schema-${name}">
+        <h3>${name}</h3>
+        ${schema.description ? `<p>${escapeHtml(schema.description)}</p>` : ''}
+        ${renderFields(rows)}
+    </section>`;
+}
+
+function renderOperation(method, path, op) {
+    const params = (op.parameters || []).map(param => ({
+        name: param.name, required: param.required, schema: param.schema, where: param.in,
+    }));
+    const body = op.requestBody?.content['application/json'].schema;
+    const responses = Object.entries(op.responses)
+        .map(([status, response]) => `<li><code>${status}</code> ${escapeHtml(response.description)}</li>`)
+        .join('');
+
+    return `
+    <section class="operation" id="${escapeHtml(op.operationId)}">
+        <h3><span class="method ${method}">${method.toUpperCase()}</span> <code>${escapeHtml(path)}</code></h3>
+        <p>${escapeHtml(op.summary)}${op.security?.length === 0 ? ' <span class="note">(no auth)</span>' : ''}</p>
+        ${op.description ? `<p class="note">${escapeHtml(op.description)}</p>` : ''}
+        ${params.length > 0 ? `<h4>Parameters</h4>${renderFields(params)}` : ''}
+        ${body ? `<h4>Body</h4><p>${describeType(body)}</p>` : ''}
+        <h4>Responses</h4>
+        <ul>${responses}</ul>
+    </section>`;
+}
+
+function renderDocs(spec) {
+    const sections = spec.tags.map(tag => {
+        const operations = Object.entries(spec.paths).flatMap(([path, methods]) =>
+            Object.entries(methods)
+                .filter(([, op]) => op.tags.includes(tag.name))
+                .map(([method, op]) => renderOperation(method, path, op)));
+        return `
+        <h2>${escapeHtml(tag.name)}</h2>
+        <p class="note">${escapeHtml(tag.description)}</p>
+        ${operations.join('')}`;
+    });
+    const schemas = Object.entries(spec.components.schemas).map(([name, schema]) => renderSchema(name, schema));
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>${escapeHtml(spec.info.title)}</title>
+    <style>
+        body { font-family: system-ui, sans-serif; max-width: 960px; margin: 0 auto; padding: 24px; color: #1f2937; }
+        h2 { margin-top: 40px; border-bottom: 1px solid #e5e7eb; padding-bottom: 8px; }
+        h3 { margin-bottom: 4px; }
+        h4 { margin: 12px 0 4px; font-size: 13px; text-transform: uppercase; color: #6b7280; }
+        .operation, .schema { border: 1px solid #e5e7eb; border-radius: 8px; padding: 12px 16px; margin: 12px 0; }
+        .method { display: inline-block; min-width: 56px; padding: 2px 6px; border-radius: 4px; color: white; font-size: 13px; text-align: center; }
+        .get { background: #2563eb; } .post { background: #16a34a; } .put { background: #d97706; } .delete { background: #dc2626; }
+        .note { color: #6b7280; font-size: 14px; }
+        .required { color: #dc2626; font-size: 12px; }
+        table { border-collapse: collapse; width: 100%; font-size: 14px; }
+        td { border-top: 1px solid #f3f4f6; padding: 4px 8px; vertical-align: top; }
+        code { font-size: 14px; }
+    </style>
+</head>
+<body>
+    <h1>${escapeHtml(spec.info.title)} <span class="note">v${escapeHtml(spec.info.version)}</span></h1>
+    <p>${escapeHtml(spec.info.description)}</p>
+    <p class="note">Machine-readable: <a href="/openapi.json">/openapi.json</a> (OpenAPI ${escapeHtml(spec.openapi)})</p>
+    ${sections.join('')}
+    <h2>Schemas</h2>
+    ${schemas.join('')}
+</body>
+</html>`;
+}
+
+module.exports = router;
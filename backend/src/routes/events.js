@@ -5,8 +5,36 @@
  */
 const express = require('express');
 const router = express.Router();
-const supabase = require('../lib/supabase');
+const db = require('../repositories');
 const authMiddleware = require('../middleware/auth');
+const { invalidRequest, validateBody, validateQuery } = require('../middleware/validate');
+const { getSessions, summarizeSessions, MAX_RANGE_DAYS } = require('../services/sessionizer');
+const { getTodayRollup, addToTodayRollup } = require('../services/eventRollups');
+const { addDays, localDate, timezoneOf } = require('../lib/time');
+
+/**
+ * Beacon payloads for POST /events/batch
+ * navigator.sendBeacon (used when the page closes) can't set headers, so the
+ * tracker sends the batch as a text/plain JSON body with the access token in it:
+ * { access_token, events }. The token is moved to the Authorization header so
+ * the auth middleware treats it like any other request.
+ */
+router.use('/batch', express.text({ type: 'text/plain', limit: '256kb' }), (req, res, next) => {
+    if (typeof req.body !== 'string') return next();
+
+    try {
+        req.body = JSON.parse(req.body);
+    } catch {
+        return invalidRequest(res, { body: 'must be JSON' });
+    }
+
+    const { access_token, ...body } = req.body || {};
+    if (access_token && !req.headers.authorization) {
+        req.headers.authorization = `Bearer ${access_token}`;
+    }
+    req.body = body;
+    next();
+});
 
 // Apply auth middleware to all routes
 router.use(authMiddleware);
@@ -17,33 +45,25 @@ router.use(authMiddleware);
  * 
  * Body:
  * {
- *   event_type: string (required) - page_load, page_unload, visibility_change, idle, action, session_start, session_end
+ *   event_type: string (required) - page_load, page_unload, visibility_change, idle, action, session_start, session_end,
+ *               or a fatigue signal: hesitation, card_expand, override_modal_open, typing_burst, rapid_tab_switch, rage_click
  *   metadata: object (optional) - additional event data
  *   session_id: string (optional) - to group events by session
  *   timestamp: string (optional) - ISO timestamp, defaults to now
  * }
  */
-router.post('/', async (req, res) => {
+router.post('/', validateBody('eventSchema'), async (req, res) => {
     try {
         const { event_type, metadata, session_id, timestamp } = req.body;
         
-        if (!event_type) {
-            return res.status(400).json({ error: 'event_type is required' });
-        }
-        
-        const { data: event, error } = await supabase
-            .from('interaction_events')
-            .insert({
-                user_id: req.userId,
-                event_type,
-                metadata: metadata || {},
-                session_id: session_id || null,
-                timestamp: timestamp || new Date().toISOString()
-            })
-            .select()
-            .single();
-        
-        if (error) throw error;
+        const event = await db.interactionEvents.create({
+            user_id: req.userId,
+            event_type,
+            metadata: metadata || {},
+            session_id: session_id || null,
+            timestamp: timestamp || new Date().toISOString()
+        });
+        await addToTodayRollup(req.userId, [event]);
         
         res.status(201).json({ 
             message: 'Event recorded',
@@ -57,35 +77,44 @@ router.post('/', async (req, res) => {
 
 /**
  * POST /events/batch
- * Store multiple events at once (for efficiency)
+ * Store multiple events at once (the frontend's event queue sends everything this way)
+ *
+ * Body: { events: [{ event_type, metadata, session_id, timestamp, client_event_id }] }
+ *   (at most MAX_EVENT_BATCH_SIZE events, see shared/requestSchemas.mjs)
+ * Also accepted as a text/plain beacon with the access token in the body (see above).
+ *
+ * client_event_id (optional) makes retries safe: an event whose id was already
+ * stored is skipped, and reported in `duplicates`.
  */
-router.post('/batch', async (req, res) => {
+router.post('/batch', validateBody('eventBatchSchema'), async (req, res) => {
     try {
         const { events } = req.body;
         
-        if (!events || !Array.isArray(events)) {
-            return res.status(400).json({ error: 'events array is required' });
+        // Add user_id to each event, dropping repeats of a client id within the batch
+        const seenIds = new Set();
+        const eventsWithUser = [];
+        for (const event of events) {
+            const clientEventId = event.client_event_id || null;
+            if (clientEventId && seenIds.has(clientEventId)) continue;
+            if (clientEventId) seenIds.add(clientEventId);
+
+            eventsWithUser.push({
+                user_id: req.userId,
+                event_type: event.event_type,
+                metadata: event.metadata || {},
+                session_id: event.session_id || null,
+                client_event_id: clientEventId,
+                timestamp: event.timestamp || new Date().toISOString()
+            });
         }
         
-        // Add user_id to each event
-        const eventsWithUser = events.map(event => ({
-            user_id: req.userId,
-            event_type: event.event_type,
-            metadata: event.metadata || {},
-            session_id: event.session_id || null,
-            timestamp: event.timestamp || new Date().toISOString()
-        }));
-        
-        const { data, error } = await supabase
-            .from('interaction_events')
-            .insert(eventsWithUser)
-            .select();
-        
-        if (error) throw error;
+        const data = await db.interactionEvents.createMany(eventsWithUser);
+        await addToTodayRollup(req.userId, data);
         
         res.status(201).json({ 
             message: `${data.length} events recorded`,
-            count: data.length
+            count: data.length,
+            duplicates: events.length - data.length
         });
     } catch (error) {
         console.error('Error recording batch events:', error);
@@ -96,77 +125,95 @@ router.post('/batch', async (req, res) => {
 /**
  * GET /events/today-stats
  * Get statistics about today's events (for cognitive load calculation)
- * Returns: total events, session duration, action counts
+ * Returns: total events, session time, action counts - read from today's
+ * rollup (services/eventRollups.js): the counts include every event stored,
+ * the session time is at most TODAY_MAX_AGE_MINUTES old
  */
 router.get('/today-stats', async (req, res) => {
     try {
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        
-        const { data: events, error } = await supabase
-            .from('interaction_events')
-            .select('*')
-            .eq('user_id', req.userId)
-            .gte('timestamp', today.toISOString());
+        const profile = await db.profiles.findById(req.userId);
+        const timeZone = timezoneOf(profile);
+        const rollup = await getTodayRollup(req.userId, profile);
+        const counts = rollup.event_counts || {};
         
-        if (error) throw error;
-        
-        // Calculate stats
         const stats = {
-            total_events: events.length,
-            session_starts: events.filter(e => e.event_type === 'session_start').length,
-            page_loads: events.filter(e => e.event_type === 'page_load').length,
-            idle_events: events.filter(e => e.event_type === 'idle').length,
-            actions: events.filter(e => e.event_type === 'action').length,
-            visibility_changes: events.filter(e => e.event_type === 'visibility_change').length,
+            total_events: rollup.total_events,
+            session_starts: counts.session_start || 0,
+            page_loads: counts.page_load || 0,
+            idle_events: counts.idle || 0,
+            actions: counts.action || 0,
+            visibility_changes: counts.visibility_change || 0,
+            event_counts: counts,
             
-            // Calculate total session time from metadata
-            total_session_time_ms: events
-                .filter(e => e.event_type === 'session_end' && e.metadata?.total_duration_ms)
-                .reduce((sum, e) => sum + (e.metadata.total_duration_ms || 0), 0),
-        };
-        
-        // Get action breakdown
-        const actionEvents = events.filter(e => e.event_type === 'action');
-        stats.action_breakdown = {
-            accepts: actionEvents.filter(e => e.metadata?.action === 'accept').length,
-            overrides: actionEvents.filter(e => e.metadata?.action === 'override').length,
-            ignores: actionEvents.filter(e => e.metadata?.action === 'ignore').length,
+            // From the sessions rebuilt out of today's events
+            sessions: rollup.sessions,
+            active_minutes: rollup.active_minutes,
+            idle_minutes: rollup.idle_minutes,
+            away_minutes: rollup.away_minutes,
+            total_session_time_ms: (rollup.active_minutes + rollup.idle_minutes + rollup.away_minutes) * 60000,
+            
+            action_breakdown: rollup.action_breakdown,
+            updated_at: rollup.updated_at,
         };
         
-        res.json({ stats, date: today.toISOString().split('T')[0] });
+        res.json({ stats, date: localDate(timeZone), timezone: timeZone });
     } catch (error) {
         console.error('Error fetching today stats:', error);
         res.status(500).json({ error: 'Failed to fetch today stats' });
     }
 });
 
+/**
+ * GET /events/sessions
+ * Sessions rebuilt from the raw events (see services/sessionizer.js), with
+ * active, idle and tab-away time
+ * Query params: from, to (dates, YYYY-MM-DD, in the user's timezone; default today, up to 31 days)
+ */
+router.get('/sessions', validateQuery('sessionsQuery'), async (req, res) => {
+    try {
+        const { from: fromParam, to: toParam } = req.query;
+
+        const profile = await db.profiles.findById(req.userId);
+        const timeZone = timezoneOf(profile);
+        const to = toParam || localDate(timeZone);
+        const from = fromParam || to;
+
+        if (from > to) {
+            return invalidRequest(res, { from: 'must not be after to' });
+        }
+        if (addDays(from, MAX_RANGE_DAYS - 1) < to) {
+            return invalidRequest(res, { to: `must be at most ${MAX_RANGE_DAYS} days after from` });
+        }
+
+        const sessions = await getSessions(req.userId, { from, to, profile });
+
+        res.json({
+            from,
+            to,
+            timezone: timeZone,
+            sessions,
+            totals: summarizeSessions(sessions),
+        });
+    } catch (error) {
+        console.error('Error fetching sessions:', error);
+        res.status(500).json({ error: 'Failed to fetch sessions' });
+    }
+});
+
 /**
  * GET /events
  * Get user's interaction events (for debugging/analysis)
  * Query params: limit, event_type, session_id
  */
-router.get('/', async (req, res) => {
+router.get('/', validateQuery('eventListQuery'), async (req, res) => {
     try {
         const { limit = 100, event_type, session_id } = req.query;
         
-        let query = supabase
-            .from('interaction_events')
-            .select('*')
-            .eq('user_id', req.userId)
-            .order('timestamp', { ascending: false })
-            .limit(parseInt(limit));
-        
-        if (event_type) {
-            query = query.eq('event_type', event_type);
-        }
-        if (session_id) {
-            query = query.eq('session_id', session_id);
-        }
-        
-        const { data: events, error } = await query;
-        
-        if (error) throw error;
+        const events = await db.interactionEvents.list(req.userId, {
+            eventType: event_type,
+            sessionId: session_id,
+            limit: parseInt(limit)
+        });
         
         res.json({ events });
     } catch (error) {
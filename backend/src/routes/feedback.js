@@ -1,33 +1,78 @@
 /**
  * Feedback Routes
- * Handles accept/override/ignore feedback and CSP updates
+ * Handles accept/override/ignore feedback, auto-accepts (auto mode) and CSP updates
  */
 const express = require('express');
 const router = express.Router();
-const supabase = require('../lib/supabase');
+const db = require('../repositories');
 const authMiddleware = require('../middleware/auth');
+const { invalidRequest, validateBody, validateQuery } = require('../middleware/validate');
 const { updateCspFromFeedback } = require('../services/cspLearning');
+const { findFeedbackItems } = require('../services/decisionEngine');
+const { recordAccepted, forgetAccepted } = require('../services/taskProgress');
+const { localParts, timezoneOf } = require('../lib/time');
 
 // Apply auth middleware to all routes
 router.use(authMiddleware);
 
+// How long after an auto-accept the user can still undo it
+const AUTO_ACCEPT_UNDO_SECONDS = 120;
+
+/**
+ * Find the plan items a piece of feedback is about (see findFeedbackItems)
+ */
+async function loadFeedbackItems(userId, planId, itemType, itemId, cardId) {
+    const plan = await db.dailyPlans.findById(userId, planId);
+    return findFeedbackItems(plan?.compressed_decision_cards || [], itemType, itemId, cardId);
+}
+
+/**
+ * Why auto mode may not accept this card for the user, or null if it may:
+ * only in auto mode, only at or above the user's confidence threshold, and
+ * only once per card (an undone auto-accept isn't retried).
+ * The reason is reported against item_id (the card ID)
+ */
+async function autoAcceptError(userId, planId, cardId) {
+    const [plan, profile, planFeedback] = await Promise.all([
+        db.dailyPlans.findById(userId, planId),
+        db.profiles.findById(userId),
+        db.feedback.list(userId, { planId }),
+    ]);
+    const card = plan?.compressed_decision_cards?.find(c => c.id === cardId);
+    const threshold = profile?.auto_accept_threshold;
+
+    if (!card) return 'is not a card on this plan';
+    if (plan.superseded_at) return 'is on an older version of the plan';
+    if (planFeedback.some(f => f.action === 'auto_accept' && f.item_id === cardId)) {
+        return 'was already auto-accepted';
+    }
+    if (plan.autonomy_level !== 'auto') return 'can only be auto-accepted in auto mode';
+    if (threshold === null || threshold === undefined) return "can't be auto-accepted: auto-accept is turned off";
+    if ((card.confidence ?? 0) < threshold) {
+        return `has confidence ${card.confidence ?? 0}, below your auto-accept threshold ${threshold}`;
+    }
+    return null;
+}
+
 /**
  * POST /feedback
- * Record feedback for a decision card item
+ * Record feedback for a whole decision card, or for one item inside it
  * 
  * Body:
  * {
  *   plan_id: string (required) - the daily plan ID
  *   item_type: string (required) - 'card', 'task', 'meal', 'break'
- *   item_id: string (optional) - ID of the specific item
+ *   item_id: string (optional) - card ID for 'card', decision ID for task/meal/break
  *   item_value: string (optional) - what was suggested
- *   action: string (required) - 'accept', 'override', 'ignore'
+ *   action: string (required) - 'accept', 'override', 'ignore', or 'auto_accept'
+ *     (auto mode accepted a whole card for the user; can be undone for
+ *     AUTO_ACCEPT_UNDO_SECONDS via POST /feedback/:id/undo)
  *   override_value: string (optional) - what user chose instead (for override)
  *   rating: number (optional) - -1, 0, or 1
- *   context: object (optional) - additional context
+ *   context: object (optional) - additional context (card_id for item feedback)
  * }
  */
-router.post('/', async (req, res) => {
+router.post('/', validateBody('feedbackSchema'), async (req, res) => {
     try {
         const {
             plan_id,
@@ -40,48 +85,53 @@ router.post('/', async (req, res) => {
             context
         } = req.body;
         
-        // Validate required fields
-        if (!plan_id || !item_type || !action) {
-            return res.status(400).json({
-                error: 'Missing required fields',
-                required: ['plan_id', 'item_type', 'action']
-            });
+        if (action === 'auto_accept') {
+            const reason = await autoAcceptError(req.userId, plan_id, item_id);
+            if (reason) {
+                return invalidRequest(res, { item_id: reason });
+            }
         }
         
-        // Validate action
-        if (!['accept', 'override', 'ignore'].includes(action)) {
-            return res.status(400).json({
-                error: 'Invalid action',
-                allowed: ['accept', 'override', 'ignore']
-            });
+        // Default context is the user's local wall-clock time
+        let feedbackContext = context;
+        if (!feedbackContext) {
+            const profile = await db.profiles.findById(req.userId);
+            const { hour, minute, second } = localParts(timezoneOf(profile));
+            feedbackContext = {
+                time_of_day: [hour, minute, second].map(n => String(n).padStart(2, '0')).join(':'),
+                timestamp: new Date().toISOString()
+            };
         }
         
+        const items = item_id
+            ? await loadFeedbackItems(req.userId, plan_id, item_type, item_id, context?.card_id)
+            : [];
+        
         // Store feedback
-        const { data: feedback, error } = await supabase
-            .from('feedback')
-            .insert({
-                user_id: req.userId,
-                plan_id,
-                item_type,
-                item_id: item_id || null,
-                item_value: item_value || null,
-                action,
-                override_value: override_value || null,
-                rating: rating || 0,
-                context: context || {
-                    time_of_day: new Date().toTimeString().split(' ')[0],
-                    timestamp: new Date().toISOString()
-                }
-            })
-            .select()
-            .single();
-        
-        if (error) throw error;
+        const feedback = await db.feedback.create({
+            user_id: req.userId,
+            plan_id,
+            item_type,
+            item_id: item_id || null,
+            item_value: item_value || null,
+            action,
+            override_value: override_value || null,
+            rating: rating || 0,
+            context: feedbackContext
+        });
         
         console.log(`[Feedback] User ${req.userId} - Action: ${action}, Item: ${item_type}`);
         
-        // Update CSP using the learning service
-        const updatedCsp = await updateCspFromFeedback(req.userId, action, context || {});
+        // Accepted items can now be started and finished (POST /progress); only
+        // finishing one marks its decision done
+        if (item_id && (action === 'accept' || action === 'auto_accept')) {
+            await recordAccepted(req.userId, { plan_id, item_type, item_id, card_id: context?.card_id }, {
+                acceptedAt: feedback.created_at,
+            });
+        }
+        
+        // Update CSP using the learning service (per decision for each item)
+        const updatedCsp = await updateCspFromFeedback(req.userId, action, context || {}, items);
         
         res.status(201).json({
             message: 'Feedback recorded',
@@ -91,6 +141,9 @@ router.post('/', async (req, res) => {
                 accept_rate: updatedCsp.accept_rate,
                 total_decisions: updatedCsp.total_decisions,
             } : null,
+            ...(action === 'auto_accept' && {
+                undo_until: new Date(new Date(feedback.created_at).getTime() + AUTO_ACCEPT_UNDO_SECONDS * 1000).toISOString(),
+            }),
         });
     } catch (error) {
         console.error('Error recording feedback:', error);
@@ -99,27 +152,57 @@ router.post('/', async (req, res) => {
 });
 
 /**
- * GET /feedback
- * Get user's feedback history
+ * POST /feedback/:id/undo
+ * Undo an auto-accept within AUTO_ACCEPT_UNDO_SECONDS: the card's items are
+ * no longer tracked as accepted, and the shadow learns it got this one wrong
  */
-router.get('/', async (req, res) => {
+router.post('/:id/undo', async (req, res) => {
     try {
-        const { plan_id, limit = 50 } = req.query;
-        
-        let query = supabase
-            .from('feedback')
-            .select('*')
-            .eq('user_id', req.userId)
-            .order('created_at', { ascending: false })
-            .limit(parseInt(limit));
+        const entry = await db.feedback.findById(req.userId, req.params.id);
         
-        if (plan_id) {
-            query = query.eq('plan_id', plan_id);
+        if (!entry) {
+            return res.status(404).json({ error: 'Feedback not found' });
+        }
+        if (entry.action !== 'auto_accept') {
+            return invalidRequest(res, { id: 'must be an auto-accept (only those can be undone)' });
+        }
+        if (entry.undone_at) {
+            return res.status(409).json({ error: 'Already undone' });
+        }
+        if (Date.now() - new Date(entry.created_at).getTime() > AUTO_ACCEPT_UNDO_SECONDS * 1000) {
+            return res.status(409).json({ error: 'The undo window has passed' });
         }
         
-        const { data: feedback, error } = await query;
+        const feedback = await db.feedback.update(req.userId, entry.id, {
+            undone_at: new Date().toISOString()
+        });
+        
+        await forgetAccepted(req.userId, entry.plan_id, entry.item_id);
+        
+        const items = await loadFeedbackItems(req.userId, entry.plan_id, entry.item_type, entry.item_id);
+        await updateCspFromFeedback(req.userId, 'undo_auto_accept', entry.context || {}, items);
+        
+        console.log(`[Feedback] User ${req.userId} - Undid auto-accept of ${entry.item_id}`);
+        
+        res.json({ message: 'Auto-accept undone', feedback });
+    } catch (error) {
+        console.error('Error undoing auto-accept:', error);
+        res.status(500).json({ error: 'Failed to undo auto-accept' });
+    }
+});
+
+/**
+ * GET /feedback
+ * Get user's feedback history
+ */
+router.get('/', validateQuery('feedbackListQuery'), async (req, res) => {
+    try {
+        const { plan_id, limit = 50 } = req.query;
         
-        if (error) throw error;
+        const feedback = await db.feedback.list(req.userId, {
+            planId: plan_id,
+            limit: parseInt(limit)
+        });
         
         res.json({ feedback });
     } catch (error) {
@@ -134,22 +217,21 @@ router.get('/', async (req, res) => {
  */
 router.get('/stats', async (req, res) => {
     try {
-        const { data: feedback, error } = await supabase
-            .from('feedback')
-            .select('action')
-            .eq('user_id', req.userId);
-        
-        if (error) throw error;
+        const feedback = await db.feedback.list(req.userId);
         
         const stats = {
             total: feedback.length,
             accepts: feedback.filter(f => f.action === 'accept').length,
             overrides: feedback.filter(f => f.action === 'override').length,
-            ignores: feedback.filter(f => f.action === 'ignore').length
+            ignores: feedback.filter(f => f.action === 'ignore').length,
+            auto_accepts: feedback.filter(f => f.action === 'auto_accept' && !f.undone_at).length,
+            auto_undos: feedback.filter(f => f.action === 'auto_accept' && f.undone_at).length
         };
         
-        stats.accept_rate = stats.total > 0 ? (stats.accepts / stats.total).toFixed(2) : 0;
-        stats.override_rate = stats.total > 0 ? (stats.overrides / stats.total).toFixed(2) : 0;
+        // Rates are over the user's own decisions (auto-accepts excluded, undos count as overrides)
+        const decided = stats.accepts + stats.overrides + stats.ignores + stats.auto_undos;
+        stats.accept_rate = decided > 0 ? (stats.accepts / decided).toFixed(2) : 0;
+        stats.override_rate = decided > 0 ? ((stats.overrides + stats.auto_undos) / decided).toFixed(2) : 0;
         
         res.json({ stats });
     } catch (error) {
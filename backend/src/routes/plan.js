@@ -4,30 +4,61 @@
  */
 const express = require('express');
 const router = express.Router();
-const supabase = require('../lib/supabase');
+const db = require('../repositories');
 const authMiddleware = require('../middleware/auth');
+const { validateBody, validateQuery } = require('../middleware/validate');
 const { generateDailyPlan } = require('../services/decisionEngine');
+const { diffPlans } = require('../services/planDiff');
+const { replanDay } = require('../services/replan');
+const { getWeekPlans } = require('../services/weekPlan');
+const { localDate, timezoneOf } = require('../lib/time');
 
 // Apply auth middleware to all routes
 router.use(authMiddleware);
 
+/**
+ * Store a day's plan as its next version and mark the one it replaces as
+ * superseded (that one, and the feedback given on it, is kept)
+ * Throws RepositoryError CONFLICT if another request added the version first.
+ */
+async function saveVersion(userId, planDate, previousPlan, planData, context) {
+    const plan = await db.dailyPlans.create({
+        user_id: userId,
+        plan_date: planDate,
+        version: previousPlan ? previousPlan.version + 1 : 1,
+        previous_plan_id: previousPlan?.id || null,
+        compressed_decision_cards: planData.cards,
+        schedule: planData.schedule,
+        cognitive_load: planData.cognitiveLoad,
+        autonomy_level: planData.autonomyLevel,
+        generation_context: {
+            ...context,
+            total_decisions: planData.totalDecisions,
+            generated_at: planData.generatedAt,
+        }
+    });
+
+    if (previousPlan) {
+        await db.dailyPlans.update(userId, previousPlan.id, { superseded_at: new Date().toISOString() });
+    }
+    return plan;
+}
+
 /**
  * POST /plan/generate
  * Generate today's plan with compressed decision cards
- * Query param: ?force=true to regenerate even if plan exists
+ * Query param: ?force=true to regenerate even if plan exists - this adds a new
+ * version; the old one (and the feedback given on it) is kept
  */
-router.post('/generate', async (req, res) => {
+router.post('/generate', validateQuery('planGenerateQuery'), async (req, res) => {
     try {
-        const today = new Date().toISOString().split('T')[0];
+        // "Today" is the user's local date
+        const profile = await db.profiles.findById(req.userId);
+        const today = localDate(timezoneOf(profile));
         const forceRegenerate = req.query.force === 'true';
         
         // Check if plan already exists for today
-        const { data: existingPlan } = await supabase
-            .from('daily_plans')
-            .select('*')
-            .eq('user_id', req.userId)
-            .eq('plan_date', today)
-            .single();
+        const existingPlan = await db.dailyPlans.findByDate(req.userId, today);
         
         // If plan exists and not forcing regeneration, return existing
         if (existingPlan && !forceRegenerate) {
@@ -38,16 +69,8 @@ router.post('/generate', async (req, res) => {
             });
         }
         
-        // If forcing regeneration, delete existing plan first
-        if (existingPlan && forceRegenerate) {
-            await supabase
-                .from('daily_plans')
-                .delete()
-                .eq('id', existingPlan.id);
-        }
-        
         // Generate the plan using Decision Engine
-        const planData = await generateDailyPlan(req.userId);
+        const planData = await generateDailyPlan(req.userId, { planDate: today });
         
         // If no cards generated (no decisions), return early
         if (planData.cards.length === 0) {
@@ -59,64 +82,79 @@ router.post('/generate', async (req, res) => {
             });
         }
         
-        // Fetch profile for context
-        const { data: profile } = await supabase
-            .from('profiles')
-            .select('csp_vector')
-            .eq('id', req.userId)
-            .single();
-        
-        // Store the plan in database
-        const { data: plan, error } = await supabase
-            .from('daily_plans')
-            .insert({
-                user_id: req.userId,
-                plan_date: today,
-                compressed_decision_cards: planData.cards,
-                cognitive_load: planData.cognitiveLoad,
-                autonomy_level: planData.autonomyLevel,
-                generation_context: {
-                    csp_snapshot: profile?.csp_vector,
-                    total_decisions: planData.totalDecisions,
-                    generated_at: planData.generatedAt,
-                }
-            })
-            .select()
-            .single();
-        
-        if (error) throw error;
-        
-        console.log(`[Plan] Generated plan for user ${req.userId} - ${planData.cards.length} cards, Load: ${planData.cognitiveLoad}, Level: ${planData.autonomyLevel}`);
+        // Store the plan in database (as the next version when regenerating)
+        const plan = await saveVersion(req.userId, today, existingPlan, planData, {
+            csp_snapshot: profile?.csp_vector,
+        });
+        
+        console.log(`[Plan] Generated plan v${plan.version} for user ${req.userId} - ${planData.cards.length} cards, Load: ${planData.cognitiveLoad}, Level: ${planData.autonomyLevel}`);
         
         res.status(201).json({
-            message: forceRegenerate ? 'Plan regenerated successfully' : 'Plan generated successfully',
+            message: existingPlan ? `Plan regenerated successfully (version ${plan.version})` : 'Plan generated successfully',
             plan,
-            regenerated: forceRegenerate,
+            regenerated: Boolean(existingPlan),
         });
     } catch (error) {
+        if (error.code === db.RepositoryError.CONFLICT) {
+            // Another request added this version first
+            return res.status(409).json({ error: 'The plan was regenerated at the same time - reload it' });
+        }
         console.error('Error generating plan:', error);
         res.status(500).json({ error: 'Failed to generate plan' });
     }
 });
 
+/**
+ * POST /plan/replan
+ * Re-plan the rest of today from now on: decided cards are kept, what's left is
+ * scheduled again at the current cognitive load (see services/replan.js).
+ * Adds a new version, like regenerating.
+ */
+router.post('/replan', async (req, res) => {
+    try {
+        const profile = await db.profiles.findById(req.userId);
+        const today = localDate(timezoneOf(profile));
+
+        const existingPlan = await db.dailyPlans.findByDate(req.userId, today);
+        if (!existingPlan) {
+            return res.status(404).json({ error: 'No plan for today - generate one first' });
+        }
+
+        const planData = await replanDay(req.userId, existingPlan, profile);
+        const plan = await saveVersion(req.userId, today, existingPlan, planData, {
+            csp_snapshot: profile?.csp_vector,
+            replanned_at: planData.generatedAt,
+            replanned_from: planData.replannedFrom,
+            kept_cards: planData.kept,
+        });
+
+        const added = planData.cards.length - planData.kept;
+        console.log(`[Plan] Re-planned user ${req.userId} from ${planData.replannedFrom} (v${plan.version}) - ${planData.kept} cards kept, ${added} new`);
+
+        res.status(201).json({
+            message: `Re-planned from ${planData.replannedFrom}: ${added} new card${added === 1 ? '' : 's'}, ${planData.kept} kept`,
+            plan,
+            kept: planData.kept,
+        });
+    } catch (error) {
+        if (error.code === db.RepositoryError.CONFLICT) {
+            return res.status(409).json({ error: 'The plan was changed at the same time - reload it' });
+        }
+        console.error('Error re-planning:', error);
+        res.status(500).json({ error: 'Failed to re-plan' });
+    }
+});
+
 /**
  * GET /plan/today
- * Get today's plan
+ * Get today's plan (its latest version)
  */
 router.get('/today', async (req, res) => {
     try {
-        const today = new Date().toISOString().split('T')[0];
-        
-        const { data: plan, error } = await supabase
-            .from('daily_plans')
-            .select('*')
-            .eq('user_id', req.userId)
-            .eq('plan_date', today)
-            .single();
+        const profile = await db.profiles.findById(req.userId);
+        const today = localDate(timezoneOf(profile));
         
-        if (error && error.code !== 'PGRST116') {
-            throw error;
-        }
+        const plan = await db.dailyPlans.findByDate(req.userId, today);
         
         if (!plan) {
             return res.json({ exists: false, plan: null });
@@ -133,26 +171,18 @@ router.get('/today', async (req, res) => {
  * POST /plan/accept
  * Mark the plan as accepted
  */
-router.post('/accept', async (req, res) => {
+router.post('/accept', validateBody('planAcceptSchema'), async (req, res) => {
     try {
         const { plan_id } = req.body;
         
-        if (!plan_id) {
-            return res.status(400).json({ error: 'plan_id is required' });
-        }
-        
-        const { data: plan, error } = await supabase
-            .from('daily_plans')
-            .update({
-                accepted: true,
-                accepted_at: new Date().toISOString()
-            })
-            .eq('id', plan_id)
-            .eq('user_id', req.userId)
-            .select()
-            .single();
+        const plan = await db.dailyPlans.update(req.userId, plan_id, {
+            accepted: true,
+            accepted_at: new Date().toISOString()
+        });
         
-        if (error) throw error;
+        if (!plan) {
+            return res.status(404).json({ error: 'Plan not found' });
+        }
         
         res.json({ message: 'Plan accepted', plan });
     } catch (error) {
@@ -163,20 +193,13 @@ router.post('/accept', async (req, res) => {
 
 /**
  * GET /plan/history
- * Get historical plans
+ * Get historical plans (the latest version of each day)
  */
-router.get('/history', async (req, res) => {
+router.get('/history', validateQuery('planHistoryQuery'), async (req, res) => {
     try {
         const { limit = 7 } = req.query;
         
-        const { data: plans, error } = await supabase
-            .from('daily_plans')
-            .select('*')
-            .eq('user_id', req.userId)
-            .order('plan_date', { ascending: false })
-            .limit(parseInt(limit));
-        
-        if (error) throw error;
+        const plans = await db.dailyPlans.list(req.userId, { limit: parseInt(limit), latest: true });
         
         res.json({ plans });
     } catch (error) {
@@ -185,4 +208,54 @@ router.get('/history', async (req, res) => {
     }
 });
 
+/**
+ * GET /plan/week
+ * Provisional plans for the next 7 days (from tomorrow), each with its load
+ * forecast and what it schedules by type (see services/weekPlan.js). They're
+ * recomputed when the decisions or profile change, and never become the
+ * day's plan: that's generated from scratch when the day arrives.
+ */
+router.get('/week', async (req, res) => {
+    try {
+        const week = await getWeekPlans(req.userId);
+
+        if (week.regenerated) {
+            console.log(`[Plan] Planned the week ahead for user ${req.userId} (${week.from} to ${week.to}) - ${week.days.length} days`);
+        }
+
+        res.json(week);
+    } catch (error) {
+        console.error('Error fetching week plan:', error);
+        res.status(500).json({ error: 'Failed to plan the week' });
+    }
+});
+
+/**
+ * GET /plan/:id/versions
+ * Every version of the day this plan is for, oldest first, each with what
+ * changed from the version before it (see services/planDiff.js)
+ */
+router.get('/:id/versions', async (req, res) => {
+    try {
+        const plan = await db.dailyPlans.findById(req.userId, req.params.id);
+        if (!plan) {
+            return res.status(404).json({ error: 'Plan not found' });
+        }
+        
+        const versions = await db.dailyPlans.listVersions(req.userId, plan.plan_date);
+        
+        res.json({
+            plan_date: plan.plan_date,
+            latest_version: versions[versions.length - 1].version,
+            versions: versions.map((version, i) => ({
+                ...version,
+                changes: i > 0 ? diffPlans(versions[i - 1], version) : null,
+            })),
+        });
+    } catch (error) {
+        console.error('Error fetching plan versions:', error);
+        res.status(500).json({ error: 'Failed to fetch plan versions' });
+    }
+});
+
 module.exports = router;
@@ -4,9 +4,13 @@
  */
 const express = require('express');
 const router = express.Router();
-const supabase = require('../lib/supabase');
+const db = require('../repositories');
 const authMiddleware = require('../middleware/auth');
+const { invalidRequest, validateBody, validateQuery } = require('../middleware/validate');
 const { calculateCognitiveLoad, getAutonomyDescription } = require('../services/cognitiveLoad');
+const { FACTORS, DEFAULT_THRESHOLDS, resolveConfig, validateConfig } = require('../services/loadFactors');
+const { GRANULARITIES, MAX_RANGE_DAYS, getLoadHistory } = require('../services/loadHistory');
+const { addDays, localDate, timezoneOf } = require('../lib/time');
 
 // Apply auth middleware to all routes
 router.use(authMiddleware);
@@ -17,15 +21,7 @@ router.use(authMiddleware);
  */
 router.get('/', async (req, res) => {
     try {
-        const { data: profile, error } = await supabase
-            .from('profiles')
-            .select('*')
-            .eq('id', req.userId)
-            .single();
-        
-        if (error && error.code !== 'PGRST116') { // PGRST116 = no rows found
-            throw error;
-        }
+        const profile = await db.profiles.findById(req.userId);
         
         if (!profile) {
             return res.json({ exists: false, profile: null });
@@ -42,7 +38,7 @@ router.get('/', async (req, res) => {
  * POST /profile
  * Create user profile with onboarding data and initialize CSP
  */
-router.post('/', async (req, res) => {
+router.post('/', validateBody('profileSchema'), async (req, res) => {
     try {
         const {
             wake_time,
@@ -51,7 +47,9 @@ router.post('/', async (req, res) => {
             peak_focus_end,
             diet_preference,
             work_style,
-            break_preference
+            break_preference,
+            timezone,
+            auto_accept_threshold
         } = req.body;
         
         // Initialize CSP vector based on onboarding preferences
@@ -87,31 +85,21 @@ router.post('/', async (req, res) => {
             total_ignores: 0
         };
         
-        const { data: profile, error } = await supabase
-            .from('profiles')
-            .insert({
-                id: req.userId,
-                wake_time: wake_time || '07:00',
-                sleep_time: sleep_time || '23:00',
-                peak_focus_start: peak_focus_start || '09:00',
-                peak_focus_end: peak_focus_end || '12:00',
-                diet_preference: diet_preference || 'balanced',
-                work_style: work_style || 'flexible',
-                break_preference: break_preference || 'short',
-                csp_vector: initialCspVector,
-                csp_last_updated: new Date().toISOString(),
-                onboarding_completed: true
-            })
-            .select()
-            .single();
-        
-        if (error) {
-            // Check if profile already exists
-            if (error.code === '23505') { // unique violation
-                return res.status(409).json({ error: 'Profile already exists' });
-            }
-            throw error;
-        }
+        const profile = await db.profiles.create({
+            id: req.userId,
+            wake_time: wake_time || '07:00',
+            sleep_time: sleep_time || '23:00',
+            peak_focus_start: peak_focus_start || '09:00',
+            peak_focus_end: peak_focus_end || '12:00',
+            diet_preference: diet_preference || 'balanced',
+            work_style: work_style || 'flexible',
+            break_preference: break_preference || 'short',
+            timezone: timezone || null,
+            ...(auto_accept_threshold !== undefined && { auto_accept_threshold }),
+            csp_vector: initialCspVector,
+            csp_last_updated: new Date().toISOString(),
+            onboarding_completed: true
+        });
         
         console.log(`[CSP] Initialized CSP for user ${req.userId}:`, initialCspVector);
         
@@ -120,6 +108,10 @@ router.post('/', async (req, res) => {
             profile 
         });
     } catch (error) {
+        // Check if profile already exists
+        if (error.code === db.RepositoryError.CONFLICT) {
+            return res.status(409).json({ error: 'Profile already exists' });
+        }
         console.error('Error creating profile:', error);
         res.status(500).json({ error: 'Failed to create profile' });
     }
@@ -128,23 +120,25 @@ router.post('/', async (req, res) => {
 /**
  * PUT /profile
  * Update user profile
+ * Body: any of the onboarding fields, cognitive_load_config (the CSP vector
+ * and other fields are dropped by the schema - the CSP is only learned)
  */
-router.put('/', async (req, res) => {
+router.put('/', validateBody('profileSchema', { partial: true }), async (req, res) => {
     try {
         const updates = req.body;
         
-        // Don't allow direct CSP updates through this endpoint
-        delete updates.csp_vector;
-        delete updates.id;
+        if (updates.cognitive_load_config !== undefined) {
+            const invalid = validateConfig(updates.cognitive_load_config, 'cognitive_load_config');
+            if (invalid) {
+                return invalidRequest(res, invalid);
+            }
+        }
         
-        const { data: profile, error } = await supabase
-            .from('profiles')
-            .update(updates)
-            .eq('id', req.userId)
-            .select()
-            .single();
+        const profile = await db.profiles.update(req.userId, updates);
         
-        if (error) throw error;
+        if (!profile) {
+            return res.status(404).json({ error: 'Profile not found' });
+        }
         
         res.json({ message: 'Profile updated', profile });
     } catch (error) {
@@ -168,19 +162,119 @@ router.get('/cognitive-load', async (req, res) => {
     }
 });
 
+/**
+ * GET /profile/cognitive-load/history
+ * Cognitive load over time, for the trend chart
+ * Query params:
+ *   from, to - dates (YYYY-MM-DD, in the user's timezone, inclusive); default the last 7 days
+ *   granularity - raw | hour | day; default hour for a single day, day otherwise
+ */
+router.get('/cognitive-load/history', validateQuery('loadHistoryQuery'), async (req, res) => {
+    try {
+        const { from: fromParam, to: toParam, granularity: granularityParam } = req.query;
+
+        const profile = await db.profiles.findById(req.userId);
+        const to = toParam || localDate(timezoneOf(profile));
+        const from = fromParam || addDays(to, -6);
+
+        if (from > to) {
+            return invalidRequest(res, { from: 'must not be after to' });
+        }
+        if (addDays(from, MAX_RANGE_DAYS - 1) < to) {
+            return invalidRequest(res, { to: `must be at most ${MAX_RANGE_DAYS} days after from` });
+        }
+
+        const granularity = granularityParam || (from === to ? 'hour' : 'day');
+        if (!GRANULARITIES.includes(granularity)) {
+            return invalidRequest(res, { granularity: `must be one of: ${GRANULARITIES.join(', ')}` });
+        }
+
+        const history = await getLoadHistory(req.userId, { from, to, granularity });
+        res.json(history);
+    } catch (error) {
+        console.error('Error fetching cognitive load history:', error);
+        res.status(500).json({ error: 'Failed to fetch cognitive load history' });
+    }
+});
+
+/**
+ * The load model as the user has it: each factor's settings next to its defaults
+ */
+function describeLoadConfig(config) {
+    const resolved = resolveConfig(config);
+    return {
+        factors: resolved.factors.map((factor, i) => ({
+            key: factor.key,
+            label: factor.label,
+            enabled: factor.enabled,
+            weight: factor.weight,
+            curve: factor.curve,
+            defaults: {
+                enabled: FACTORS[i].enabled,
+                weight: FACTORS[i].weight,
+                curve: FACTORS[i].curve,
+            },
+        })),
+        thresholds: resolved.thresholds,
+        default_thresholds: DEFAULT_THRESHOLDS,
+        customized: Boolean(config),
+    };
+}
+
+/**
+ * GET /profile/cognitive-load/config
+ * Get the factors and thresholds the cognitive load score uses
+ */
+router.get('/cognitive-load/config', async (req, res) => {
+    try {
+        const profile = await db.profiles.findById(req.userId);
+        
+        if (!profile) {
+            return res.status(404).json({ error: 'Profile not found' });
+        }
+        
+        res.json(describeLoadConfig(profile.cognitive_load_config));
+    } catch (error) {
+        console.error('Error fetching cognitive load config:', error);
+        res.status(500).json({ error: 'Failed to fetch cognitive load config' });
+    }
+});
+
+/**
+ * PUT /profile/cognitive-load/config
+ * Replace the user's load model overrides
+ * Body: { config: { factors: { [key]: { enabled, weight, curve } }, thresholds: { assist, auto } } }
+ * A null config goes back to the defaults
+ */
+router.put('/cognitive-load/config', validateBody('loadConfigSchema'), async (req, res) => {
+    try {
+        const config = req.body.config ?? null;
+        
+        const invalid = validateConfig(config);
+        if (invalid) {
+            return invalidRequest(res, invalid);
+        }
+        
+        const profile = await db.profiles.update(req.userId, { cognitive_load_config: config });
+        
+        if (!profile) {
+            return res.status(404).json({ error: 'Profile not found' });
+        }
+        
+        res.json(describeLoadConfig(profile.cognitive_load_config));
+    } catch (error) {
+        console.error('Error updating cognitive load config:', error);
+        res.status(500).json({ error: 'Failed to update cognitive load config' });
+    }
+});
+
 /**
  * GET /profile/csp
  * Get CSP vector (for debugging/display)
  */
 router.get('/csp', async (req, res) => {
     try {
-        const { data: profile, error } = await supabase
-            .from('profiles')
-            .select('csp_vector, csp_last_updated')
-            .eq('id', req.userId)
-            .single();
-        
-        if (error) throw error;
+        const profile = await db.profiles.findById(req.userId);
         
         if (!profile) {
             return res.status(404).json({ error: 'Profile not found' });
@@ -0,0 +1,88 @@
+/**
+ * Progress Routes
+ * What became of accepted plan items: started, done or abandoned (see services/taskProgress.js)
+ */
+const express = require('express');
+const router = express.Router();
+const db = require('../repositories');
+const authMiddleware = require('../middleware/auth');
+const { invalidRequest, validateBody, validateQuery } = require('../middleware/validate');
+const { TRANSITIONS, moveItem } = require('../services/taskProgress');
+const { localDate, timezoneOf } = require('../lib/time');
+
+// Apply auth middleware to all routes
+router.use(authMiddleware);
+
+/**
+ * POST /progress
+ * Move an accepted item on a plan card along: started, done or abandoned
+ *
+ * Body:
+ * {
+ *   plan_id: string (required) - the daily plan ID
+ *   card_id: string (required) - the card the item is on
+ *   decision_id: string (required) - the item's decision
+ *   status: string (required) - 'started', 'done' or 'abandoned'
+ * }
+ */
+router.post('/', validateBody('progressSchema'), async (req, res) => {
+    try {
+        const { plan_id, card_id, decision_id, status } = req.body;
+
+        const plan = await db.dailyPlans.findById(req.userId, plan_id);
+        if (!plan) {
+            return res.status(404).json({ error: 'Plan not found' });
+        }
+
+        const card = plan.compressed_decision_cards?.find(c => c.id === card_id);
+        const item = card?.items.find(i => i.decision?.id === decision_id);
+        if (!card) {
+            return invalidRequest(res, { card_id: 'is not a card on this plan' });
+        }
+        if (!item) {
+            return invalidRequest(res, { decision_id: 'is not on this card' });
+        }
+
+        const rows = await db.taskProgress.list(req.userId, { planDate: plan.plan_date });
+        const row = rows.find(r => r.card_id === card_id && r.decision_id === decision_id);
+        if (!row) {
+            return res.status(409).json({ error: `"${item.decision.title}" hasn't been accepted - accept it first` });
+        }
+        if (!TRANSITIONS[status].includes(row.status)) {
+            return res.status(409).json({ error: `"${item.decision.title}" is already ${row.status}` });
+        }
+
+        const progress = await moveItem(req.userId, row, status, item);
+
+        console.log(`[Progress] User ${req.userId} - ${item.decision.title}: ${row.status} -> ${status}${progress.actual_minutes ? ` (${progress.actual_minutes}min)` : ''}`);
+
+        res.json({
+            message: `Marked ${status}`,
+            progress,
+        });
+    } catch (error) {
+        console.error('Error recording progress:', error);
+        res.status(500).json({ error: 'Failed to record progress' });
+    }
+});
+
+/**
+ * GET /progress
+ * A day's accepted plan items and what became of them
+ * Query params: date (YYYY-MM-DD, in the user's timezone; default today)
+ */
+router.get('/', validateQuery('progressListQuery'), async (req, res) => {
+    try {
+        const profile = await db.profiles.findById(req.userId);
+        const date = req.query.date || localDate(timezoneOf(profile));
+
+        const progress = await db.taskProgress.list(req.userId, { planDate: date });
+
+        res.json({ date, progress });
+    } catch (error) {
+        console.error('Error fetching progress:', error);
+        res.status(500).json({ error: 'Failed to fetch progress' });
+    }
+});
+
+module.exports = router;
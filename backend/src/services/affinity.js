@@ -0,0 +1,264 @@
+/**
+ * Affinity Service
+ *
+ * PURPOSE:
+ * Learns which decisions the user takes *when*. Global CSP weights can only say
+ * "afternoons are good"; affinity stats can say "I do code review after lunch".
+ *
+ * HOW IT WORKS:
+ * Accept/override/ignore counts are kept per decision (by id, so renames don't
+ * matter) and per tag, split by time of day, day of week and cognitive load band.
+ * Auto-accepts (auto mode, nobody clicked) and undone auto-accepts are counted
+ * separately: an auto-accept is only weak evidence, an undo is a clear "no".
+ * They live on the CSP as csp_vector.affinity:
+ * {
+ *   decisions: { [decisionId]: stats },
+ *   tags:      { [tag]: stats }
+ * }
+ * stats = {
+ *   all:     { accept, override, ignore, auto_accept, undone },
+ *   time:    { morning | afternoon | evening | night: { accept, override, ignore } },
+ *   weekday: { MO ... SU: { ... } },
+ *   load:    { low | medium | high: { ... } }
+ * }
+ *
+ * - recordAffinity() runs on every piece of feedback (from cspLearning). The time
+ *   bucket is when the item was scheduled, not when the user clicked.
+ * - affinityScore() turns the buckets matching a candidate slot into a score
+ *   adjustment for scoreDecision(). Counts are shrunk towards neutral so one
+ *   click doesn't outweigh everything else.
+ * - acceptConfidence() estimates how likely the user is to accept a decision in
+ *   a slot, from explicit feedback only - so auto-accepts can't raise the
+ *   confidence that lets the next one through.
+ */
+
+// Pseudo-observations pulling every rate towards neutral
+const PRIOR_WEIGHT = 2;
+
+// Maximum points each dimension can add or remove in scoreDecision
+const SCORE_WEIGHTS = {
+    all: 10,
+    time: 25,
+    weekday: 8,
+    load: 7,
+};
+
+// Tags are shared by many decisions, so they count for less than the decision itself
+const TAG_FACTOR = 0.5;
+
+// An auto-accept counts as this much of an explicit accept
+const AUTO_ACCEPT_FACTOR = 0.25;
+
+// Feedback actions as they are counted in the stats
+const COUNTED_ACTIONS = {
+    accept: 'accept',
+    override: 'override',
+    ignore: 'ignore',
+    auto_accept: 'auto_accept',
+    undo_auto_accept: 'undone',
+};
+
+/**
+ * Time-of-day bucket for an hour (0-23)
+ */
+function timeBucket(hour) {
+    if (hour >= 5 && hour < 12) return 'morning';
+    if (hour >= 12 && hour < 17) return 'afternoon';
+    if (hour >= 17 && hour < 21) return 'evening';
+    return 'night';
+}
+
+/**
+ * Load band for a cognitive load score (same cut-offs as the autonomy levels)
+ */
+function loadBand(load) {
+    if (typeof load !== 'number') return null;
+    if (load <= 33) return 'low';
+    if (load <= 66) return 'medium';
+    return 'high';
+}
+
+function emptyCounts() {
+    return { accept: 0, override: 0, ignore: 0, auto_accept: 0, undone: 0 };
+}
+
+function emptyStats() {
+    return { all: emptyCounts(), time: {}, weekday: {}, load: {} };
+}
+
+function count(counts, action) {
+    counts[action] = (counts[action] || 0) + 1;
+}
+
+/**
+ * Add one action to a stats entry in every bucket that applies
+ */
+function recordInStats(stats, action, { bucket, weekday, band }) {
+    count(stats.all, action);
+    if (bucket) count(stats.time[bucket] = stats.time[bucket] || emptyCounts(), action);
+    if (weekday) count(stats.weekday[weekday] = stats.weekday[weekday] || emptyCounts(), action);
+    if (band) count(stats.load[band] = stats.load[band] || emptyCounts(), action);
+}
+
+/**
+ * Hour an item was scheduled at ('HH:MM' start_time, may run past midnight)
+ */
+function itemHour(item) {
+    if (!item.start_time) return null;
+    return parseInt(item.start_time.split(':')[0]) % 24;
+}
+
+/**
+ * Record feedback in the affinity stats (mutates csp)
+ * @param {object} csp - CSP vector
+ * @param {string} action - 'accept', 'override', 'ignore', 'auto_accept' or 'undo_auto_accept'
+ * @param {Array} items - Plan items the feedback is about (each with its decision)
+ * @param {object} context
+ * @param {number} context.hour - User's local hour, used when an item has no start_time
+ * @param {string} context.weekday - Day code ('MO' ... 'SU') in the user's timezone
+ * @param {number} [context.load] - Cognitive load shown on the plan
+ * @param {string} [context.chosenAlternative] - Decision id picked instead (override)
+ */
+function recordAffinity(csp, action, items, { hour, weekday, load, chosenAlternative } = {}) {
+    const counted = COUNTED_ACTIONS[action];
+    if (!counted) return;
+
+    const affinity = csp.affinity = csp.affinity || {};
+    affinity.decisions = affinity.decisions || {};
+    affinity.tags = affinity.tags || {};
+
+    const band = loadBand(load);
+
+    for (const item of items) {
+        const decision = item.decision;
+        if (!decision?.id) continue;
+
+        const buckets = { bucket: timeBucket(itemHour(item) ?? hour), weekday, band };
+
+        affinity.decisions[decision.id] = affinity.decisions[decision.id] || emptyStats();
+        recordInStats(affinity.decisions[decision.id], counted, buckets);
+
+        for (const tag of decision.tags || []) {
+            affinity.tags[tag] = affinity.tags[tag] || emptyStats();
+            recordInStats(affinity.tags[tag], counted, buckets);
+        }
+
+        // Picking a replacement for this slot is a vote for that decision at this time
+        if (action === 'override' && chosenAlternative) {
+            affinity.decisions[chosenAlternative] = affinity.decisions[chosenAlternative] || emptyStats();
+            recordInStats(affinity.decisions[chosenAlternative], 'accept', buckets);
+        }
+    }
+}
+
+/**
+ * How much the user likes something, from -1 (always rejected) to 1 (always accepted),
+ * shrunk towards 0 while there are only a few observations
+ */
+function preference(counts) {
+    if (!counts) return 0;
+    const autoAccepts = (counts.auto_accept || 0) * AUTO_ACCEPT_FACTOR;
+    const accepts = (counts.accept || 0) + autoAccepts;
+    const rejects = (counts.override || 0) + (counts.undone || 0) + (counts.ignore || 0) * 0.5;
+    const observations = (counts.accept || 0) + autoAccepts + (counts.override || 0) +
+        (counts.undone || 0) + (counts.ignore || 0);
+    return (accepts - rejects) / (observations + PRIOR_WEIGHT);
+}
+
+/**
+ * Chance (0-1) the user accepts, from explicit feedback only, shrunk towards 50/50
+ */
+function explicitAcceptRate(counts) {
+    return ((counts?.accept || 0) + PRIOR_WEIGHT * 0.5) / (explicitCount(counts) + PRIOR_WEIGHT);
+}
+
+/**
+ * Feedback the user actually gave (auto-accepts don't count)
+ */
+function explicitCount(counts) {
+    return (counts?.accept || 0) + (counts?.override || 0) + (counts?.ignore || 0) + (counts?.undone || 0);
+}
+
+/**
+ * Score adjustment from one stats entry for a slot
+ */
+function statsScore(stats, { bucket, weekday, band }) {
+    if (!stats) return 0;
+    return preference(stats.all) * SCORE_WEIGHTS.all +
+        preference(stats.time?.[bucket]) * SCORE_WEIGHTS.time +
+        preference(stats.weekday?.[weekday]) * SCORE_WEIGHTS.weekday +
+        preference(stats.load?.[band]) * SCORE_WEIGHTS.load;
+}
+
+/**
+ * Learned affinity for placing a decision at an hour
+ * @param {object} csp - CSP vector
+ * @param {object} decision - Decision row
+ * @param {object} context - { hour, weekday, load }
+ * @returns {number} - Points to add to the decision's score (negative = penalty)
+ */
+function affinityScore(csp, decision, { hour, weekday, load } = {}) {
+    const affinity = csp.affinity;
+    if (!affinity) return 0;
+
+    const buckets = { bucket: timeBucket(hour), weekday, band: loadBand(load) };
+    let score = statsScore(affinity.decisions?.[decision.id], buckets);
+
+    const tagScores = (decision.tags || [])
+        .map(tag => affinity.tags?.[tag])
+        .filter(Boolean)
+        .map(stats => statsScore(stats, buckets));
+    if (tagScores.length > 0) {
+        score += TAG_FACTOR * tagScores.reduce((sum, s) => sum + s, 0) / tagScores.length;
+    }
+
+    return score;
+}
+
+/**
+ * How confident the shadow is (0-1) that the user would accept a decision at an
+ * hour: the decision's explicit accept rate in that part of the day, or overall
+ * when it has no history there yet
+ * @param {object} context - { hour }
+ */
+function acceptConfidence(csp, decision, { hour } = {}) {
+    const stats = csp.affinity?.decisions?.[decision.id];
+    const inBucket = stats?.time?.[timeBucket(hour)];
+    return explicitAcceptRate(explicitCount(inBucket) > 0 ? inBucket : stats?.all);
+}
+
+/**
+ * Plain-language summary of what the shadow learned about a decision at an hour
+ * (for the card's "why"), or null if nothing stands out
+ */
+function describeAffinity(csp, decision, hour) {
+    const stats = csp.affinity?.decisions?.[decision.id];
+    if (!stats) return null;
+
+    const bucket = timeBucket(hour);
+    if (preference(stats.time?.[bucket]) >= 0.4) {
+        return `you usually take this in the ${bucket}`;
+    }
+    if (preference(stats.all) >= 0.4) {
+        return 'you usually accept this';
+    }
+    return null;
+}
+
+/**
+ * Drop learned stats for a deleted decision (mutates csp)
+ */
+function forgetDecision(csp, decisionId) {
+    if (csp.affinity?.decisions) delete csp.affinity.decisions[decisionId];
+    if (csp.decision_weights) delete csp.decision_weights[decisionId];
+}
+
+module.exports = {
+    recordAffinity,
+    affinityScore,
+    acceptConfidence,
+    describeAffinity,
+    forgetDecision,
+    timeBucket,
+    loadBand,
+};
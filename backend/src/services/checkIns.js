@@ -0,0 +1,171 @@
+/**
+ * Check-in Service
+ *
+ * PURPOSE:
+ * The load score is otherwise inferred from behaviour; a check-in lets the user
+ * say "I slept badly" or "I'm stressed" themselves.
+ *
+ * HOW IT WORKS:
+ * - A check-in rates energy, mood and stress from 1 to 5 and gives the hours
+ *   slept; any of them can be left out. They're stored as a time series
+ *   (check_ins table).
+ * - strainOf() turns one into a 0-100 "strain" the checkIn load factor blends
+ *   with the passive factors (see loadFactors/checkIn.js).
+ * - recordCheckInOutcome() counts what the user did (accept/override/ignore)
+ *   against the check-in they'd given that day, per answer, on the CSP:
+ *   csp_vector.check_in_outcomes = {
+ *     energy: { "1": { accept, override, ignore }, ... "5": { ... } },
+ *     mood, stress: (same),
+ *     sleep_hours: { "4": { ... }, ... }   // whole hours, 4 = 4 or less, 10 = 10+
+ *   }
+ * - checkInInsights() reads those counts back as correlations ("you override
+ *   more when your energy is low").
+ */
+
+// Answer ranges (sleep_hours can be fractional); requests are checked against the same
+// ranges by the check-in request schema (shared/requestSchemas.mjs)
+const CHECK_IN_FIELDS = {
+    energy: { min: 1, max: 5, integer: true },
+    mood: { min: 1, max: 5, integer: true },
+    stress: { min: 1, max: 5, integer: true },
+    sleep_hours: { min: 0, max: 24, integer: false },
+};
+
+// Sleep at or above this many hours adds no strain; SLEEP_FLOOR hours or less is full strain
+const SLEEP_TARGET = 8;
+const SLEEP_FLOOR = 4;
+
+// Explicit decisions needed before a correlation is reported
+const MIN_OUTCOMES = 10;
+
+// Weakest correlation worth telling the user about
+const MIN_INSIGHT_CORRELATION = 0.2;
+
+const OUTCOME_ACTIONS = ['accept', 'override', 'ignore'];
+
+// How each answer reads in an insight, at its low and high end
+const PHRASES = {
+    energy: { low: 'your energy is low', high: 'your energy is high' },
+    mood: { low: 'your mood is low', high: 'you\'re in a good mood' },
+    stress: { low: 'you\'re relaxed', high: 'you\'re stressed' },
+    sleep_hours: { low: 'you\'ve slept less', high: 'you\'ve slept well' },
+};
+
+/**
+ * How strained a check-in says the user is (0 = great, 100 = drained), or null if it says nothing
+ */
+function strainOf(checkIn) {
+    if (!checkIn) return null;
+
+    const parts = [];
+    if (checkIn.energy != null) parts.push((5 - checkIn.energy) / 4);
+    if (checkIn.mood != null) parts.push((5 - checkIn.mood) / 4);
+    if (checkIn.stress != null) parts.push((checkIn.stress - 1) / 4);
+    if (checkIn.sleep_hours != null) {
+        parts.push(Math.min(1, Math.max(0, (SLEEP_TARGET - checkIn.sleep_hours) / (SLEEP_TARGET - SLEEP_FLOOR))));
+    }
+
+    if (parts.length === 0) return null;
+    return Math.round((parts.reduce((sum, p) => sum + p, 0) / parts.length) * 100);
+}
+
+/**
+ * Bucket key for an answer (whole hours for sleep, clamped to 4..10)
+ */
+function answerKey(field, value) {
+    if (field === 'sleep_hours') {
+        return String(Math.min(10, Math.max(SLEEP_FLOOR, Math.round(value))));
+    }
+    return String(value);
+}
+
+/**
+ * Count an explicit decision against the check-in the user gave that day (mutates csp)
+ * @param {object} csp - CSP vector
+ * @param {object} checkIn - Check-in row (or null)
+ * @param {string} action - Feedback action; only accept/override/ignore are counted
+ */
+function recordCheckInOutcome(csp, checkIn, action) {
+    if (!checkIn || !OUTCOME_ACTIONS.includes(action)) return csp;
+
+    const outcomes = csp.check_in_outcomes || (csp.check_in_outcomes = {});
+    for (const field of Object.keys(CHECK_IN_FIELDS)) {
+        if (checkIn[field] == null) continue;
+        const byAnswer = outcomes[field] || (outcomes[field] = {});
+        const key = answerKey(field, checkIn[field]);
+        const counts = byAnswer[key] || (byAnswer[key] = { accept: 0, override: 0, ignore: 0 });
+        counts[action] += 1;
+    }
+    return csp;
+}
+
+/**
+ * Pearson correlation between an answer and "the user did <action>" (0/1), from the counts
+ */
+function correlation(byAnswer, action) {
+    let n = 0, sumX = 0, sumY = 0, sumXX = 0, sumXY = 0;
+    for (const [answer, counts] of Object.entries(byAnswer)) {
+        const x = Number(answer);
+        const total = OUTCOME_ACTIONS.reduce((sum, a) => sum + (counts[a] || 0), 0);
+        const hits = counts[action] || 0;
+        n += total;
+        sumX += x * total;
+        sumXX += x * x * total;
+        sumY += hits;
+        sumXY += x * hits;
+    }
+    if (n < MIN_OUTCOMES) return null;
+
+    const varX = n * sumXX - sumX * sumX;
+    const varY = n * sumY - sumY * sumY; // y is 0/1, so sum(y^2) = sum(y)
+    if (varX <= 0 || varY <= 0) return null;
+
+    return Math.round(((n * sumXY - sumX * sumY) / Math.sqrt(varX * varY)) * 100) / 100;
+}
+
+/**
+ * What the user's check-ins say about their decisions
+ * @returns {object} - { correlations: { [field]: { n, accept, override } }, insight }
+ *   accept/override are correlations (-1..1, null until there's enough data);
+ *   insight is a sentence about the strongest one, or null
+ */
+function checkInInsights(csp) {
+    const outcomes = csp?.check_in_outcomes || {};
+    const correlations = {};
+    let strongest = null;
+
+    for (const field of Object.keys(CHECK_IN_FIELDS)) {
+        const byAnswer = outcomes[field] || {};
+        const n = Object.values(byAnswer).reduce((sum, counts) =>
+            sum + OUTCOME_ACTIONS.reduce((s, a) => s + (counts[a] || 0), 0), 0);
+        correlations[field] = {
+            n,
+            accept: correlation(byAnswer, 'accept'),
+            override: correlation(byAnswer, 'override'),
+        };
+
+        for (const action of ['accept', 'override']) {
+            const r = correlations[field][action];
+            if (r !== null && Math.abs(r) >= MIN_INSIGHT_CORRELATION && (!strongest || Math.abs(r) > Math.abs(strongest.r))) {
+                strongest = { field, action, r };
+            }
+        }
+    }
+
+    let insight = null;
+    if (strongest) {
+        const when = PHRASES[strongest.field][strongest.r > 0 ? 'high' : 'low'];
+        insight = strongest.action === 'accept'
+            ? `You accept more suggestions when ${when}.`
+            : `You override more suggestions when ${when}.`;
+    }
+
+    return { correlations, insight };
+}
+
+module.exports = {
+    CHECK_IN_FIELDS,
+    strainOf,
+    recordCheckInOutcome,
+    checkInInsights,
+};
@@ -6,120 +6,130 @@
  * This score determines the autonomy level (how much ShadowMe takes over).
  * 
  * HOW IT WORKS:
- * The score is calculated from 4 factors:
+ * The score is built from the factors in loadFactors/. By default:
  * 1. Decisions made today (0-30 points) - More decisions = more fatigue
  * 2. Override rate today (0-25 points) - More overrides = suggestions were wrong = more mental work
  * 3. Time on site today (0-20 points) - Longer sessions = more fatigue
  * 4. Time of day (0-25 points) - Evening = more tired than morning
+ * 5. Today's check-in (weight 30) - How the user says they feel
+ * 6. Interrupted focus (focusInterruptions, weight 15) - Focus timer sessions
+ *    stopped before their time was up today
+ * Factors 5 and 6 sit out until there's something to measure (a check-in, a
+ * focus session started today) and factors 1-4 keep the points above; once
+ * they count, the weights are scaled to share the 100 points.
+ * Skip rate, deadlines today and the interaction signals (hesitation,
+ * second-guessing, typing corrections, tab switching, rage clicks) are
+ * available but off unless the user turns them on. Users can re-weight factors, reshape their curves and move the
+ * thresholds (profiles.cognitive_load_config, see loadFactors/index.js).
  * 
- * AUTONOMY LEVELS:
+ * Each result is also recorded as a snapshot for the load history (loadHistory.js).
+ * 
+ * AUTONOMY LEVELS (default thresholds):
  * - 0-33: "manual" - User is fresh, show all options
  * - 34-66: "assist" - Balanced, show recommendations but allow changes
  * - 67-100: "auto" - User is tired, strong defaults, minimal choices
  */
 
-const supabase = require('../lib/supabase');
+const db = require('../repositories');
+const { localDate, localHour, startOfLocalDay, timezoneOf } = require('../lib/time');
+const { resolveConfig, applyCurve, autonomyLevelFor, DEFAULT_THRESHOLDS } = require('./loadFactors');
+const { recordSnapshot } = require('./loadHistory');
+const { getTodayRollup } = require('./eventRollups');
+
+/**
+ * What factors measure from: the user's local day, with each query run at most once
+ */
+function measurementContext(userId, profile) {
+    const timeZone = timezoneOf(profile);
+    const since = startOfLocalDay(timeZone);
+    const cache = new Map();
+    const once = (key, load) => () => {
+        if (!cache.has(key)) cache.set(key, load());
+        return cache.get(key);
+    };
+
+    return {
+        userId,
+        profile,
+        timeZone,
+        today: localDate(timeZone),
+        hour: localHour(timeZone),
+        since,
+        // Auto-accepts were made for the user, so they don't add to the load
+        feedbackToday: once('feedback', async () =>
+            ((await db.feedback.list(userId, { since })) || []).filter(f => f.action !== 'auto_accept')
+        ),
+        // Today's event counts, active minutes and signals (services/eventRollups.js)
+        rollupToday: once('rollup', () => getTodayRollup(userId, profile)),
+        activeDecisions: once('decisions', async () =>
+            (await db.decisions.list(userId, { active: true })) || []
+        ),
+        latestCheckIn: once('checkIn', async () =>
+            ((await db.checkIns.list(userId, { since, limit: 1 })) || [])[0] || null
+        ),
+    };
+}
 
 /**
  * Calculate cognitive load score for a user
  * @param {string} userId - The user's ID
- * @returns {object} - { score, autonomyLevel, breakdown }
+ * @returns {object} - { score, autonomyLevel, breakdown, thresholds }
+ *   breakdown = { [factor key]: { label, value, max, raw, display } } for the enabled factors;
+ *   value/max are points out of the 100 shared by the factors that measured something
+ *   (a factor with raw = null has max 0)
  */
 async function calculateCognitiveLoad(userId) {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const todayISO = today.toISOString();
-
-    // Initialize breakdown for transparency
-    const breakdown = {
-        decisions: { value: 0, max: 30, count: 0 },
-        overrides: { value: 0, max: 25, rate: 0 },
-        timeOnSite: { value: 0, max: 20, minutes: 0 },
-        timeOfDay: { value: 0, max: 25, hour: new Date().getHours() },
-    };
+    // Breakdown for transparency
+    const breakdown = {};
+    let thresholds = DEFAULT_THRESHOLDS;
 
     try {
-        // --- FACTOR 1: Decisions made today (0-30 points) ---
-        const { data: feedbackToday } = await supabase
-            .from('feedback')
-            .select('action')
-            .eq('user_id', userId)
-            .gte('created_at', todayISO);
-
-        const decisionCount = feedbackToday?.length || 0;
-        breakdown.decisions.count = decisionCount;
-        // 0 decisions = 0 points, 10+ decisions = 30 points
-        breakdown.decisions.value = Math.min(30, Math.round((decisionCount / 10) * 30));
-
-        // --- FACTOR 2: Override rate today (0-25 points) ---
-        if (decisionCount > 0) {
-            const overrideCount = feedbackToday.filter(f => f.action === 'override').length;
-            const overrideRate = overrideCount / decisionCount;
-            breakdown.overrides.rate = Math.round(overrideRate * 100);
-            // 0% overrides = 0 points, 50%+ overrides = 25 points
-            breakdown.overrides.value = Math.min(25, Math.round((overrideRate / 0.5) * 25));
+        // "Today" and the hour are the user's local ones
+        const profile = await db.profiles.findById(userId);
+        const config = resolveConfig(profile?.cognitive_load_config);
+        thresholds = config.thresholds;
+
+        const factors = config.factors.filter(f => f.enabled && f.weight > 0);
+        const context = measurementContext(userId, profile);
+
+        const measured = [];
+        for (const factor of factors) {
+            measured.push({ factor, ...(await factor.measure(context)) });
         }
 
-        // --- FACTOR 3: Time on site today (0-20 points) ---
-        const { data: events } = await supabase
-            .from('interaction_events')
-            .select('metadata')
-            .eq('user_id', userId)
-            .eq('event_type', 'session_end')
-            .gte('timestamp', todayISO);
-
-        // Sum up all session durations
-        const totalTimeMs = events?.reduce((sum, e) => {
-            return sum + (e.metadata?.total_duration_ms || 0);
-        }, 0) || 0;
-        
-        const totalMinutes = Math.round(totalTimeMs / 60000);
-        breakdown.timeOnSite.minutes = totalMinutes;
-        // 0-15 min = 0 points, 60+ min = 20 points
-        breakdown.timeOnSite.value = Math.min(20, Math.round(Math.max(0, (totalMinutes - 15) / 45) * 20));
-
-        // --- FACTOR 4: Time of day (0-25 points) ---
-        const hour = new Date().getHours();
-        breakdown.timeOfDay.hour = hour;
-        
-        if (hour >= 6 && hour < 12) {
-            // Morning: 0-5 points (fresh)
-            breakdown.timeOfDay.value = Math.round(((hour - 6) / 6) * 5);
-        } else if (hour >= 12 && hour < 17) {
-            // Afternoon: 10-15 points (moderate)
-            breakdown.timeOfDay.value = 10 + Math.round(((hour - 12) / 5) * 5);
-        } else if (hour >= 17 && hour < 21) {
-            // Evening: 15-20 points (tired)
-            breakdown.timeOfDay.value = 15 + Math.round(((hour - 17) / 4) * 5);
-        } else {
-            // Night: 20-25 points (very tired)
-            breakdown.timeOfDay.value = 20 + Math.min(5, hour >= 21 ? hour - 21 : 5);
+        // Scale the weights so the factors that measured something share 100 points
+        const totalWeight = measured.reduce((sum, m) => sum + (m.raw === null ? 0 : m.factor.weight), 0);
+        const scale = totalWeight > 0 ? 100 / totalWeight : 0;
+
+        for (const { factor, raw, display } of measured) {
+            const share = raw === null ? 0 : factor.weight * scale;
+            breakdown[factor.key] = {
+                label: factor.label,
+                value: raw === null ? 0 : Math.round(share * applyCurve(factor.curve, raw)),
+                max: Math.round(share),
+                raw,
+                display,
+            };
         }
 
         // --- CALCULATE TOTAL SCORE ---
         const score = Math.min(100,
-            breakdown.decisions.value +
-            breakdown.overrides.value +
-            breakdown.timeOnSite.value +
-            breakdown.timeOfDay.value
+            Object.values(breakdown).reduce((sum, f) => sum + f.value, 0)
         );
 
         // --- DETERMINE AUTONOMY LEVEL ---
-        let autonomyLevel;
-        if (score <= 33) {
-            autonomyLevel = 'manual';
-        } else if (score <= 66) {
-            autonomyLevel = 'assist';
-        } else {
-            autonomyLevel = 'auto';
-        }
+        const autonomyLevel = autonomyLevelFor(score, thresholds);
 
         console.log(`[CognitiveLoad] User ${userId}: Score=${score}, Level=${autonomyLevel}`, breakdown);
 
+        // Keep the history for the trend chart
+        await recordSnapshot(userId, { score, autonomyLevel, breakdown });
+
         return {
             score,
             autonomyLevel,
             breakdown,
+            thresholds,
             calculatedAt: new Date().toISOString(),
         };
 
@@ -130,6 +140,7 @@ async function calculateCognitiveLoad(userId) {
             score: 50,
             autonomyLevel: 'assist',
             breakdown,
+            thresholds,
             error: error.message,
             calculatedAt: new Date().toISOString(),
         };
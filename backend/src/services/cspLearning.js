@@ -6,79 +6,78 @@
  * This is the "learning" part of ShadowMe that makes it smarter over time.
  * 
  * HOW IT WORKS:
- * - When user ACCEPTS a suggestion, increase weights for that type/time/context
- * - When user OVERRIDES a suggestion, decrease weights and learn the preference
- * - When user IGNORES a suggestion, slightly decrease weights
- * 
- * LEARNING RATE: 0.1 (10% adjustment per action)
- * This prevents wild swings while still learning over time.
+ * - Keeps the shared counters and rates (total_decisions, accept_rate, ...)
+ * - Auto-accepts aren't decisions the user made: they have their own counters
+ *   (total_auto_accepts, total_auto_undos) and don't move the rates
+ * - Hands the feedback to the configured learner (see learners/), which
+ *   updates its own part of the CSP
+ * - Feedback can be for a whole card or for one item inside it; learners
+ *   get the plan items involved, each with its decision
+ * - Explicit decisions are also counted against the check-in the user gave
+ *   that day, to learn how their self-reports relate to what they accept
+ *   (see checkIns.js)
+ * - Finished tasks are learned from too (updateCspFromCompletion): how long
+ *   each really took becomes its duration estimate (duration_estimates, which
+ *   the scheduler uses before estimated_minutes) and nudges
+ *   focus_duration_preference
  */
 
-const supabase = require('../lib/supabase');
+const db = require('../repositories');
+const { localDate, localHour, startOfLocalDay, timezoneOf } = require('../lib/time');
+const { getLearner } = require('./learners');
+const { recordCheckInOutcome } = require('./checkIns');
+const { dayOfWeek, DAY_CODES } = require('./recurrence');
+
+// How far one finished task moves its duration estimate toward the time it took
+const DURATION_LEARNING_RATE = 0.3;
+
+// ...and the focus duration preference (one task says less about focus in general)
+const FOCUS_LEARNING_RATE = 0.1;
 
-// Learning rate - how much to adjust weights per action
-const LEARNING_RATE = 0.1;
+// A task that "took" more than this many times its planned length was most
+// likely left running rather than worked on, so it isn't learned from
+const MAX_DURATION_RATIO = 4;
 
 /**
  * Update CSP based on feedback action
  * @param {string} userId - User ID
- * @param {string} action - 'accept', 'override', or 'ignore'
+ * @param {string} action - 'accept', 'override', 'ignore', 'auto_accept' or 'undo_auto_accept'
  * @param {object} context - Additional context about the feedback
+ * @param {Array} items - Plan items the feedback is about (each with its decision)
  */
-async function updateCspFromFeedback(userId, action, context = {}) {
+async function updateCspFromFeedback(userId, action, context = {}, items = []) {
     try {
         // Fetch current profile and CSP
-        const { data: profile, error: fetchError } = await supabase
-            .from('profiles')
-            .select('*')
-            .eq('id', userId)
-            .single();
-
-        if (fetchError || !profile) {
-            console.error('[CSPLearning] Failed to fetch profile:', fetchError);
+        const profile = await db.profiles.findById(userId);
+
+        if (!profile) {
+            console.error('[CSPLearning] Profile not found for user', userId);
             return;
         }
 
         // Get current CSP or initialize default
         const csp = profile.csp_vector || getDefaultCsp();
         
-        // Update counters
-        csp.total_decisions = (csp.total_decisions || 0) + 1;
-        
-        if (action === 'accept') {
-            csp.total_accepts = (csp.total_accepts || 0) + 1;
-            await applyAcceptLearning(csp, context);
-        } else if (action === 'override') {
-            csp.total_overrides = (csp.total_overrides || 0) + 1;
-            await applyOverrideLearning(csp, context);
-        } else if (action === 'ignore') {
-            csp.total_ignores = (csp.total_ignores || 0) + 1;
-            await applyIgnoreLearning(csp, context);
-        }
-
-        // Update rates
-        if (csp.total_decisions > 0) {
-            csp.accept_rate = csp.total_accepts / csp.total_decisions;
-            csp.override_rate = csp.total_overrides / csp.total_decisions;
-            csp.ignore_rate = csp.total_ignores / csp.total_decisions;
-        }
+        // Time-of-day learning uses the user's local hour and day, not the server's
+        const timeZone = timezoneOf(profile);
+        const [checkIn] = await db.checkIns.list(userId, { since: startOfLocalDay(timeZone), limit: 1 });
+        applyFeedback(csp, {
+            action,
+            items,
+            context,
+            hour: localHour(timeZone),
+            weekday: DAY_CODES[dayOfWeek(localDate(timeZone))],
+            checkIn: checkIn || null,
+        });
 
         // Update last learned timestamp
         csp.last_learned_at = new Date().toISOString();
 
         // Save updated CSP
-        const { error: updateError } = await supabase
-            .from('profiles')
-            .update({
-                csp_vector: csp,
-                csp_last_updated: new Date().toISOString()
-            })
-            .eq('id', userId);
-
-        if (updateError) {
-            console.error('[CSPLearning] Failed to update CSP:', updateError);
-            return;
-        }
+        await db.profiles.update(userId, {
+            csp_vector: csp,
+            csp_last_updated: new Date().toISOString()
+        });
 
         console.log(`[CSPLearning] Updated CSP for user ${userId}:`, {
             action,
@@ -97,141 +96,110 @@ async function updateCspFromFeedback(userId, action, context = {}) {
 }
 
 /**
- * Apply learning when user ACCEPTS a suggestion
- * Increases weights for the accepted item's characteristics
+ * Apply one piece of feedback to a CSP in memory (no database access):
+ * shared counters and rates, then the learner's own update
+ * Used by updateCspFromFeedback and by the offline replay harness
+ * @param {object} csp - CSP vector (mutated)
+ * @param {object} feedback - { action, items, context, hour, weekday, checkIn }
+ *   checkIn is the user's latest check-in that day, if any
+ * @param {object} [learner] - Learner to train (defaults to the configured one)
  */
-function applyAcceptLearning(csp, context) {
-    const hour = new Date().getHours();
-    
-    // Time-based learning: increase weight for current time period
-    if (hour >= 6 && hour < 12) {
-        csp.morning_task_weight = clamp(
-            (csp.morning_task_weight || 0.5) + LEARNING_RATE
-        );
-    } else if (hour >= 12 && hour < 17) {
-        csp.afternoon_task_weight = clamp(
-            (csp.afternoon_task_weight || 0.5) + LEARNING_RATE
-        );
-    } else {
-        csp.evening_task_weight = clamp(
-            (csp.evening_task_weight || 0.3) + LEARNING_RATE
-        );
-    }
+function applyFeedback(csp, feedback, learner = getLearner()) {
+    const { action } = feedback;
 
-    // If card items included high-effort tasks, increase preference
-    if (context.card_items?.some(item => item?.includes('Focus') || item?.includes('Deep'))) {
-        csp.high_effort_preference = clamp(
-            (csp.high_effort_preference || 0.5) + LEARNING_RATE * 0.5
-        );
+    // Update counters
+    if (action === 'auto_accept') {
+        csp.total_auto_accepts = (csp.total_auto_accepts || 0) + 1;
+        learner.learn(csp, feedback);
+        return csp;
     }
 
-    // Track successful suggestion patterns
-    csp.consecutive_accepts = (csp.consecutive_accepts || 0) + 1;
-    csp.consecutive_overrides = 0;
-    
-    // If many consecutive accepts, boost confidence
-    if (csp.consecutive_accepts >= 3) {
-        csp.suggestion_confidence = clamp(
-            (csp.suggestion_confidence || 0.5) + LEARNING_RATE
-        );
+    csp.total_decisions = (csp.total_decisions || 0) + 1;
+    if (action === 'accept') {
+        csp.total_accepts = (csp.total_accepts || 0) + 1;
+    } else if (action === 'override') {
+        csp.total_overrides = (csp.total_overrides || 0) + 1;
+    } else if (action === 'ignore') {
+        csp.total_ignores = (csp.total_ignores || 0) + 1;
+    } else if (action === 'undo_auto_accept') {
+        // Undoing is an explicit "no" - a decision, counted with the overrides
+        csp.total_auto_undos = (csp.total_auto_undos || 0) + 1;
+        csp.total_overrides = (csp.total_overrides || 0) + 1;
     }
+
+    learner.learn(csp, feedback);
+    recordCheckInOutcome(csp, feedback.checkIn, action);
+
+    // Update rates
+    csp.accept_rate = csp.total_accepts / csp.total_decisions;
+    csp.override_rate = csp.total_overrides / csp.total_decisions;
+    csp.ignore_rate = csp.total_ignores / csp.total_decisions;
+
+    return csp;
 }
 
 /**
- * Apply learning when user OVERRIDES a suggestion
- * Decreases weights for the rejected item and learns the preference
+ * Learn from a task the user finished (see taskProgress.js)
+ * @param {string} userId - User ID
+ * @param {object} completion - { decision, plannedMinutes, actualMinutes }
  */
-function applyOverrideLearning(csp, context) {
-    const hour = new Date().getHours();
-    
-    // Time-based learning: decrease weight for current time period
-    // (user didn't like the suggestion at this time)
-    if (hour >= 6 && hour < 12) {
-        csp.morning_task_weight = clamp(
-            (csp.morning_task_weight || 0.5) - LEARNING_RATE
-        );
-    } else if (hour >= 12 && hour < 17) {
-        csp.afternoon_task_weight = clamp(
-            (csp.afternoon_task_weight || 0.5) - LEARNING_RATE
-        );
-    } else {
-        csp.evening_task_weight = clamp(
-            (csp.evening_task_weight || 0.3) - LEARNING_RATE
-        );
-    }
+async function updateCspFromCompletion(userId, completion) {
+    try {
+        const profile = await db.profiles.findById(userId);
 
-    // If high cognitive load when override, user prefers more control
-    if (context.cognitive_load > 66) {
-        csp.high_load_override_tendency = clamp(
-            (csp.high_load_override_tendency || 0.5) + LEARNING_RATE
-        );
-    }
+        if (!profile) {
+            console.error('[CSPLearning] Profile not found for user', userId);
+            return;
+        }
 
-    // Track override patterns
-    csp.consecutive_overrides = (csp.consecutive_overrides || 0) + 1;
-    csp.consecutive_accepts = 0;
+        const csp = profile.csp_vector || getDefaultCsp();
+        if (!applyCompletion(csp, completion)) return csp;
 
-    // If many consecutive overrides, decrease confidence
-    if (csp.consecutive_overrides >= 3) {
-        csp.suggestion_confidence = clamp(
-            (csp.suggestion_confidence || 0.5) - LEARNING_RATE
-        );
-    }
+        csp.last_learned_at = new Date().toISOString();
 
-    // Learn from the chosen alternative
-    if (context.chosen_alternative) {
-        csp.preferred_alternatives = csp.preferred_alternatives || [];
-        csp.preferred_alternatives.push({
-            original: context.original_items,
-            chosen: context.chosen_alternative,
-            time: hour,
-            cognitive_load: context.cognitive_load,
+        await db.profiles.update(userId, {
+            csp_vector: csp,
+            csp_last_updated: new Date().toISOString()
         });
-        // Keep only last 20 preferences
-        if (csp.preferred_alternatives.length > 20) {
-            csp.preferred_alternatives = csp.preferred_alternatives.slice(-20);
-        }
-    }
-}
 
-/**
- * Apply learning when user IGNORES a suggestion
- * Slightly decreases weights (less impactful than override)
- */
-function applyIgnoreLearning(csp, context) {
-    const hour = new Date().getHours();
-    
-    // Smaller decrease for ignore (user might just be busy)
-    const ignoreRate = LEARNING_RATE * 0.3;
-    
-    if (hour >= 6 && hour < 12) {
-        csp.morning_task_weight = clamp(
-            (csp.morning_task_weight || 0.5) - ignoreRate
-        );
-    } else if (hour >= 12 && hour < 17) {
-        csp.afternoon_task_weight = clamp(
-            (csp.afternoon_task_weight || 0.5) - ignoreRate
-        );
-    } else {
-        csp.evening_task_weight = clamp(
-            (csp.evening_task_weight || 0.3) - ignoreRate
-        );
-    }
+        console.log(`[CSPLearning] Learned duration for user ${userId}:`, {
+            decision: completion.decision.title,
+            planned: completion.plannedMinutes,
+            actual: completion.actualMinutes,
+            estimate: csp.duration_estimates[completion.decision.id].minutes,
+            focus_duration: csp.focus_duration_preference,
+        });
+
+        return csp;
 
-    // Track ignores - if too many, maybe suggestions are not relevant
-    csp.consecutive_ignores = (csp.consecutive_ignores || 0) + 1;
-    
-    if (csp.consecutive_ignores >= 5) {
-        // User is ignoring a lot - might need to refresh approach
-        csp.needs_recalibration = true;
+    } catch (error) {
+        console.error('[CSPLearning] Error:', error);
     }
 }
 
 /**
- * Clamp value between 0 and 1
+ * Apply one finished task to a CSP in memory (no database access)
+ * Only tasks are learned from (meals and breaks have set lengths).
+ * @param {object} csp - CSP vector (mutated)
+ * @param {object} completion - { decision, plannedMinutes, actualMinutes }
+ * @returns {boolean} - Whether anything was learned
  */
-function clamp(value, min = 0, max = 1) {
-    return Math.max(min, Math.min(max, value));
+function applyCompletion(csp, { decision, plannedMinutes, actualMinutes }) {
+    if (decision?.type !== 'task' || !(actualMinutes > 0) || !(plannedMinutes > 0)) return false;
+    if (actualMinutes > plannedMinutes * MAX_DURATION_RATIO) return false;
+
+    const estimates = csp.duration_estimates || (csp.duration_estimates = {});
+    const current = estimates[decision.id];
+    const from = current?.minutes ?? plannedMinutes;
+    estimates[decision.id] = {
+        minutes: Math.round((from + DURATION_LEARNING_RATE * (actualMinutes - from)) * 10) / 10,
+        samples: (current?.samples || 0) + 1,
+    };
+
+    const focus = csp.focus_duration_preference || 50;
+    csp.focus_duration_preference = Math.round(focus + FOCUS_LEARNING_RATE * (actualMinutes - focus));
+
+    return true;
 }
 
 /**
@@ -259,6 +227,8 @@ function getDefaultCsp() {
         total_accepts: 0,
         total_overrides: 0,
         total_ignores: 0,
+        total_auto_accepts: 0,
+        total_auto_undos: 0,
         
         // Rates
         accept_rate: 0,
@@ -273,6 +243,12 @@ function getDefaultCsp() {
         // Confidence
         suggestion_confidence: 0.5,
         
+        // Learned weight per decision id (0.5 = neutral)
+        decision_weights: {},
+        
+        // Learned task length per decision id: { minutes, samples }
+        duration_estimates: {},
+        
         // Metadata
         last_learned_at: null,
     };
@@ -280,5 +256,8 @@ function getDefaultCsp() {
 
 module.exports = {
     updateCspFromFeedback,
+    updateCspFromCompletion,
+    applyFeedback,
+    applyCompletion,
     getDefaultCsp,
 };
@@ -6,41 +6,55 @@
  * a smart daily plan with compressed decision cards.
  * 
  * NOW WITH LEARNING:
- * - Uses CSP weights learned from past accept/override/ignore actions
- * - Considers past feedback history to avoid repeating rejected suggestions
+ * - Asks the configured learner (see learners/) how well each decision suits
+ *   each hour, on top of explicit rules (preferred time, meals, deadlines, tags)
+ * - Uses per-decision / per-tag affinity learned from feedback (by time of day,
+ *   weekday and load band) to avoid repeating rejected suggestions
  * - Adapts "why" explanations based on learned patterns
  * - Adjusts confidence based on suggestion success rate
+ *
+ * WHOLE-DAY TIMELINE:
+ * - The scheduler lays out wake_time -> sleep_time with concrete time slots
+ * - Cards bundle consecutive slots (task + its break, a meal, ...) in time order
+ * - Each card carries a confidence (0-1): how sure the shadow is, from explicit
+ *   feedback, that the user would accept every item on it. In auto mode, cards at
+ *   or above the user's auto_accept_threshold are accepted for them
  */
 
-const supabase = require('../lib/supabase');
+const db = require('../repositories');
 const { calculateCognitiveLoad } = require('./cognitiveLoad');
+const { buildSchedule, formatTime, hourOf } = require('./scheduler');
+const { isDueOn, dayOfWeek, DAY_CODES } = require('./recurrence');
+const { describeAffinity, acceptConfidence } = require('./affinity');
+const { getLearner } = require('./learners');
+const heuristicLearner = require('./learners/heuristicLearner');
+const { localDate, localDateTime, timezoneOf } = require('../lib/time');
 
 /**
  * Generate a daily plan for a user
  * @param {string} userId - The user's ID
+ * @param {object} [options]
+ * @param {string} [options.planDate] - 'YYYY-MM-DD' to plan, defaults to today in the user's timezone
+ * @param {number} [options.startMinutes] - Plan only from this time on (re-planning, see services/replan.js)
+ * @param {object[]} [options.reserved] - [{ start_time, end_time }] already taken on the day
+ * @param {string[]} [options.excludeDecisionIds] - Decisions to leave out (already handled today)
  * @returns {object} - { cards, cognitiveLoad, autonomyLevel }
  */
-async function generateDailyPlan(userId) {
+async function generateDailyPlan(userId, options = {}) {
     try {
         // Step 1: Get cognitive load and autonomy level
         const loadData = await calculateCognitiveLoad(userId);
         const { score: cognitiveLoad, autonomyLevel } = loadData;
 
         // Step 2: Fetch user's profile and CSP
-        const { data: profile } = await supabase
-            .from('profiles')
-            .select('*')
-            .eq('id', userId)
-            .single();
+        const profile = await db.profiles.findById(userId);
 
         const csp = profile?.csp_vector || getDefaultCsp();
 
         // Step 3: Fetch user's active decisions
-        const { data: decisions } = await supabase
-            .from('decisions')
-            .select('*')
-            .eq('user_id', userId)
-            .eq('active', true);
+        const excluded = new Set(options.excludeDecisionIds || []);
+        const decisions = (await db.decisions.list(userId, { active: true }))
+            .filter(d => !excluded.has(d.id));
 
         if (!decisions || decisions.length === 0) {
             return {
@@ -51,52 +65,35 @@ async function generateDailyPlan(userId) {
             };
         }
 
-        // Step 4: Fetch recent feedback to learn from
-        const { data: recentFeedback } = await supabase
-            .from('feedback')
-            .select('*')
-            .eq('user_id', userId)
-            .order('created_at', { ascending: false })
-            .limit(50);
-
-        // Step 5: Filter decisions applicable today
-        const today = new Date();
-        const dayOfWeek = today.getDay();
-        const isWeekday = dayOfWeek >= 1 && dayOfWeek <= 5;
-        const isWeekend = dayOfWeek === 0 || dayOfWeek === 6;
-
-        const applicableDecisions = decisions.filter(d => {
-            if (d.frequency === 'daily') return true;
-            if (d.frequency === 'weekdays' && isWeekday) return true;
-            if (d.frequency === 'weekends' && isWeekend) return true;
-            if (d.frequency === 'weekly') return true;
-            return false;
+        // Steps 4-7: Rank, schedule and bundle the day
+        const timeZone = timezoneOf(profile);
+        const planDate = options.planDate || localDate(timeZone);
+        const learner = getLearner();
+        const { cards, schedule, applicableDecisions } = planDay(decisions, {
+            profile,
+            csp,
+            planDate,
+            cognitiveLoad,
+            autonomyLevel,
+            learner,
+            localNow: localDateTime(timeZone),
+            startMinutes: options.startMinutes,
+            reserved: options.reserved,
         });
 
-        // Step 6: Score decisions using CSP and feedback history
-        const currentHour = today.getHours();
-        const scoredDecisions = applicableDecisions.map(d => ({
-            ...d,
-            score: scoreDecision(d, csp, currentHour, recentFeedback),
-        })).sort((a, b) => b.score - a.score);
-
-        // Step 7: Separate by type
-        const tasks = scoredDecisions.filter(d => d.type === 'task');
-        const meals = scoredDecisions.filter(d => d.type === 'meal');
-        const breaks = scoredDecisions.filter(d => d.type === 'break');
-
-        // Step 8: Generate compressed cards with learned preferences
-        const cards = generateCompressedCards(tasks, meals, breaks, csp, currentHour, autonomyLevel, recentFeedback);
-
         // Log learning insights
         console.log(`[DecisionEngine] Generated ${cards.length} cards for user ${userId}`);
+        console.log(`  - Day: ${formatTime(schedule.dayStart)}-${formatTime(schedule.dayEnd)}, ${schedule.slots.length} slots, ${schedule.unscheduled.length} unscheduled`);
+        schedule.conflicts.forEach(c => console.log(`  - Conflict (${c.constraint}): ${c.reason}`));
         console.log(`  - Load: ${cognitiveLoad}, Level: ${autonomyLevel}`);
+        console.log(`  - Learner: ${learner.name}`);
         console.log(`  - CSP Accept Rate: ${((csp.accept_rate || 0) * 100).toFixed(0)}%`);
         console.log(`  - Morning Weight: ${(csp.morning_task_weight || 0.5).toFixed(2)}`);
         console.log(`  - High Effort Pref: ${(csp.high_effort_preference || 0.5).toFixed(2)}`);
 
         return {
             cards,
+            schedule: serializeSchedule(schedule, cards),
             cognitiveLoad,
             autonomyLevel,
             totalDecisions: applicableDecisions.length,
@@ -105,6 +102,7 @@ async function generateDailyPlan(userId) {
                 acceptRate: csp.accept_rate || 0,
                 totalLearned: csp.total_decisions || 0,
                 confidenceLevel: csp.suggestion_confidence || 0.5,
+                learner: learner.name,
             },
         };
 
@@ -115,53 +113,74 @@ async function generateDailyPlan(userId) {
 }
 
 /**
- * Score a decision based on CSP weights, current context, AND past feedback
+ * Plan one day from already-loaded data (no database access)
+ * Used by generateDailyPlan and by the offline replay harness (evaluation/replay.js)
+ * @param {Array} decisions - Active decisions
+ * @param {object} options - { profile, csp, planDate, cognitiveLoad, autonomyLevel, learner, localNow,
+ *   startMinutes, reserved (see buildSchedule) }
+ * @returns {object} - { cards, schedule, rankedDecisions, applicableDecisions, scoreAt }
  */
-function scoreDecision(decision, csp, currentHour, recentFeedback = []) {
-    let score = 50; // Base score
+function planDay(decisions, { profile, csp, planDate, cognitiveLoad, autonomyLevel, learner = getLearner(), localNow, startMinutes, reserved }) {
+    // Step 4: Filter decisions applicable today (frequency / recurrence rule,
+    // weekly items drop out once they're done for the week)
+    const timeZone = timezoneOf(profile);
+    const applicableDecisions = decisions.filter(d => isDueOn(d, planDate, timeZone));
+    const scoringContext = {
+        localNow,
+        weekday: DAY_CODES[dayOfWeek(planDate)],
+        cognitiveLoad,
+    };
+    scoringContext.learnedScore = learner.scorer(csp, scoringContext);
+    const scoreAt = (decision, hour) => scoreDecision(decision, csp, hour, scoringContext);
+
+    // Step 5: Rank decisions using explicit rules and the learner
+    // The plan covers the whole day, so rank against the peak focus hour
+    // rather than whatever hour the plan happens to be generated at
+    const rankingHour = parseInt((profile?.peak_focus_start || '09:00').split(':')[0]);
+    const scoredDecisions = applicableDecisions.map(d => ({
+        ...d,
+        score: scoreAt(d, rankingHour),
+    })).sort((a, b) => b.score - a.score);
+
+    // Step 6: Lay out the day from wake_time to sleep_time
+    const schedule = buildSchedule(scoredDecisions, {
+        profile,
+        csp,
+        date: planDate,
+        scoreAt,
+        startMinutes,
+        reserved,
+    });
+
+    // Step 7: Bundle the timeline into compressed cards
+    const cards = generateTimelineCards(schedule, csp, autonomyLevel);
+    cards.forEach(card => { card.confidence = cardConfidence(card, csp); });
 
-    // ===== TIME-BASED SCORING (LEARNED) =====
-    if (currentHour >= 6 && currentHour < 12) {
-        // Morning - use learned morning weight
-        const morningWeight = csp.morning_task_weight || 0.5;
-        score += morningWeight * 30; // Up to 30 points
-        
-        // Bonus if user has high accept rate for morning tasks
-        if (morningWeight > 0.6) {
-            score += 10; // Extra bonus for strong morning preference
-        }
-    } else if (currentHour >= 12 && currentHour < 17) {
-        // Afternoon
-        const afternoonWeight = csp.afternoon_task_weight || 0.5;
-        score += afternoonWeight * 30;
-    } else {
-        // Evening/Night - typically lower weight
-        const eveningWeight = csp.evening_task_weight || 0.3;
-        score += eveningWeight * 30;
-        
-        // Penalize high-effort tasks in evening
-        if (decision.effort && decision.effort >= 4) {
-            score -= 15;
-        }
-    }
+    return {
+        cards,
+        schedule,
+        rankedDecisions: scoredDecisions,
+        applicableDecisions,
+        scoreAt,
+    };
+}
 
-    // ===== EFFORT-BASED SCORING (LEARNED) =====
-    if (decision.effort) {
-        if (decision.effort >= 4) {
-            // High effort task
-            const highEffortPref = csp.high_effort_preference || 0.5;
-            score += highEffortPref * 20;
-            
-            // If user consistently overrides high-effort, reduce score
-            if (highEffortPref < 0.4) {
-                score -= 10;
-            }
-        } else if (decision.effort <= 2) {
-            // Low effort task
-            const lowEffortPref = csp.low_effort_preference || 0.5;
-            score += lowEffortPref * 20;
-        }
-    }
+/**
+ * Score a decision based on explicit rules, current context, AND what the learner learned
+ * @param {object} context - {
+ *   localNow: 'YYYY-MM-DDTHH:MM' in the user's timezone,
+ *   weekday: day code of the plan date ('MO' ... 'SU'),
+ *   cognitiveLoad: current load score,
+ *   learnedScore: (decision, hour) => points from the learner (defaults to the heuristic)
+ * }
+ */
+function scoreDecision(decision, csp, currentHour, context = {}) {
+    let score = 50; // Base score
+
+    // ===== LEARNED PREFERENCES =====
+    score += context.learnedScore
+        ? context.learnedScore(decision, currentHour)
+        : heuristicLearner.learnedScore(csp, decision, currentHour, context);
 
     // ===== PREFERRED TIME BOOST =====
     if (decision.preferred_time) {
@@ -189,51 +208,16 @@ function scoreDecision(decision, csp, currentHour, recentFeedback = []) {
         }
     }
 
-    // ===== FEEDBACK HISTORY LEARNING =====
-    if (recentFeedback && recentFeedback.length > 0) {
-        // Check if this decision was recently overridden or ignored
-        const decisionFeedback = recentFeedback.filter(f => 
-            f.item_value?.includes(decision.title) || 
-            f.context?.card_items?.includes(decision.title)
-        );
-
-        // Count recent actions for this decision
-        const recentOverrides = decisionFeedback.filter(f => f.action === 'override').length;
-        const recentAccepts = decisionFeedback.filter(f => f.action === 'accept').length;
-        const recentIgnores = decisionFeedback.filter(f => f.action === 'ignore').length;
-
-        // Boost if recently accepted
-        if (recentAccepts > 0) {
-            score += recentAccepts * 8; // +8 per recent accept
-        }
-
-        // Penalize if recently overridden
-        if (recentOverrides > 0) {
-            score -= recentOverrides * 12; // -12 per recent override
-        }
-
-        // Slight penalty for ignores
-        if (recentIgnores > 0) {
-            score -= recentIgnores * 5; // -5 per recent ignore
-        }
-
-        // Check if user chose this as an override alternative
-        const chosenAsAlternative = recentFeedback.filter(f => 
-            f.override_value === decision.title
-        ).length;
-        
-        if (chosenAsAlternative > 0) {
-            score += chosenAsAlternative * 15; // Big boost if user specifically chose this
-        }
-    }
-
-    // ===== SUGGESTION CONFIDENCE ADJUSTMENT =====
-    const confidence = csp.suggestion_confidence || 0.5;
-    if (confidence < 0.3) {
-        // Low confidence - be more conservative, favor user's explicit preferences
-        if (decision.preferred_time) {
-            score += 10; // Extra weight on explicit preferences
-        }
+    // ===== DEADLINE URGENCY =====
+    // Deadlines are hard constraints in the scheduler; here they only raise priority
+    if (decision.deadline) {
+        // Both are local wall-clock times, so compare them as if they were UTC
+        const now = context.localNow ? Date.parse(`${context.localNow}Z`) : Date.now();
+        const daysLeft = (Date.parse(`${String(decision.deadline).slice(0, 16)}Z`) - now) / 86400000;
+        if (daysLeft < 1) score += 40;
+        else if (daysLeft < 2) score += 25;
+        else if (daysLeft < 4) score += 15;
+        else if (daysLeft < 8) score += 5;
     }
 
     // ===== PRIORITY TAGS =====
@@ -247,172 +231,151 @@ function scoreDecision(decision, csp, currentHour, recentFeedback = []) {
 }
 
 /**
- * Generate compressed decision cards with learning
+ * Bundle the day's timeline into compressed decision cards
+ * Each task is bundled with the break that directly follows it; meals and
+ * stray breaks get their own card. Cards are numbered in time order.
  */
-function generateCompressedCards(tasks, meals, breaks, csp, currentHour, autonomyLevel, recentFeedback) {
+function generateTimelineCards(schedule, csp, autonomyLevel) {
     const cards = [];
-    const focusDuration = csp.focus_duration_preference || 50;
-
-    // Adjust card count based on autonomy level AND confidence
-    const confidence = csp.suggestion_confidence || 0.5;
-    let maxCards;
-    
-    if (autonomyLevel === 'auto') {
-        maxCards = 2;
-    } else if (autonomyLevel === 'assist') {
-        maxCards = confidence > 0.6 ? 3 : 4; // More confident = fewer cards needed
-    } else {
-        maxCards = 4;
-    }
-
-    const timePeriod = getTimePeriod(currentHour);
+    const { slots, peakStart, peakEnd } = schedule;
+    const topTaskId = slots
+        .filter(s => s.type === 'task')
+        .sort((a, b) => b.decision.score - a.decision.score)[0]?.decision.id;
+
+    const toItem = (slot, action) => ({
+        type: slot.type,
+        decision: slot.decision,
+        action,
+        start_time: formatTime(slot.start),
+        end_time: formatTime(slot.end),
+    });
+
+    for (let i = 0; i < slots.length; i++) {
+        const slot = slots[i];
+        const hour = hourOf(slot.start);
+        const timePeriod = getTimePeriod(hour);
+        const card = { id: `card_${cards.length + 1}`, autonomy_level: autonomyLevel };
+        let last = slot;
+
+        if (slot.type === 'task') {
+            const task = slot.decision;
+            const inPeak = slot.start >= peakStart && slot.end <= peakEnd;
+            const windDown = hour >= 18 && task.effort && task.effort <= 2;
+            card.items = [toItem(slot, `Focus on: ${task.title}`)];
+
+            // Bundle the break that follows directly
+            const next = slots[i + 1];
+            if (next?.type === 'break' && next.start === slot.end) {
+                card.items.push(toItem(next, `Then: ${next.decision.title} (${next.end - next.start}min)`));
+                last = next;
+                i++;
+            }
 
-    // Card 1: Primary Focus Block
-    const primaryTask = tasks[0];
-    const primaryBreak = breaks[0];
-    
-    if (primaryTask || primaryBreak) {
-        const card1Items = [];
-        let totalDuration = 0;
-        
-        if (primaryTask) {
-            card1Items.push({
-                type: 'task',
-                decision: primaryTask,
-                action: `Focus on: ${primaryTask.title}`,
-            });
-            totalDuration += primaryTask.estimated_minutes || focusDuration;
-        }
-        
-        // Include break based on CSP break preference
-        const breakFreq = csp.break_frequency_weight || 0.5;
-        if (primaryBreak && card1Items.length > 0 && breakFreq > 0.3) {
-            card1Items.push({
-                type: 'break',
-                decision: primaryBreak,
-                action: `Then: ${primaryBreak.title} (${primaryBreak.break_duration || 10}min)`,
-            });
-            totalDuration += primaryBreak.break_duration || 10;
+            if (windDown) {
+                card.title = 'Evening Wind-down';
+                card.emoji = '🌙';
+                card.why = generateEveningWhy(csp);
+            } else {
+                card.title = inPeak ? `${timePeriod} Focus Block` : `${timePeriod} Block`;
+                card.emoji = inPeak ? getCardEmoji(timePeriod, 'focus') : '📋';
+                card.why = generateSmartWhy(task, csp, hour, inPeak);
+            }
+            card.priority = task.id === topTaskId || task.tags?.includes('urgent') ? 'high' : 'medium';
+        } else if (slot.type === 'meal') {
+            card.title = getMealCardTitle(slot.decision);
+            card.emoji = getMealEmoji(slot.decision.meal_type);
+            card.items = [toItem(slot, slot.decision.title)];
+            card.why = generateMealWhy(slot.decision, csp);
+            card.priority = 'medium';
+        } else {
+            card.title = 'Break';
+            card.emoji = '☕';
+            card.items = [toItem(slot, `Break: ${slot.decision.title} (${slot.end - slot.start}min)`)];
+            card.why = 'A pause to recharge before what comes next.';
+            card.priority = 'low';
         }
 
-        if (card1Items.length > 0) {
-            cards.push({
-                id: 'card_1',
-                title: `${timePeriod} Focus Block`,
-                emoji: getCardEmoji(timePeriod, 'focus'),
-                items: card1Items,
-                duration: totalDuration,
-                why: generateSmartWhy(primaryTask, csp, currentHour, recentFeedback),
-                autonomy_level: autonomyLevel,
-                priority: 'high',
-            });
-        }
+        card.start_time = formatTime(slot.start);
+        card.end_time = formatTime(last.end);
+        card.duration = last.end - slot.start;
+        cards.push(card);
     }
 
-    // Card 2: Meal (if applicable and time-appropriate)
-    const relevantMeal = meals[0];
-    if (relevantMeal && cards.length < maxCards) {
-        const mealRelevance = getMealRelevance(relevantMeal, currentHour);
-        if (mealRelevance > 0.5) { // Only show if meal is relevant now
-            cards.push({
-                id: 'card_2',
-                title: getMealCardTitle(relevantMeal, currentHour),
-                emoji: getMealEmoji(relevantMeal.meal_type),
-                items: [{
-                    type: 'meal',
-                    decision: relevantMeal,
-                    action: relevantMeal.title,
-                }],
-                duration: 30,
-                why: generateMealWhy(relevantMeal, csp),
-                autonomy_level: autonomyLevel,
-                priority: 'medium',
-            });
-        }
-    }
+    return cards;
+}
 
-    // Card 3: Secondary task (based on autonomy and confidence)
-    const secondaryTask = tasks[1];
-    if (secondaryTask && cards.length < maxCards) {
-        const secondaryBreak = breaks[1] || breaks[0];
-        const card3Items = [{
-            type: 'task',
-            decision: secondaryTask,
-            action: `Next up: ${secondaryTask.title}`,
-        }];
-        
-        let totalDuration = secondaryTask.estimated_minutes || focusDuration;
-        
-        // Add break if not in auto mode and break preference allows
-        if (secondaryBreak && autonomyLevel !== 'auto' && (csp.break_frequency_weight || 0.5) > 0.3) {
-            card3Items.push({
-                type: 'break',
-                decision: secondaryBreak,
-                action: `Break: ${secondaryBreak.title}`,
-            });
-            totalDuration += secondaryBreak.break_duration || 10;
-        }
+/**
+ * Confidence (0-1) that the user accepts a whole card: that of its least certain item
+ */
+function cardConfidence(card, csp) {
+    const confidence = Math.min(...card.items.map(item =>
+        acceptConfidence(csp, item.decision, { hour: parseInt(item.start_time.split(':')[0]) % 24 })
+    ));
+    return Math.round(confidence * 100) / 100;
+}
 
-        cards.push({
-            id: 'card_3',
-            title: 'Next Block',
-            emoji: '📋',
-            items: card3Items,
-            duration: totalDuration,
-            why: generateSmartWhy(secondaryTask, csp, currentHour, recentFeedback),
-            autonomy_level: autonomyLevel,
-            priority: 'medium',
-        });
+/**
+ * Find the plan items a piece of feedback is about
+ * - item_type 'card': every item on the card (item_id = card id)
+ * - item_type task/meal/break: the one item for that decision (item_id = decision id),
+ *   looked up on cardId when given
+ * @param {Array} cards - The plan's compressed_decision_cards
+ */
+function findFeedbackItems(cards, itemType, itemId, cardId) {
+    if (itemType === 'card') {
+        return cards.find(c => c.id === itemId)?.items || [];
     }
 
-    // Card 4: Evening Wind-down OR Catch-up (only in manual mode)
-    if (cards.length < maxCards && autonomyLevel === 'manual') {
-        if (currentHour >= 18) {
-            // Evening wind-down
-            const lightTask = tasks.find(t => t.effort && t.effort <= 2) || tasks[2];
-            if (lightTask) {
-                cards.push({
-                    id: 'card_4',
-                    title: 'Evening Wind-down',
-                    emoji: '🌙',
-                    items: [{
-                        type: 'task',
-                        decision: lightTask,
-                        action: `Light task: ${lightTask.title}`,
-                    }],
-                    duration: lightTask.estimated_minutes || 20,
-                    why: generateEveningWhy(csp),
-                    autonomy_level: autonomyLevel,
-                    priority: 'low',
-                });
-            }
-        } else if (tasks.length > 2) {
-            // Additional task during the day
-            const thirdTask = tasks[2];
-            cards.push({
-                id: 'card_4',
-                title: 'Bonus Block',
-                emoji: '⭐',
-                items: [{
-                    type: 'task',
-                    decision: thirdTask,
-                    action: `Also: ${thirdTask.title}`,
-                }],
-                duration: thirdTask.estimated_minutes || 30,
-                why: 'You have capacity for one more task today.',
-                autonomy_level: autonomyLevel,
-                priority: 'low',
-            });
-        }
+    for (const card of cards.filter(c => !cardId || c.id === cardId)) {
+        const item = card.items.find(i => i.type === itemType && i.decision?.id === itemId);
+        if (item) return [item];
     }
+    return [];
+}
 
-    return cards;
+/**
+ * Flatten the schedule for storage on the plan (daily_plans.schedule)
+ */
+function serializeSchedule(schedule, cards) {
+    const cardIdFor = (slot) => cards.find(card =>
+        card.items.some(item => item.decision.id === slot.decision.id && item.start_time === formatTime(slot.start))
+    )?.id || null;
+
+    return {
+        day_start: formatTime(schedule.dayStart),
+        day_end: formatTime(schedule.dayEnd),
+        peak_focus_start: formatTime(schedule.peakStart),
+        peak_focus_end: formatTime(schedule.peakEnd),
+        slots: schedule.slots.map(slot => ({
+            type: slot.type,
+            decision_id: slot.decision.id,
+            title: slot.decision.title,
+            start_time: formatTime(slot.start),
+            end_time: formatTime(slot.end),
+            card_id: cardIdFor(slot),
+        })),
+        unscheduled: schedule.unscheduled.map(({ decision, constraint, reason }) => ({
+            decision_id: decision.id,
+            title: decision.title,
+            type: decision.type,
+            constraint,
+            reason,
+        })),
+        // Hard constraints that could not be met - empty when the day is feasible
+        feasible: schedule.conflicts.length === 0,
+        conflicts: schedule.conflicts.map(({ decision, constraint, reason }) => ({
+            decision_id: decision.id,
+            title: decision.title,
+            constraint,
+            reason,
+        })),
+    };
 }
 
 /**
  * Generate intelligent "why" explanation using learned patterns
  */
-function generateSmartWhy(decision, csp, currentHour, recentFeedback) {
+function generateSmartWhy(decision, csp, currentHour, inPeakWindow = false) {
     if (!decision) return 'Based on your preferences.';
 
     const reasons = [];
@@ -445,21 +408,22 @@ function generateSmartWhy(decision, csp, currentHour, recentFeedback) {
         reasons.push('you\'ve shown you can handle challenging tasks');
     }
 
-    // Feedback-based reason
-    if (recentFeedback && recentFeedback.length > 0) {
-        const wasAccepted = recentFeedback.some(f => 
-            f.action === 'accept' && 
-            (f.item_value?.includes(decision.title) || f.context?.card_items?.includes(decision.title))
-        );
-        
-        if (wasAccepted) {
-            reasons.push('you accepted this recently');
-        }
+    // Hard constraints the slot was chosen around
+    if (decision.fixed_time) {
+        reasons.unshift(`fixed at ${decision.fixed_time.slice(0, 5)}`);
+    } else if (decision.deadline) {
+        reasons.push(`due ${String(decision.deadline).replace('T', ' ').slice(0, 16)}`);
+    }
 
-        const wasChosenAsAlt = recentFeedback.some(f => f.override_value === decision.title);
-        if (wasChosenAsAlt) {
-            reasons.push('you specifically chose this before');
-        }
+    // Scheduled into the peak focus window from onboarding
+    if (inPeakWindow && decision.effort >= 4) {
+        reasons.push('placed in your peak focus hours');
+    }
+
+    // Learned affinity reason
+    const affinityReason = describeAffinity(csp, decision, currentHour);
+    if (affinityReason) {
+        reasons.push(affinityReason);
     }
 
     // Preferred time reason
@@ -521,32 +485,6 @@ function generateEveningWhy(csp) {
     return 'Winding down with a lighter task for the evening.';
 }
 
-/**
- * Get meal relevance score (0-1) based on current time
- */
-function getMealRelevance(meal, currentHour) {
-    if (!meal.meal_type) return 0.5;
-    
-    switch (meal.meal_type) {
-        case 'breakfast':
-            if (currentHour >= 6 && currentHour < 10) return 1.0;
-            if (currentHour >= 10 && currentHour < 11) return 0.5;
-            return 0.2;
-        case 'lunch':
-            if (currentHour >= 11 && currentHour < 14) return 1.0;
-            if (currentHour >= 14 && currentHour < 15) return 0.5;
-            return 0.2;
-        case 'dinner':
-            if (currentHour >= 17 && currentHour < 21) return 1.0;
-            if (currentHour >= 16 && currentHour < 17) return 0.5;
-            return 0.2;
-        case 'snack':
-            return 0.6; // Snacks always somewhat relevant
-        default:
-            return 0.5;
-    }
-}
-
 /**
  * Get time period name
  */
@@ -575,7 +513,7 @@ function getCardEmoji(timePeriod, type) {
 /**
  * Get meal card title
  */
-function getMealCardTitle(meal, currentHour) {
+function getMealCardTitle(meal) {
     if (meal.meal_type === 'breakfast') return 'Breakfast Time';
     if (meal.meal_type === 'lunch') return 'Lunch Break';
     if (meal.meal_type === 'dinner') return 'Dinner Time';
@@ -616,5 +554,9 @@ function getDefaultCsp() {
 
 module.exports = {
     generateDailyPlan,
+    planDay,
     scoreDecision,
+    findFeedbackItems,
+    serializeSchedule,
+    getDefaultCsp,
 };
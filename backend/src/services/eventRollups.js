@@ -0,0 +1,341 @@
+/**
+ * Event Rollups & Retention
+ *
+ * PURPOSE:
+ * interaction_events grows with every click. This keeps one summary row per
+ * user per local day (event_rollups) - counts by type, the action breakdown,
+ * active/idle/away minutes and what the fine-grained load factors need - so
+ * stats and the load score read one row instead of every event, and raw
+ * events can be deleted after EVENT_RETENTION_DAYS.
+ *
+ * HOW IT WORKS:
+ * - rollUpDays() reads the events of a range of days (ROLLUP_CHUNK_DAYS at a
+ *   time), rebuilds their sessions (services/sessionizer.js) and upserts a
+ *   rollup per day
+ * - addToTodayRollup() adds the events just stored to today's counters, so
+ *   storing events keeps today's rollup current without reading the day again
+ * - getTodayRollup() returns today's rollup, rolling the whole day up again
+ *   only when its rolled_up_at is older than TODAY_MAX_AGE_MINUTES (the
+ *   sessions, minutes and hesitation median need every event of the day)
+ * - runRollupJob() is run periodically by the server (ROLLUP_JOB_INTERVAL_MINUTES):
+ *   for every user it rolls up the finished days since their last rollup, then deletes
+ *   raw events older than the retention period. A day is only pruned once
+ *   its rollup counted every one of its events
+ * - scripts/backfillRollups.js rolls up existing data (npm run backfill-rollups)
+ *
+ * A day with no events left never replaces an existing rollup, so re-running
+ * a range after its events were pruned is safe.
+ */
+
+const db = require('../repositories');
+const { rebuildSessions } = require('./sessionizer');
+const { addDays, localDate, startOfLocalDay, timezoneOf } = require('../lib/time');
+
+// Today's rollup is rolled up again from its events when it's older than this
+const TODAY_MAX_AGE_MINUTES = 5;
+
+// Days of raw events read at once when rolling up a range
+const ROLLUP_CHUNK_DAYS = 7;
+
+// Raw events older than this many days are deleted (0 = keep forever)
+const DEFAULT_RETENTION_DAYS = 90;
+
+// Retention can't be shorter than this: yesterday's sessions are still rebuilt from raw events
+const MIN_RETENTION_DAYS = 7;
+
+/**
+ * Retention period from EVENT_RETENTION_DAYS
+ * @returns {number} - Days, or 0 to keep raw events forever
+ */
+function retentionDays() {
+    const value = process.env.EVENT_RETENTION_DAYS;
+    if (value === undefined || value === '') return DEFAULT_RETENTION_DAYS;
+
+    const days = Number(value);
+    if (!Number.isInteger(days) || days < 0) {
+        console.warn(`[Rollups] Ignoring EVENT_RETENTION_DAYS="${value}", using ${DEFAULT_RETENTION_DAYS}`);
+        return DEFAULT_RETENTION_DAYS;
+    }
+    return days === 0 ? 0 : Math.max(days, MIN_RETENTION_DAYS);
+}
+
+const median = (values) => {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Summarize one day's events and sessions into a rollup row
+ */
+function summarizeDay(userId, date, events, sessions) {
+    const eventCounts = {};
+    for (const event of events) {
+        eventCounts[event.event_type] = (eventCounts[event.event_type] || 0) + 1;
+    }
+
+    const actions = events.filter(e => e.event_type === 'action');
+    const hesitations = events
+        .filter(e => e.event_type === 'hesitation')
+        .map(e => Number(e.metadata?.hesitation_ms))
+        .filter(ms => Number.isFinite(ms) && ms >= 0);
+    const bursts = events.filter(e => e.event_type === 'typing_burst');
+    const minutes = (key) => Math.round(sessions.reduce((sum, s) => sum + s[key], 0) / 60);
+
+    return {
+        user_id: userId,
+        rollup_date: date,
+        total_events: events.length,
+        event_counts: eventCounts,
+        action_breakdown: {
+            accepts: actions.filter(e => e.metadata?.action === 'accept').length,
+            overrides: actions.filter(e => e.metadata?.action === 'override').length,
+            ignores: actions.filter(e => e.metadata?.action === 'ignore').length,
+        },
+        sessions: sessions.length,
+        active_minutes: minutes('active_seconds'),
+        idle_minutes: minutes('idle_seconds'),
+        away_minutes: minutes('away_seconds'),
+        signals: {
+            hesitations: hesitations.length,
+            hesitation_median_ms: median(hesitations),
+            typing_keys: bursts.reduce((sum, e) => sum + (Number(e.metadata?.keys) || 0), 0),
+            typing_deletions: bursts.reduce((sum, e) => sum + (Number(e.metadata?.deletions) || 0), 0),
+        },
+        rolled_up_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+    };
+}
+
+/**
+ * Add events to a rollup's counters. Its sessions, minutes and hesitation
+ * median need the whole day: they wait for the next roll-up.
+ * @returns {object} - The updated rollup (rolled_up_at is kept)
+ */
+function addEvents(rollup, events) {
+    const added = summarizeDay(rollup.user_id, rollup.rollup_date, events, []);
+    const sum = (counts = {}, more) => {
+        const total = { ...counts };
+        for (const [key, value] of Object.entries(more)) total[key] = (total[key] || 0) + value;
+        return total;
+    };
+    const { hesitation_median_ms, ...signals } = added.signals;
+
+    return {
+        ...rollup,
+        total_events: rollup.total_events + added.total_events,
+        event_counts: sum(rollup.event_counts, added.event_counts),
+        action_breakdown: sum(rollup.action_breakdown, added.action_breakdown),
+        signals: sum(rollup.signals, signals),
+    };
+}
+
+/**
+ * Roll up a range of local days (also rebuilding their sessions)
+ * @param {string} userId - User ID
+ * @param {object} options - { from, to: 'YYYY-MM-DD' (inclusive), profile (optional, saves a lookup) }
+ * @returns {Array<object>} - The rollups written, oldest first (days without events that
+ *   already had a rollup are left alone and not included)
+ */
+async function rollUpDays(userId, { from, to, profile }) {
+    const timeZone = timezoneOf(profile || await db.profiles.findById(userId));
+
+    const rollups = [];
+    for (let start = from; start <= to; start = addDays(start, ROLLUP_CHUNK_DAYS)) {
+        const end = addDays(start, ROLLUP_CHUNK_DAYS - 1);
+        rollups.push(...await rollUpChunk(userId, timeZone, start, end < to ? end : to));
+    }
+    return rollups;
+}
+
+/**
+ * Roll up the days from `from` to `to` with a single read of their events
+ * (every one of them: list() without a limit isn't capped at a page)
+ */
+async function rollUpChunk(userId, timeZone, from, to) {
+    const dates = [];
+    for (let date = from; date <= to; date = addDays(date, 1)) dates.push(date);
+
+    const events = await db.interactionEvents.list(userId, {
+        since: startOfLocalDay(timeZone, from),
+        until: startOfLocalDay(timeZone, addDays(to, 1)),
+    });
+    const eventsByDate = new Map(dates.map(date => [date, []]));
+    for (const event of events) {
+        eventsByDate.get(localDate(timeZone, new Date(event.timestamp)))?.push(event);
+    }
+
+    // Days whose events are gone (pruned) keep their rollup and sessions
+    const existing = new Set((await db.eventRollups.list(userId, { from, to })).map(r => r.rollup_date));
+    const toRollUp = dates.filter(date => eventsByDate.get(date).length > 0 || !existing.has(date));
+    if (toRollUp.length === 0) return [];
+
+    const sessions = await rebuildSessions(userId, timeZone, toRollUp, events);
+
+    const rollups = [];
+    for (const date of toRollUp) {
+        const daySessions = sessions.filter(s => s.session_date === date);
+        rollups.push(await db.eventRollups.upsert(summarizeDay(userId, date, eventsByDate.get(date), daySessions)));
+    }
+    return rollups;
+}
+
+/**
+ * How many raw events a local day has
+ */
+function countDayEvents(userId, timeZone, date) {
+    return db.interactionEvents.count(userId, {
+        since: startOfLocalDay(timeZone, date),
+        until: startOfLocalDay(timeZone, addDays(date, 1)),
+    });
+}
+
+/**
+ * Today's rollup, rolled up again if it's older than TODAY_MAX_AGE_MINUTES
+ * @param {string} userId - User ID
+ * @param {object} [profile] - The user's profile, if already loaded
+ * @returns {object} - event_rollups row
+ */
+async function getTodayRollup(userId, profile) {
+    profile = profile || await db.profiles.findById(userId);
+    const today = localDate(timezoneOf(profile));
+
+    const rollup = await db.eventRollups.findByDate(userId, today);
+    const ageMinutes = rollup ? (Date.now() - Date.parse(rollup.rolled_up_at)) / 60000 : Infinity;
+    if (ageMinutes < TODAY_MAX_AGE_MINUTES) return rollup;
+
+    const [fresh] = await rollUpDays(userId, { from: today, to: today, profile });
+    return fresh || rollup;
+}
+
+/**
+ * Count events that were just stored into today's rollup (events of other
+ * days are left to the rollup job). Without a rollup for today yet, the next
+ * getTodayRollup() rolls up the whole day, these events included.
+ * @param {string} userId - User ID
+ * @param {Array<object>} events - The interaction_events rows stored
+ * @returns {object|null} - The updated rollup, or null if there was nothing to update
+ */
+async function addToTodayRollup(userId, events) {
+    try {
+        if (events.length === 0) return null;
+
+        const timeZone = timezoneOf(await db.profiles.findById(userId));
+        const today = localDate(timeZone);
+        const todays = events.filter(event => localDate(timeZone, new Date(event.timestamp)) === today);
+        if (todays.length === 0) return null;
+
+        const rollup = await db.eventRollups.findByDate(userId, today);
+        return rollup ? await db.eventRollups.upsert(addEvents(rollup, todays)) : null;
+    } catch (error) {
+        // The events are stored: the next roll-up of the day counts them
+        console.error('[Rollups] Error adding events to today\'s rollup:', error);
+        return null;
+    }
+}
+
+/**
+ * The user's latest rollup of a finished day (before today), or null
+ */
+async function latestFinishedRollup(userId, timeZone) {
+    const [latest] = await db.eventRollups.list(userId, { to: addDays(localDate(timeZone), -1), limit: 1 });
+    return latest || null;
+}
+
+/**
+ * Whether a day's rollup counted every one of its events, rolling the day up
+ * again once if it didn't (e.g. events that arrived late)
+ */
+async function isFullyRolledUp(userId, profile, timeZone, date, rollup) {
+    const events = await countDayEvents(userId, timeZone, date);
+    if (events === 0 || rollup?.total_events === events) return true;
+
+    const [fresh] = await rollUpDays(userId, { from: date, to: date, profile });
+    return fresh?.total_events === await countDayEvents(userId, timeZone, date);
+}
+
+/**
+ * Delete a user's raw events older than the retention period - never past
+ * their latest finished rollup, and only up to the first day whose rollup
+ * doesn't account for all of its events, so nothing is deleted before it's summarized
+ * @returns {number} - Events deleted
+ */
+async function pruneEvents(userId, profile, days = retentionDays()) {
+    if (!days) return 0;
+
+    const timeZone = timezoneOf(profile);
+    const latest = await latestFinishedRollup(userId, timeZone);
+    const oldest = await db.interactionEvents.oldest(userId);
+    if (!latest || !oldest) return 0;
+
+    const cutoffDate = addDays(localDate(timeZone), -days);
+    const afterLatest = addDays(latest.rollup_date, 1);
+    const end = cutoffDate < afterLatest ? cutoffDate : afterLatest;
+
+    const first = localDate(timeZone, new Date(oldest.timestamp));
+    if (first >= end) return 0;
+
+    const rollups = new Map((await db.eventRollups.list(userId, { from: first, to: addDays(end, -1) }))
+        .map(rollup => [rollup.rollup_date, rollup]));
+    let before = first;
+    while (before < end && await isFullyRolledUp(userId, profile, timeZone, before, rollups.get(before))) {
+        before = addDays(before, 1);
+    }
+
+    if (before < end) {
+        console.warn(`[Rollups] Keeping events of user ${userId} from ${before}: its rollup doesn't match its events`);
+    }
+    return before > first ? db.interactionEvents.removeBefore(userId, startOfLocalDay(timeZone, before)) : 0;
+}
+
+/**
+ * The periodic job: roll up every user's finished days, then prune old events
+ * @param {object} [options] - { retentionDays (default EVENT_RETENTION_DAYS) }
+ * @returns {object} - { users, rollups, eventsDeleted }
+ */
+async function runRollupJob({ retentionDays: days = retentionDays() } = {}) {
+    const profiles = await db.profiles.list();
+    const result = { users: profiles.length, rollups: 0, eventsDeleted: 0 };
+
+    for (const profile of profiles) {
+        try {
+            const timeZone = timezoneOf(profile);
+            const yesterday = addDays(localDate(timeZone), -1);
+
+            // Redo the latest finished day we rolled up (it may have been rolled up while it
+            // was still today) and everything after it; with no rollup yet, start at the first event
+            let from = null;
+            const latest = await latestFinishedRollup(profile.id, timeZone);
+            if (latest) {
+                from = latest.rollup_date;
+            } else {
+                const oldest = await db.interactionEvents.oldest(profile.id);
+                if (oldest) from = localDate(timeZone, new Date(oldest.timestamp));
+            }
+
+            if (from && from <= yesterday) {
+                result.rollups += (await rollUpDays(profile.id, { from, to: yesterday, profile })).length;
+            }
+            result.eventsDeleted += await pruneEvents(profile.id, profile, days);
+        } catch (error) {
+            // One user's data shouldn't stop everyone else's rollups
+            console.error(`[Rollups] Failed for user ${profile.id}:`, error);
+        }
+    }
+
+    return result;
+}
+
+module.exports = {
+    TODAY_MAX_AGE_MINUTES,
+    DEFAULT_RETENTION_DAYS,
+    retentionDays,
+    summarizeDay,
+    addEvents,
+    rollUpDays,
+    getTodayRollup,
+    addToTodayRollup,
+    pruneEvents,
+    runRollupJob,
+};
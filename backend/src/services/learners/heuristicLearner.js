@@ -0,0 +1,295 @@
+/**
+ * Heuristic Learner
+ *
+ * PURPOSE:
+ * The original ShadowMe learning rules, and the fallback for the other learners
+ * while they don't have enough data.
+ *
+ * HOW IT WORKS:
+ * - When user ACCEPTS a suggestion, increase weights for that type/time/context
+ * - When user OVERRIDES a suggestion, decrease weights and learn the preference
+ * - When user IGNORES a suggestion, slightly decrease weights
+ * - An AUTO-ACCEPT (auto mode, nobody clicked) only nudges weights up a little and
+ *   doesn't count as the user trusting the shadow; UNDOING one is treated like an
+ *   override, and also takes back the auto-accept's nudge
+ * - Each decision involved gets its own weight (csp.decision_weights, by id)
+ * - Per-decision / per-tag affinity stats by time of day, weekday and load
+ *   band are recorded too (see affinity.js)
+ *
+ * LEARNING RATE: 0.1 (10% adjustment per action)
+ * This prevents wild swings while still learning over time.
+ */
+
+const { recordAffinity, affinityScore } = require('../affinity');
+
+// Learning rate - how much to adjust weights per action
+const LEARNING_RATE = 0.1;
+
+// Weight change per action (ignore is gentler - user might just be busy)
+const ACTION_DELTAS = {
+    accept: LEARNING_RATE,
+    override: -LEARNING_RATE,
+    ignore: -LEARNING_RATE * 0.3,
+    auto_accept: LEARNING_RATE * 0.25,
+    undo_auto_accept: -LEARNING_RATE * 1.25,
+};
+
+/**
+ * Fold one piece of feedback into the CSP weights (mutates csp)
+ * @param {object} csp - CSP vector
+ * @param {object} feedback - { action, items, context, hour, weekday }
+ */
+function learn(csp, { action, items, context, hour, weekday }) {
+    // Only task feedback says anything about when the user likes to work.
+    // Learn for the hour the task was scheduled at, falling back to now
+    // (card feedback without items is from before per-item feedback)
+    const task = items.find(item => item.type === 'task');
+    if (items.length === 0 || task) {
+        const taskHour = task?.start_time ? parseInt(task.start_time.split(':')[0]) % 24 : hour;
+        shiftTimeWeight(csp, taskHour, ACTION_DELTAS[action] || 0);
+    }
+
+    if (action === 'accept') {
+        applyAcceptLearning(csp, context, items);
+    } else if (action === 'override' || action === 'undo_auto_accept') {
+        applyOverrideLearning(csp, context, hour);
+    } else if (action === 'ignore') {
+        applyIgnoreLearning(csp);
+    }
+    applyDecisionLearning(csp, action, context, items);
+    recordAffinity(csp, action, items, {
+        hour,
+        weekday,
+        load: context.cognitive_load,
+        chosenAlternative: context.chosen_alternative,
+    });
+}
+
+/**
+ * Learned part of a decision's score at an hour: CSP time and effort weights,
+ * affinity and the per-decision weight
+ * @param {object} context - { weekday, cognitiveLoad }
+ */
+function learnedScore(csp, decision, currentHour, context = {}) {
+    let score = 0;
+
+    // ===== TIME-BASED SCORING (LEARNED) =====
+    if (currentHour >= 6 && currentHour < 12) {
+        // Morning - use learned morning weight
+        const morningWeight = csp.morning_task_weight || 0.5;
+        score += morningWeight * 30; // Up to 30 points
+        
+        // Bonus if user has high accept rate for morning tasks
+        if (morningWeight > 0.6) {
+            score += 10; // Extra bonus for strong morning preference
+        }
+    } else if (currentHour >= 12 && currentHour < 17) {
+        // Afternoon
+        const afternoonWeight = csp.afternoon_task_weight || 0.5;
+        score += afternoonWeight * 30;
+    } else {
+        // Evening/Night - typically lower weight
+        const eveningWeight = csp.evening_task_weight || 0.3;
+        score += eveningWeight * 30;
+        
+        // Penalize high-effort tasks in evening
+        if (decision.effort && decision.effort >= 4) {
+            score -= 15;
+        }
+    }
+
+    // ===== EFFORT-BASED SCORING (LEARNED) =====
+    if (decision.effort) {
+        if (decision.effort >= 4) {
+            // High effort task
+            const highEffortPref = csp.high_effort_preference || 0.5;
+            score += highEffortPref * 20;
+            
+            // If user consistently overrides high-effort, reduce score
+            if (highEffortPref < 0.4) {
+                score -= 10;
+            }
+        } else if (decision.effort <= 2) {
+            // Low effort task
+            const lowEffortPref = csp.low_effort_preference || 0.5;
+            score += lowEffortPref * 20;
+        }
+    }
+
+    // ===== LEARNED AFFINITY =====
+    // Per-decision and per-tag accept/override/ignore history for this
+    // time of day, weekday and load band (see affinity.js)
+    score += affinityScore(csp, decision, {
+        hour: currentHour,
+        weekday: context.weekday,
+        load: context.cognitiveLoad,
+    });
+
+    // ===== PER-DECISION LEARNED WEIGHT =====
+    // Learned from card and item feedback (0.5 = neutral)
+    const decisionWeight = csp.decision_weights?.[decision.id];
+    if (decisionWeight !== undefined) {
+        score += (decisionWeight - 0.5) * 40; // -20 to +20
+    }
+
+    // ===== SUGGESTION CONFIDENCE ADJUSTMENT =====
+    const confidence = csp.suggestion_confidence || 0.5;
+    if (confidence < 0.3) {
+        // Low confidence - be more conservative, favor user's explicit preferences
+        if (decision.preferred_time) {
+            score += 10; // Extra weight on explicit preferences
+        }
+    }
+
+    return score;
+}
+
+/**
+ * Scorer for one plan generation
+ * @returns {function} - (decision, hour) => learned points
+ */
+function scorer(csp, context = {}) {
+    return (decision, hour) => learnedScore(csp, decision, hour, context);
+}
+
+/**
+ * Apply learning when user ACCEPTS a suggestion
+ * Increases weights for the accepted item's characteristics
+ */
+function applyAcceptLearning(csp, context, items) {
+    // Without plan items, guess high effort from the card item titles
+    // (otherwise effort is learned from the decisions, see applyDecisionLearning)
+    if (items.length === 0 && context.card_items?.some(item => item?.includes('Focus') || item?.includes('Deep'))) {
+        csp.high_effort_preference = clamp(
+            (csp.high_effort_preference || 0.5) + LEARNING_RATE * 0.5
+        );
+    }
+
+    // Track successful suggestion patterns
+    csp.consecutive_accepts = (csp.consecutive_accepts || 0) + 1;
+    csp.consecutive_overrides = 0;
+    
+    // If many consecutive accepts, boost confidence
+    if (csp.consecutive_accepts >= 3) {
+        csp.suggestion_confidence = clamp(
+            (csp.suggestion_confidence || 0.5) + LEARNING_RATE
+        );
+    }
+}
+
+/**
+ * Apply learning when user OVERRIDES a suggestion
+ * Decreases weights for the rejected item and learns the preference
+ */
+function applyOverrideLearning(csp, context, hour) {
+    // If high cognitive load when override, user prefers more control
+    if (context.cognitive_load > 66) {
+        csp.high_load_override_tendency = clamp(
+            (csp.high_load_override_tendency || 0.5) + LEARNING_RATE
+        );
+    }
+
+    // Track override patterns
+    csp.consecutive_overrides = (csp.consecutive_overrides || 0) + 1;
+    csp.consecutive_accepts = 0;
+
+    // If many consecutive overrides, decrease confidence
+    if (csp.consecutive_overrides >= 3) {
+        csp.suggestion_confidence = clamp(
+            (csp.suggestion_confidence || 0.5) - LEARNING_RATE
+        );
+    }
+
+    // Learn from the chosen alternative
+    if (context.chosen_alternative) {
+        csp.preferred_alternatives = csp.preferred_alternatives || [];
+        csp.preferred_alternatives.push({
+            original: context.original_items,
+            chosen: context.chosen_alternative,
+            time: hour,
+            cognitive_load: context.cognitive_load,
+        });
+        // Keep only last 20 preferences
+        if (csp.preferred_alternatives.length > 20) {
+            csp.preferred_alternatives = csp.preferred_alternatives.slice(-20);
+        }
+    }
+}
+
+/**
+ * Apply learning when user IGNORES a suggestion
+ * Slightly decreases weights (less impactful than override)
+ */
+function applyIgnoreLearning(csp) {
+    // Track ignores - if too many, maybe suggestions are not relevant
+    csp.consecutive_ignores = (csp.consecutive_ignores || 0) + 1;
+    
+    if (csp.consecutive_ignores >= 5) {
+        // User is ignoring a lot - might need to refresh approach
+        csp.needs_recalibration = true;
+    }
+}
+
+/**
+ * Per-decision learning: nudge the weight of every decision the feedback was about
+ * (0.5 = neutral), plus the type/effort preferences those decisions stand for
+ */
+function applyDecisionLearning(csp, action, context, items) {
+    const delta = ACTION_DELTAS[action] || 0;
+
+    csp.decision_weights = csp.decision_weights || {};
+
+    for (const item of items) {
+        const decision = item.decision;
+        if (!decision?.id) continue;
+
+        csp.decision_weights[decision.id] = clamp(
+            (csp.decision_weights[decision.id] ?? 0.5) + delta
+        );
+
+        if (item.type === 'task' && decision.effort >= 4) {
+            csp.high_effort_preference = clamp((csp.high_effort_preference || 0.5) + delta * 0.5);
+        } else if (item.type === 'task' && decision.effort && decision.effort <= 2) {
+            csp.low_effort_preference = clamp((csp.low_effort_preference || 0.5) + delta * 0.5);
+        } else if (item.type === 'break') {
+            csp.break_frequency_weight = clamp((csp.break_frequency_weight || 0.5) + delta * 0.5);
+        } else if (item.type === 'meal') {
+            csp.meal_regularity_weight = clamp((csp.meal_regularity_weight || 0.5) + delta * 0.5);
+        }
+    }
+
+    // The decision the user picked instead is one they actually want
+    if (action === 'override' && context.chosen_alternative) {
+        csp.decision_weights[context.chosen_alternative] = clamp(
+            (csp.decision_weights[context.chosen_alternative] ?? 0.5) + LEARNING_RATE
+        );
+    }
+}
+
+/**
+ * Move the task weight for the time period containing `hour`
+ */
+function shiftTimeWeight(csp, hour, delta) {
+    if (hour >= 6 && hour < 12) {
+        csp.morning_task_weight = clamp((csp.morning_task_weight || 0.5) + delta);
+    } else if (hour >= 12 && hour < 17) {
+        csp.afternoon_task_weight = clamp((csp.afternoon_task_weight || 0.5) + delta);
+    } else {
+        csp.evening_task_weight = clamp((csp.evening_task_weight || 0.3) + delta);
+    }
+}
+
+/**
+ * Clamp value between 0 and 1
+ */
+function clamp(value, min = 0, max = 1) {
+    return Math.max(min, Math.min(max, value));
+}
+
+
+module.exports = {
+    name: 'heuristic',
+    learn,
+    scorer,
+    learnedScore,
+};
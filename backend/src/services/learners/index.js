@@ -0,0 +1,46 @@
+/**
+ * Learner Selector
+ *
+ * The decision engine and cspLearning talk to a learner through this module,
+ * so the learning strategy can be swapped without touching either. The
+ * implementation is chosen by the LEARNER environment variable:
+ *
+ * - heuristic (default): fixed-rate CSP weight nudges plus affinity stats
+ * - linucb: LinUCB contextual bandit, falling back to the heuristic until it
+ *   has seen enough feedback
+ *
+ * Every learner exposes:
+ *   name
+ *   learn(csp, feedback) - fold one piece of feedback into the CSP (mutates it)
+ *       feedback = { action, items, context, hour, weekday }
+ *       action = accept | override | ignore | auto_accept | undo_auto_accept
+ *   scorer(csp, context) - (decision, hour) => learned points for placing the
+ *       decision at that hour; context = { weekday, cognitiveLoad }
+ */
+
+const LEARNERS = {
+    heuristic: () => require('./heuristicLearner'),
+    linucb: () => require('./linUcbLearner'),
+};
+
+const learnerName = (process.env.LEARNER || 'heuristic').toLowerCase();
+
+if (!LEARNERS[learnerName]) {
+    console.error(`Unknown LEARNER "${learnerName}". Use one of: ${Object.keys(LEARNERS).join(', ')}`);
+    process.exit(1);
+}
+
+/**
+ * The learner to use (LEARNER env var), or a specific one by name
+ */
+function getLearner(name = learnerName) {
+    if (!LEARNERS[name]) {
+        throw new Error(`Unknown learner "${name}"`);
+    }
+    return LEARNERS[name]();
+}
+
+module.exports = {
+    getLearner,
+    LEARNER_NAMES: Object.keys(LEARNERS),
+};
@@ -0,0 +1,257 @@
+/**
+ * LinUCB Learner
+ *
+ * PURPOSE:
+ * A contextual bandit that learns how likely the user is to accept a decision
+ * in a given context, replacing fixed +/-0.1 nudges with a model whose
+ * confidence grows with evidence and whose old evidence fades.
+ *
+ * HOW IT WORKS:
+ * - Each (decision, slot) pair becomes a feature vector: time of day, weekday,
+ *   load band, decision type, effort and hashed tags, plus time-of-day x effort
+ *   and time-of-day x tag interactions ("code review after lunch")
+ * - One shared ridge regression predicts the reward (accept = 1, ignore = 0.3,
+ *   override = 0) from those features:  A = sum(x x^T) + I,  b = sum(r x)
+ * - Auto-accepts only say the user didn't object, so they earn less than an
+ *   accept; undoing one earns nothing, like an override
+ * - Scoring uses the upper confidence bound  theta.x + alpha * sqrt(x^T A^-1 x),
+ *   so feature combinations the user hasn't reacted to yet get a bonus
+ * - Every update discounts the old evidence (DISCOUNT), so one bad day fades
+ *   instead of sticking forever
+ * - The features don't say which decision it is, so each decision's own
+ *   history (its affinity, see affinity.js) is added to the bandit's score:
+ *   two look-alike tasks the user treats differently still score differently
+ * - Decisions with little feedback get a novelty bonus so new ones still surface
+ *
+ * Exploration is controlled with LEARNER_EXPLORATION (default 1, 0 = always
+ * exploit). Until the model has MIN_OBSERVATIONS updates it defers to the
+ * heuristic learner, which it keeps training alongside (the card "why" texts
+ * read the heuristic weights).
+ *
+ * State lives on the CSP as csp_vector.bandit = { version, n, A, b }.
+ */
+
+const heuristic = require('./heuristicLearner');
+const { timeBucket, loadBand, affinityScore } = require('../affinity');
+const { DAY_CODES } = require('../recurrence');
+
+const TIME_BUCKETS = ['morning', 'afternoon', 'evening', 'night'];
+const LOAD_BANDS = ['low', 'medium', 'high'];
+const TYPES = ['task', 'meal', 'break'];
+const TAG_BUCKETS = 6;
+
+// Bump when the feature layout changes - older state is discarded
+const FEATURE_VERSION = 1;
+const DIMENSIONS = 1 + TIME_BUCKETS.length + DAY_CODES.length + LOAD_BANDS.length + TYPES.length + 2 +
+    TAG_BUCKETS + TIME_BUCKETS.length + TIME_BUCKETS.length * TAG_BUCKETS;
+
+const REWARDS = {
+    accept: 1,
+    auto_accept: 0.6,
+    ignore: 0.3,
+    override: 0,
+    undo_auto_accept: 0,
+};
+
+// Weight kept by old evidence on each update (~70 updates to halve it)
+const DISCOUNT = 0.99;
+
+// Updates needed before the bandit's scores replace the heuristic's
+const MIN_OBSERVATIONS = 15;
+
+// Width of the confidence bound at LEARNER_EXPLORATION = 1
+const BASE_ALPHA = 0.2;
+
+// Points the bandit can add or remove, and the most a never-seen decision gets
+const SCORE_POINTS = 80;
+const NOVELTY_POINTS = 10;
+
+/**
+ * LEARNER_EXPLORATION, read per plan so it can be changed without a restart
+ */
+function explorationLevel() {
+    return Math.max(0, parseFloat(process.env.LEARNER_EXPLORATION ?? '1') || 0);
+}
+
+/**
+ * Stable bucket (0..TAG_BUCKETS-1) for a tag
+ */
+function tagBucket(tag) {
+    let hash = 0;
+    for (const char of String(tag).toLowerCase()) {
+        hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+    }
+    return hash % TAG_BUCKETS;
+}
+
+/**
+ * Feature vector for placing a decision in a context
+ * @param {object} decision - Decision row (type, effort, tags)
+ * @param {object} context - { hour, weekday, load }
+ */
+function features(decision, { hour, weekday, load }) {
+    const x = new Array(DIMENSIONS).fill(0);
+    let offset = 0;
+    const oneHot = (values, value) => {
+        const index = values.indexOf(value);
+        if (index >= 0) x[offset + index] = 1;
+        offset += values.length;
+    };
+
+    x[offset++] = 1; // bias
+
+    const bucket = timeBucket(hour);
+    oneHot(TIME_BUCKETS, bucket);
+    oneHot(DAY_CODES, weekday);
+    oneHot(LOAD_BANDS, loadBand(load));
+    oneHot(TYPES, decision.type);
+
+    const effort = decision.effort ? (decision.effort - 1) / 4 : 0;
+    x[offset++] = effort;
+    x[offset++] = decision.effort >= 4 ? 1 : 0;
+
+    const tagBuckets = [...new Set((decision.tags || []).map(tagBucket))];
+    tagBuckets.forEach(b => { x[offset + b] = 1; });
+    offset += TAG_BUCKETS;
+
+    // Interactions: the same effort / tag can be welcome in one part of the day only
+    const timeIndex = TIME_BUCKETS.indexOf(bucket);
+    x[offset + timeIndex] = effort;
+    offset += TIME_BUCKETS.length;
+    tagBuckets.forEach(b => { x[offset + timeIndex * TAG_BUCKETS + b] = 1; });
+
+    return x;
+}
+
+/**
+ * Fresh model: A = I, b = 0
+ */
+function emptyState() {
+    const A = new Array(DIMENSIONS * DIMENSIONS).fill(0);
+    for (let i = 0; i < DIMENSIONS; i++) A[i * DIMENSIONS + i] = 1;
+    return { version: FEATURE_VERSION, n: 0, A, b: new Array(DIMENSIONS).fill(0) };
+}
+
+/**
+ * Discounted ridge-regression update with one observation (mutates state)
+ */
+function update(state, x, reward) {
+    const { A, b } = state;
+    for (let i = 0; i < DIMENSIONS; i++) {
+        for (let j = 0; j < DIMENSIONS; j++) {
+            // Decay towards the identity prior, not towards zero, so A stays invertible
+            const prior = i === j ? 1 : 0;
+            A[i * DIMENSIONS + j] = DISCOUNT * A[i * DIMENSIONS + j] + (1 - DISCOUNT) * prior + x[i] * x[j];
+        }
+        b[i] = DISCOUNT * b[i] + reward * x[i];
+    }
+    state.n += 1;
+}
+
+/**
+ * Invert a symmetric positive-definite matrix (flat, row-major) with Gauss-Jordan
+ */
+function invert(flat) {
+    const n = DIMENSIONS;
+    const m = [];
+    for (let i = 0; i < n; i++) {
+        m.push([...flat.slice(i * n, (i + 1) * n), ...Array.from({ length: n }, (_, j) => (i === j ? 1 : 0))]);
+    }
+
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+        }
+        [m[col], m[pivot]] = [m[pivot], m[col]];
+
+        const divisor = m[col][col];
+        for (let j = 0; j < 2 * n; j++) m[col][j] /= divisor;
+
+        for (let row = 0; row < n; row++) {
+            if (row === col || m[row][col] === 0) continue;
+            const factor = m[row][col];
+            for (let j = 0; j < 2 * n; j++) m[row][j] -= factor * m[col][j];
+        }
+    }
+
+    return m.map(row => row.slice(n));
+}
+
+/**
+ * Keep the stored state compact (csp_vector is JSONB)
+ */
+function round(values) {
+    return values.map(v => Math.round(v * 1e5) / 1e5);
+}
+
+/**
+ * How many times the user has reacted to a decision (from the affinity stats)
+ */
+function timesSeen(csp, decisionId) {
+    const all = csp.affinity?.decisions?.[decisionId]?.all;
+    return all ? (all.accept || 0) + (all.override || 0) + (all.ignore || 0) : 0;
+}
+
+/**
+ * Fold one piece of feedback into the CSP (mutates csp)
+ */
+function learn(csp, feedback) {
+    // Always keep the heuristic trained: it's the fallback and feeds the "why" texts
+    heuristic.learn(csp, feedback);
+
+    const reward = REWARDS[feedback.action];
+    if (reward === undefined) return;
+
+    const state = csp.bandit?.version === FEATURE_VERSION ? csp.bandit : emptyState();
+    for (const item of feedback.items) {
+        if (!item.decision) continue;
+        const hour = item.start_time ? parseInt(item.start_time.split(':')[0]) % 24 : feedback.hour;
+        const x = features(item.decision, {
+            hour,
+            weekday: feedback.weekday,
+            load: feedback.context.cognitive_load,
+        });
+        update(state, x, reward);
+    }
+
+    csp.bandit = { ...state, A: round(state.A), b: round(state.b) };
+}
+
+/**
+ * Scorer for one plan generation
+ * @param {object} context - { weekday, cognitiveLoad }
+ * @returns {function} - (decision, hour) => learned points
+ */
+function scorer(csp, context = {}) {
+    const state = csp.bandit;
+    if (!state || state.version !== FEATURE_VERSION || state.n < MIN_OBSERVATIONS) {
+        return heuristic.scorer(csp, context);
+    }
+
+    // Invert once per plan; the scheduler scores many (decision, hour) pairs
+    const Ainv = invert(state.A);
+    const theta = Ainv.map(row => row.reduce((sum, v, j) => sum + v * state.b[j], 0));
+    const exploration = explorationLevel();
+    const alpha = BASE_ALPHA * exploration;
+
+    return (decision, hour) => {
+        const x = features(decision, { hour, weekday: context.weekday, load: context.cognitiveLoad });
+        const mean = theta.reduce((sum, v, i) => sum + v * x[i], 0);
+        const variance = Ainv.reduce((sum, row, i) =>
+            x[i] === 0 ? sum : sum + x[i] * row.reduce((s, v, j) => s + v * x[j], 0), 0);
+        const upperBound = mean + alpha * Math.sqrt(Math.max(0, variance));
+        const novelty = exploration * NOVELTY_POINTS / (1 + timesSeen(csp, decision.id));
+        const affinity = affinityScore(csp, decision, { hour, weekday: context.weekday, load: context.cognitiveLoad });
+
+        return (upperBound - 0.5) * SCORE_POINTS + affinity + novelty;
+    };
+}
+
+module.exports = {
+    name: 'linucb',
+    learn,
+    scorer,
+    features,
+    MIN_OBSERVATIONS,
+};
@@ -0,0 +1,31 @@
+/**
+ * Load factor: today's check-in
+ * What the user says about their energy, mood, stress and sleep (their latest
+ * check-in today). With no check-in today it's left out and the other factors
+ * share its points.
+ */
+const { strainOf } = require('../checkIns');
+
+module.exports = {
+    key: 'checkIn',
+    label: 'Check-in',
+    weight: 30,
+    curve: [[0, 0], [100, 1]], // strain 0 (great) = 0, 100 (drained) = full weight
+    enabled: true,
+
+    async measure(context) {
+        const checkIn = await context.latestCheckIn();
+        const strain = strainOf(checkIn);
+        if (strain === null) {
+            return { raw: null, display: 'No check-in today' };
+        }
+
+        const answers = [
+            checkIn.energy != null && `energy ${checkIn.energy}/5`,
+            checkIn.mood != null && `mood ${checkIn.mood}/5`,
+            checkIn.stress != null && `stress ${checkIn.stress}/5`,
+            checkIn.sleep_hours != null && `${checkIn.sleep_hours}h sleep`,
+        ].filter(Boolean);
+        return { raw: strain, display: answers.join(', ') };
+    },
+};
@@ -0,0 +1,23 @@
+/**
+ * Load factor: deadlines today (off by default)
+ * Active decisions due today that aren't done yet weigh on the mind.
+ */
+const { localDate } = require('../../lib/time');
+
+module.exports = {
+    key: 'deadlines',
+    label: 'Deadlines today',
+    weight: 20,
+    curve: [[0, 0], [4, 1]], // none = 0, 4+ open deadlines = full weight
+    enabled: false,
+
+    async measure(context) {
+        const decisions = await context.activeDecisions();
+        const open = decisions.filter(d =>
+            d.deadline &&
+            String(d.deadline).slice(0, 10) === context.today &&
+            !(d.last_done_at && localDate(context.timeZone, new Date(d.last_done_at)) === context.today)
+        ).length;
+        return { raw: open, display: `${open}` };
+    },
+};
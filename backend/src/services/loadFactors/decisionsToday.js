@@ -0,0 +1,17 @@
+/**
+ * Load factor: decisions made today
+ * Every piece of feedback the user gave today adds to decision fatigue
+ * (auto-accepts were made for them, so they don't count).
+ */
+module.exports = {
+    key: 'decisions',
+    label: 'Decisions today',
+    weight: 30,
+    curve: [[0, 0], [10, 1]], // 0 decisions = 0, 10+ = full weight
+    enabled: true,
+
+    async measure(context) {
+        const count = (await context.feedbackToday()).length;
+        return { raw: count, display: `${count}` };
+    },
+};
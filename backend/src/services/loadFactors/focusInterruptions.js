@@ -0,0 +1,23 @@
+/**
+ * Load factor: focus sessions interrupted today
+ * Focus timer sessions stopped before their time was up. Left out until a
+ * session has been started today.
+ */
+module.exports = {
+    key: 'focusInterruptions',
+    label: 'Interrupted focus',
+    weight: 15,
+    curve: [[0, 0], [3, 1]], // none = 0, 3+ = full weight
+    enabled: true,
+
+    async measure(context) {
+        const counts = (await context.rollupToday()).event_counts || {};
+        const started = counts.focus_start || 0;
+        if (started === 0) {
+            return { raw: null, display: 'No focus sessions yet' };
+        }
+
+        const interrupted = counts.focus_interrupt || 0;
+        return { raw: interrupted, display: `${interrupted} of ${started} session${started === 1 ? '' : 's'}` };
+    },
+};
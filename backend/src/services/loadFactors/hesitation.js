@@ -0,0 +1,22 @@
+/**
+ * Load factor: hesitation today (off by default)
+ * How long the user looks at a card before acting on it (median). Slow,
+ * hesitant decisions are a sign of fatigue. Left out until a card was acted on.
+ */
+module.exports = {
+    key: 'hesitation',
+    label: 'Hesitation',
+    weight: 20,
+    curve: [[2, 0], [10, 1]], // 2s or less = 0, 10s+ = full weight
+    enabled: false,
+
+    async measure(context) {
+        const { signals } = await context.rollupToday();
+        if (!signals?.hesitations) {
+            return { raw: null, display: 'No card actions yet' };
+        }
+
+        const seconds = Math.round(signals.hesitation_median_ms / 100) / 10;
+        return { raw: seconds, display: `${seconds}s median` };
+    },
+};
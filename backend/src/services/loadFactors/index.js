@@ -0,0 +1,160 @@
+/**
+ * Load Factor Registry
+ *
+ * The cognitive load score is built from the factors registered here. Each
+ * factor module declares:
+ *   key, label
+ *   weight  - how many points it's worth (weights are scaled so the enabled
+ *             factors add up to 100)
+ *   curve   - [[raw, fraction], ...] points; the measured value is placed on
+ *             the curve (linear in between, flat past the ends) to get the
+ *             fraction of the weight it earns. A repeated raw value makes a step.
+ *   enabled - whether it counts by default
+ *   measure(context) - { raw, display } for the user right now; raw = null means
+ *             there's nothing to measure (e.g. no check-in today) and the factor
+ *             sits out, its points going to the others
+ *
+ * Users can override any of these per factor, and the autonomy thresholds, with
+ * profiles.cognitive_load_config:
+ * {
+ *   factors: { timeOnSite: { weight: 10 }, skips: { enabled: true, curve: [[0, 0], [40, 1]] } },
+ *   thresholds: { assist: 40, auto: 75 }   // lowest score for each level
+ * }
+ */
+
+const FACTORS = [
+    require('./decisionsToday'),
+    require('./overrideRate'),
+    require('./timeOnSite'),
+    require('./timeOfDay'),
+    require('./checkIn'),
+    require('./skipRate'),
+    require('./deadlinesToday'),
+    require('./hesitation'),
+    require('./secondGuessing'),
+    require('./typingCorrections'),
+    require('./tabSwitching'),
+    require('./rageClicks'),
+    require('./focusInterruptions'),
+];
+
+// Lowest score for each autonomy level (below assist = manual)
+const DEFAULT_THRESHOLDS = {
+    assist: 34,
+    auto: 67,
+};
+
+/**
+ * Fraction (0-1) of a factor's weight earned by a raw value
+ */
+function applyCurve(curve, raw) {
+    if (raw <= curve[0][0]) return curve[0][1];
+
+    for (let i = curve.length - 1; i > 0; i--) {
+        const [x0, y0] = curve[i - 1];
+        const [x1, y1] = curve[i];
+        if (raw >= x0 && raw < x1) {
+            return y0 + ((raw - x0) / (x1 - x0)) * (y1 - y0);
+        }
+    }
+    return curve[curve.length - 1][1];
+}
+
+/**
+ * Factors and thresholds with the user's overrides applied
+ * @param {object} [config] - profiles.cognitive_load_config
+ * @returns {object} - { factors: [{ ...factor, enabled, weight, curve }], thresholds }
+ */
+function resolveConfig(config) {
+    const overrides = config?.factors || {};
+    return {
+        factors: FACTORS.map(factor => ({
+            ...factor,
+            ...overrides[factor.key],
+        })),
+        thresholds: { ...DEFAULT_THRESHOLDS, ...config?.thresholds },
+    };
+}
+
+/**
+ * Validate a cognitive_load_config from a request body
+ * @param {object|null} config - The config
+ * @param {string} [name] - Its field in the request, to name invalid fields by
+ * @returns {object|null} - { field: message } for the first problem, or null if valid
+ */
+function validateConfig(config, name = 'config') {
+    const invalid = (field, message) => ({ [field ? `${name}.${field}` : name]: message });
+
+    if (config === null) return null;
+    if (typeof config !== 'object' || Array.isArray(config)) {
+        return invalid('', 'must be an object');
+    }
+
+    const keys = FACTORS.map(f => f.key);
+    for (const [key, override] of Object.entries(config.factors || {})) {
+        if (!keys.includes(key)) {
+            return invalid(`factors.${key}`, `is not a factor (factors: ${keys.join(', ')})`);
+        }
+        if (typeof override !== 'object' || override === null || Array.isArray(override)) {
+            return invalid(`factors.${key}`, 'must be an object');
+        }
+        const unknown = Object.keys(override).find(field => !['enabled', 'weight', 'curve'].includes(field));
+        if (unknown) {
+            return invalid(`factors.${key}.${unknown}`, "can't be changed (use enabled, weight or curve)");
+        }
+        if (override.enabled !== undefined && typeof override.enabled !== 'boolean') {
+            return invalid(`factors.${key}.enabled`, 'must be true or false');
+        }
+        if (override.weight !== undefined && !(typeof override.weight === 'number' && override.weight >= 0 && override.weight <= 100)) {
+            return invalid(`factors.${key}.weight`, 'must be a number from 0 to 100');
+        }
+        if (override.curve !== undefined) {
+            const curve = override.curve;
+            const isPoint = (p) => Array.isArray(p) && p.length === 2 && p.every(n => typeof n === 'number' && Number.isFinite(n));
+            if (!Array.isArray(curve) || curve.length < 2 || !curve.every(isPoint)) {
+                return invalid(`factors.${key}.curve`, 'must be a list of at least two [value, fraction] points');
+            }
+            if (curve.some(([, y]) => y < 0 || y > 1)) {
+                return invalid(`factors.${key}.curve`, 'must have fractions between 0 and 1');
+            }
+            if (curve.some(([x], i) => i > 0 && x < curve[i - 1][0])) {
+                return invalid(`factors.${key}.curve`, 'must have its points in increasing order');
+            }
+        }
+    }
+
+    if (config.thresholds !== undefined) {
+        const { assist, auto } = { ...DEFAULT_THRESHOLDS, ...config.thresholds };
+        const isScore = (n) => Number.isInteger(n) && n >= 1 && n <= 100;
+        if (!isScore(assist) || !isScore(auto)) {
+            return invalid('thresholds', 'assist and auto must be whole numbers from 1 to 100');
+        }
+        if (assist > auto) {
+            return invalid('thresholds.assist', 'must not be above thresholds.auto');
+        }
+    }
+
+    const resolved = resolveConfig(config);
+    if (!resolved.factors.some(f => f.enabled && f.weight > 0)) {
+        return invalid('factors', 'must leave at least one factor enabled with a weight above 0');
+    }
+    return null;
+}
+
+/**
+ * Autonomy level for a score
+ */
+function autonomyLevelFor(score, thresholds = DEFAULT_THRESHOLDS) {
+    if (score >= thresholds.auto) return 'auto';
+    if (score >= thresholds.assist) return 'assist';
+    return 'manual';
+}
+
+module.exports = {
+    FACTORS,
+    DEFAULT_THRESHOLDS,
+    applyCurve,
+    resolveConfig,
+    validateConfig,
+    autonomyLevelFor,
+};
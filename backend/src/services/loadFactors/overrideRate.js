@@ -0,0 +1,18 @@
+/**
+ * Load factor: override rate today
+ * More overrides = suggestions were wrong = more mental work.
+ */
+module.exports = {
+    key: 'overrides',
+    label: 'Override rate',
+    weight: 25,
+    curve: [[0, 0], [50, 1]], // 0% overrides = 0, 50%+ = full weight
+    enabled: true,
+
+    async measure(context) {
+        const feedback = await context.feedbackToday();
+        const overrides = feedback.filter(f => f.action === 'override').length;
+        const rate = feedback.length > 0 ? Math.round((overrides / feedback.length) * 100) : 0;
+        return { raw: rate, display: `${rate}%` };
+    },
+};
@@ -0,0 +1,16 @@
+/**
+ * Load factor: rage clicks today (off by default)
+ * Repeated clicks on the same spot - frustration.
+ */
+module.exports = {
+    key: 'rageClicks',
+    label: 'Rage clicks',
+    weight: 10,
+    curve: [[0, 0], [5, 1]], // none = 0, 5+ = full weight
+    enabled: false,
+
+    async measure(context) {
+        const clicks = (await context.rollupToday()).event_counts?.rage_click || 0;
+        return { raw: clicks, display: `${clicks} time${clicks === 1 ? '' : 's'}` };
+    },
+};
@@ -0,0 +1,27 @@
+/**
+ * Load factor: second-guessing today (off by default)
+ * "Why" expansions and override modal opens per card answered. Re-reading
+ * and reconsidering suggestions takes effort.
+ */
+module.exports = {
+    key: 'secondGuessing',
+    label: 'Second-guessing',
+    weight: 15,
+    curve: [[0.5, 0], [3, 1]], // half a look per card = 0, 3+ = full weight
+    enabled: false,
+
+    async measure(context) {
+        const [rollup, feedback] = await Promise.all([
+            context.rollupToday(),
+            context.feedbackToday(),
+        ]);
+        const counts = rollup.event_counts || {};
+        const looks = (counts.card_expand || 0) + (counts.override_modal_open || 0);
+        if (looks === 0 && feedback.length === 0) {
+            return { raw: null, display: 'No cards answered yet' };
+        }
+
+        const perCard = Math.round((looks / Math.max(feedback.length, 1)) * 10) / 10;
+        return { raw: perCard, display: `${perCard} per card` };
+    },
+};
@@ -0,0 +1,18 @@
+/**
+ * Load factor: skip rate today (off by default)
+ * Skipping a lot of suggestions can mean the user is too drained to engage.
+ */
+module.exports = {
+    key: 'skips',
+    label: 'Skip rate',
+    weight: 15,
+    curve: [[0, 0], [60, 1]], // 0% skipped = 0, 60%+ = full weight
+    enabled: false,
+
+    async measure(context) {
+        const feedback = await context.feedbackToday();
+        const skips = feedback.filter(f => f.action === 'ignore').length;
+        const rate = feedback.length > 0 ? Math.round((skips / feedback.length) * 100) : 0;
+        return { raw: rate, display: `${rate}%` };
+    },
+};
@@ -0,0 +1,16 @@
+/**
+ * Load factor: rapid tab switching today (off by default)
+ * Bursts of leaving and coming back to the tab - a sign of scattered attention.
+ */
+module.exports = {
+    key: 'tabSwitching',
+    label: 'Tab switching',
+    weight: 10,
+    curve: [[0, 0], [5, 1]], // none = 0, 5+ bursts = full weight
+    enabled: false,
+
+    async measure(context) {
+        const bursts = (await context.rollupToday()).event_counts?.rapid_tab_switch || 0;
+        return { raw: bursts, display: `${bursts} burst${bursts === 1 ? '' : 's'}` };
+    },
+};
@@ -0,0 +1,17 @@
+/**
+ * Load factor: time of day
+ * Evening = more tired than morning (the user's local hour).
+ */
+module.exports = {
+    key: 'timeOfDay',
+    label: 'Time of day',
+    weight: 25,
+    // Night (before 6) is the most tired; morning ramps 0-20%, afternoon 40-60%,
+    // evening 60-80%, late night 80%+
+    curve: [[0, 1], [6, 1], [6, 0], [12, 0.2], [12, 0.4], [17, 0.6], [21, 0.8], [24, 0.92]],
+    enabled: true,
+
+    async measure(context) {
+        return { raw: context.hour, display: `${context.hour}:00` };
+    },
+};
@@ -0,0 +1,18 @@
+/**
+ * Load factor: time on site today
+ * Longer sessions = more fatigue. Counts the active time of today's sessions as
+ * rebuilt by the sessionizer (from today's rollup) - idle time and time in
+ * other tabs don't count.
+ */
+module.exports = {
+    key: 'timeOnSite',
+    label: 'Time on site',
+    weight: 20,
+    curve: [[15, 0], [60, 1]], // up to 15 min = 0, 60+ min = full weight
+    enabled: true,
+
+    async measure(context) {
+        const minutes = (await context.rollupToday()).active_minutes;
+        return { raw: minutes, display: `${minutes}min` };
+    },
+};
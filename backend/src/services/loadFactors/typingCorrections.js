@@ -0,0 +1,24 @@
+/**
+ * Load factor: typing corrections today (off by default)
+ * Share of keystrokes in typing bursts that were backspace/delete. Lots of
+ * corrections can mean the user is tired. Left out until they've typed.
+ */
+module.exports = {
+    key: 'typingCorrections',
+    label: 'Typing corrections',
+    weight: 15,
+    curve: [[5, 0], [30, 1]], // 5% or less = 0, 30%+ = full weight
+    enabled: false,
+
+    async measure(context) {
+        const { signals } = await context.rollupToday();
+        const keys = signals?.typing_keys || 0;
+        if (keys === 0) {
+            return { raw: null, display: 'No typing yet' };
+        }
+
+        const deletions = signals.typing_deletions || 0;
+        const rate = Math.round((deletions / keys) * 100);
+        return { raw: rate, display: `${rate}% of ${keys} keys` };
+    },
+};
@@ -0,0 +1,121 @@
+/**
+ * Cognitive Load History
+ *
+ * PURPOSE:
+ * The load score is recalculated on every request; this keeps a record of it
+ * so the user can see how their days evolve.
+ *
+ * HOW IT WORKS:
+ * - recordSnapshot() runs after each calculateCognitiveLoad(). The meter polls
+ *   every 2 minutes, so a snapshot is only written when the last one is
+ *   SNAPSHOT_INTERVAL_MINUTES old, or the score moved by SIGNIFICANT_CHANGE
+ *   points, or the autonomy level changed.
+ * - getLoadHistory() buckets the snapshots by hour or by day in the user's
+ *   timezone, averaging the score and each factor's points.
+ */
+
+const db = require('../repositories');
+const { FACTORS } = require('./loadFactors');
+const { addDays, localDateTime, startOfLocalDay, timezoneOf } = require('../lib/time');
+
+const SNAPSHOT_INTERVAL_MINUTES = 15;
+const SIGNIFICANT_CHANGE = 10;
+
+const GRANULARITIES = ['raw', 'hour', 'day'];
+
+// Longest range one history request may cover, in days
+const MAX_RANGE_DAYS = 31;
+
+/**
+ * Store a load result, unless it adds nothing to the latest snapshot
+ * @param {string} userId - User ID
+ * @param {object} load - calculateCognitiveLoad() result
+ * @returns {object|null} - The snapshot written, or null
+ */
+async function recordSnapshot(userId, { score, autonomyLevel, breakdown }) {
+    try {
+        const [latest] = await db.loadSnapshots.list(userId, { limit: 1 });
+        if (latest) {
+            const minutesSince = (Date.now() - Date.parse(latest.created_at)) / 60000;
+            const changed = latest.autonomy_level !== autonomyLevel ||
+                Math.abs(latest.score - score) >= SIGNIFICANT_CHANGE;
+            if (minutesSince < SNAPSHOT_INTERVAL_MINUTES && !changed) return null;
+        }
+
+        return await db.loadSnapshots.create({
+            user_id: userId,
+            score,
+            autonomy_level: autonomyLevel,
+            factors: Object.fromEntries(Object.entries(breakdown).map(([key, f]) => [key, f.value])),
+        });
+    } catch (error) {
+        // History is a nice-to-have: never fail the load calculation over it
+        console.error('[LoadHistory] Error recording snapshot:', error);
+        return null;
+    }
+}
+
+/**
+ * Load history between two local dates
+ * @param {string} userId - User ID
+ * @param {object} options - { from, to: 'YYYY-MM-DD' (inclusive), granularity: 'raw' | 'hour' | 'day' }
+ * @returns {object} - { from, to, granularity, timezone, factors: [{ key, label }], points }
+ *   points = [{ start, score, min, max, samples, factors: { [key]: average points } }], oldest first;
+ *   start is 'YYYY-MM-DD' for days and local 'YYYY-MM-DDTHH:MM' otherwise
+ */
+async function getLoadHistory(userId, { from, to, granularity }) {
+    const profile = await db.profiles.findById(userId);
+    const timeZone = timezoneOf(profile);
+
+    const snapshots = await db.loadSnapshots.list(userId, {
+        since: startOfLocalDay(timeZone, from),
+        until: startOfLocalDay(timeZone, addDays(to, 1)),
+    });
+
+    // Raw keeps one point per snapshot; otherwise snapshots in the same hour/day share one
+    const buckets = new Map();
+    for (const snapshot of [...snapshots].reverse()) {
+        const local = localDateTime(timeZone, new Date(snapshot.created_at));
+        const start = granularity === 'day' ? local.slice(0, 10)
+            : granularity === 'hour' ? `${local.slice(0, 13)}:00`
+            : local;
+        const key = granularity === 'raw' ? snapshot.id : start;
+        if (!buckets.has(key)) buckets.set(key, { start, group: [] });
+        buckets.get(key).group.push(snapshot);
+    }
+
+    const average = (values) => Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 10) / 10;
+    const seenFactors = new Set();
+
+    const points = [...buckets.values()].map(({ start, group }) => {
+        const keys = new Set(group.flatMap(s => Object.keys(s.factors || {})));
+        keys.forEach(key => seenFactors.add(key));
+
+        const scores = group.map(s => s.score);
+        return {
+            start,
+            score: Math.round(average(scores)),
+            min: Math.min(...scores),
+            max: Math.max(...scores),
+            samples: group.length,
+            // A factor missing from a snapshot (disabled, nothing to measure) counted 0 points
+            factors: Object.fromEntries([...keys].map(key => [key, average(group.map(s => s.factors?.[key] || 0))])),
+        };
+    });
+
+    return {
+        from,
+        to,
+        granularity,
+        timezone: timeZone,
+        factors: FACTORS.filter(f => seenFactors.has(f.key)).map(f => ({ key: f.key, label: f.label })),
+        points,
+    };
+}
+
+module.exports = {
+    GRANULARITIES,
+    MAX_RANGE_DAYS,
+    recordSnapshot,
+    getLoadHistory,
+};
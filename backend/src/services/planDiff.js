@@ -0,0 +1,81 @@
+/**
+ * Plan Diff Service
+ *
+ * PURPOSE:
+ * Explains what changed between two versions of a day's plan (regenerating
+ * keeps the old version - see POST /plan/generate?force=true).
+ *
+ * HOW IT WORKS:
+ * Versions are compared by their schedules (daily_plans.schedule.slots): a
+ * slot is one decision at one time. The n-th slot of a decision in one
+ * version is matched with its n-th slot in the other (a decision can be
+ * scheduled more than once a day, e.g. breaks). Then
+ * - added:   slots only in the newer version
+ * - removed: slots only in the older version
+ * - moved:   matched slots whose start or end time changed
+ * plus the cognitive load / autonomy level each version was generated with.
+ */
+
+const slotsOf = (plan) => plan?.schedule?.slots || [];
+
+const timesOf = (slot) => ({ start_time: slot.start_time, end_time: slot.end_time });
+
+/**
+ * Group a plan's slots by decision, in time order
+ */
+function slotsByDecision(plan) {
+    const groups = new Map();
+    const slots = [...slotsOf(plan)].sort((a, b) => a.start_time.localeCompare(b.start_time));
+    for (const slot of slots) {
+        const key = slot.decision_id || `${slot.type}:${slot.title}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(slot);
+    }
+    return groups;
+}
+
+/**
+ * What changed from one plan version to another
+ * @param {object|null} before - The older version (null for a first version)
+ * @param {object} after - The newer version
+ * @returns {object} - { added, removed, moved, unchanged, cognitive_load, autonomy_level }
+ */
+function diffPlans(before, after) {
+    const oldSlots = slotsByDecision(before);
+    const newSlots = slotsByDecision(after);
+    const diff = { added: [], removed: [], moved: [], unchanged: 0 };
+
+    for (const key of new Set([...oldSlots.keys(), ...newSlots.keys()])) {
+        const olds = oldSlots.get(key) || [];
+        const news = newSlots.get(key) || [];
+        for (let i = 0; i < Math.max(olds.length, news.length); i++) {
+            const [oldSlot, newSlot] = [olds[i], news[i]];
+            const { decision_id, title, type } = newSlot || oldSlot;
+
+            if (!oldSlot) {
+                diff.added.push({ decision_id, title, type, ...timesOf(newSlot) });
+            } else if (!newSlot) {
+                diff.removed.push({ decision_id, title, type, ...timesOf(oldSlot) });
+            } else if (oldSlot.start_time !== newSlot.start_time || oldSlot.end_time !== newSlot.end_time) {
+                diff.moved.push({ decision_id, title, type, from: timesOf(oldSlot), to: timesOf(newSlot) });
+            } else {
+                diff.unchanged++;
+            }
+        }
+    }
+
+    const byTime = (a, b) => (a.start_time || a.to.start_time).localeCompare(b.start_time || b.to.start_time);
+    diff.added.sort(byTime);
+    diff.removed.sort(byTime);
+    diff.moved.sort(byTime);
+
+    return {
+        ...diff,
+        cognitive_load: { from: before?.cognitive_load ?? null, to: after.cognitive_load },
+        autonomy_level: { from: before?.autonomy_level ?? null, to: after.autonomy_level },
+    };
+}
+
+module.exports = {
+    diffPlans,
+};
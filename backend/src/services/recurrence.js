@@ -0,0 +1,115 @@
+/**
+ * Recurrence Service
+ *
+ * PURPOSE:
+ * Decides whether a decision should be suggested on a given day.
+ *
+ * HOW IT WORKS:
+ * Simple frequencies cover most decisions:
+ * - daily / weekdays / weekends: by day of week
+ * - weekly: once per week - suggested every day until it's done that week
+ *   (tracked with decisions.last_done_at)
+ *
+ * frequency = 'custom' uses an RRULE-style rule stored in decisions.recurrence:
+ * {
+ *   freq: 'daily' | 'weekly',
+ *   interval: 1,                       // every N days / weeks
+ *   by_day: ['MO', 'WE', 'FR'],        // weekly only; empty = once that week, until done
+ *   start_date: '2025-01-06',          // first day the rule applies (anchors the interval)
+ *   end_date: '2025-06-30' | null,     // last day the rule applies
+ *   exceptions: ['2025-02-14']         // days to skip
+ * }
+ *
+ * All dates are plain 'YYYY-MM-DD' calendar days in the user's timezone; math
+ * is done in UTC so DST changes can't shift a day. Rules from requests are
+ * validated by the decision request schema (shared/requestSchemas.mjs).
+ */
+const { localDate, DEFAULT_TIMEZONE } = require('../lib/time');
+
+const DAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_MS = 86400000;
+
+/**
+ * 'YYYY-MM-DD' -> days since epoch
+ */
+function toDayNumber(date) {
+    const [year, month, day] = date.split('-').map(Number);
+    return Math.floor(Date.UTC(year, month - 1, day) / DAY_MS);
+}
+
+/**
+ * Day of week (0 = Sunday) for 'YYYY-MM-DD'
+ */
+function dayOfWeek(date) {
+    return (toDayNumber(date) + 4) % 7; // 1970-01-01 was a Thursday
+}
+
+/**
+ * Day number of the Monday starting the week that contains `date`
+ */
+function weekStart(date) {
+    return toDayNumber(date) - ((dayOfWeek(date) + 6) % 7);
+}
+
+/**
+ * Was the decision already done in the week containing `date`?
+ */
+function doneThisWeek(decision, date, timeZone = DEFAULT_TIMEZONE) {
+    if (!decision.last_done_at) return false;
+    const doneDate = localDate(timeZone, new Date(decision.last_done_at));
+    return weekStart(doneDate) === weekStart(date) && doneDate <= date;
+}
+
+/**
+ * Does a custom recurrence rule include `date`?
+ */
+function matchesRule(rule, decision, date, timeZone) {
+    const interval = Math.max(1, rule.interval || 1);
+    const startDate = rule.start_date || (decision.created_at ? localDate(timeZone, new Date(decision.created_at)) : date);
+
+    if (date < startDate) return false;
+    if (rule.end_date && date > rule.end_date) return false;
+    if (rule.exceptions?.includes(date)) return false;
+
+    if (rule.freq === 'weekly') {
+        const weeksSinceStart = Math.round((weekStart(date) - weekStart(startDate)) / 7);
+        if (weeksSinceStart % interval !== 0) return false;
+
+        if (!rule.by_day || rule.by_day.length === 0) {
+            // Once in an active week, until done
+            return !doneThisWeek(decision, date, timeZone);
+        }
+        return rule.by_day.includes(DAY_CODES[dayOfWeek(date)]);
+    }
+
+    // daily
+    return (toDayNumber(date) - toDayNumber(startDate)) % interval === 0;
+}
+
+/**
+ * Should this decision be suggested on `date`?
+ * @param {object} decision - Decision row (frequency, recurrence, last_done_at)
+ * @param {string} date - Plan date 'YYYY-MM-DD' (user's local date)
+ * @param {string} [timeZone] - User's timezone, for reading last_done_at / created_at
+ * @returns {boolean}
+ */
+function isDueOn(decision, date, timeZone = DEFAULT_TIMEZONE) {
+    const day = dayOfWeek(date);
+    const isWeekday = day >= 1 && day <= 5;
+
+    switch (decision.frequency) {
+        case 'daily': return true;
+        case 'weekdays': return isWeekday;
+        case 'weekends': return !isWeekday;
+        case 'weekly': return !doneThisWeek(decision, date, timeZone);
+        case 'custom': return decision.recurrence ? matchesRule(decision.recurrence, decision, date, timeZone) : true;
+        default: return true;
+    }
+}
+
+module.exports = {
+    isDueOn,
+    doneThisWeek,
+    dayOfWeek,
+    DAY_CODES,
+};
@@ -0,0 +1,175 @@
+/**
+ * Re-plan Service
+ *
+ * PURPOSE:
+ * Plans the rest of today again once the day has drifted from the plan - the
+ * user fell behind, or overrode a card and what comes next no longer fits -
+ * instead of leaving the morning's plan in place (POST /plan/replan).
+ *
+ * HOW IT WORKS:
+ * 1. Cards the user decided on (every item accepted, overridden, skipped or
+ *    auto-accepted) are kept as they are, with what was decided on them in
+ *    card.completed - their feedback stays on the version it was given on
+ * 2. Decisions handled today are left out: the kept cards' ones, those
+ *    accepted, auto-accepted (and not undone) or skipped on an earlier
+ *    version, and the alternatives chosen in overrides. Breaks always come back
+ * 3. Everything else is scheduled again from now on, at the current cognitive
+ *    load, around the kept cards' times (buildSchedule's startMinutes/reserved)
+ * The caller stores the result as the plan's next version.
+ */
+
+const db = require('../repositories');
+const { generateDailyPlan, findFeedbackItems } = require('./decisionEngine');
+const { getDayWindow, toMinutes, formatTime } = require('./scheduler');
+const { localDateTime, startOfLocalDay, timezoneOf } = require('../lib/time');
+
+// Feedback that settles a decision for today
+const DONE_ACTIONS = ['accept', 'auto_accept', 'ignore'];
+
+const isUndone = (entry) => entry.action === 'auto_accept' && entry.undone_at;
+
+/**
+ * What was decided on each card of a plan, for the cards where every item was
+ * @param {Array} cards - The plan's compressed_decision_cards
+ * @param {Array} feedback - Feedback given on this plan
+ * @returns {object} - { [cardId]: { action, alternative, items: { [decisionId]: { action, alternative } } } }
+ */
+function decidedCards(cards, feedback) {
+    const decided = {};
+    for (const card of cards) {
+        if (card.completed) {
+            decided[card.id] = card.completed;
+            continue;
+        }
+
+        const items = {};
+        let cardEntry = null;
+        for (const entry of feedback.filter(f => !isUndone(f))) {
+            if (entry.item_type === 'card' && entry.item_id === card.id) {
+                cardEntry = entry;
+                for (const item of card.items) {
+                    items[item.decision?.id] = { action: entry.action, alternative: entry.override_value || null };
+                }
+            } else if (entry.item_type !== 'card' && (!entry.context?.card_id || entry.context.card_id === card.id) &&
+                card.items.some(item => item.type === entry.item_type && item.decision?.id === entry.item_id)) {
+                items[entry.item_id] = { action: entry.action, alternative: entry.override_value || null };
+            }
+        }
+
+        if (card.items.every(item => items[item.decision?.id])) {
+            const actions = [...new Set(Object.values(items).map(outcome => outcome.action))];
+            decided[card.id] = {
+                action: actions.length === 1 ? actions[0] : 'mixed',
+                alternative: cardEntry?.override_value || null,
+                items,
+            };
+        }
+    }
+    return decided;
+}
+
+/**
+ * Decisions today's feedback settled (see DONE_ACTIONS), on any version of the plan
+ * @param {Array} feedback - Today's feedback
+ * @param {Map} cardsByPlan - plan id -> that version's cards
+ * @returns {Set<string>}
+ */
+function handledDecisionIds(feedback, cardsByPlan) {
+    const handled = new Set();
+    for (const entry of feedback.filter(f => !isUndone(f))) {
+        if (entry.action === 'override') {
+            if (entry.context?.chosen_alternative) handled.add(entry.context.chosen_alternative);
+            continue;
+        }
+        if (!DONE_ACTIONS.includes(entry.action)) continue;
+
+        const items = findFeedbackItems(cardsByPlan.get(entry.plan_id) || [], entry.item_type, entry.item_id, entry.context?.card_id);
+        items.filter(item => item.type !== 'break' && item.decision?.id).forEach(item => handled.add(item.decision.id));
+    }
+    return handled;
+}
+
+/**
+ * Re-plan the rest of a day
+ * @param {string} userId
+ * @param {object} plan - The day's latest plan version
+ * @param {object} profile - The user's profile
+ * @returns {object} - { cards, schedule, cognitiveLoad, autonomyLevel, kept, replannedFrom, totalDecisions, generatedAt }
+ */
+async function replanDay(userId, plan, profile) {
+    const timeZone = timezoneOf(profile);
+    const [versions, dayFeedback] = await Promise.all([
+        db.dailyPlans.listVersions(userId, plan.plan_date),
+        db.feedback.list(userId, { since: startOfLocalDay(timeZone, plan.plan_date) }),
+    ]);
+    const cardsByPlan = new Map(versions.map(version => [version.id, version.compressed_decision_cards || []]));
+    const feedback = dayFeedback.filter(entry => cardsByPlan.has(entry.plan_id));
+
+    // 1. Keep the decided cards
+    const cards = plan.compressed_decision_cards || [];
+    const decided = decidedCards(cards, feedback.filter(entry => entry.plan_id === plan.id));
+    const kept = cards
+        .filter(card => decided[card.id])
+        .map(card => ({ ...card, completed: decided[card.id] }));
+
+    // 2. Leave out what's been handled
+    const handled = handledDecisionIds(feedback, cardsByPlan);
+    kept.flatMap(card => card.items)
+        .filter(item => item.type !== 'break' && item.decision?.id)
+        .forEach(item => handled.add(item.decision.id));
+
+    // 3. Schedule the rest from now on ('HH:MM' after midnight belongs to a day running past it)
+    const window = getDayWindow(profile);
+    const onTimeline = (time) => {
+        const minutes = toMinutes(time);
+        return minutes < window.dayStart && minutes + 1440 <= window.dayEnd ? minutes + 1440 : minutes;
+    };
+    const startMinutes = onTimeline(localDateTime(timeZone).slice(11));
+    const planData = await generateDailyPlan(userId, {
+        planDate: plan.plan_date,
+        startMinutes,
+        reserved: kept.flatMap(card => card.items),
+        excludeDecisionIds: [...handled],
+    });
+
+    // New cards are numbered after the existing ones, so a card ID is never reused for the day
+    let nextNumber = Math.max(0, ...cards.map(card => Number(card.id.split('_')[1]) || 0)) + 1;
+    const newIds = new Map(planData.cards.map(card => [card.id, `card_${nextNumber++}`]));
+    const newCards = planData.cards.map(card => ({ ...card, id: newIds.get(card.id) }));
+
+    const keptSlots = kept.flatMap(card => card.items.map(item => ({
+        type: item.type,
+        decision_id: item.decision?.id,
+        title: item.decision?.title,
+        start_time: item.start_time,
+        end_time: item.end_time,
+        card_id: card.id,
+    })));
+    const newSchedule = planData.schedule || { slots: [], unscheduled: [], conflicts: [], feasible: true };
+    const byTime = (a, b) => onTimeline(a.start_time) - onTimeline(b.start_time);
+
+    return {
+        cards: [...kept, ...newCards].sort(byTime),
+        schedule: {
+            ...plan.schedule,
+            ...newSchedule,
+            day_start: plan.schedule?.day_start ?? newSchedule.day_start,
+            replanned_from: formatTime(startMinutes),
+            slots: [
+                ...keptSlots,
+                ...newSchedule.slots.map(slot => ({ ...slot, card_id: newIds.get(slot.card_id) || null })),
+            ].sort(byTime),
+        },
+        cognitiveLoad: planData.cognitiveLoad,
+        autonomyLevel: planData.autonomyLevel,
+        kept: kept.length,
+        replannedFrom: formatTime(startMinutes),
+        totalDecisions: planData.totalDecisions ?? 0,
+        generatedAt: planData.generatedAt || new Date().toISOString(),
+    };
+}
+
+module.exports = {
+    replanDay,
+    decidedCards,
+};
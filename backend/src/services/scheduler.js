@@ -0,0 +1,429 @@
+/**
+ * Scheduler Service
+ *
+ * PURPOSE:
+ * Lays out the user's whole day - from wake_time to sleep_time - as a timeline
+ * of concrete time slots, instead of only suggesting what to do "right now".
+ *
+ * HOW IT WORKS:
+ * 1. Decisions with a fixed_time ("must happen at") are pinned first
+ * 2. Meals are anchored inside their meal windows (or at preferred_time)
+ * 3. Tasks are placed in dependency order, each at the free slot where it fits best
+ *    (for as long as it took when the user last finished it, else estimated_minutes):
+ *    - hard: after the decision in depends_on, finished before a deadline due today
+ *    - soft: high-effort tasks are pulled into the peak focus window, and
+ *      preferred_time / learned time-of-day weights come from the caller's scoreAt()
+ *    - ties go to the earlier slot
+ * 4. A break follows each task (break_duration) when the CSP break weight allows it,
+ *    never using one break more than its max_per_day. Only breaks repeat during a
+ *    day, so max_per_day only matters for them: every task, meal or fixed-time
+ *    decision is placed at most once
+ *
+ * HARD CONSTRAINTS vs SOFT PREFERENCES:
+ * fixed_time, deadline, depends_on and max_per_day are never bent to make a day
+ * fit. Deadlines are wall-clock times in the user's timezone (no offset - the
+ * request schema rejects one). When one can't be met the decision is left out (or flagged if it's
+ * already overdue) and a conflict explains which constraint failed.
+ *
+ * RE-PLANNING:
+ * startMinutes schedules only the rest of the day, around reserved times that
+ * are already taken (see services/replan.js). A fixed time or meal window that
+ * is already over is left out, but isn't a conflict.
+ *
+ * Times are minutes since midnight. If sleep_time is earlier than wake_time the
+ * day runs past midnight (e.g. 10:00 -> 01:00 becomes 600 -> 1500).
+ */
+
+const { localDate, timezoneOf } = require('../lib/time');
+
+// Candidate start times are tried on this grid (plus right after every placed slot)
+const SLOT_STEP_MINUTES = 15;
+
+// Meal windows (HH:MM) and how long each meal takes
+const MEAL_WINDOWS = {
+    breakfast: { start: '07:00', end: '10:00', minutes: 30 },
+    lunch: { start: '12:00', end: '14:00', minutes: 30 },
+    snack: { start: '15:00', end: '17:00', minutes: 15 },
+    dinner: { start: '18:00', end: '20:30', minutes: 30 },
+};
+
+// Which hard constraint a conflict is about
+const CONSTRAINTS = {
+    FIXED_TIME: 'fixed_time',
+    DEADLINE: 'deadline',
+    DEPENDENCY: 'dependency',
+    CAPACITY: 'capacity', // not a user constraint - the day is simply full
+    PASSED: 'passed',     // not a user constraint - re-planning after its time
+};
+
+// Placement bonuses on top of the caller's score
+const PEAK_FOCUS_BONUS = 25;      // high-effort task fully inside peak focus window
+const PEAK_LIGHT_PENALTY = 10;    // low-effort task taking up peak focus time
+const EARLINESS_PER_HOUR = 1;     // prefer earlier slots when everything else is equal
+
+/**
+ * Parse 'HH:MM' (or 'HH:MM:SS' from a Postgres TIME column) into minutes since midnight
+ */
+function toMinutes(time) {
+    if (!time) return null;
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + (minutes || 0);
+}
+
+/**
+ * Format minutes since midnight as 'HH:MM' (wraps past midnight)
+ */
+function formatTime(minutes) {
+    const wrapped = ((minutes % 1440) + 1440) % 1440;
+    const hours = Math.floor(wrapped / 60);
+    return `${String(hours).padStart(2, '0')}:${String(wrapped % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Hour of day (0-23) a slot starting at `minutes` falls in
+ */
+function hourOf(minutes) {
+    return Math.floor(minutes / 60) % 24;
+}
+
+/**
+ * Split a deadline ('YYYY-MM-DDTHH:MM[:SS]', local wall-clock time) into date and minutes
+ */
+function parseDeadline(deadline) {
+    if (!deadline) return null;
+    const [date, time = '23:59'] = String(deadline).replace(' ', 'T').split('T');
+    return { date, minutes: toMinutes(time), label: `${date} ${time.slice(0, 5)}` };
+}
+
+/**
+ * Resolve the day window and peak focus window from the profile
+ */
+function getDayWindow(profile = {}) {
+    const dayStart = toMinutes(profile.wake_time) ?? toMinutes('07:00');
+    let dayEnd = toMinutes(profile.sleep_time) ?? toMinutes('23:00');
+    if (dayEnd <= dayStart) dayEnd += 1440; // sleeps after midnight
+
+    let peakStart = toMinutes(profile.peak_focus_start) ?? toMinutes('09:00');
+    let peakEnd = toMinutes(profile.peak_focus_end) ?? toMinutes('12:00');
+    if (peakStart < dayStart) peakStart += 1440;
+    if (peakEnd <= peakStart) peakEnd += 1440;
+
+    return { dayStart, dayEnd, peakStart, peakEnd };
+}
+
+/**
+ * How long a decision occupies on the timeline
+ */
+function durationOf(decision, csp = {}) {
+    if (decision.type === 'meal') {
+        return (MEAL_WINDOWS[decision.meal_type] || MEAL_WINDOWS.snack).minutes;
+    }
+    if (decision.type === 'break') {
+        return decision.break_duration || 10;
+    }
+    // How long the task really took when the user finished it beats their
+    // estimate (learned in cspLearning.applyCompletion), kept on a 5-minute grid
+    const learned = csp.duration_estimates?.[decision.id]?.minutes;
+    if (learned) {
+        return Math.max(5, Math.round(learned / 5) * 5);
+    }
+    return decision.estimated_minutes || csp.focus_duration_preference || 50;
+}
+
+/**
+ * Order tasks so every task comes after the task it depends on.
+ * Among tasks that are ready, the ones due today go first (earliest deadline),
+ * then the caller's ranking. Tasks caught in a dependency cycle are returned separately.
+ */
+function orderByDependencies(tasks, date) {
+    const ids = new Set(tasks.map(t => t.id));
+    const rank = new Map(tasks.map((t, i) => [t.id, i]));
+    const dueToday = (task) => {
+        const deadline = parseDeadline(task.deadline);
+        return deadline && deadline.date <= date ? deadline.minutes - (deadline.date < date ? 1440 : 0) : Infinity;
+    };
+
+    const ordered = [];
+    const done = new Set();
+    let remaining = [...tasks];
+
+    while (remaining.length > 0) {
+        const ready = remaining.filter(t => !t.depends_on || !ids.has(t.depends_on) || done.has(t.depends_on));
+        if (ready.length === 0) break; // only cycles left
+
+        ready.sort((a, b) => (dueToday(a) - dueToday(b)) || (rank.get(a.id) - rank.get(b.id)));
+        const next = ready[0];
+        ordered.push(next);
+        done.add(next.id);
+        remaining = remaining.filter(t => t !== next);
+    }
+
+    return { ordered, cyclic: remaining };
+}
+
+/**
+ * Lay out the day
+ * @param {object[]} decisions - Active decisions applicable today, ranked best first
+ * @param {object} options
+ * @param {object} options.profile - User profile (wake/sleep/peak focus times)
+ * @param {object} options.csp - CSP vector (focus_duration_preference, duration_estimates, break_frequency_weight)
+ * @param {function} options.scoreAt - (decision, hour) => number, how well a decision suits that hour
+ * @param {string} options.date - Plan date 'YYYY-MM-DD' in the user's timezone, used to check deadlines
+ * @param {number} [options.startMinutes] - Don't schedule before this time (defaults to wake_time)
+ * @param {object[]} [options.reserved] - [{ start_time, end_time }] ('HH:MM') already taken
+ * @returns {object} - { dayStart, dayEnd, peakStart, peakEnd, slots, unscheduled, conflicts }
+ */
+function buildSchedule(decisions, { profile, csp = {}, scoreAt = () => 0, date = localDate(timezoneOf(profile)), startMinutes, reserved = [] } = {}) {
+    const window = getDayWindow(profile);
+    const { dayEnd, peakStart, peakEnd } = window;
+    const dayStart = Math.max(window.dayStart, startMinutes ?? window.dayStart);
+
+    const slots = [];
+    const unscheduled = [];
+    const conflicts = [];
+    const byId = new Map(decisions.map(d => [d.id, d]));
+
+    const slotOf = (decisionId) => slots.find(slot => slot.decision.id === decisionId);
+    const countOf = (decisionId) => slots.filter(slot => slot.decision.id === decisionId).length;
+
+    const isFree = (start, end) =>
+        start >= dayStart && end <= dayEnd &&
+        slots.every(slot => end <= slot.start || start >= slot.end) &&
+        taken.every(slot => end <= slot.start || start >= slot.end);
+
+    const candidateStarts = (duration, from = dayStart, to = dayEnd) => {
+        const starts = new Set();
+        const first = Math.ceil(from / SLOT_STEP_MINUTES) * SLOT_STEP_MINUTES;
+        for (let start = first; start + duration <= to; start += SLOT_STEP_MINUTES) {
+            starts.add(start);
+        }
+        // Also try packing right after existing slots
+        slots.forEach(slot => {
+            if (slot.end >= from && slot.end + duration <= to) starts.add(slot.end);
+        });
+        if (from + duration <= to) starts.add(from);
+        return [...starts].filter(start => isFree(start, start + duration)).sort((a, b) => a - b);
+    };
+
+    const place = (type, decision, start, duration) => {
+        const slot = { type, decision, start, end: start + duration };
+        slots.push(slot);
+        return slot;
+    };
+
+    const skip = (decision, constraint, reason) => {
+        unscheduled.push({ decision, constraint, reason });
+        if (constraint !== CONSTRAINTS.CAPACITY && constraint !== CONSTRAINTS.PASSED) {
+            conflicts.push({ decision, constraint, reason });
+        }
+    };
+
+    // Times of day before wake_time belong to the part of the day after midnight
+    const onTimeline = (minutes) => (minutes < window.dayStart ? minutes + 1440 : minutes);
+
+    const taken = reserved.map(({ start_time, end_time }) => ({
+        start: onTimeline(toMinutes(start_time)),
+        end: onTimeline(toMinutes(end_time)),
+    }));
+    const clashOf = (start, end) =>
+        slots.find(slot => start < slot.end && end > slot.start) ||
+        taken.find(slot => start < slot.end && end > slot.start);
+
+    // ===== STEP 1: FIXED TIMES =====
+    const fixed = decisions
+        .filter(d => d.fixed_time)
+        .sort((a, b) => onTimeline(toMinutes(a.fixed_time)) - onTimeline(toMinutes(b.fixed_time)));
+
+    for (const decision of fixed) {
+        const start = onTimeline(toMinutes(decision.fixed_time));
+        const end = start + durationOf(decision, csp);
+        const clash = clashOf(start, end);
+
+        if (start < dayStart) {
+            skip(decision, CONSTRAINTS.PASSED, `"${decision.title}" was at ${formatTime(start)}`);
+        } else if (end > dayEnd) {
+            skip(decision, CONSTRAINTS.FIXED_TIME,
+                `"${decision.title}" must happen at ${formatTime(start)}, outside your day (${formatTime(dayStart)}-${formatTime(dayEnd)})`);
+        } else if (clash) {
+            const what = clash.decision ? `"${clash.decision.title}"` : 'something already on your plan';
+            skip(decision, CONSTRAINTS.FIXED_TIME,
+                `"${decision.title}" must happen at ${formatTime(start)} but overlaps ${what} (${formatTime(clash.start)}-${formatTime(clash.end)})`);
+        } else {
+            place(decision.type, decision, start, end - start);
+        }
+    }
+
+    const flexible = decisions.filter(d => !d.fixed_time);
+    const tasks = flexible.filter(d => d.type === 'task');
+    const meals = flexible.filter(d => d.type === 'meal');
+    const breaks = decisions.filter(d => d.type === 'break');
+
+    // ===== STEP 2: MEALS =====
+    // One meal per meal type (the best ranked one), anchored in its window
+    const seenMealTypes = new Set(slots.filter(s => s.type === 'meal').map(s => s.decision.meal_type || 'snack'));
+    for (const meal of meals) {
+        const mealType = meal.meal_type || 'snack';
+        if (seenMealTypes.has(mealType)) continue;
+        seenMealTypes.add(mealType);
+
+        const mealWindow = MEAL_WINDOWS[mealType] || MEAL_WINDOWS.snack;
+        const duration = mealWindow.minutes;
+        const preferred = meal.preferred_time ? onTimeline(toMinutes(meal.preferred_time)) : null;
+        const windowStart = onTimeline(toMinutes(mealWindow.start));
+        const windowEnd = windowStart + (toMinutes(mealWindow.end) - toMinutes(mealWindow.start));
+
+        const start = preferred !== null && isFree(preferred, preferred + duration)
+            ? preferred
+            : candidateStarts(duration, Math.max(windowStart, dayStart), Math.min(windowEnd, dayEnd))[0];
+
+        if (start === undefined && windowEnd <= dayStart) {
+            skip(meal, CONSTRAINTS.PASSED, `The ${mealType} window (until ${formatTime(windowEnd)}) is over`);
+        } else if (start === undefined) {
+            skip(meal, CONSTRAINTS.CAPACITY, `No free time in the ${mealType} window`);
+        } else {
+            place('meal', meal, start, duration);
+        }
+    }
+
+    // ===== STEP 3: TASKS (+ following break) =====
+    const breaksEnabled = breaks.length > 0 && (csp.break_frequency_weight ?? 0.5) > 0.3;
+    let nextBreak = 0;
+
+    const { ordered, cyclic } = orderByDependencies(tasks, date);
+    for (const task of cyclic) {
+        const other = byId.get(task.depends_on);
+        skip(task, CONSTRAINTS.DEPENDENCY,
+            `"${task.title}" and "${other?.title}" each wait on the other (circular dependency)`);
+    }
+
+    const placeBreakAfter = (taskSlot) => {
+        // Rotate through breaks, skipping any that reached their max_per_day
+        for (let tries = 0; tries < breaks.length; tries++) {
+            const breakDecision = breaks[nextBreak % breaks.length];
+            nextBreak++;
+            if (breakDecision.fixed_time) continue;
+            if (breakDecision.max_per_day && countOf(breakDecision.id) >= breakDecision.max_per_day) continue;
+
+            const breakMinutes = durationOf(breakDecision);
+            if (isFree(taskSlot.end, taskSlot.end + breakMinutes)) {
+                place('break', breakDecision, taskSlot.end, breakMinutes);
+            }
+            return;
+        }
+    };
+
+    for (const task of ordered) {
+        const duration = durationOf(task, csp);
+        const effort = task.effort || 3;
+
+        // --- Hard bounds ---
+        let earliest = dayStart;
+        let latest = dayEnd;
+        let boundBy = null;
+
+        if (task.depends_on && byId.has(task.depends_on)) {
+            const dependency = byId.get(task.depends_on);
+            const dependencySlot = slotOf(dependency.id);
+            if (!dependencySlot) {
+                skip(task, CONSTRAINTS.DEPENDENCY,
+                    `"${task.title}" has to come after "${dependency.title}", which couldn't be scheduled today`);
+                continue;
+            }
+            if (dependencySlot.end > earliest) {
+                earliest = dependencySlot.end;
+                boundBy = CONSTRAINTS.DEPENDENCY;
+            }
+        }
+
+        // Fixed-time decisions that wait on this task need it finished first
+        for (const slot of slots) {
+            if (slot.decision.depends_on === task.id && slot.start < latest) {
+                latest = slot.start;
+                boundBy = CONSTRAINTS.DEPENDENCY;
+            }
+        }
+
+        const deadline = parseDeadline(task.deadline);
+        let overdue = false;
+        if (deadline && deadline.date < date) {
+            overdue = true;
+        } else if (deadline && deadline.date === date && onTimeline(deadline.minutes) < latest) {
+            latest = onTimeline(deadline.minutes);
+            boundBy = CONSTRAINTS.DEADLINE;
+        }
+
+        // --- Soft preferences: pick the best free slot within the bounds ---
+        let best = null;
+        for (const start of candidateStarts(duration, earliest, latest)) {
+            const end = start + duration;
+            let fit = scoreAt(task, hourOf(start));
+
+            const inPeak = start >= peakStart && end <= peakEnd;
+            const overlapsPeak = start < peakEnd && end > peakStart;
+            if (effort >= 4 && inPeak) fit += PEAK_FOCUS_BONUS;
+            if (effort <= 2 && overlapsPeak) fit -= PEAK_LIGHT_PENALTY;
+
+            fit -= ((start - dayStart) / 60) * EARLINESS_PER_HOUR;
+
+            if (!best || fit > best.fit) best = { start, fit };
+        }
+
+        if (!best) {
+            // Explain with the constraint that made it impossible, if the day had room otherwise
+            const fitsUnbounded = candidateStarts(duration).length > 0;
+            if (fitsUnbounded && boundBy === CONSTRAINTS.DEADLINE) {
+                skip(task, CONSTRAINTS.DEADLINE,
+                    `"${task.title}" needs ${duration}min but there isn't enough free time before its deadline (${deadline.label})`);
+            } else if (fitsUnbounded && boundBy === CONSTRAINTS.DEPENDENCY) {
+                skip(task, CONSTRAINTS.DEPENDENCY,
+                    `"${task.title}" needs ${duration}min between ${formatTime(earliest)} and ${formatTime(latest)} to respect its dependencies, but that time is taken`);
+            } else {
+                skip(task, CONSTRAINTS.CAPACITY, `Doesn't fit before ${formatTime(dayEnd)}`);
+            }
+            continue;
+        }
+
+        const taskSlot = place('task', task, best.start, duration);
+
+        if (overdue) {
+            conflicts.push({
+                decision: task,
+                constraint: CONSTRAINTS.DEADLINE,
+                reason: `"${task.title}" was due ${deadline.label} - scheduled at ${formatTime(taskSlot.start)} as overdue`,
+            });
+        }
+
+        if (breaksEnabled) {
+            placeBreakAfter(taskSlot);
+        }
+    }
+
+    // ===== STEP 4: VERIFY DEPENDENCIES OF PINNED ITEMS =====
+    // Fixed times and meal windows aren't moved for dependencies, so check them last
+    for (const slot of slots) {
+        if (slot.type === 'task' && !slot.decision.fixed_time) continue;
+        const dependencySlot = slot.decision.depends_on && slotOf(slot.decision.depends_on);
+        if (dependencySlot && dependencySlot.end > slot.start) {
+            conflicts.push({
+                decision: slot.decision,
+                constraint: CONSTRAINTS.DEPENDENCY,
+                reason: `"${slot.decision.title}" at ${formatTime(slot.start)} should come after "${dependencySlot.decision.title}", which ends at ${formatTime(dependencySlot.end)}`,
+            });
+        }
+    }
+
+    slots.sort((a, b) => a.start - b.start);
+
+    return { dayStart, dayEnd, peakStart, peakEnd, slots, unscheduled, conflicts };
+}
+
+module.exports = {
+    buildSchedule,
+    getDayWindow,
+    toMinutes,
+    formatTime,
+    hourOf,
+    parseDeadline,
+    MEAL_WINDOWS,
+    CONSTRAINTS,
+};
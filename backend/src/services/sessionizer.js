@@ -0,0 +1,208 @@
+/**
+ * Sessionizer
+ *
+ * PURPOSE:
+ * The client's session_end (with its total_duration_ms) often never arrives,
+ * and when it does it also counts time spent idle or in another tab. This
+ * rebuilds sessions from the raw interaction_events instead, so time on site
+ * means time the user was actually there.
+ *
+ * HOW IT WORKS:
+ * - Events are grouped by session_id (one per page load), and a group is split
+ *   wherever nothing was heard for INACTIVITY_GAP_MINUTES
+ * - Walking a session's events, the time between them goes to the state the
+ *   user was in:
+ *     away   - after visibility_change { visible: false }, until { visible: true }
+ *     idle   - from the last activity before an idle event (idle_seconds earlier)
+ *              until the next sign of activity (idle_end or any other event)
+ *     active - the rest
+ * - A session ends at its last event. One that may still be going on (no
+ *   session_end/page_unload, last event under the gap ago) runs until now if
+ *   the user was active
+ * - Sessions are rebuilt per local day (clipped at midnight) and stored in the
+ *   sessions table, replacing that day's previous reconstruction. Days before
+ *   yesterday are only rebuilt when nothing is stored for them (or on request) -
+ *   events rarely arrive that late
+ */
+
+const db = require('../repositories');
+const { addDays, localDate, startOfLocalDay, timezoneOf } = require('../lib/time');
+
+// Silence this long within one session_id starts a new session
+const INACTIVITY_GAP_MINUTES = 30;
+
+// Longest range one request may rebuild, in days
+const MAX_RANGE_DAYS = 31;
+
+const END_EVENTS = ['session_end', 'page_unload'];
+
+// Events that don't mean the user did something
+const PASSIVE_EVENTS = ['idle', 'visibility_change', ...END_EVENTS];
+
+const timeOf = (event) => Date.parse(event.timestamp);
+
+/**
+ * Split events (oldest first) into sessions: by session_id, then at inactivity gaps
+ * @returns {Array<Array<object>>} - Each session's events, oldest first
+ */
+function splitSessions(events) {
+    const gapMs = INACTIVITY_GAP_MINUTES * 60000;
+    const bySessionId = new Map();
+    for (const event of events) {
+        const key = event.session_id || '';
+        if (!bySessionId.has(key)) bySessionId.set(key, []);
+        bySessionId.get(key).push(event);
+    }
+
+    const sessions = [];
+    for (const group of bySessionId.values()) {
+        let current = [];
+        for (const event of group) {
+            if (current.length && timeOf(event) - timeOf(current[current.length - 1]) > gapMs) {
+                sessions.push(current);
+                current = [];
+            }
+            current.push(event);
+        }
+        sessions.push(current);
+    }
+    return sessions.sort((a, b) => timeOf(a[0]) - timeOf(b[0]));
+}
+
+/**
+ * Where a session's time went
+ * @param {Array<object>} events - The session's events, oldest first
+ * @param {number} now - Epoch ms an ongoing session may run until
+ * @returns {object} - { startedAt, endedAt, active, idle, away (ms), closed }
+ */
+function measureSession(events, now) {
+    const totals = { active: 0, idle: 0, away: 0 };
+    let state = 'active';
+    let since = timeOf(events[0]);
+    const moveTo = (next, at) => {
+        totals[state] += Math.max(0, at - since);
+        state = next;
+        since = Math.max(since, at);
+    };
+
+    for (const event of events) {
+        const at = timeOf(event);
+        if (event.event_type === 'visibility_change') {
+            moveTo(event.metadata?.visible === false ? 'away' : 'active', at);
+        } else if (event.event_type === 'idle') {
+            // The idle event fires idle_seconds after the last activity
+            if (state === 'active') {
+                moveTo('idle', at - (event.metadata?.idle_seconds || 0) * 1000);
+            }
+        } else if (!PASSIVE_EVENTS.includes(event.event_type) && state === 'idle') {
+            moveTo('active', at);
+        }
+    }
+
+    const last = events[events.length - 1];
+    const lastAt = timeOf(last);
+    const closed = END_EVENTS.includes(last.event_type) ||
+        now - lastAt > INACTIVITY_GAP_MINUTES * 60000;
+    const endedAt = !closed && state === 'active' ? Math.max(lastAt, now) : lastAt;
+    moveTo(state, endedAt);
+
+    return { startedAt: timeOf(events[0]), endedAt, ...totals, closed };
+}
+
+/**
+ * Sessions rows for one local day's events
+ */
+function sessionsForDay(userId, date, events, now) {
+    return splitSessions(events).map(sessionEvents => {
+        const session = measureSession(sessionEvents, now);
+        return {
+            user_id: userId,
+            session_id: sessionEvents[0].session_id || null,
+            session_date: date,
+            started_at: new Date(session.startedAt).toISOString(),
+            ended_at: new Date(session.endedAt).toISOString(),
+            active_seconds: Math.round(session.active / 1000),
+            idle_seconds: Math.round(session.idle / 1000),
+            away_seconds: Math.round(session.away / 1000),
+            event_count: sessionEvents.length,
+            closed: session.closed,
+        };
+    });
+}
+
+/**
+ * Rebuild and store the sessions of some local days
+ * @param {string} userId - User ID
+ * @param {string} timeZone - The user's timezone
+ * @param {Array<string>} dates - Days to rebuild ('YYYY-MM-DD'); their stored sessions are replaced
+ * @param {Array<object>} events - The events of those days, any order
+ * @returns {Array<object>} - The stored sessions rows
+ */
+async function rebuildSessions(userId, timeZone, dates, events) {
+    const eventsByDate = new Map(dates.map(date => [date, []]));
+    const sorted = [...events].sort((a, b) => timeOf(a) - timeOf(b));
+    for (const event of sorted) {
+        eventsByDate.get(localDate(timeZone, new Date(event.timestamp)))?.push(event);
+    }
+
+    const rows = [];
+    for (const [date, dayEvents] of eventsByDate) {
+        if (dayEvents.length === 0) continue;
+        // A day that's over can't have a session still going on
+        const dayEnd = Date.parse(startOfLocalDay(timeZone, addDays(date, 1)));
+        rows.push(...sessionsForDay(userId, date, dayEvents, Math.min(Date.now(), dayEnd)));
+    }
+    return db.sessions.replaceDays(userId, dates, rows);
+}
+
+/**
+ * Sessions between two local dates, rebuilding the days that need it
+ * @param {string} userId - User ID
+ * @param {object} options - { from, to: 'YYYY-MM-DD' (inclusive), profile (optional, saves a lookup) }
+ * @returns {Array<object>} - sessions rows, oldest first
+ */
+async function getSessions(userId, { from, to, profile }) {
+    const timeZone = timezoneOf(profile || await db.profiles.findById(userId));
+    const yesterday = addDays(localDate(timeZone), -1);
+
+    const dates = [];
+    for (let date = from; date <= to; date = addDays(date, 1)) dates.push(date);
+
+    const stored = await db.sessions.list(userId, { from, to });
+    const storedDates = new Set(stored.map(s => s.session_date));
+    const stale = dates.filter(date => date >= yesterday || !storedDates.has(date));
+
+    let rebuilt = [];
+    if (stale.length > 0) {
+        const events = await db.interactionEvents.list(userId, {
+            since: startOfLocalDay(timeZone, stale[0]),
+            until: startOfLocalDay(timeZone, addDays(stale[stale.length - 1], 1)),
+        });
+        rebuilt = await rebuildSessions(userId, timeZone, stale, events);
+    }
+
+    return [...stored.filter(s => !stale.includes(s.session_date)), ...rebuilt]
+        .sort((a, b) => Date.parse(a.started_at) - Date.parse(b.started_at));
+}
+
+/**
+ * Totals over a list of sessions (seconds)
+ */
+function summarizeSessions(sessions) {
+    return {
+        sessions: sessions.length,
+        active_seconds: sessions.reduce((sum, s) => sum + s.active_seconds, 0),
+        idle_seconds: sessions.reduce((sum, s) => sum + s.idle_seconds, 0),
+        away_seconds: sessions.reduce((sum, s) => sum + s.away_seconds, 0),
+    };
+}
+
+module.exports = {
+    INACTIVITY_GAP_MINUTES,
+    MAX_RANGE_DAYS,
+    splitSessions,
+    measureSession,
+    rebuildSessions,
+    getSessions,
+    summarizeSessions,
+};
@@ -0,0 +1,142 @@
+/**
+ * Task Progress Service
+ *
+ * PURPOSE:
+ * Accepting a card only means "I agree with the suggestion". This tracks what
+ * happened next to each accepted item (task_progress) - whether it was
+ * started, done or abandoned - and learns from how long tasks really took.
+ *
+ * HOW IT WORKS:
+ * - Accepting an item, or (auto-)accepting its card, adds its row as
+ *   'accepted' (POST /feedback); undoing an auto-accept removes the rows that
+ *   haven't moved since
+ * - The user moves an item along TRANSITIONS (POST /progress):
+ *     accepted -> started -> done
+ *     accepted -> done (never started, so no actual duration)
+ *     accepted / started -> abandoned
+ * - Only done marks the decision done, at that time (decisions.last_done_at):
+ *   a weekly task that's accepted, or abandoned, is still suggested until
+ *   it's finished that week
+ * - A started task that's done teaches its actual minutes to the CSP
+ *   (cspLearning.updateCspFromCompletion)
+ * Rows are per day (plan_date + card_id + decision_id): re-planning keeps
+ * decided cards under the same IDs, so their progress carries over.
+ */
+
+const db = require('../repositories');
+const { updateCspFromCompletion } = require('./cspLearning');
+const { toMinutes } = require('./scheduler');
+
+// Which statuses an item can move to from which
+const TRANSITIONS = {
+    started: ['accepted'],
+    done: ['accepted', 'started'],
+    abandoned: ['accepted', 'started'],
+};
+
+// Timestamp column for each status
+const STATUS_TIMES = {
+    started: 'started_at',
+    done: 'done_at',
+    abandoned: 'abandoned_at',
+};
+
+/**
+ * The card each item a piece of feedback is about sits on (see findFeedbackItems)
+ * @returns {Array} - [{ card, item }]
+ */
+function feedbackTargets(cards, itemType, itemId, cardId) {
+    if (itemType === 'card') {
+        const card = cards.find(c => c.id === itemId);
+        return (card?.items || []).map(item => ({ card, item }));
+    }
+    for (const card of cards.filter(c => !cardId || c.id === cardId)) {
+        const item = card.items.find(i => i.type === itemType && i.decision?.id === itemId);
+        if (item) return [{ card, item }];
+    }
+    return [];
+}
+
+/**
+ * Minutes an item was planned to take
+ */
+function plannedMinutes(item) {
+    const minutes = toMinutes(item.end_time) - toMinutes(item.start_time);
+    return minutes < 0 ? minutes + 1440 : minutes;
+}
+
+/**
+ * Add 'accepted' rows for the items accepted feedback is about (items that
+ * already have a row today keep it)
+ * @param {string} userId
+ * @param {object} feedback - { plan_id, item_type, item_id, card_id }
+ * @param {object} accepted - { acceptedAt }
+ */
+async function recordAccepted(userId, { plan_id, item_type, item_id, card_id }, { acceptedAt }) {
+    const plan = await db.dailyPlans.findById(userId, plan_id);
+    const targets = feedbackTargets(plan?.compressed_decision_cards || [], item_type, item_id, card_id)
+        .filter(({ item }) => item.decision?.id);
+    if (targets.length === 0) return [];
+
+    const existing = await db.taskProgress.list(userId, { planDate: plan.plan_date });
+    const hasRow = ({ card, item }) => existing.some(row => row.card_id === card.id && row.decision_id === item.decision.id);
+
+    return Promise.all(targets.filter(target => !hasRow(target)).map(({ card, item }) => db.taskProgress.create({
+        user_id: userId,
+        plan_id: plan.id,
+        plan_date: plan.plan_date,
+        card_id: card.id,
+        decision_id: item.decision.id,
+        accepted_at: acceptedAt,
+    })));
+}
+
+/**
+ * Remove the rows of an undone auto-accept that are still only 'accepted'
+ */
+async function forgetAccepted(userId, planId, cardId) {
+    const plan = await db.dailyPlans.findById(userId, planId);
+    if (!plan) return;
+    const rows = await db.taskProgress.list(userId, { planDate: plan.plan_date });
+    await Promise.all(rows
+        .filter(row => row.plan_id === plan.id && row.card_id === cardId && row.status === 'accepted')
+        .map(row => db.taskProgress.remove(userId, row.id)));
+}
+
+/**
+ * Move an item to a new status (the caller checks TRANSITIONS allows it)
+ * @param {string} userId
+ * @param {object} row - Its task_progress row
+ * @param {string} status - 'started', 'done' or 'abandoned'
+ * @param {object} item - The plan item (for its planned length)
+ * @returns {object} - The updated row
+ */
+async function moveItem(userId, row, status, item) {
+    const at = new Date().toISOString();
+    const updates = { status, [STATUS_TIMES[status]]: at };
+    if (status === 'done' && row.started_at) {
+        updates.actual_minutes = Math.max(1, Math.round((new Date(at) - new Date(row.started_at)) / 60000));
+    }
+    const updated = await db.taskProgress.update(userId, row.id, updates);
+
+    const decision = status === 'done' && await db.decisions.findById(userId, row.decision_id);
+    if (decision) {
+        await db.decisions.update(userId, decision.id, { last_done_at: at });
+        if (updates.actual_minutes) {
+            await updateCspFromCompletion(userId, {
+                decision,
+                plannedMinutes: plannedMinutes(item),
+                actualMinutes: updates.actual_minutes,
+            });
+        }
+    }
+
+    return updated;
+}
+
+module.exports = {
+    TRANSITIONS,
+    recordAccepted,
+    forgetAccepted,
+    moveItem,
+};
@@ -0,0 +1,225 @@
+/**
+ * Week Plan Service
+ *
+ * PURPOSE:
+ * /plan/history only looks back. This looks ahead: provisional plans for the
+ * next WEEK_DAYS days (GET /plan/week), so the user can see tomorrow, how
+ * loaded the coming days look and how their time splits between tasks, meals
+ * and breaks before the week happens.
+ *
+ * HOW IT WORKS:
+ * - Each day is planned like a real one (decisionEngine.planDay) from the
+ *   active decisions, their frequency / recurrence rules and the CSP, at the
+ *   day's forecast load
+ * - Days are planned in order, and a weekly decision scheduled on one counts
+ *   as done from then on (last_done_at), as if the user did it that day - so
+ *   it isn't suggested again for the rest of its week
+ * - The load forecast (forecastLoad) is the average daily load on the same
+ *   weekday over the last FORECAST_WEEKS weeks of history, or of every day
+ *   in that range when there's none on that weekday, or today's score
+ * - The plans are stored (provisional_plans) and recomputed when the week
+ *   moved on, when the decisions or the profile (CSP, day window) changed
+ *   since - their fingerprint - or when they're MAX_AGE_MINUTES old
+ * They're never promoted to the day's plan: when a day arrives, POST
+ * /plan/generate plans it from scratch.
+ */
+
+const { createHash } = require('crypto');
+const db = require('../repositories');
+const { planDay, serializeSchedule, getDefaultCsp } = require('./decisionEngine');
+const { calculateCognitiveLoad } = require('./cognitiveLoad');
+const { getLoadHistory } = require('./loadHistory');
+const { resolveConfig, autonomyLevelFor } = require('./loadFactors');
+const { dayOfWeek, DAY_CODES } = require('./recurrence');
+const { toMinutes } = require('./scheduler');
+const { getLearner } = require('./learners');
+const { addDays, localDate, startOfLocalDay, timezoneOf } = require('../lib/time');
+
+// Days planned ahead, starting tomorrow
+const WEEK_DAYS = 7;
+
+// Weeks of load history the forecast averages
+const FORECAST_WEEKS = 4;
+
+// Stored plans older than this are recomputed (the load history and learner move on)
+const MAX_AGE_MINUTES = 60;
+
+const DECISION_TYPES = ['task', 'meal', 'break'];
+
+// Suggested once a week until done (see services/recurrence.js)
+const isOncePerWeek = (decision) => decision.frequency === 'weekly' ||
+    (decision.frequency === 'custom' && decision.recurrence?.freq === 'weekly' && !decision.recurrence.by_day?.length);
+
+/**
+ * What the plans depend on: each active decision as it is now, and the profile
+ */
+function fingerprintOf(profile, decisions) {
+    const inputs = {
+        profile: [profile?.updated_at, profile?.csp_last_updated],
+        decisions: decisions
+            .map(d => [d.id, d.updated_at, d.last_done_at])
+            .sort((a, b) => (a[0] < b[0] ? -1 : 1)),
+    };
+    return createHash('sha1').update(JSON.stringify(inputs)).digest('hex');
+}
+
+/**
+ * Forecast load for each day: the average daily load on its weekday in the
+ * last FORECAST_WEEKS weeks, else over those weeks, else the current score
+ * @returns {object} - { [date]: { score, autonomyLevel, basis: 'weekday' | 'recent' | 'current', samples } }
+ */
+async function forecastLoad(userId, profile, today, dates) {
+    const history = await getLoadHistory(userId, {
+        from: addDays(today, -7 * FORECAST_WEEKS),
+        to: addDays(today, -1),
+        granularity: 'day',
+    });
+    const thresholds = resolveConfig(profile?.cognitive_load_config).thresholds;
+    const average = (points) => Math.round(points.reduce((sum, p) => sum + p.score, 0) / points.length);
+
+    let current = null;
+    const forecast = {};
+    for (const date of dates) {
+        const sameWeekday = history.points.filter(p => dayOfWeek(p.start) === dayOfWeek(date));
+        let score;
+        let basis;
+        let samples;
+        if (sameWeekday.length > 0) {
+            [score, basis, samples] = [average(sameWeekday), 'weekday', sameWeekday.length];
+        } else if (history.points.length > 0) {
+            [score, basis, samples] = [average(history.points), 'recent', history.points.length];
+        } else {
+            current = current || await calculateCognitiveLoad(userId);
+            [score, basis, samples] = [current.score, 'current', 0];
+        }
+        forecast[date] = { score, autonomyLevel: autonomyLevelFor(score, thresholds), basis, samples };
+    }
+    return forecast;
+}
+
+/**
+ * Plan the days ahead (nothing is stored)
+ * @param {string} userId
+ * @param {object} profile - The user's profile
+ * @param {Array} decisions - Active decisions
+ * @param {Array<string>} dates - 'YYYY-MM-DD' days to plan, in order
+ * @returns {Array} - provisional_plans rows
+ */
+async function planWeek(userId, profile, decisions, dates) {
+    const timeZone = timezoneOf(profile);
+    const csp = profile?.csp_vector || getDefaultCsp();
+    const learner = getLearner();
+    const forecast = await forecastLoad(userId, profile, localDate(timeZone), dates);
+    const fingerprint = fingerprintOf(profile, decisions);
+    const generatedAt = new Date().toISOString();
+
+    // Copies, so marking weekly decisions done doesn't touch the caller's
+    const planned = decisions.map(d => ({ ...d }));
+
+    return dates.map(date => {
+        const load = forecast[date];
+        const { cards, schedule, applicableDecisions } = planDay(planned, {
+            profile,
+            csp,
+            planDate: date,
+            cognitiveLoad: load.score,
+            autonomyLevel: load.autonomyLevel,
+            learner,
+            localNow: `${date}T00:00`,
+        });
+
+        // Weekly decisions planned today are done for the rest of the week
+        const scheduledIds = new Set(schedule.slots.map(slot => slot.decision.id));
+        planned
+            .filter(d => scheduledIds.has(d.id) && isOncePerWeek(d))
+            .forEach(d => { d.last_done_at = startOfLocalDay(timeZone, date); });
+
+        return {
+            user_id: userId,
+            plan_date: date,
+            compressed_decision_cards: cards,
+            schedule: serializeSchedule(schedule, cards),
+            cognitive_load: load.score,
+            autonomy_level: load.autonomyLevel,
+            generation_context: {
+                fingerprint,
+                load_basis: load.basis,
+                load_samples: load.samples,
+                total_decisions: applicableDecisions.length,
+                generated_at: generatedAt,
+            },
+        };
+    });
+}
+
+/**
+ * Scheduled decisions and minutes by type, for a day's plan
+ * @returns {object} - { decisions, scheduled_minutes, unscheduled, by_type: { task: { count, minutes }, ... } }
+ */
+function summarizeDay(schedule) {
+    const slots = schedule?.slots || [];
+    const lengthOf = (slot) => {
+        const minutes = toMinutes(slot.end_time) - toMinutes(slot.start_time);
+        return minutes < 0 ? minutes + 1440 : minutes;
+    };
+
+    const byType = Object.fromEntries(DECISION_TYPES.map(type => [type, { count: 0, minutes: 0 }]));
+    for (const slot of slots) {
+        if (!byType[slot.type]) continue;
+        byType[slot.type].count += 1;
+        byType[slot.type].minutes += lengthOf(slot);
+    }
+
+    return {
+        decisions: new Set(slots.map(slot => slot.decision_id)).size,
+        scheduled_minutes: slots.reduce((sum, slot) => sum + lengthOf(slot), 0),
+        unscheduled: schedule?.unscheduled?.length || 0,
+        by_type: byType,
+    };
+}
+
+/**
+ * The user's provisional plans for the coming week, recomputed if they're stale
+ * @param {string} userId
+ * @returns {object} - { from, to, regenerated, days: [{ ...provisional plan, weekday, summary }] }
+ */
+async function getWeekPlans(userId) {
+    const profile = await db.profiles.findById(userId);
+    const today = localDate(timezoneOf(profile));
+    const dates = Array.from({ length: WEEK_DAYS }, (_, i) => addDays(today, i + 1));
+
+    const decisions = await db.decisions.list(userId, { active: true });
+    const fingerprint = fingerprintOf(profile, decisions);
+    const oldest = Date.now() - MAX_AGE_MINUTES * 60 * 1000;
+
+    let plans = await db.provisionalPlans.list(userId, { from: dates[0], to: dates[dates.length - 1] });
+    const fresh = plans.length === (decisions.length > 0 ? dates.length : 0) &&
+        plans.every(plan => plan.generation_context?.fingerprint === fingerprint &&
+            Date.parse(plan.created_at) >= oldest);
+
+    if (!fresh) {
+        // Also drops the days that have arrived since
+        const rows = decisions.length > 0 ? await planWeek(userId, profile, decisions, dates) : [];
+        plans = await db.provisionalPlans.replaceAll(userId, rows);
+    }
+
+    return {
+        from: dates[0],
+        to: dates[dates.length - 1],
+        regenerated: !fresh,
+        days: [...plans]
+            .sort((a, b) => (a.plan_date < b.plan_date ? -1 : 1))
+            .map(plan => ({
+                ...plan,
+                weekday: DAY_CODES[dayOfWeek(plan.plan_date)],
+                summary: summarizeDay(plan.schedule),
+            })),
+    };
+}
+
+module.exports = {
+    WEEK_DAYS,
+    getWeekPlans,
+    planWeek,
+    summarizeDay,
+};
@@ -0,0 +1,331 @@
+/**
+ * API behaviour: authentication, request validation, plan generation and
+ * versions, feedback and task progress - through HTTP, on the memory storage
+ * driver
+ */
+const { startApp, tokenFor } = require('./helpers');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const db = require('../src/repositories');
+
+// A fixed-offset timezone where it's around midday now, so today's plan has
+// the whole afternoon to schedule into whenever the tests run
+function middayTimezone() {
+    const offset = 12 - new Date().getUTCHours();
+    return offset >= 0 ? `Etc/GMT-${offset}` : `Etc/GMT+${-offset}`;
+}
+
+let api;
+before(async () => {
+    api = await startApp();
+});
+after(() => api.close());
+
+describe('authentication', () => {
+    it('lets anyone check the health endpoint', async () => {
+        const { status, body } = await api.request('GET', '/health');
+        assert.equal(status, 200);
+        assert.equal(body.status, 'ok');
+    });
+
+    it('answers 401 without an access token', async () => {
+        const { status, body } = await api.request('GET', '/decisions');
+        assert.equal(status, 401);
+        assert.equal(typeof body.error, 'string');
+    });
+
+    it('answers 401 for a token signed with another secret', async () => {
+        const token = jwt.sign({ sub: 'intruder' }, 'not-the-secret', { audience: 'authenticated' });
+        const { status } = await api.request('GET', '/decisions', { token });
+        assert.equal(status, 401);
+    });
+
+    it('answers 401 for an expired token', async () => {
+        const token = jwt.sign({ sub: 'late-user', exp: Math.floor(Date.now() / 1000) - 60 },
+            process.env.SUPABASE_JWT_SECRET, { audience: 'authenticated' });
+        const { status } = await api.request('GET', '/decisions', { token });
+        assert.equal(status, 401);
+    });
+
+    it('accepts a valid token', async () => {
+        const { status, body } = await api.request('GET', '/decisions', { token: tokenFor('auth-user') });
+        assert.equal(status, 200);
+        assert.deepEqual(body.decisions, []);
+    });
+});
+
+describe('validation', () => {
+    const user = 'validation-user';
+
+    it('reports each invalid field of a body', async () => {
+        const { status, body } = await api.request('POST', '/decisions', {
+            user,
+            body: { type: 'chore', effort: 9 },
+        });
+        assert.equal(status, 400);
+        assert.deepEqual(Object.keys(body.fields).sort(), ['effort', 'title', 'type']);
+        assert.match(body.error, /title is required/);
+    });
+
+    it('rejects a deadline with a timezone offset', async () => {
+        const { status, body } = await api.request('POST', '/decisions', {
+            user,
+            body: { type: 'task', title: 'Report', deadline: '2025-01-31T17:00:00Z' },
+        });
+        assert.equal(status, 400);
+        assert.ok(body.fields.deadline);
+    });
+
+    it('checks query parameters', async () => {
+        const { status, body } = await api.request('GET', '/plan/history?limit=0', { user });
+        assert.equal(status, 400);
+        assert.ok(body.fields.limit);
+    });
+
+    it('runs checks that involve several fields', async () => {
+        const { status, body } = await api.request('POST', '/feedback', {
+            user,
+            body: { plan_id: 'some-plan', item_type: 'task', action: 'accept' },
+        });
+        assert.equal(status, 400);
+        assert.ok(body.fields.item_id);
+    });
+
+    it("doesn't store fields the schema doesn't have", async () => {
+        const { status, body } = await api.request('POST', '/decisions', {
+            user,
+            body: { type: 'task', title: 'Stretch', user_id: 'someone-else' },
+        });
+        assert.equal(status, 201);
+        assert.equal(body.decision.user_id, user);
+    });
+});
+
+describe('plans', () => {
+    const user = 'plan-user';
+    let first;
+
+    before(async () => {
+        await api.request('POST', '/profile', {
+            user,
+            body: { timezone: middayTimezone(), wake_time: '07:00', sleep_time: '23:00' },
+        });
+        for (const decision of [
+            { type: 'task', title: 'Write report', estimated_minutes: 60, effort: 4 },
+            { type: 'task', title: 'Answer email', estimated_minutes: 30, effort: 2 },
+            { type: 'break', title: 'Walk', break_duration: 10 },
+        ]) {
+            await api.request('POST', '/decisions', { user, body: decision });
+        }
+    });
+
+    it('generates a first version of today\'s plan', async () => {
+        const { status, body } = await api.request('POST', '/plan/generate', { user });
+        assert.equal(status, 201);
+        assert.equal(body.regenerated, false);
+        assert.equal(body.plan.version, 1);
+        assert.ok(body.plan.compressed_decision_cards.length > 0);
+        first = body.plan;
+    });
+
+    it('returns the existing plan instead of generating another', async () => {
+        const { status, body } = await api.request('POST', '/plan/generate', { user });
+        assert.equal(status, 200);
+        assert.equal(body.regenerated, false);
+        assert.equal(body.plan.id, first.id);
+    });
+
+    it('adds a version when forced, keeping the old one', async () => {
+        const { status, body } = await api.request('POST', '/plan/generate?force=true', { user });
+        assert.equal(status, 201);
+        assert.equal(body.regenerated, true);
+        assert.equal(body.plan.version, 2);
+        assert.equal(body.plan.previous_plan_id, first.id);
+
+        const today = await api.request('GET', '/plan/today', { user });
+        assert.equal(today.body.plan.id, body.plan.id);
+    });
+
+    it('lists every version of the day with what changed', async () => {
+        const { status, body } = await api.request('GET', `/plan/${first.id}/versions`, { user });
+        assert.equal(status, 200);
+        assert.equal(body.latest_version, 2);
+        assert.deepEqual(body.versions.map(v => v.version), [1, 2]);
+        assert.equal(body.versions[0].changes, null);
+        assert.ok(body.versions[0].superseded_at);
+        assert.ok(body.versions[1].changes);
+    });
+
+    it("doesn't show a plan to another user", async () => {
+        const { status } = await api.request('GET', `/plan/${first.id}/versions`, { user: 'someone-else' });
+        assert.equal(status, 404);
+    });
+});
+
+describe('feedback', () => {
+    const user = 'feedback-user';
+    let plan;
+
+    before(async () => {
+        await api.request('POST', '/profile', { user, body: { timezone: middayTimezone() } });
+        await api.request('POST', '/decisions', {
+            user,
+            body: { type: 'task', title: 'Plan the week', estimated_minutes: 30 },
+        });
+        plan = (await api.request('POST', '/plan/generate', { user })).body.plan;
+    });
+
+    it("records an accepted item without marking its decision done", async () => {
+        const card = plan.compressed_decision_cards[0];
+        const item = card.items.find(i => i.type === 'task');
+
+        const { status, body } = await api.request('POST', '/feedback', {
+            user,
+            body: {
+                plan_id: plan.id,
+                item_type: 'task',
+                item_id: item.decision.id,
+                action: 'accept',
+                context: { card_id: card.id },
+            },
+        });
+        assert.equal(status, 201);
+        assert.equal(body.feedback.action, 'accept');
+        assert.equal(body.csp_updated, true);
+
+        // Only finishing it does (POST /progress)
+        const decision = await api.request('GET', `/decisions/${item.decision.id}`, { user });
+        assert.equal(decision.body.decision.last_done_at, null);
+    });
+
+    it('records an override of a whole card', async () => {
+        const { status } = await api.request('POST', '/feedback', {
+            user,
+            body: {
+                plan_id: plan.id,
+                item_type: 'card',
+                item_id: plan.compressed_decision_cards[0].id,
+                action: 'override',
+                override_value: 'Did something else',
+            },
+        });
+        assert.equal(status, 201);
+    });
+
+    it('counts the feedback in the stats', async () => {
+        const { status, body } = await api.request('GET', '/feedback/stats', { user });
+        assert.equal(status, 200);
+        assert.equal(body.stats.total, 2);
+        assert.equal(body.stats.accepts, 1);
+        assert.equal(body.stats.overrides, 1);
+        assert.equal(body.stats.accept_rate, '0.50');
+    });
+
+    it('only allows auto_accept for whole cards', async () => {
+        const { status, body } = await api.request('POST', '/feedback', {
+            user,
+            body: { plan_id: plan.id, item_type: 'task', item_id: 'x', action: 'auto_accept' },
+        });
+        assert.equal(status, 400);
+        assert.ok(body.fields.item_type);
+    });
+});
+
+describe('progress', () => {
+    const user = 'progress-user';
+    let plan;
+    const items = {};
+
+    const move = (title, status) => api.request('POST', '/progress', {
+        user,
+        body: { plan_id: plan.id, card_id: items[title].card.id, decision_id: items[title].decision.id, status },
+    });
+    const lastDoneAt = async (title) =>
+        (await api.request('GET', `/decisions/${items[title].decision.id}`, { user })).body.decision.last_done_at;
+    const rowOf = async (title) =>
+        (await api.request('GET', '/progress', { user })).body.progress.find(row => row.decision_id === items[title].decision.id);
+
+    before(async () => {
+        await api.request('POST', '/profile', { user, body: { timezone: middayTimezone() } });
+        for (const [title, minutes] of [['Write report', 60], ['Tidy desk', 15], ['Call the bank', 15], ['Water plants', 10]]) {
+            await api.request('POST', '/decisions', { user, body: { type: 'task', title, estimated_minutes: minutes } });
+        }
+        plan = (await api.request('POST', '/plan/generate', { user })).body.plan;
+        for (const card of plan.compressed_decision_cards) {
+            for (const item of card.items.filter(i => i.type === 'task')) {
+                items[item.decision.title] = { card, decision: item.decision };
+            }
+        }
+    });
+
+    it('answers 409 for an item that was never accepted', async () => {
+        const { status, body } = await move('Write report', 'started');
+        assert.equal(status, 409);
+        assert.match(body.error, /accept it first/);
+    });
+
+    it('tracks accepted items without marking them done', async () => {
+        for (const { card, decision } of Object.values(items)) {
+            await api.request('POST', '/feedback', {
+                user,
+                body: { plan_id: plan.id, item_type: 'task', item_id: decision.id, action: 'accept', context: { card_id: card.id } },
+            });
+        }
+
+        const { body } = await api.request('GET', '/progress', { user });
+        assert.equal(body.progress.length, 4);
+        assert.ok(body.progress.every(row => row.status === 'accepted'));
+        assert.equal(await lastDoneAt('Write report'), null);
+    });
+
+    it('goes from accepted to started to done, learning how long the task took', async () => {
+        let { status, body } = await move('Write report', 'started');
+        assert.equal(status, 200);
+        assert.equal(body.progress.status, 'started');
+
+        ({ status } = await move('Write report', 'started'));
+        assert.equal(status, 409);
+
+        const cspOf = async () => (await api.request('GET', '/profile', { user })).body.profile.csp_vector;
+        const focusBefore = (await cspOf()).focus_duration_preference;
+
+        // Started 40 minutes ago
+        const row = await rowOf('Write report');
+        await db.taskProgress.update(user, row.id, { started_at: new Date(Date.now() - 40 * 60000).toISOString() });
+
+        ({ status, body } = await move('Write report', 'done'));
+        assert.equal(status, 200);
+        assert.equal(body.progress.actual_minutes, 40);
+        assert.ok(await lastDoneAt('Write report'));
+
+        // 30% of the way from the planned 60 minutes to 40, and a tenth of the way for focus
+        const csp = await cspOf();
+        assert.deepEqual(csp.duration_estimates[items['Write report'].decision.id], { minutes: 54, samples: 1 });
+        assert.equal(csp.focus_duration_preference, Math.round(focusBefore + 0.1 * (40 - focusBefore)));
+    });
+
+    it("can be done without being started, but isn't learned from", async () => {
+        const { status, body } = await move('Tidy desk', 'done');
+        assert.equal(status, 200);
+        assert.equal(body.progress.actual_minutes, null);
+        assert.ok(await lastDoneAt('Tidy desk'));
+
+        for (const next of ['started', 'done', 'abandoned']) {
+            const again = await move('Tidy desk', next);
+            assert.equal(again.status, 409);
+            assert.match(again.body.error, /already done/);
+        }
+    });
+
+    it('leaves last_done_at alone when an item is abandoned', async () => {
+        assert.equal((await move('Call the bank', 'started')).status, 200);
+        assert.equal((await move('Call the bank', 'abandoned')).status, 200);
+        assert.equal((await move('Water plants', 'abandoned')).status, 200);
+
+        assert.equal(await lastDoneAt('Call the bank'), null);
+        assert.equal(await lastDoneAt('Water plants'), null);
+        assert.equal((await move('Water plants', 'done')).status, 409);
+        assert.equal((await rowOf('Water plants')).status, 'abandoned');
+    });
+});
@@ -0,0 +1,12 @@
+/**
+ * The API contract (scripts/checkContract.js): the app serves exactly the
+ * routes in shared/apiRoutes.mjs and answers as the OpenAPI document says
+ */
+const { it } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkContract } = require('../scripts/checkContract');
+
+it('serves the documented routes, schemas, statuses and response shapes', async () => {
+    const { problems } = await checkContract();
+    assert.deepEqual(problems, []);
+});
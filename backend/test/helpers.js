@@ -0,0 +1,67 @@
+/**
+ * Test Helpers
+ *
+ * Runs the Express app on a free port with the memory storage driver, so the
+ * tests need no network and no Supabase project. node --test runs every test
+ * file in its own process, so each file gets a fresh, empty store.
+ *
+ * Require this before anything from src/: the storage driver is picked when
+ * the repositories are first loaded.
+ */
+process.env.STORAGE_DRIVER = 'memory';
+process.env.SUPABASE_JWT_SECRET = 'test-secret';
+delete process.env.SUPABASE_JWT_AUDIENCE;
+
+const jwt = require('jsonwebtoken');
+const app = require('../src/app');
+
+/**
+ * An access token for a user, signed like Supabase's
+ */
+function tokenFor(userId) {
+    return jwt.sign({ sub: userId, role: 'authenticated' }, process.env.SUPABASE_JWT_SECRET, {
+        algorithm: 'HS256', audience: 'authenticated', expiresIn: '5m',
+    });
+}
+
+/**
+ * Start the app
+ * @returns {object} - { baseUrl, request(method, path, { user, token, body }), close() }
+ *   request() resolves to { status, body } (body is parsed when it's JSON)
+ */
+async function startApp() {
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, () => resolve(listening));
+    });
+    const baseUrl = `http://localhost:${server.address().port}`;
+
+    // The app logs every request
+    const log = console.log;
+    console.log = () => {};
+
+    const request = async (method, path, { user, token, body } = {}) => {
+        const authToken = token || (user && tokenFor(user));
+        const response = await fetch(baseUrl + path, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(authToken && { Authorization: `Bearer ${authToken}` }),
+            },
+            ...(body !== undefined && { body: JSON.stringify(body) }),
+        });
+        const isJson = response.headers.get('content-type')?.includes('application/json');
+        return { status: response.status, body: isJson ? await response.json() : await response.text() };
+    };
+
+    const close = () => new Promise(resolve => {
+        console.log = log;
+        server.close(resolve);
+    });
+
+    return { baseUrl, request, close };
+}
+
+module.exports = {
+    tokenFor,
+    startApp,
+};
@@ -0,0 +1,112 @@
+/**
+ * The LinUCB learner (services/learners/linUcbLearner.js): deferring to the
+ * heuristic until it has enough feedback, each decision's own history and
+ * the LEARNER_EXPLORATION setting
+ */
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const linucb = require('../src/services/learners/linUcbLearner');
+const heuristic = require('../src/services/learners/heuristicLearner');
+
+const CONTEXT = { weekday: 'MO', cognitiveLoad: 40 };
+
+// Two tasks the bandit's features can't tell apart
+const REPORT = { id: 'report', type: 'task', title: 'Report', effort: 3, tags: ['work'] };
+const SLIDES = { id: 'slides', type: 'task', title: 'Slides', effort: 3, tags: ['work'] };
+
+const feedbackOn = (decision, action, time = '09:00') => ({
+    action,
+    items: [{ type: 'task', start_time: time, decision }],
+    context: { cognitive_load: CONTEXT.cognitiveLoad },
+    hour: parseInt(time),
+    weekday: CONTEXT.weekday,
+});
+
+// A CSP that has learned from `count` pieces of feedback, alternating between the two tasks
+function trained(count, { report = 'accept', slides = 'override' } = {}) {
+    const csp = {};
+    for (let i = 0; i < count; i++) {
+        linucb.learn(csp, i % 2 === 0 ? feedbackOn(REPORT, report) : feedbackOn(SLIDES, slides));
+    }
+    return csp;
+}
+
+const saved = process.env.LEARNER_EXPLORATION;
+const explore = (value) => {
+    if (value === undefined) delete process.env.LEARNER_EXPLORATION;
+    else process.env.LEARNER_EXPLORATION = String(value);
+};
+afterEach(() => explore(saved));
+
+describe('before and after MIN_OBSERVATIONS', () => {
+    it('scores like the heuristic until the bandit has seen enough feedback', () => {
+        const csp = trained(linucb.MIN_OBSERVATIONS - 1);
+        const score = linucb.scorer(csp, CONTEXT);
+        const fallback = heuristic.scorer(csp, CONTEXT);
+
+        for (const hour of [9, 14, 20]) {
+            assert.equal(score(REPORT, hour), fallback(REPORT, hour));
+        }
+        assert.equal(csp.bandit.n, linucb.MIN_OBSERVATIONS - 1);
+    });
+
+    it('switches to the bandit on the MIN_OBSERVATIONS-th update', () => {
+        const csp = trained(linucb.MIN_OBSERVATIONS - 1);
+        linucb.learn(csp, feedbackOn(REPORT, 'accept'));
+
+        const score = linucb.scorer(csp, CONTEXT);
+        const fallback = heuristic.scorer(csp, CONTEXT);
+        assert.notEqual(score(REPORT, 9), fallback(REPORT, 9));
+    });
+
+    it('starts over when the stored model has another feature version', () => {
+        const csp = trained(linucb.MIN_OBSERVATIONS + 5);
+        csp.bandit.version = 0;
+
+        assert.equal(linucb.scorer(csp, CONTEXT)(REPORT, 9), heuristic.scorer(csp, CONTEXT)(REPORT, 9));
+        linucb.learn(csp, feedbackOn(REPORT, 'accept'));
+        assert.equal(csp.bandit.n, 1);
+    });
+});
+
+describe("each decision's own history", () => {
+    it('tells apart look-alike decisions the user treats differently', () => {
+        explore(0);
+        assert.deepEqual(linucb.features(REPORT, { hour: 9, weekday: 'MO', load: 40 }),
+            linucb.features(SLIDES, { hour: 9, weekday: 'MO', load: 40 }));
+
+        const score = linucb.scorer(trained(2 * linucb.MIN_OBSERVATIONS), CONTEXT);
+        assert.ok(score(REPORT, 9) > score(SLIDES, 9));
+
+        // The other way round when the user's reactions are swapped
+        const swapped = linucb.scorer(trained(2 * linucb.MIN_OBSERVATIONS, { report: 'override', slides: 'accept' }), CONTEXT);
+        assert.ok(swapped(REPORT, 9) < swapped(SLIDES, 9));
+    });
+});
+
+describe('LEARNER_EXPLORATION', () => {
+    const NEW = { id: 'new', type: 'task', title: 'New', effort: 3, tags: ['work'] };
+    const scoreAt = (value, decision, hour) => {
+        explore(value);
+        return linucb.scorer(trained(2 * linucb.MIN_OBSERVATIONS), CONTEXT)(decision, hour);
+    };
+
+    it('defaults to 1, and reads nonsense as 0', () => {
+        assert.equal(scoreAt(undefined, NEW, 9), scoreAt(1, NEW, 9));
+        assert.equal(scoreAt('lots', NEW, 9), scoreAt(0, NEW, 9));
+        assert.equal(scoreAt(-1, NEW, 9), scoreAt(0, NEW, 9));
+    });
+
+    it('favours untried decisions and time slots more the higher it is', () => {
+        const scores = [0, 1, 2].map(value => scoreAt(value, NEW, 22));
+        assert.ok(scores[0] < scores[1] && scores[1] < scores[2]);
+    });
+
+    it('adds less for what the user has often reacted to', () => {
+        // Bonus over pure exploitation: a slot with plenty of feedback vs. one without any
+        const seenBonus = scoreAt(1, REPORT, 9) - scoreAt(0, REPORT, 9);
+        const unseenBonus = scoreAt(1, NEW, 22) - scoreAt(0, NEW, 22);
+        assert.ok(seenBonus > 0);
+        assert.ok(seenBonus < unseenBonus);
+    });
+});
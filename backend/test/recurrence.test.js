@@ -0,0 +1,116 @@
+/**
+ * Which days a decision is suggested on (services/recurrence.js): simple
+ * frequencies, weekly until done, and custom RRULE-style rules
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { isDueOn, doneThisWeek, dayOfWeek } = require('../src/services/recurrence');
+
+// The week of Monday 2025-03-10 to Sunday 2025-03-16
+const MONDAY = '2025-03-10';
+const WEDNESDAY = '2025-03-12';
+const SATURDAY = '2025-03-15';
+const SUNDAY = '2025-03-16';
+
+const dueDays = (decision, from, days, timeZone) => {
+    const due = [];
+    for (let i = 0; i < days; i++) {
+        const date = new Date(Date.parse(`${from}T00:00:00Z`) + i * 86400000).toISOString().slice(0, 10);
+        if (isDueOn(decision, date, timeZone)) due.push(date);
+    }
+    return due;
+};
+
+describe('simple frequencies', () => {
+    it('knows the day of the week', () => {
+        assert.deepEqual([MONDAY, WEDNESDAY, SATURDAY, SUNDAY].map(dayOfWeek), [1, 3, 6, 0]);
+    });
+
+    it('suggests daily, weekday and weekend decisions on their days', () => {
+        assert.equal(dueDays({ frequency: 'daily' }, MONDAY, 7).length, 7);
+        assert.deepEqual(dueDays({ frequency: 'weekdays' }, MONDAY, 7),
+            ['2025-03-10', '2025-03-11', '2025-03-12', '2025-03-13', '2025-03-14']);
+        assert.deepEqual(dueDays({ frequency: 'weekends' }, MONDAY, 7), [SATURDAY, SUNDAY]);
+    });
+});
+
+describe('weekly decisions', () => {
+    it('are suggested every day until done that week', () => {
+        const decision = { frequency: 'weekly', last_done_at: null };
+        assert.equal(dueDays(decision, MONDAY, 7).length, 7);
+
+        decision.last_done_at = '2025-03-12T15:00:00Z';
+        assert.deepEqual(dueDays(decision, MONDAY, 14), [
+            // Days before it was done (a plan for them is still made as if it wasn't)
+            '2025-03-10', '2025-03-11',
+            // Next week
+            '2025-03-17', '2025-03-18', '2025-03-19', '2025-03-20', '2025-03-21', '2025-03-22', '2025-03-23',
+        ]);
+    });
+
+    it("count last week's completion as last week's", () => {
+        const decision = { frequency: 'weekly', last_done_at: '2025-03-09T18:00:00Z' };
+        assert.equal(doneThisWeek(decision, MONDAY), false);
+        assert.equal(isDueOn(decision, MONDAY), true);
+    });
+
+    it("read when they were done in the user's timezone", () => {
+        // Sunday 23:30 in UTC is already Monday in Berlin
+        const decision = { frequency: 'weekly', last_done_at: '2025-03-09T23:30:00Z' };
+        assert.equal(doneThisWeek(decision, WEDNESDAY, 'UTC'), false);
+        assert.equal(doneThisWeek(decision, WEDNESDAY, 'Europe/Berlin'), true);
+    });
+});
+
+describe('custom rules', () => {
+    const custom = (recurrence, fields = {}) => ({ frequency: 'custom', recurrence, ...fields });
+
+    it('repeats every N days from the start date', () => {
+        const decision = custom({ freq: 'daily', interval: 3, start_date: '2025-03-09' });
+        assert.deepEqual(dueDays(decision, '2025-03-08', 10), ['2025-03-09', '2025-03-12', '2025-03-15']);
+    });
+
+    it('repeats on days of the week', () => {
+        const decision = custom({ freq: 'weekly', by_day: ['MO', 'WE', 'FR'], start_date: '2025-03-01' });
+        assert.deepEqual(dueDays(decision, MONDAY, 7), ['2025-03-10', '2025-03-12', '2025-03-14']);
+    });
+
+    it('repeats every other Tuesday, counting weeks from the start date', () => {
+        // Starts on a Thursday: that week's Tuesday is before the start, the next week is off
+        const decision = custom({ freq: 'weekly', interval: 2, by_day: ['TU'], start_date: '2025-03-06' });
+        assert.deepEqual(dueDays(decision, '2025-03-01', 35), ['2025-03-18', '2025-04-01']);
+    });
+
+    it('stays within its start and end date and skips exceptions', () => {
+        const decision = custom({
+            freq: 'daily',
+            start_date: '2025-03-11',
+            end_date: '2025-03-14',
+            exceptions: ['2025-03-13'],
+        });
+        assert.deepEqual(dueDays(decision, MONDAY, 7), ['2025-03-11', '2025-03-12', '2025-03-14']);
+    });
+
+    it('without days of the week, is suggested once in each active week until done', () => {
+        const decision = custom(
+            { freq: 'weekly', interval: 2, start_date: MONDAY },
+            { last_done_at: '2025-03-11T10:00:00Z' },
+        );
+        assert.deepEqual(dueDays(decision, MONDAY, 21), [
+            '2025-03-10',
+            // Done on the 11th; the week after is off
+            '2025-03-24', '2025-03-25', '2025-03-26', '2025-03-27', '2025-03-28', '2025-03-29', '2025-03-30',
+        ]);
+    });
+
+    it("starts on the day the decision was created in the user's timezone", () => {
+        const decision = custom({ freq: 'daily', interval: 2 }, { created_at: '2025-03-10T23:30:00Z' });
+
+        assert.deepEqual(dueDays(decision, MONDAY, 4, 'UTC'), ['2025-03-10', '2025-03-12']);
+        assert.deepEqual(dueDays(decision, MONDAY, 4, 'Asia/Tokyo'), ['2025-03-11', '2025-03-13']);
+    });
+
+    it('is always due without a rule', () => {
+        assert.equal(dueDays({ frequency: 'custom', recurrence: null }, MONDAY, 7).length, 7);
+    });
+});
@@ -0,0 +1,161 @@
+/**
+ * Re-planning the rest of a day (services/replan.js): decided cards are kept,
+ * handled decisions are left out and the rest is scheduled again from now -
+ * on the memory storage driver, with the clock fixed
+ */
+require('./helpers');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../src/repositories');
+const { generateDailyPlan } = require('../src/services/decisionEngine');
+const { replanDay, decidedCards } = require('../src/services/replan');
+
+const USER = 'replan-user';
+const DATE = '2025-03-10';
+
+let profile;
+let decisions;
+
+// Today's plan as generated at 08:00, stored as `version`
+async function storePlan(version = 1, previous = null) {
+    const data = await generateDailyPlan(USER, { planDate: DATE });
+    return db.dailyPlans.create({
+        user_id: USER,
+        plan_date: DATE,
+        version,
+        previous_plan_id: previous?.id || null,
+        compressed_decision_cards: data.cards,
+        schedule: data.schedule,
+        cognitive_load: data.cognitiveLoad,
+        autonomy_level: data.autonomyLevel,
+    });
+}
+
+const cardWith = (plan, title) => plan.compressed_decision_cards.find(card =>
+    card.items.some(item => item.decision?.title === title));
+
+const feedbackOn = (plan, fields) => db.feedback.create({ user_id: USER, plan_id: plan.id, ...fields });
+
+const titlesOf = (cards) => cards.flatMap(card => card.items.map(item => item.decision?.title));
+
+const replanAt = (plan, time) => {
+    mock.timers.setTime(Date.parse(`${DATE}T${time}:00Z`));
+    return replanDay(USER, plan, profile);
+};
+
+beforeEach(async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.parse(`${DATE}T08:00:00Z`) });
+    mock.method(console, 'log', () => {});
+    db.reset();
+
+    profile = await db.profiles.create({ id: USER, timezone: 'UTC', wake_time: '07:00', sleep_time: '23:00' });
+    decisions = {};
+    for (const decision of [
+        { type: 'task', title: 'Report', estimated_minutes: 60, effort: 4 },
+        { type: 'task', title: 'Email', estimated_minutes: 30, effort: 2 },
+        { type: 'task', title: 'Call', estimated_minutes: 30, effort: 2 },
+        { type: 'meal', title: 'Lunch', meal_type: 'lunch' },
+        { type: 'break', title: 'Walk', break_duration: 10 },
+    ]) {
+        const stored = await db.decisions.create({ user_id: USER, ...decision });
+        decisions[stored.title] = stored;
+    }
+});
+
+afterEach(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+});
+
+describe('re-planning the rest of the day', () => {
+    it('schedules everything again from now, numbering new cards after the old ones', async () => {
+        const plan = await storePlan();
+        const result = await replanAt(plan, '13:00');
+
+        assert.equal(result.replannedFrom, '13:00');
+        assert.equal(result.kept, 0);
+        assert.ok(result.cards.every(card => card.start_time >= '13:00'));
+        assert.deepEqual(new Set(titlesOf(result.cards)), new Set(['Report', 'Email', 'Call', 'Lunch', 'Walk']));
+
+        const lastOld = Math.max(...plan.compressed_decision_cards.map(card => Number(card.id.split('_')[1])));
+        assert.ok(result.cards.every(card => Number(card.id.split('_')[1]) > lastOld));
+    });
+
+    it('keeps the cards the user decided on, with what was decided, and plans around them', async () => {
+        const plan = await storePlan();
+        const emailCard = cardWith(plan, 'Email');
+        await feedbackOn(plan, { item_type: 'card', item_id: emailCard.id, action: 'accept' });
+
+        const result = await replanAt(plan, '13:00');
+
+        const kept = result.cards.find(card => card.id === emailCard.id);
+        assert.equal(kept.start_time, emailCard.start_time);
+        assert.equal(kept.completed.action, 'accept');
+        assert.equal(result.kept, 1);
+
+        const newCards = result.cards.filter(card => !card.completed);
+        assert.ok(!titlesOf(newCards).includes('Email'));
+        assert.ok(titlesOf(newCards).includes('Walk'), 'breaks always come back');
+        assert.ok(result.schedule.slots.some(slot => slot.card_id === emailCard.id));
+    });
+
+    it('keeps a card once every one of its items is decided', async () => {
+        const plan = await storePlan();
+        const card = cardWith(plan, 'Call');
+        for (const item of card.items) {
+            await feedbackOn(plan, {
+                item_type: item.type, item_id: item.decision.id, action: 'ignore', context: { card_id: card.id },
+            });
+        }
+
+        const decided = decidedCards(plan.compressed_decision_cards, await db.feedback.list(USER));
+        assert.deepEqual(Object.keys(decided), [card.id]);
+        assert.equal(decided[card.id].action, 'ignore');
+    });
+
+    it('leaves out decisions handled on an earlier version of the plan', async () => {
+        const first = await storePlan();
+        await feedbackOn(first, {
+            item_type: 'task', item_id: decisions.Report.id, action: 'accept',
+            context: { card_id: cardWith(first, 'Report').id },
+        });
+        const second = await storePlan(2, first);
+
+        const result = await replanAt(second, '13:00');
+        const titles = titlesOf(result.cards);
+        assert.ok(!titles.includes('Report'));
+        assert.ok(titles.includes('Email') && titles.includes('Call'));
+    });
+
+    it('brings back what an undone auto-accept had settled', async () => {
+        const plan = await storePlan();
+        const card = cardWith(plan, 'Call');
+        await feedbackOn(plan, { item_type: 'card', item_id: card.id, action: 'auto_accept', undone_at: new Date().toISOString() });
+
+        const result = await replanAt(plan, '13:00');
+        assert.equal(result.kept, 0);
+        assert.ok(titlesOf(result.cards).includes('Call'));
+    });
+
+    it('leaves out the alternative chosen in an override', async () => {
+        const plan = await storePlan();
+        const card = cardWith(plan, 'Email');
+        await feedbackOn(plan, {
+            item_type: 'card', item_id: card.id, action: 'override',
+            override_value: 'Call', context: { chosen_alternative: decisions.Call.id },
+        });
+
+        const result = await replanAt(plan, '13:00');
+        assert.equal(result.cards.find(c => c.id === card.id).completed.action, 'override');
+        assert.ok(!titlesOf(result.cards.filter(c => !c.completed)).includes('Call'));
+    });
+
+    it('leaves out meals whose window is over', async () => {
+        const plan = await storePlan();
+        const result = await replanAt(plan, '15:00');
+
+        assert.ok(!titlesOf(result.cards).includes('Lunch'));
+        assert.ok(result.schedule.unscheduled.some(u => u.title === 'Lunch' && u.constraint === 'passed'));
+        assert.ok(!result.schedule.conflicts.some(c => c.title === 'Lunch'));
+    });
+});
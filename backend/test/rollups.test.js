@@ -0,0 +1,262 @@
+/**
+ * Event rollups and retention: rolling up days, today's rollup, pruning raw
+ * events and the backfill script - on the memory storage driver
+ */
+require('./helpers');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../src/repositories');
+const {
+    TODAY_MAX_AGE_MINUTES,
+    DEFAULT_RETENTION_DAYS,
+    retentionDays,
+    rollUpDays,
+    getTodayRollup,
+    addToTodayRollup,
+    pruneEvents,
+    runRollupJob,
+} = require('../src/services/eventRollups');
+const { backfill } = require('../scripts/backfillRollups');
+const { addDays, localDate, startOfLocalDay } = require('../src/lib/time');
+
+// No DST, and local days that don't line up with UTC ones
+const TIME_ZONE = 'Asia/Tokyo';
+const USER = 'rollup-user';
+
+const today = () => localDate(TIME_ZONE);
+const daysAgo = (days) => addDays(today(), -days);
+
+// An instant `hours` into a local day
+const at = (date, hours) => new Date(Date.parse(startOfLocalDay(TIME_ZONE, date)) + hours * 3600000).toISOString();
+
+let profile;
+
+async function addEvents(date, events, userId = USER) {
+    return db.interactionEvents.createMany(events.map(([hours, eventType, metadata = {}]) => ({
+        user_id: userId,
+        event_type: eventType,
+        metadata,
+        timestamp: at(date, hours),
+    })));
+}
+
+const eventsLeft = async (userId = USER) => (await db.interactionEvents.list(userId)).length;
+
+beforeEach(async () => {
+    db.reset();
+    profile = await db.profiles.create({ id: USER, timezone: TIME_ZONE });
+});
+
+describe('rolling up days', () => {
+    it("summarizes a day's events and sessions", async () => {
+        const day = daysAgo(2);
+        await addEvents(day, [
+            [9, 'page_load'],
+            [9.01, 'action', { action: 'accept' }],
+            [9.02, 'action', { action: 'override' }],
+            [9.03, 'hesitation', { hesitation_ms: 4000 }],
+            [9.04, 'hesitation', { hesitation_ms: 2000 }],
+            [9.05, 'hesitation', { hesitation_ms: 6000 }],
+            [9.06, 'typing_burst', { keys: 10, deletions: 2 }],
+        ]);
+
+        const [rollup] = await rollUpDays(USER, { from: day, to: day });
+        assert.equal(rollup.rollup_date, day);
+        assert.equal(rollup.total_events, 7);
+        assert.deepEqual(rollup.event_counts, { page_load: 1, action: 2, hesitation: 3, typing_burst: 1 });
+        assert.deepEqual(rollup.action_breakdown, { accepts: 1, overrides: 1, ignores: 0 });
+        assert.deepEqual(rollup.signals, {
+            hesitations: 3, hesitation_median_ms: 4000, typing_keys: 10, typing_deletions: 2,
+        });
+        assert.equal(rollup.sessions, 1);
+        assert.equal((await db.sessions.list(USER, { from: day, to: day })).length, 1);
+    });
+
+    it('puts events in the local day they happened on', async () => {
+        const day = daysAgo(2);
+        // 23:30 and 00:30 local are on different days, though both on the same UTC day in Tokyo
+        await addEvents(day, [[23.5, 'page_load'], [24.5, 'page_load']]);
+
+        const rollups = await rollUpDays(USER, { from: day, to: addDays(day, 1) });
+        assert.deepEqual(rollups.map(r => [r.rollup_date, r.total_events]), [[day, 1], [addDays(day, 1), 1]]);
+    });
+
+    it('keeps the rollup of a day whose events were pruned', async () => {
+        const day = daysAgo(2);
+        await addEvents(day, [[9, 'page_load'], [10, 'idle']]);
+        const [rollup] = await rollUpDays(USER, { from: day, to: day });
+        await db.interactionEvents.removeBefore(USER, startOfLocalDay(TIME_ZONE, addDays(day, 1)));
+
+        assert.deepEqual(await rollUpDays(USER, { from: day, to: day }), []);
+        assert.equal((await db.eventRollups.findByDate(USER, day)).total_events, 2);
+        assert.equal((await db.sessions.list(USER, { from: day, to: day })).length, rollup.sessions);
+    });
+});
+
+describe("today's rollup", () => {
+    it('counts stored events into it without rolling the day up again', async () => {
+        const first = await getTodayRollup(USER);
+        assert.equal(first.total_events, 0);
+
+        const stored = await db.interactionEvents.createMany([
+            { user_id: USER, event_type: 'action', metadata: { action: 'accept' }, timestamp: new Date().toISOString() },
+            { user_id: USER, event_type: 'hesitation', metadata: { hesitation_ms: 3000 }, timestamp: new Date().toISOString() },
+            // Late, from yesterday: left to the rollup job
+            { user_id: USER, event_type: 'idle', metadata: {}, timestamp: at(daysAgo(1), 12) },
+        ]);
+        await addToTodayRollup(USER, stored);
+
+        const rollup = await getTodayRollup(USER);
+        assert.equal(rollup.total_events, 2);
+        assert.deepEqual(rollup.event_counts, { action: 1, hesitation: 1 });
+        assert.equal(rollup.action_breakdown.accepts, 1);
+        assert.equal(rollup.signals.hesitations, 1);
+        assert.equal(rollup.rolled_up_at, first.rolled_up_at);
+    });
+
+    it("is rolled up again once it's older than TODAY_MAX_AGE_MINUTES", async () => {
+        await addEvents(today(), [[0, 'page_load'], [0.01, 'idle']]);
+        const rollup = await getTodayRollup(USER);
+        assert.equal(rollup.total_events, 2);
+
+        // Counters that drifted (a batch stored while the day was rolled up) are put right
+        const stale = new Date(Date.now() - (TODAY_MAX_AGE_MINUTES + 1) * 60000).toISOString();
+        await db.eventRollups.upsert({ ...rollup, total_events: 1, rolled_up_at: stale });
+
+        const fresh = await getTodayRollup(USER);
+        assert.equal(fresh.total_events, 2);
+        assert.ok(fresh.rolled_up_at > stale);
+    });
+
+    it("is left alone when there's none yet: the next read rolls up the day", async () => {
+        const [event] = await addEvents(today(), [[0, 'page_load']]);
+
+        assert.equal(await addToTodayRollup(USER, [event]), null);
+        assert.equal((await getTodayRollup(USER)).total_events, 1);
+    });
+});
+
+describe('retention', () => {
+    const saved = process.env.EVENT_RETENTION_DAYS;
+    afterEach(() => {
+        if (saved === undefined) delete process.env.EVENT_RETENTION_DAYS;
+        else process.env.EVENT_RETENTION_DAYS = saved;
+    });
+
+    it('reads EVENT_RETENTION_DAYS, with a minimum of a week', (t) => {
+        const warn = t.mock.method(console, 'warn', () => {});
+
+        delete process.env.EVENT_RETENTION_DAYS;
+        assert.equal(retentionDays(), DEFAULT_RETENTION_DAYS);
+        process.env.EVENT_RETENTION_DAYS = '30';
+        assert.equal(retentionDays(), 30);
+        process.env.EVENT_RETENTION_DAYS = '3';
+        assert.equal(retentionDays(), 7);
+        process.env.EVENT_RETENTION_DAYS = '0';
+        assert.equal(retentionDays(), 0);
+        assert.equal(warn.mock.callCount(), 0);
+
+        process.env.EVENT_RETENTION_DAYS = 'forever';
+        assert.equal(retentionDays(), DEFAULT_RETENTION_DAYS);
+        assert.equal(warn.mock.callCount(), 1);
+    });
+});
+
+describe('pruning raw events', () => {
+    beforeEach(async () => {
+        await addEvents(daysAgo(12), [[9, 'page_load'], [10, 'idle']]);
+        await addEvents(daysAgo(10), [[9, 'page_load']]);
+        await addEvents(daysAgo(3), [[9, 'page_load']]);
+    });
+
+    it('deletes events older than the retention period once their days are rolled up', async () => {
+        const result = await runRollupJob({ retentionDays: 7 });
+
+        assert.equal(result.eventsDeleted, 3);
+        assert.equal(await eventsLeft(), 1);
+        assert.equal((await db.eventRollups.findByDate(USER, daysAgo(12))).total_events, 2);
+        assert.equal((await db.eventRollups.findByDate(USER, daysAgo(10))).total_events, 1);
+    });
+
+    it('keeps everything when retention is 0', async () => {
+        await rollUpDays(USER, { from: daysAgo(12), to: daysAgo(1) });
+
+        assert.equal(await pruneEvents(USER, profile, 0), 0);
+        assert.equal(await eventsLeft(), 4);
+    });
+
+    it("never deletes past the latest day that's rolled up", async () => {
+        await rollUpDays(USER, { from: daysAgo(12), to: daysAgo(12) });
+
+        assert.equal(await pruneEvents(USER, profile, 7), 2);
+        assert.equal(await eventsLeft(), 2);
+    });
+
+    it('rolls a day up again when events arrived after its rollup', async () => {
+        await rollUpDays(USER, { from: daysAgo(12), to: daysAgo(1) });
+        await addEvents(daysAgo(12), [[11, 'action', { action: 'ignore' }]]);
+
+        assert.equal(await pruneEvents(USER, profile, 7), 4);
+        const rollup = await db.eventRollups.findByDate(USER, daysAgo(12));
+        assert.equal(rollup.total_events, 3);
+        assert.equal(rollup.action_breakdown.ignores, 1);
+    });
+
+    it("keeps every event from the first day whose rollup doesn't match", async (t) => {
+        await rollUpDays(USER, { from: daysAgo(12), to: daysAgo(1) });
+
+        // Events keep arriving on that day, even while it's rolled up again
+        const count = db.interactionEvents.count;
+        const since = startOfLocalDay(TIME_ZONE, daysAgo(10));
+        t.mock.method(db.interactionEvents, 'count', async (userId, range) =>
+            (await count(userId, range)) + (range.since === since ? 1 : 0));
+        const warn = t.mock.method(console, 'warn', () => {});
+
+        assert.equal(await pruneEvents(USER, profile, 7), 2);
+        assert.equal(await eventsLeft(), 2);
+        assert.match(warn.mock.calls[0].arguments[0], new RegExp(`from ${daysAgo(10)}`));
+    });
+});
+
+describe('backfill script', () => {
+    const saved = process.env.EVENT_RETENTION_DAYS;
+    afterEach(() => {
+        if (saved === undefined) delete process.env.EVENT_RETENTION_DAYS;
+        else process.env.EVENT_RETENTION_DAYS = saved;
+    });
+
+    beforeEach(async () => {
+        await db.profiles.create({ id: 'quiet-user', timezone: TIME_ZONE });
+        await addEvents(daysAgo(9), [[9, 'page_load'], [10, 'idle']]);
+        await addEvents(daysAgo(8), [[9, 'page_load']]);
+    });
+
+    it("rolls up every day from each user's oldest event to today", async () => {
+        const results = await backfill();
+        const byUser = Object.fromEntries(results.map(r => [r.userId, r]));
+
+        assert.deepEqual(byUser[USER], { userId: USER, from: daysAgo(9), to: today(), days: 10, events: 3 });
+        assert.equal(byUser['quiet-user'].from, null);
+        assert.equal((await db.eventRollups.list(USER)).length, 10);
+    });
+
+    it('only rolls up the range and user asked for', async () => {
+        const [result] = await backfill({ userId: USER, from: daysAgo(8), to: daysAgo(8) });
+
+        assert.equal(result.days, 1);
+        assert.deepEqual((await db.eventRollups.list(USER)).map(r => r.rollup_date), [daysAgo(8)]);
+        await assert.rejects(backfill({ userId: 'nobody' }), /Profile not found/);
+    });
+
+    it('prunes with --prune, and is safe to re-run afterwards', async () => {
+        process.env.EVENT_RETENTION_DAYS = '7';
+
+        const [first] = await backfill({ userId: USER, prune: true });
+        assert.equal(first.deleted, 3);
+        assert.equal(await eventsLeft(), 0);
+
+        const [again] = await backfill({ userId: USER, from: daysAgo(9), to: daysAgo(8) });
+        assert.equal(again.days, 0);
+        assert.equal((await db.eventRollups.findByDate(USER, daysAgo(9))).total_events, 2);
+    });
+});
@@ -0,0 +1,292 @@
+/**
+ * The day's timeline (services/scheduler.js): slots from wake_time to
+ * sleep_time, meal windows, breaks and peak focus, and the hard constraints
+ * (fixed times, dependencies, deadlines, max_per_day) with their conflicts
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildSchedule, getDayWindow, toMinutes, formatTime, CONSTRAINTS } = require('../src/services/scheduler');
+
+// A Monday
+const DATE = '2025-03-10';
+
+const PROFILE = {
+    wake_time: '07:00',
+    sleep_time: '23:00',
+    peak_focus_start: '09:00',
+    peak_focus_end: '12:00',
+};
+
+let nextId = 1;
+const task = (fields) => ({ id: `task-${nextId++}`, type: 'task', estimated_minutes: 60, effort: 3, ...fields });
+const meal = (mealType, fields) => ({ id: `meal-${nextId++}`, type: 'meal', title: mealType, meal_type: mealType, ...fields });
+const rest = (fields) => ({ id: `break-${nextId++}`, type: 'break', title: 'Walk', break_duration: 10, ...fields });
+
+const schedule = (decisions, options = {}) => buildSchedule(decisions, { profile: PROFILE, date: DATE, ...options });
+const slotOf = (result, decision) => result.slots.find(slot => slot.decision.id === decision.id);
+const at = (time) => toMinutes(time);
+
+describe('the day window', () => {
+    it('runs from wake_time to sleep_time, past midnight when sleep_time is earlier', () => {
+        assert.deepEqual(getDayWindow(PROFILE), { dayStart: 420, dayEnd: 1380, peakStart: 540, peakEnd: 720 });
+
+        const nightOwl = getDayWindow({ wake_time: '10:00', sleep_time: '01:00', peak_focus_start: '22:00', peak_focus_end: '00:30' });
+        assert.deepEqual(nightOwl, { dayStart: 600, dayEnd: 1500, peakStart: 1320, peakEnd: 1470 });
+    });
+
+    it('formats times past midnight on the clock', () => {
+        assert.equal(formatTime(1470), '00:30');
+        assert.equal(formatTime(at('07:45')), '07:45');
+    });
+});
+
+describe('laying out the day', () => {
+    it('gives every decision a slot inside the day, without overlaps', () => {
+        const decisions = [
+            task({ title: 'Report', estimated_minutes: 120 }),
+            task({ title: 'Email', estimated_minutes: 30 }),
+            meal('lunch'),
+            rest(),
+        ];
+        const result = schedule(decisions);
+
+        assert.equal(result.unscheduled.length, 0);
+        for (const [i, slot] of result.slots.entries()) {
+            assert.ok(slot.start >= at('07:00') && slot.end <= at('23:00'));
+            if (i > 0) assert.ok(slot.start >= result.slots[i - 1].end, 'slots are in order and apart');
+        }
+        assert.equal(slotOf(result, decisions[0]).end - slotOf(result, decisions[0]).start, 120);
+    });
+
+    it('anchors meals in their windows, at preferred_time when it is free', () => {
+        const breakfast = meal('breakfast');
+        const lunch = meal('lunch', { preferred_time: '13:15' });
+        const dinner = meal('dinner');
+        const result = schedule([breakfast, lunch, dinner]);
+
+        assert.ok(slotOf(result, breakfast).start >= at('07:00') && slotOf(result, breakfast).end <= at('10:00'));
+        assert.equal(slotOf(result, lunch).start, at('13:15'));
+        assert.ok(slotOf(result, dinner).start >= at('18:00') && slotOf(result, dinner).end <= at('20:30'));
+    });
+
+    it('plans one meal per meal type', () => {
+        const first = meal('lunch', { title: 'Salad' });
+        const second = meal('lunch', { title: 'Soup' });
+        const result = schedule([first, second]);
+
+        assert.ok(slotOf(result, first));
+        assert.equal(slotOf(result, second), undefined);
+    });
+
+    it('follows a task with a break when the break weight allows', () => {
+        const work = task({ title: 'Deep work' });
+        const walk = rest();
+
+        const withBreaks = schedule([work, walk]);
+        assert.equal(slotOf(withBreaks, walk).start, slotOf(withBreaks, work).end);
+
+        const noBreaks = schedule([work, walk], { csp: { break_frequency_weight: 0.2 } });
+        assert.equal(slotOf(noBreaks, walk), undefined);
+    });
+
+    it('pulls high-effort tasks into peak focus and keeps light ones out of it', () => {
+        const hard = task({ title: 'Architecture', effort: 5, estimated_minutes: 90 });
+        const light = task({ title: 'Filing', effort: 1, estimated_minutes: 30 });
+        const result = schedule([light, hard]);
+
+        const hardSlot = slotOf(result, hard);
+        assert.ok(hardSlot.start >= at('09:00') && hardSlot.end <= at('12:00'));
+        const lightSlot = slotOf(result, light);
+        assert.ok(lightSlot.end <= at('09:00') || lightSlot.start >= at('12:00'));
+    });
+
+    it("uses the caller's score to pick the hour", () => {
+        const evening = task({ title: 'Reading' });
+        const result = schedule([evening], { scoreAt: (decision, hour) => (hour === 19 ? 100 : 0) });
+
+        assert.equal(slotOf(result, evening).start, at('19:00'));
+    });
+
+    it('takes how long a task really took over its estimate', () => {
+        const report = task({ title: 'Report', estimated_minutes: 30 });
+        const result = schedule([report], { csp: { duration_estimates: { [report.id]: { minutes: 52 } } } });
+
+        const slot = slotOf(result, report);
+        assert.equal(slot.end - slot.start, 50);
+    });
+
+    it("leaves out what doesn't fit, without calling it a conflict", () => {
+        const huge = task({ title: 'Marathon', estimated_minutes: 17 * 60 });
+        const result = schedule([huge]);
+
+        assert.deepEqual(result.unscheduled.map(u => u.constraint), [CONSTRAINTS.CAPACITY]);
+        assert.deepEqual(result.conflicts, []);
+    });
+
+    it('schedules a day that runs past midnight', () => {
+        const profile = { wake_time: '22:00', sleep_time: '01:00', peak_focus_start: '22:00', peak_focus_end: '23:00' };
+        const first = task({ title: 'Essay', estimated_minutes: 120 });
+        const second = task({ title: 'Review', estimated_minutes: 60 });
+        const result = buildSchedule([first, second], { profile, date: DATE });
+
+        assert.deepEqual(result.slots.map(slot => [formatTime(slot.start), formatTime(slot.end)]),
+            [['22:00', '00:00'], ['00:00', '01:00']]);
+    });
+});
+
+describe('hard constraints', () => {
+    it('pins a fixed-time decision at its time', () => {
+        const standup = task({ title: 'Standup', fixed_time: '09:30:00', estimated_minutes: 15 });
+        const result = schedule([task({ title: 'Other', effort: 5 }), standup]);
+
+        assert.equal(slotOf(result, standup).start, at('09:30'));
+        assert.deepEqual(result.conflicts, []);
+    });
+
+    it('explains a fixed time outside the day or clashing with another', () => {
+        const early = task({ title: 'Gym', fixed_time: '06:00' });
+        const late = task({ title: 'Call', fixed_time: '22:30' });
+        const first = task({ title: 'Dentist', fixed_time: '15:00' });
+        const second = task({ title: 'Meeting', fixed_time: '15:30' });
+        const result = schedule([early, late, first, second]);
+
+        const reasons = Object.fromEntries(result.conflicts.map(c => [c.decision.title, c]));
+        assert.equal(reasons.Call.constraint, CONSTRAINTS.FIXED_TIME);
+        assert.match(reasons.Call.reason, /must happen at 22:30, outside your day \(07:00-23:00\)/);
+        assert.equal(reasons.Meeting.constraint, CONSTRAINTS.FIXED_TIME);
+        assert.match(reasons.Meeting.reason, /overlaps "Dentist" \(15:00-16:00\)/);
+        assert.ok(slotOf(result, first));
+
+        // Before wake_time is after midnight, past the end of the day
+        assert.equal(reasons.Gym.constraint, CONSTRAINTS.FIXED_TIME);
+    });
+
+    it('places a task after the one it depends on, whatever their ranking', () => {
+        const draft = task({ title: 'Draft' });
+        const send = task({ title: 'Send', depends_on: draft.id, effort: 5 });
+        const result = schedule([send, draft]);
+
+        assert.ok(slotOf(result, send).start >= slotOf(result, draft).end);
+    });
+
+    it('finishes a task before a fixed-time decision that depends on it', () => {
+        const slides = task({ title: 'Slides', estimated_minutes: 90 });
+        const talk = task({ title: 'Talk', fixed_time: '10:00', depends_on: slides.id });
+        const result = schedule([slides, talk]);
+
+        assert.ok(slotOf(result, slides).end <= at('10:00'));
+        assert.deepEqual(result.conflicts, []);
+    });
+
+    it('leaves out a task whose dependency could not be scheduled, and explains why', () => {
+        const huge = task({ title: 'Migration', estimated_minutes: 17 * 60 });
+        const followUp = task({ title: 'Announce', depends_on: huge.id });
+        const result = schedule([huge, followUp]);
+
+        const conflict = result.conflicts.find(c => c.decision.id === followUp.id);
+        assert.equal(conflict.constraint, CONSTRAINTS.DEPENDENCY);
+        assert.match(conflict.reason, /after "Migration", which couldn't be scheduled today/);
+    });
+
+    it('reports a circular dependency', () => {
+        const a = task({ title: 'A' });
+        const b = task({ title: 'B', depends_on: a.id });
+        a.depends_on = b.id;
+        const result = schedule([a, b]);
+
+        assert.deepEqual(result.slots, []);
+        assert.deepEqual(result.conflicts.map(c => c.constraint), [CONSTRAINTS.DEPENDENCY, CONSTRAINTS.DEPENDENCY]);
+        assert.match(result.conflicts[0].reason, /circular dependency/);
+    });
+
+    it('flags a pinned decision that comes before its dependency', () => {
+        const prep = task({ title: 'Prep', fixed_time: '11:00' });
+        const demo = task({ title: 'Demo', fixed_time: '10:00', depends_on: prep.id });
+        const result = schedule([prep, demo]);
+
+        assert.ok(slotOf(result, demo));
+        assert.equal(result.conflicts[0].constraint, CONSTRAINTS.DEPENDENCY);
+        assert.match(result.conflicts[0].reason, /"Demo" at 10:00 should come after "Prep", which ends at 12:00/);
+    });
+
+    it('finishes a task due today before its deadline', () => {
+        const report = task({ title: 'Report', deadline: `${DATE}T09:00`, estimated_minutes: 90 });
+        const result = schedule([report], { scoreAt: (decision, hour) => hour * 10 });
+
+        assert.ok(slotOf(result, report).end <= at('09:00'));
+    });
+
+    it("explains a deadline that can't be met", () => {
+        const standup = task({ title: 'Standup', fixed_time: '07:30', estimated_minutes: 60 });
+        const report = task({ title: 'Report', deadline: `${DATE}T08:30`, estimated_minutes: 60 });
+        const result = schedule([standup, report]);
+
+        assert.equal(slotOf(result, report), undefined);
+        assert.equal(result.conflicts[0].constraint, CONSTRAINTS.DEADLINE);
+        assert.match(result.conflicts[0].reason, /before its deadline \(2025-03-10 08:30\)/);
+    });
+
+    it('still schedules an overdue task, flagged', () => {
+        const taxes = task({ title: 'Taxes', deadline: '2025-03-07T17:00' });
+        const result = schedule([taxes]);
+
+        assert.ok(slotOf(result, taxes));
+        assert.equal(result.conflicts[0].constraint, CONSTRAINTS.DEADLINE);
+        assert.match(result.conflicts[0].reason, /was due 2025-03-07 17:00 - scheduled at \d\d:\d\d as overdue/);
+    });
+
+    it('places tasks due today ahead of the ranking', () => {
+        const ranked = task({ title: 'Ranked first' });
+        const due = task({ title: 'Due', deadline: `${DATE}T08:30` });
+        const result = schedule([ranked, due]);
+
+        // Ranked first would take 07:00-08:00 and leave no room before the deadline
+        assert.equal(slotOf(result, due).start, at('07:00'));
+        assert.ok(slotOf(result, ranked));
+        assert.deepEqual(result.conflicts, []);
+    });
+
+    it('never uses a break more than its max_per_day', () => {
+        const tasks = [task({ title: 'One' }), task({ title: 'Two' }), task({ title: 'Three' })];
+        const coffee = rest({ title: 'Coffee', max_per_day: 1 });
+        const walk = rest({ title: 'Walk', max_per_day: 2 });
+        const result = schedule([...tasks, coffee, walk]);
+
+        const count = (decision) => result.slots.filter(slot => slot.decision.id === decision.id).length;
+        assert.equal(count(coffee), 1);
+        assert.equal(count(walk), 2);
+    });
+});
+
+describe('scheduling the rest of the day', () => {
+    it('starts at startMinutes and plans around reserved times', () => {
+        const first = task({ title: 'First' });
+        const second = task({ title: 'Second' });
+        const result = schedule([first, second], {
+            startMinutes: at('13:00'),
+            reserved: [{ start_time: '13:00', end_time: '14:00' }],
+        });
+
+        assert.equal(result.dayStart, at('13:00'));
+        for (const slot of result.slots) {
+            assert.ok(slot.start >= at('14:00'));
+        }
+    });
+
+    it('leaves out fixed times and meal windows that are over, without a conflict', () => {
+        const standup = task({ title: 'Standup', fixed_time: '09:30' });
+        const lunch = meal('lunch');
+        const result = schedule([standup, lunch], { startMinutes: at('15:00') });
+
+        assert.deepEqual(result.slots, []);
+        assert.deepEqual(result.unscheduled.map(u => u.constraint), [CONSTRAINTS.PASSED, CONSTRAINTS.PASSED]);
+        assert.deepEqual(result.conflicts, []);
+    });
+
+    it('reports a fixed time that overlaps a reserved time', () => {
+        const call = task({ title: 'Call', fixed_time: '16:00' });
+        const result = schedule([call], { startMinutes: at('15:00'), reserved: [{ start_time: '15:30', end_time: '16:30' }] });
+
+        assert.match(result.conflicts[0].reason, /overlaps something already on your plan \(15:30-16:30\)/);
+    });
+});
@@ -0,0 +1,81 @@
+/**
+ * Dates and times in the user's timezone (lib/time.js), across DST changes
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    timezoneOf,
+    localDate,
+    localHour,
+    localDateTime,
+    isValidDate,
+    addDays,
+    startOfLocalDay,
+} = require('../src/lib/time');
+
+describe('local dates and times', () => {
+    const instant = new Date('2025-03-10T20:30:00Z');
+
+    it("reads an instant in the user's timezone", () => {
+        assert.equal(localDate('UTC', instant), '2025-03-10');
+        assert.equal(localDate('Asia/Tokyo', instant), '2025-03-11');
+        assert.equal(localHour('America/Los_Angeles', instant), 13);
+        assert.equal(localDateTime('Asia/Kolkata', instant), '2025-03-11T02:00');
+    });
+
+    it('falls back to UTC for a profile without a valid timezone', () => {
+        assert.equal(timezoneOf({ timezone: 'Europe/Berlin' }), 'Europe/Berlin');
+        assert.equal(timezoneOf({ timezone: 'Mars/Base' }), 'UTC');
+        assert.equal(timezoneOf(null), 'UTC');
+    });
+
+    it('adds calendar days across months and leap days', () => {
+        assert.equal(addDays('2024-02-28', 1), '2024-02-29');
+        assert.equal(addDays('2025-03-01', -1), '2025-02-28');
+        assert.equal(addDays('2025-12-31', 1), '2026-01-01');
+    });
+
+    it('only accepts real calendar dates', () => {
+        assert.equal(isValidDate('2024-02-29'), true);
+        assert.equal(isValidDate('2025-02-29'), false);
+        assert.equal(isValidDate('2025-3-1'), false);
+    });
+});
+
+describe('the start of a local day', () => {
+    it('is local midnight', () => {
+        assert.equal(startOfLocalDay('UTC', '2025-03-09'), '2025-03-09T00:00:00.000Z');
+        assert.equal(startOfLocalDay('Asia/Tokyo', '2025-03-09'), '2025-03-08T15:00:00.000Z');
+        assert.equal(startOfLocalDay('America/New_York', '2025-01-15'), '2025-01-15T05:00:00.000Z');
+    });
+
+    it('uses the offset in force at midnight on the days clocks change', () => {
+        // Europe/Berlin: +01:00 until 02:00 on 30 March, +02:00 until 03:00 on 26 October
+        assert.equal(startOfLocalDay('Europe/Berlin', '2025-03-30'), '2025-03-29T23:00:00.000Z');
+        assert.equal(startOfLocalDay('Europe/Berlin', '2025-03-31'), '2025-03-30T22:00:00.000Z');
+        assert.equal(startOfLocalDay('Europe/Berlin', '2025-10-26'), '2025-10-25T22:00:00.000Z');
+        assert.equal(startOfLocalDay('Europe/Berlin', '2025-10-27'), '2025-10-26T23:00:00.000Z');
+    });
+
+    it('is when the clocks jump on a day without a midnight', () => {
+        // America/Havana goes from 00:00 straight to 01:00 on 9 March 2025
+        const start = startOfLocalDay('America/Havana', '2025-03-09');
+        assert.equal(start, '2025-03-09T05:00:00.000Z');
+        assert.equal(localDateTime('America/Havana', new Date(start)), '2025-03-09T01:00');
+        assert.equal(localDate('America/Havana', new Date(Date.parse(start) - 1000)), '2025-03-08');
+    });
+
+    it('is the first midnight on a day that has two', () => {
+        // America/Havana goes back from 01:00 to 00:00 on 2 November 2025
+        assert.equal(startOfLocalDay('America/Havana', '2025-11-02'), '2025-11-02T04:00:00.000Z');
+    });
+
+    it('gives back every hour of a day across a DST change', () => {
+        const hours = (timeZone, date) =>
+            (Date.parse(startOfLocalDay(timeZone, addDays(date, 1))) - Date.parse(startOfLocalDay(timeZone, date))) / 3600000;
+
+        assert.equal(hours('Europe/Berlin', '2025-03-30'), 23);
+        assert.equal(hours('Europe/Berlin', '2025-10-26'), 25);
+        assert.equal(hours('America/Havana', '2025-03-09'), 23);
+    });
+});
@@ -0,0 +1,175 @@
+/**
+ * Provisional plans for the week ahead (services/weekPlan.js): recurrence
+ * across the week, the load forecast and when stored plans are recomputed -
+ * on the memory storage driver, with the clock fixed
+ */
+require('./helpers');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../src/repositories');
+const { getWeekPlans, summarizeDay, WEEK_DAYS } = require('../src/services/weekPlan');
+
+const USER = 'week-user';
+
+// Monday morning
+const NOW = Date.parse('2025-03-10T08:00:00Z');
+
+const addDecision = (fields) => db.decisions.create({ user_id: USER, type: 'task', estimated_minutes: 30, ...fields });
+
+const daysWith = (week, title) => week.days
+    .filter(day => day.schedule.slots.some(slot => slot.title === title))
+    .map(day => day.plan_date);
+
+beforeEach(async () => {
+    mock.timers.enable({ apis: ['Date'], now: NOW });
+    mock.method(console, 'log', () => {});
+    db.reset();
+    await db.profiles.create({ id: USER, timezone: 'UTC' });
+});
+
+afterEach(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+});
+
+describe('the week ahead', () => {
+    it('plans the next seven days, starting tomorrow', async () => {
+        await addDecision({ title: 'Stretch', frequency: 'daily' });
+        const week = await getWeekPlans(USER);
+
+        assert.equal(week.from, '2025-03-11');
+        assert.equal(week.to, '2025-03-17');
+        assert.equal(week.days.length, WEEK_DAYS);
+        assert.deepEqual(week.days.map(day => day.weekday), ['TU', 'WE', 'TH', 'FR', 'SA', 'SU', 'MO']);
+        assert.deepEqual(daysWith(week, 'Stretch'), week.days.map(day => day.plan_date));
+    });
+
+    it('plans nothing without active decisions', async () => {
+        const week = await getWeekPlans(USER);
+        assert.deepEqual(week.days, []);
+    });
+
+    it("follows each decision's recurrence", async () => {
+        await addDecision({ title: 'Groceries', frequency: 'weekends' });
+        await addDecision({
+            title: 'Piano',
+            frequency: 'custom',
+            recurrence: { freq: 'weekly', by_day: ['WE', 'FR'], start_date: '2025-03-01' },
+        });
+        const week = await getWeekPlans(USER);
+
+        assert.deepEqual(daysWith(week, 'Groceries'), ['2025-03-15', '2025-03-16']);
+        assert.deepEqual(daysWith(week, 'Piano'), ['2025-03-12', '2025-03-14']);
+    });
+
+    it('plans a weekly decision once a week, as if it was done that day', async () => {
+        await addDecision({ title: 'Laundry', frequency: 'weekly' });
+        const week = await getWeekPlans(USER);
+
+        // Once in the rest of this week, and again on next week's Monday
+        const days = daysWith(week, 'Laundry');
+        assert.equal(days.filter(day => day <= '2025-03-16').length, 1);
+        assert.equal(days[days.length - 1], '2025-03-17');
+
+        // The stored decision isn't marked done
+        const [laundry] = await db.decisions.list(USER);
+        assert.equal(laundry.last_done_at, null);
+    });
+
+    it('leaves out a weekly decision already done this week', async () => {
+        await addDecision({ title: 'Laundry', frequency: 'weekly', last_done_at: '2025-03-10T07:00:00Z' });
+        const week = await getWeekPlans(USER);
+
+        assert.deepEqual(daysWith(week, 'Laundry'), ['2025-03-17']);
+    });
+});
+
+describe('the load forecast', () => {
+    const snapshot = (createdAt, score) => db.loadSnapshots.create({
+        user_id: USER, score, autonomy_level: 'assist', factors: {}, created_at: createdAt,
+    });
+
+    it('averages the same weekday, else every day of the last weeks, else today', async () => {
+        await addDecision({ title: 'Stretch' });
+
+        let week = await getWeekPlans(USER);
+        assert.equal(week.days[0].generation_context.load_basis, 'current');
+
+        // Two Tuesdays
+        await snapshot('2025-03-04T10:00:00Z', 80);
+        await snapshot('2025-02-25T10:00:00Z', 70);
+        mock.timers.setTime(NOW + 61 * 60000);
+        week = await getWeekPlans(USER);
+
+        const [tuesday, wednesday] = week.days;
+        assert.equal(tuesday.cognitive_load, 75);
+        assert.deepEqual([tuesday.generation_context.load_basis, tuesday.generation_context.load_samples], ['weekday', 2]);
+        assert.equal(tuesday.autonomy_level, 'auto');
+        assert.equal(wednesday.cognitive_load, 75);
+        assert.deepEqual([wednesday.generation_context.load_basis, wednesday.generation_context.load_samples], ['recent', 2]);
+    });
+});
+
+describe('stored plans', () => {
+    it('are reused until the decisions change', async () => {
+        const decision = await addDecision({ title: 'Stretch' });
+        assert.equal((await getWeekPlans(USER)).regenerated, true);
+        assert.equal((await getWeekPlans(USER)).regenerated, false);
+
+        mock.timers.setTime(NOW + 60000);
+        await db.decisions.update(USER, decision.id, { estimated_minutes: 45 });
+        assert.equal((await getWeekPlans(USER)).regenerated, true);
+    });
+
+    it('are recomputed when the profile changes or after an hour', async () => {
+        await addDecision({ title: 'Stretch' });
+        await getWeekPlans(USER);
+
+        mock.timers.setTime(NOW + 60000);
+        await db.profiles.update(USER, { wake_time: '06:00' });
+        assert.equal((await getWeekPlans(USER)).regenerated, true);
+
+        // Recomputed a minute in: still fresh 59 minutes later, not 61
+        mock.timers.setTime(NOW + 60 * 60000);
+        assert.equal((await getWeekPlans(USER)).regenerated, false);
+        mock.timers.setTime(NOW + 62 * 60000);
+        assert.equal((await getWeekPlans(USER)).regenerated, true);
+    });
+
+    it('move on with the week, dropping the day that arrived', async () => {
+        await addDecision({ title: 'Stretch' });
+        await getWeekPlans(USER);
+
+        mock.timers.setTime(NOW + 24 * 3600000);
+        const week = await getWeekPlans(USER);
+        assert.equal(week.regenerated, true);
+        assert.equal(week.from, '2025-03-12');
+        assert.equal((await db.provisionalPlans.list(USER, {})).length, WEEK_DAYS);
+    });
+});
+
+describe("a day's summary", () => {
+    it('adds up the scheduled minutes by type, past midnight too', () => {
+        const summary = summarizeDay({
+            slots: [
+                { type: 'task', decision_id: 'a', start_time: '09:00', end_time: '10:30' },
+                { type: 'break', decision_id: 'b', start_time: '10:30', end_time: '10:40' },
+                { type: 'task', decision_id: 'c', start_time: '23:30', end_time: '00:15' },
+                { type: 'meal', decision_id: 'd', start_time: '12:00', end_time: '12:30' },
+                { type: 'break', decision_id: 'b', start_time: '00:15', end_time: '00:25' },
+            ],
+            unscheduled: [{ title: 'Too long' }],
+        });
+
+        assert.deepEqual(summary, {
+            decisions: 4,
+            scheduled_minutes: 185,
+            unscheduled: 1,
+            by_type: {
+                task: { count: 2, minutes: 135 },
+                meal: { count: 1, minutes: 30 },
+                break: { count: 2, minutes: 20 },
+            },
+        });
+    });
+});
@@ -0,0 +1,344 @@
+/**
+ * CheckInWidget Component
+ *
+ * PURPOSE:
+ * A quick "how are you feeling?" check-in: energy, mood, stress (1-5) and
+ * hours slept. Today's latest check-in is blended into the cognitive load
+ * score, and over time ShadowMe learns how it relates to what the user
+ * accepts and overrides (shown as an insight line).
+ *
+ * Every answer is optional - one tap is enough to check in.
+ */
+
+import { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { useTheme } from '../context/ThemeContext';
+import { checkInsApi } from '../lib/api';
+import { sounds } from '../lib/sounds';
+import { useToast } from './Toast';
+
+// 1-5 scales, lowest first
+const SCALES = [
+    { field: 'energy', label: 'Energy', icons: ['🪫', '😴', '🙂', '💪', '⚡'] },
+    { field: 'mood', label: 'Mood', icons: ['😞', '😕', '😐', '🙂', '😄'] },
+    { field: 'stress', label: 'Stress', icons: ['😌', '🙂', '😐', '😬', '😫'] },
+];
+
+const EMPTY_ANSWERS = { energy: null, mood: null, stress: null, sleep_hours: '' };
+
+export const CheckInWidget = ({ onCheckIn }) => {
+    const { accessToken } = useAuth();
+    const { currentTheme, isDark } = useTheme();
+    const toast = useToast();
+    const [todayCheckIn, setTodayCheckIn] = useState(null);
+    const [insight, setInsight] = useState(null);
+    const [editing, setEditing] = useState(false);
+    const [answers, setAnswers] = useState(EMPTY_ANSWERS);
+    const [saving, setSaving] = useState(false);
+
+    // Today's check-in and what the check-ins have taught so far
+    useEffect(() => {
+        if (!accessToken) return;
+
+        const fetchCheckIn = async () => {
+            try {
+                const [today, insights] = await Promise.all([
+                    checkInsApi.getToday(accessToken),
+                    checkInsApi.getInsights(accessToken),
+                ]);
+                setTodayCheckIn(today.check_in);
+                setInsight(insights.insight);
+            } catch (err) {
+                console.error('Failed to fetch check-in:', err);
+            }
+        };
+
+        fetchCheckIn();
+    }, [accessToken]);
+
+    const startEditing = () => {
+        setAnswers(todayCheckIn ? {
+            energy: todayCheckIn.energy,
+            mood: todayCheckIn.mood,
+            stress: todayCheckIn.stress,
+            sleep_hours: todayCheckIn.sleep_hours ?? '',
+        } : EMPTY_ANSWERS);
+        setEditing(true);
+    };
+
+    const toggleAnswer = (field, value) => {
+        sounds.click();
+        setAnswers(prev => ({ ...prev, [field]: prev[field] === value ? null : value }));
+    };
+
+    const hasAnswer = SCALES.some(s => answers[s.field] !== null) || answers.sleep_hours !== '';
+
+    const handleSave = async () => {
+        setSaving(true);
+        try {
+            const checkIn = {};
+            SCALES.forEach(({ field }) => {
+                if (answers[field] !== null) checkIn[field] = answers[field];
+            });
+            if (answers.sleep_hours !== '') checkIn.sleep_hours = Number(answers.sleep_hours);
+
+            const data = await checkInsApi.create(accessToken, checkIn);
+            setTodayCheckIn(data.check_in);
+            setEditing(false);
+            sounds.success();
+            toast.success('Thanks for checking in!');
+
+            if (onCheckIn) {
+                onCheckIn(data.check_in);
+            }
+        } catch (err) {
+            console.error('Failed to save check-in:', err);
+            sounds.error();
+            toast.error(err.message || 'Could not save your check-in');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const themedContainer = {
+        ...styles.container,
+        backgroundColor: currentTheme.cardBg,
+        boxShadow: currentTheme.shadow,
+    };
+
+    // Short summary of a check-in, e.g. "⚡ 💪 😌 · 7h sleep"
+    const summary = (checkIn) => {
+        const icons = SCALES
+            .filter(({ field }) => checkIn[field] != null)
+            .map(({ field, icons }) => icons[checkIn[field] - 1]);
+        const sleep = checkIn.sleep_hours != null ? `${checkIn.sleep_hours}h sleep` : null;
+        return [icons.join(' '), sleep].filter(Boolean).join(' · ');
+    };
+
+    return (
+        <div style={themedContainer}>
+            <div style={styles.header}>
+                <h3 style={{...styles.title, color: currentTheme.textPrimary}}>
+                    <span style={styles.emoji}>💭</span>
+                    How are you feeling?
+                </h3>
+                {!editing && (
+                    <button
+                        style={{...styles.linkButton, color: currentTheme.primary}}
+                        onClick={startEditing}
+                    >
+                        {todayCheckIn ? 'Update' : 'Check in'}
+                    </button>
+                )}
+            </div>
+
+            {!editing && (
+                <p style={{...styles.status, color: currentTheme.textSecondary}}>
+                    {todayCheckIn
+                        ? <>Today: <span style={styles.summary}>{summary(todayCheckIn)}</span></>
+                        : 'No check-in yet today. It helps ShadowMe read your load.'}
+                </p>
+            )}
+
+            {editing && (
+                <div style={styles.form}>
+                    {SCALES.map(({ field, label, icons }) => (
+                        <div key={field} style={styles.scaleRow}>
+                            <span style={{...styles.scaleLabel, color: currentTheme.textMuted}}>{label}</span>
+                            <div style={styles.scaleButtons}>
+                                {icons.map((icon, i) => {
+                                    const selected = answers[field] === i + 1;
+                                    return (
+                                        <button
+                                            key={icon}
+                                            style={{
+                                                ...styles.scaleButton,
+                                                backgroundColor: selected
+                                                    ? (isDark ? `${currentTheme.primary}33` : '#EEF2FF')
+                                                    : 'transparent',
+                                                borderColor: selected ? currentTheme.primary : 'transparent',
+                                            }}
+                                            onClick={() => toggleAnswer(field, i + 1)}
+                                            aria-label={`${label} ${i + 1} of 5`}
+                                            aria-pressed={selected}
+                                        >
+                                            {icon}
+                                        </button>
+                                    );
+                                })}
+                            </div>
+                        </div>
+                    ))}
+
+                    <div style={styles.scaleRow}>
+                        <span style={{...styles.scaleLabel, color: currentTheme.textMuted}}>Sleep</span>
+                        <label style={{...styles.sleepLabel, color: currentTheme.textSecondary}}>
+                            <input
+                                type="number"
+                                min="0"
+                                max="24"
+                                step="0.5"
+                                value={answers.sleep_hours}
+                                onChange={(e) => setAnswers(prev => ({ ...prev, sleep_hours: e.target.value }))}
+                                style={{
+                                    ...styles.sleepInput,
+                                    backgroundColor: currentTheme.inputBg,
+                                    color: currentTheme.textPrimary,
+                                }}
+                            />
+                            hours last night
+                        </label>
+                    </div>
+
+                    <div style={styles.actions}>
+                        <button
+                            style={{
+                                ...styles.saveButton,
+                                backgroundColor: currentTheme.primary,
+                                opacity: hasAnswer && !saving ? 1 : 0.5,
+                            }}
+                            onClick={handleSave}
+                            disabled={!hasAnswer || saving}
+                        >
+                            {saving ? 'Saving...' : 'Save'}
+                        </button>
+                        <button
+                            style={{...styles.cancelButton, color: currentTheme.textSecondary}}
+                            onClick={() => setEditing(false)}
+                            disabled={saving}
+                        >
+                            Cancel
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {insight && (
+                <p style={{
+                    ...styles.insight,
+                    color: currentTheme.textSecondary,
+                    backgroundColor: isDark ? currentTheme.backgroundSecondary : '#F9FAFB',
+                }}>
+                    💡 {insight}
+                </p>
+            )}
+        </div>
+    );
+};
+
+const styles = {
+    container: {
+        backgroundColor: 'white',
+        borderRadius: '16px',
+        padding: '20px',
+        boxShadow: '0 2px 10px rgba(0, 0, 0, 0.08)',
+        border: '1px solid #E5E7EB',
+    },
+    header: {
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginBottom: '8px',
+    },
+    title: {
+        margin: 0,
+        fontSize: '16px',
+        fontWeight: '600',
+        color: '#333',
+        display: 'flex',
+        alignItems: 'center',
+        gap: '8px',
+    },
+    emoji: {
+        fontSize: '20px',
+    },
+    linkButton: {
+        padding: 0,
+        border: 'none',
+        background: 'none',
+        fontSize: '13px',
+        fontWeight: '600',
+        cursor: 'pointer',
+    },
+    status: {
+        margin: 0,
+        fontSize: '13px',
+    },
+    summary: {
+        fontSize: '15px',
+    },
+    form: {
+        display: 'flex',
+        flexDirection: 'column',
+        gap: '10px',
+        marginTop: '8px',
+    },
+    scaleRow: {
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        gap: '8px',
+    },
+    scaleLabel: {
+        fontSize: '12px',
+        fontWeight: '500',
+        width: '48px',
+    },
+    scaleButtons: {
+        display: 'flex',
+        gap: '4px',
+    },
+    scaleButton: {
+        width: '34px',
+        height: '34px',
+        border: '2px solid transparent',
+        borderRadius: '10px',
+        fontSize: '18px',
+        cursor: 'pointer',
+        transition: 'background-color 0.2s ease, border-color 0.2s ease',
+    },
+    sleepLabel: {
+        display: 'flex',
+        alignItems: 'center',
+        gap: '8px',
+        fontSize: '13px',
+    },
+    sleepInput: {
+        width: '64px',
+        padding: '6px 8px',
+        border: '1px solid #D1D5DB',
+        borderRadius: '8px',
+        fontSize: '13px',
+    },
+    actions: {
+        display: 'flex',
+        gap: '8px',
+        marginTop: '4px',
+    },
+    saveButton: {
+        padding: '8px 16px',
+        border: 'none',
+        borderRadius: '8px',
+        color: 'white',
+        fontSize: '13px',
+        fontWeight: '600',
+        cursor: 'pointer',
+    },
+    cancelButton: {
+        padding: '8px 16px',
+        border: '1px solid #D1D5DB',
+        borderRadius: '8px',
+        background: 'none',
+        fontSize: '13px',
+        fontWeight: '500',
+        cursor: 'pointer',
+    },
+    insight: {
+        margin: '12px 0 0 0',
+        padding: '8px 10px',
+        borderRadius: '8px',
+        fontSize: '12px',
+    },
+};
+
+export default CheckInWidget;
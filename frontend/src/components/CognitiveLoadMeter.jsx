@@ -7,32 +7,49 @@
  * 
  * VISUAL DESIGN:
  * - Animated progress bar that changes color based on load
- * - Green (0-33): Low load, user is fresh
- * - Yellow/Orange (34-66): Medium load, balanced mode
- * - Red (67-100): High load, user is tired
+ * - Green (manual): Low load, user is fresh
+ * - Yellow/Orange (assist): Medium load, balanced mode
+ * - Red (auto): High load, user is tired
+ *   (the bands follow the user's thresholds - 34 and 67 by default)
  * - Theme-aware (dark/light mode support)
+ *
+ * The breakdown lists whichever factors the user's load model has enabled,
+ * and "Customize" lets them switch factors on/off and re-weight them.
+ * "See trend" charts the load over today and this week (LoadTrendChart).
  */
 
 import { useState, useEffect } from 'react';
 import { useAuth } from '../context/AuthContext';
 import { useTheme } from '../context/ThemeContext';
 import { profileApi } from '../lib/api';
+import { sounds } from '../lib/sounds';
 import { ShadowMascot } from './ShadowMascot';
+import { LoadTrendChart } from './LoadTrendChart';
+import { useToast } from './Toast';
 
-export const CognitiveLoadMeter = ({ onLoadChange }) => {
-    const { user } = useAuth();
+const DEFAULT_THRESHOLDS = { assist: 34, auto: 67 };
+
+export const CognitiveLoadMeter = ({ onLoadChange, refreshToken }) => {
+    const { accessToken } = useAuth();
     const { currentTheme, isDark } = useTheme();
     const [loadData, setLoadData] = useState(null);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
+    const [refreshKey, setRefreshKey] = useState(0);
+    // Customize panel while open: { factors: { [key]: { label, enabled, weight, defaults } }, thresholds, defaultThresholds }
+    const [draft, setDraft] = useState(null);
+    const [savingConfig, setSavingConfig] = useState(false);
+    // The trend chart only loads its history once opened
+    const [showTrend, setShowTrend] = useState(false);
+    const toast = useToast();
 
     // Fetch cognitive load on mount and periodically
     useEffect(() => {
-        if (!user?.id) return;
+        if (!accessToken) return;
 
         const fetchLoad = async () => {
             try {
-                const data = await profileApi.getCognitiveLoad(user.id);
+                const data = await profileApi.getCognitiveLoad(accessToken);
                 setLoadData(data);
                 setError(null);
                 
@@ -53,22 +70,86 @@ export const CognitiveLoadMeter = ({ onLoadChange }) => {
         // Refresh every 2 minutes
         const interval = setInterval(fetchLoad, 120000);
         return () => clearInterval(interval);
-    }, [user?.id, onLoadChange]);
+    }, [accessToken, onLoadChange, refreshKey, refreshToken]);
+
+    const thresholds = loadData?.thresholds || DEFAULT_THRESHOLDS;
 
     // Get color based on score
     const getColor = (score) => {
-        if (score <= 33) return '#10B981'; // Green
-        if (score <= 66) return '#F59E0B'; // Orange
+        if (score < thresholds.assist) return '#10B981'; // Green
+        if (score < thresholds.auto) return '#F59E0B'; // Orange
         return '#EF4444'; // Red
     };
 
     // Get background gradient based on score
     const getGradient = (score) => {
-        if (score <= 33) return 'linear-gradient(90deg, #10B981, #34D399)';
-        if (score <= 66) return 'linear-gradient(90deg, #F59E0B, #FBBF24)';
+        if (score < thresholds.assist) return 'linear-gradient(90deg, #10B981, #34D399)';
+        if (score < thresholds.auto) return 'linear-gradient(90deg, #F59E0B, #FBBF24)';
         return 'linear-gradient(90deg, #EF4444, #F87171)';
     };
 
+    // Open the customize panel with the user's current load model
+    const openCustomize = async () => {
+        try {
+            const config = await profileApi.getCognitiveLoadConfig(accessToken);
+            setDraft({
+                factors: Object.fromEntries(config.factors.map(f => [f.key, {
+                    label: f.label,
+                    enabled: f.enabled,
+                    weight: f.weight,
+                    defaults: f.defaults,
+                }])),
+                thresholds: config.thresholds,
+                defaultThresholds: config.default_thresholds,
+            });
+        } catch (err) {
+            console.error('Failed to fetch load config:', err);
+            toast.error('Could not load your settings');
+        }
+    };
+
+    const updateDraft = (key, changes) => {
+        setDraft(prev => ({
+            ...prev,
+            factors: { ...prev.factors, [key]: { ...prev.factors[key], ...changes } },
+        }));
+    };
+
+    // Save the factor settings (only what differs from the defaults), or reset to defaults
+    const saveConfig = async (reset = false) => {
+        setSavingConfig(true);
+        try {
+            let config = null;
+            if (!reset) {
+                const factors = {};
+                for (const [key, factor] of Object.entries(draft.factors)) {
+                    const override = {};
+                    if (factor.enabled !== factor.defaults.enabled) override.enabled = factor.enabled;
+                    if (factor.weight !== factor.defaults.weight) override.weight = factor.weight;
+                    if (Object.keys(override).length > 0) factors[key] = override;
+                }
+                // Keep thresholds the user already moved (they aren't edited here)
+                const { thresholds, defaultThresholds } = draft;
+                const customThresholds = thresholds.assist !== defaultThresholds.assist ||
+                    thresholds.auto !== defaultThresholds.auto;
+                if (Object.keys(factors).length > 0 || customThresholds) {
+                    config = { factors, ...(customThresholds && { thresholds }) };
+                }
+            }
+            await profileApi.updateCognitiveLoadConfig(accessToken, { config });
+            sounds.success();
+            toast.success(reset ? 'Load model reset to defaults' : 'Load model saved');
+            setDraft(null);
+            setRefreshKey(k => k + 1);
+        } catch (err) {
+            console.error('Failed to save load config:', err);
+            sounds.error();
+            toast.error(err.message || 'Could not save your settings');
+        } finally {
+            setSavingConfig(false);
+        }
+    };
+
     // Get autonomy level badge style
     const getAutonomyStyle = (level) => {
         switch (level) {
@@ -170,8 +251,8 @@ export const CognitiveLoadMeter = ({ onLoadChange }) => {
                     }} 
                 />
                 {/* Threshold markers */}
-                <div style={{ ...styles.marker, left: '33%', backgroundColor: isDark ? 'rgba(255,255,255,0.3)' : 'rgba(0,0,0,0.2)' }} />
-                <div style={{ ...styles.marker, left: '66%', backgroundColor: isDark ? 'rgba(255,255,255,0.3)' : 'rgba(0,0,0,0.2)' }} />
+                <div style={{ ...styles.marker, left: `${thresholds.assist - 1}%`, backgroundColor: isDark ? 'rgba(255,255,255,0.3)' : 'rgba(0,0,0,0.2)' }} />
+                <div style={{ ...styles.marker, left: `${thresholds.auto - 1}%`, backgroundColor: isDark ? 'rgba(255,255,255,0.3)' : 'rgba(0,0,0,0.2)' }} />
             </div>
 
             {/* Scale labels */}
@@ -200,31 +281,90 @@ export const CognitiveLoadMeter = ({ onLoadChange }) => {
             <details style={{...styles.details, backgroundColor: isDark ? currentTheme.backgroundSecondary : '#F9FAFB'}}>
                 <summary style={{...styles.summary, color: currentTheme.textSecondary}}>See breakdown</summary>
                 <div style={styles.breakdownGrid}>
-                    <div style={styles.breakdownItem}>
-                        <span style={{...styles.breakdownLabel, color: currentTheme.textMuted}}>Decisions today</span>
-                        <span style={{...styles.breakdownValue, color: currentTheme.textPrimary}}>
-                            {breakdown?.decisions?.count || 0} (+{breakdown?.decisions?.value || 0}pts)
-                        </span>
-                    </div>
-                    <div style={styles.breakdownItem}>
-                        <span style={{...styles.breakdownLabel, color: currentTheme.textMuted}}>Override rate</span>
-                        <span style={{...styles.breakdownValue, color: currentTheme.textPrimary}}>
-                            {breakdown?.overrides?.rate || 0}% (+{breakdown?.overrides?.value || 0}pts)
-                        </span>
-                    </div>
-                    <div style={styles.breakdownItem}>
-                        <span style={{...styles.breakdownLabel, color: currentTheme.textMuted}}>Time on site</span>
-                        <span style={styles.breakdownValue}>
-                            {breakdown?.timeOnSite?.minutes || 0}min (+{breakdown?.timeOnSite?.value || 0}pts)
-                        </span>
-                    </div>
-                    <div style={styles.breakdownItem}>
-                        <span style={styles.breakdownLabel}>Time of day</span>
-                        <span style={styles.breakdownValue}>
-                            {breakdown?.timeOfDay?.hour || 0}:00 (+{breakdown?.timeOfDay?.value || 0}pts)
-                        </span>
-                    </div>
+                    {Object.entries(breakdown || {}).map(([key, factor]) => (
+                        <div key={key} style={styles.breakdownItem}>
+                            <span style={{...styles.breakdownLabel, color: currentTheme.textMuted}}>{factor.label}</span>
+                            <span style={{...styles.breakdownValue, color: currentTheme.textPrimary}}>
+                                {factor.display} (+{factor.value}/{factor.max}pts)
+                            </span>
+                        </div>
+                    ))}
                 </div>
+
+                {!draft ? (
+                    <button
+                        style={{...styles.linkButton, color: currentTheme.primary}}
+                        onClick={openCustomize}
+                    >
+                        ⚙️ Customize
+                    </button>
+                ) : (
+                    <div style={styles.customize}>
+                        <p style={{...styles.customizeHint, color: currentTheme.textMuted}}>
+                            Weights are relative - the factors you turn on share the 100 points.
+                        </p>
+                        {Object.entries(draft.factors).map(([key, factor]) => (
+                            <div key={key} style={styles.customizeRow}>
+                                <label style={{...styles.customizeLabel, color: currentTheme.textPrimary}}>
+                                    <input
+                                        type="checkbox"
+                                        checked={factor.enabled}
+                                        onChange={(e) => updateDraft(key, { enabled: e.target.checked })}
+                                    />
+                                    {factor.label}
+                                </label>
+                                <input
+                                    type="number"
+                                    min="0"
+                                    max="100"
+                                    value={factor.weight}
+                                    disabled={!factor.enabled}
+                                    onChange={(e) => updateDraft(key, { weight: Math.max(0, Math.min(100, Number(e.target.value) || 0)) })}
+                                    style={{
+                                        ...styles.weightInput,
+                                        backgroundColor: currentTheme.inputBg,
+                                        color: currentTheme.textPrimary,
+                                    }}
+                                    aria-label={`${factor.label} weight`}
+                                />
+                            </div>
+                        ))}
+                        <div style={styles.customizeActions}>
+                            <button
+                                style={{...styles.smallButton, backgroundColor: currentTheme.primary, color: 'white'}}
+                                onClick={() => saveConfig()}
+                                disabled={savingConfig}
+                            >
+                                {savingConfig ? 'Saving...' : 'Save'}
+                            </button>
+                            <button
+                                style={{...styles.smallButton, color: currentTheme.textSecondary}}
+                                onClick={() => saveConfig(true)}
+                                disabled={savingConfig}
+                            >
+                                Reset
+                            </button>
+                            <button
+                                style={{...styles.smallButton, color: currentTheme.textSecondary}}
+                                onClick={() => setDraft(null)}
+                                disabled={savingConfig}
+                            >
+                                Cancel
+                            </button>
+                        </div>
+                    </div>
+                )}
+            </details>
+
+            {/* Load over time */}
+            <details
+                style={{...styles.details, ...styles.trendDetails, backgroundColor: isDark ? currentTheme.backgroundSecondary : '#F9FAFB'}}
+                onToggle={(e) => setShowTrend(e.currentTarget.open)}
+            >
+                <summary style={{...styles.summary, color: currentTheme.textSecondary}}>See trend</summary>
+                {showTrend && (
+                    <LoadTrendChart refreshToken={loadData.calculatedAt} thresholds={thresholds} />
+                )}
             </details>
         </div>
     );
@@ -333,6 +473,9 @@ const styles = {
         borderTop: '1px solid #E5E7EB',
         paddingTop: '12px',
     },
+    trendDetails: {
+        marginTop: '12px',
+    },
     summary: {
         fontSize: '12px',
         color: '#6B7280',
@@ -359,6 +502,58 @@ const styles = {
         color: '#374151',
         fontWeight: '500',
     },
+    linkButton: {
+        marginTop: '12px',
+        padding: 0,
+        border: 'none',
+        background: 'none',
+        fontSize: '12px',
+        fontWeight: '500',
+        cursor: 'pointer',
+    },
+    customize: {
+        marginTop: '12px',
+        display: 'flex',
+        flexDirection: 'column',
+        gap: '8px',
+    },
+    customizeHint: {
+        margin: 0,
+        fontSize: '11px',
+    },
+    customizeRow: {
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        gap: '8px',
+    },
+    customizeLabel: {
+        display: 'flex',
+        alignItems: 'center',
+        gap: '6px',
+        fontSize: '13px',
+    },
+    weightInput: {
+        width: '56px',
+        padding: '4px 6px',
+        border: '1px solid #D1D5DB',
+        borderRadius: '6px',
+        fontSize: '13px',
+    },
+    customizeActions: {
+        display: 'flex',
+        gap: '8px',
+        marginTop: '4px',
+    },
+    smallButton: {
+        padding: '6px 12px',
+        border: '1px solid #D1D5DB',
+        borderRadius: '8px',
+        background: 'none',
+        fontSize: '12px',
+        fontWeight: '500',
+        cursor: 'pointer',
+    },
     skeleton: {
         height: '12px',
         backgroundColor: '#E5E7EB',
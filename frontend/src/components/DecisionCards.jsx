@@ -10,40 +10,125 @@
  * - "Why" explanation showing ShadowMe's reasoning
  * - Duration estimate
  * - Interactive Accept/Override/Ignore buttons
+ * - Per-item Accept/Swap/Skip inside multi-item cards (partial acceptance)
+ * - Start / Done / Drop on accepted items, so the shadow learns whether they
+ *   got done and how long they really took
+ * - Focus timer on task items: counts the task down, then the break after it
+ *   on the card (see FocusTimer and useFocusSession)
  * - Accept All button for high cognitive load
+ * - Auto mode: confident cards are accepted after a short countdown, with an undo window
+ * - Offers to re-plan the rest of the day after an override, or once a card's
+ *   time has passed without it being decided (decided cards are kept)
+ * - "Why" text collapsed to one line, expandable
+ * - Fatigue signals for the load score: hesitation before acting on a card,
+ *   card expansions and override modal opens (see useEventTracker)
  * - Animations and visual feedback
  * - Theme-aware (dark/light mode support)
  */
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useAuth } from '../context/AuthContext';
 import { useTheme } from '../context/ThemeContext';
-import { planApi, feedbackApi, decisionsApi } from '../lib/api';
+import { useEventTrackerContext } from '../context/EventTrackerContext';
+import { planApi, feedbackApi, decisionsApi, profileApi, progressApi } from '../lib/api';
 import { ShadowMascot } from './ShadowMascot';
+import { FocusTimer } from './FocusTimer';
+import { useFocusSession } from '../hooks/useFocusSession';
 import { useToast } from './Toast';
 import { useConfetti } from './Confetti';
 import { sounds } from '../lib/sounds';
 
+// Seconds auto mode waits before accepting confident cards (time to cancel)
+const AUTO_ACCEPT_DELAY_SECONDS = 10;
+
+// Auto-accept confidence thresholds the user can pick (null = off)
+const AUTO_ACCEPT_THRESHOLDS = [null, 0.6, 0.7, 0.8, 0.9];
+
+// Fresh card states for a plan; cards decided before a re-plan, and cards auto
+// mode already accepted, stay decided
+const initialCardStates = (plan, feedback = []) => {
+    const states = {};
+    plan?.compressed_decision_cards?.forEach(card => {
+        states[card.id] = card.completed
+            ? { status: 'completed', ...card.completed }
+            : { status: 'pending', action: null, items: {} };
+    });
+    feedback
+        .filter(f => f.action === 'auto_accept' && states[f.item_id])
+        .forEach(f => {
+            states[f.item_id] = f.undone_at
+                ? { ...states[f.item_id], autoHandled: true }
+                : { status: 'completed', action: 'auto_accept', items: {}, autoHandled: true };
+        });
+    return states;
+};
+
+// Item outcomes that accept it, so it can be started and finished
+const ACCEPTED_ACTIONS = ['accept', 'auto_accept'];
+
+const progressKey = (cardId, decisionId) => `${cardId}:${decisionId}`;
+
+// Minutes since midnight of an 'HH:MM' time
+const minutesOf = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+// Position of an 'HH:MM' time in a plan's day: times before the day starts are
+// after midnight, at the end of the day
+const dayPosition = (time, dayStart) => {
+    const minutes = minutesOf(time);
+    return minutes < dayStart ? minutes + 24 * 60 : minutes;
+};
+
 export const DecisionCards = ({ onFeedbackComplete }) => {
-    const { user } = useAuth();
+    const { user, accessToken, profile, refreshProfile } = useAuth();
     const { currentTheme, isDark } = useTheme();
     const toast = useToast();
     const triggerConfetti = useConfetti();
+    const { trackEvent } = useEventTrackerContext();
+    const focus = useFocusSession();
     
     const [plan, setPlan] = useState(null);
     const [loading, setLoading] = useState(true);
     const [generating, setGenerating] = useState(false);
     const [error, setError] = useState(null);
+    // What changed since the previous version of a regenerated plan (when shown)
+    const [planChanges, setPlanChanges] = useState(null);
     
-    // Track card states (completed, pending)
+    // Track card states (pending, partial, completed) and per-item outcomes
     const [cardStates, setCardStates] = useState({});
     
-    // Override modal state
+    // Override modal state (overrideItem is set when swapping a single item)
     const [showOverrideModal, setShowOverrideModal] = useState(false);
     const [overrideCard, setOverrideCard] = useState(null);
+    const [overrideItem, setOverrideItem] = useState(null);
     const [alternatives, setAlternatives] = useState([]);
     const [selectedAlternative, setSelectedAlternative] = useState(null);
 
+    // Auto mode: when the countdown started, whether the user paused it, and a
+    // clock that ticks while a countdown or undo window is showing
+    const [autoStartedAt, setAutoStartedAt] = useState(null);
+    const [autoPaused, setAutoPaused] = useState(false);
+    const [clock, setClock] = useState(() => Date.now());
+    const autoAcceptRef = useRef(null);
+
+    // Re-planning: why it's offered ('override' - otherwise cards ran past their
+    // time), which offer the user waved away, and a clock that ticks each minute
+    const [replanReason, setReplanReason] = useState(null);
+    const [replanDismissed, setReplanDismissed] = useState(null);
+    const [replanning, setReplanning] = useState(false);
+    const [minuteClock, setMinuteClock] = useState(() => new Date());
+
+    // What became of accepted items (task_progress rows by card and decision)
+    const [progress, setProgress] = useState({});
+
+    // Cards whose "why" is expanded
+    const [expandedCards, setExpandedCards] = useState({});
+
+    // When the user first pointed at each card (since they last acted on it)
+    const cardSeenAtRef = useRef({});
+
     // Fetch today's plan on mount
     useEffect(() => {
         if (user?.id) {
@@ -54,16 +139,17 @@ export const DecisionCards = ({ onFeedbackComplete }) => {
     const fetchTodayPlan = async () => {
         try {
             setLoading(true);
-            const data = await planApi.getToday(user.id);
+            const data = await planApi.getToday(accessToken);
             setPlan(data.plan);
+            if (data.plan) fetchProgress(data.plan.plan_date);
             
             // Initialize card states
             if (data.plan?.compressed_decision_cards) {
-                const states = {};
-                data.plan.compressed_decision_cards.forEach(card => {
-                    states[card.id] = { status: 'pending', action: null };
-                });
-                setCardStates(states);
+                const feedback = data.plan.autonomy_level === 'auto'
+                    ? (await feedbackApi.list(accessToken, { plan_id: data.plan.id })).feedback
+                    : [];
+                setCardStates(initialCardStates(data.plan, feedback));
+                setAutoStartedAt(Date.now());
             }
             
             setError(null);
@@ -75,30 +161,31 @@ export const DecisionCards = ({ onFeedbackComplete }) => {
         }
     };
 
+    const fetchProgress = async (date) => {
+        try {
+            const data = await progressApi.list(accessToken, { date });
+            setProgress(Object.fromEntries(data.progress.map(row => [progressKey(row.card_id, row.decision_id), row])));
+        } catch (err) {
+            console.error('Failed to fetch progress:', err);
+        }
+    };
+
     const handleGeneratePlan = async (force = false) => {
         try {
             setGenerating(true);
             setError(null);
             sounds.generate(); // Play generation sound
             
-            const endpoint = force ? '/plan/generate?force=true' : '/plan/generate';
-            const response = await fetch(`http://localhost:5000${endpoint}`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'x-user-id': user.id,
-                },
-            });
-            const data = await response.json();
+            const data = await planApi.generate(accessToken, force ? { force: true } : {});
             
             if (data.plan) {
                 setPlan(data.plan);
+                setPlanChanges(null);
+                setReplanReason(null);
+                fetchProgress(data.plan.plan_date);
                 // Initialize card states
-                const states = {};
-                data.plan.compressed_decision_cards?.forEach(card => {
-                    states[card.id] = { status: 'pending', action: null };
-                });
-                setCardStates(states);
+                setCardStates(initialCardStates(data.plan));
+                setAutoStartedAt(Date.now());
                 sounds.success();
                 toast.shadow(`Plan ready! ${data.plan.compressed_decision_cards?.length || 0} cards for you`);
             } else {
@@ -115,13 +202,222 @@ export const DecisionCards = ({ onFeedbackComplete }) => {
         }
     };
 
+    // Plan the rest of today again from now on
+    const handleReplan = async () => {
+        try {
+            setReplanning(true);
+            sounds.generate();
+            const data = await planApi.replan(accessToken);
+            setPlan(data.plan);
+            setPlanChanges(null);
+            fetchProgress(data.plan.plan_date);
+            setCardStates(initialCardStates(data.plan));
+            setAutoStartedAt(Date.now());
+            setReplanReason(null);
+            sounds.success();
+            toast.shadow(data.message);
+        } catch (err) {
+            console.error('Failed to re-plan:', err);
+            sounds.error();
+            toast.error(err.message || 'Could not re-plan');
+        } finally {
+            setReplanning(false);
+        }
+    };
+
+    const handleToggleChanges = async () => {
+        if (planChanges) {
+            setPlanChanges(null);
+            return;
+        }
+        try {
+            const data = await planApi.getVersions(accessToken, plan.id);
+            setPlanChanges(data.versions.find(v => v.id === plan.id)?.changes || null);
+        } catch (err) {
+            console.error('Failed to fetch plan versions:', err);
+            toast.error('Could not load what changed');
+        }
+    };
+
+    // Where an item is after being accepted: accepted, started, done, abandoned (or null)
+    const progressOf = (card, item) => {
+        const row = progress[progressKey(card.id, item.decision?.id)];
+        if (row) return row.status;
+        return ACCEPTED_ACTIONS.includes(cardStates[card.id]?.items?.[item.decision?.id]?.action) ? 'accepted' : null;
+    };
+
+    // Mark an accepted item started, done or abandoned
+    const handleProgress = async (card, item, status) => {
+        try {
+            const data = await progressApi.record(accessToken, {
+                plan_id: plan.id,
+                card_id: card.id,
+                decision_id: item.decision?.id,
+                status,
+            });
+            setProgress(prev => ({ ...prev, [progressKey(card.id, item.decision?.id)]: data.progress }));
+
+            const title = item.decision?.title;
+            if (status === 'started') {
+                sounds.click();
+                toast.shadow(`Started: ${title}`);
+            } else if (status === 'done') {
+                sounds.success();
+                const minutes = data.progress.actual_minutes;
+                toast.success(minutes ? `Done: ${title} in ${minutes} min` : `Done: ${title}`);
+            } else {
+                sounds.ignore();
+                toast.shadow(`Dropped: ${title}. It'll come back another time.`);
+            }
+        } catch (err) {
+            console.error(`Failed to mark item ${status}:`, err);
+            sounds.error();
+            toast.error(err.message || 'Could not update progress');
+        }
+    };
+
+    // Time a task with the focus timer; an accepted item is started with it
+    const handleStartFocus = (card, item) => {
+        focus.start(card, item);
+        if (progressOf(card, item) === 'accepted') {
+            handleProgress(card, item, 'started');
+        }
+    };
+
+    // Whether a task item can still be focused on (not skipped, swapped, done or dropped)
+    const canFocus = (card, item) => {
+        if (item.type !== 'task' || focus.session) return false;
+        const action = cardStates[card.id]?.items?.[item.decision?.id]?.action;
+        const status = progressOf(card, item);
+        return action !== 'ignore' && action !== 'override' && status !== 'done' && status !== 'abandoned';
+    };
+
+    // Start the hesitation clock the first time the pointer reaches a card
+    const markCardSeen = (card) => {
+        if (!cardSeenAtRef.current[card.id]) {
+            cardSeenAtRef.current[card.id] = Date.now();
+        }
+    };
+
+    // How long the user looked at a card before acting on it
+    const trackHesitation = (card, action, item = null) => {
+        const seenAt = cardSeenAtRef.current[card.id];
+        if (!seenAt) return;
+        delete cardSeenAtRef.current[card.id];
+        trackEvent('hesitation', {
+            card_id: card.id,
+            item_id: item?.decision?.id,
+            action,
+            hesitation_ms: Date.now() - seenAt,
+        });
+    };
+
+    const toggleWhy = (card) => {
+        if (!expandedCards[card.id]) {
+            trackEvent('card_expand', { card_id: card.id });
+        }
+        setExpandedCards(prev => ({ ...prev, [card.id]: !prev[card.id] }));
+    };
+
+    // Same outcome for every item on a card, keyed by decision id
+    const allItems = (card, outcome) => Object.fromEntries(
+        (card.items || []).map(item => [item.decision?.id, outcome])
+    );
+
+    // Items on a card the user hasn't decided on yet
+    const undecidedItems = (card) =>
+        (card.items || []).filter(item => !cardStates[card.id]?.items?.[item.decision?.id]);
+
+    // Roll item outcomes up into the card's status
+    const summarizeCard = (card, items) => {
+        const decided = (card.items || []).filter(item => items[item.decision?.id]);
+        if (decided.length === 0) return { status: 'pending', action: null, items };
+        if (decided.length < card.items.length) return { status: 'partial', action: null, items };
+
+        const actions = [...new Set(decided.map(item => items[item.decision.id].action))];
+        return { status: 'completed', action: actions.length === 1 ? actions[0] : 'mixed', items };
+    };
+
+    // Record item outcomes on a card (celebrate when that completes the plan)
+    const applyItemOutcomes = (card, outcomes) => {
+        setCardStates(prev => {
+            const items = { ...prev[card.id]?.items, ...outcomes };
+            const newStates = { ...prev, [card.id]: summarizeCard(card, items) };
+
+            const allCompleted = Object.values(newStates).every(s => s.status === 'completed');
+            if (allCompleted && newStates[card.id].status === 'completed') {
+                setTimeout(() => {
+                    sounds.celebrate();
+                    triggerConfetti();
+                    toast.celebrate('All done! Your shadow is learning! 🎉');
+                }, 300);
+            }
+
+            return newStates;
+        });
+    };
+
+    // Send feedback for one item inside a card (item_id is the decision id)
+    const submitItemFeedback = (card, item, action, alternative = null) => feedbackApi.submit(accessToken, {
+        plan_id: plan.id,
+        item_type: item.type,
+        item_id: item.decision?.id,
+        item_value: item.decision?.title || item.action,
+        action,
+        override_value: alternative?.title,
+        rating: { accept: 1, override: 0, ignore: -1 }[action],
+        context: {
+            card_id: card.id,
+            cognitive_load: plan.cognitive_load,
+            autonomy_level: plan.autonomy_level,
+            chosen_alternative: alternative?.id,
+        }
+    });
+
+    // Accept or skip a single item inside a card
+    const handleItemAction = async (card, item, action) => {
+        trackHesitation(card, action, item);
+        try {
+            action === 'accept' ? sounds.accept() : sounds.ignore();
+            await submitItemFeedback(card, item, action);
+            applyItemOutcomes(card, { [item.decision?.id]: { action } });
+            toast.success(action === 'accept' ? `Accepted: ${item.decision?.title}` : `Skipped: ${item.decision?.title}`);
+        } catch (err) {
+            console.error(`Failed to submit item ${action}:`, err);
+            setError('Failed to record feedback');
+            sounds.error();
+        }
+    };
+
+    // Accept or skip whatever is left on a partly decided card
+    const handleRemainingItems = async (card, action) => {
+        try {
+            action === 'accept' ? sounds.accept() : sounds.ignore();
+            const remaining = undecidedItems(card);
+            for (const item of remaining) {
+                await submitItemFeedback(card, item, action);
+            }
+            applyItemOutcomes(card, Object.fromEntries(remaining.map(item => [item.decision?.id, { action }])));
+            onFeedbackComplete?.(action, card);
+        } catch (err) {
+            console.error(`Failed to submit ${action} for remaining items:`, err);
+            setError('Failed to record feedback');
+            sounds.error();
+        }
+    };
+
     // Handle Accept action
     const handleAccept = async (card) => {
+        trackHesitation(card, 'accept');
+        if (cardStates[card.id]?.status === 'partial') {
+            return handleRemainingItems(card, 'accept');
+        }
+        
         try {
             sounds.accept(); // Play accept sound
             
             // Send feedback to backend
-            await feedbackApi.submit(user.id, {
+            await feedbackApi.submit(accessToken, {
                 plan_id: plan.id,
                 item_type: 'card',
                 item_id: card.id,
@@ -139,7 +435,7 @@ export const DecisionCards = ({ onFeedbackComplete }) => {
             setCardStates(prev => {
                 const newStates = {
                     ...prev,
-                    [card.id]: { status: 'completed', action: 'accept' }
+                    [card.id]: { status: 'completed', action: 'accept', items: allItems(card, { action: 'accept' }) }
                 };
                 
                 // Check if all cards are now completed for celebration
@@ -169,18 +465,22 @@ export const DecisionCards = ({ onFeedbackComplete }) => {
     };
 
     // Handle Override action - show modal with alternatives
-    const handleOverride = async (card) => {
+    // (pass an item to swap just that item for another decision of the same type)
+    const handleOverride = async (card, item = null) => {
+        trackHesitation(card, 'override', item);
+        trackEvent('override_modal_open', { card_id: card.id, item_id: item?.decision?.id });
         setOverrideCard(card);
+        setOverrideItem(item);
         
         // Fetch alternative decisions
         try {
-            const data = await decisionsApi.list(user.id, { active: true });
+            const data = await decisionsApi.list(accessToken, { active: true });
             const allDecisions = data.decisions || [];
             
             // Filter out decisions already in this card
             const cardDecisionIds = card.items?.map(i => i.decision?.id).filter(Boolean);
             const availableAlternatives = allDecisions.filter(d => 
-                !cardDecisionIds.includes(d.id)
+                !cardDecisionIds.includes(d.id) && (!item || d.type === item.type)
             );
             
             setAlternatives(availableAlternatives);
@@ -194,10 +494,14 @@ export const DecisionCards = ({ onFeedbackComplete }) => {
     const confirmOverride = async () => {
         if (!selectedAlternative || !overrideCard) return;
         
+        if (overrideItem) {
+            return confirmItemOverride();
+        }
+        
         try {
             sounds.override(); // Play override sound
             
-            await feedbackApi.submit(user.id, {
+            await feedbackApi.submit(accessToken, {
                 plan_id: plan.id,
                 item_type: 'card',
                 item_id: overrideCard.id,
@@ -219,7 +523,8 @@ export const DecisionCards = ({ onFeedbackComplete }) => {
                     [overrideCard.id]: { 
                         status: 'completed', 
                         action: 'override',
-                        alternative: selectedAlternative.title
+                        alternative: selectedAlternative.title,
+                        items: allItems(overrideCard, { action: 'override' })
                     }
                 };
                 
@@ -241,6 +546,7 @@ export const DecisionCards = ({ onFeedbackComplete }) => {
             setOverrideCard(null);
             setSelectedAlternative(null);
             
+            setReplanReason('override');
             toast.success(`Switched to: ${selectedAlternative.title}`);
             onFeedbackComplete?.('override', overrideCard);
             
@@ -252,12 +558,42 @@ export const DecisionCards = ({ onFeedbackComplete }) => {
         }
     };
 
+    // Confirm swapping a single item on a card
+    const confirmItemOverride = async () => {
+        try {
+            sounds.override();
+            
+            await submitItemFeedback(overrideCard, overrideItem, 'override', selectedAlternative);
+            applyItemOutcomes(overrideCard, {
+                [overrideItem.decision?.id]: { action: 'override', alternative: selectedAlternative.title }
+            });
+            
+            setShowOverrideModal(false);
+            setOverrideCard(null);
+            setOverrideItem(null);
+            setSelectedAlternative(null);
+            
+            setReplanReason('override');
+            toast.success(`Swapped ${overrideItem.decision?.title} for ${selectedAlternative.title}`);
+        } catch (err) {
+            console.error('Failed to submit item override:', err);
+            setError('Failed to record feedback');
+            sounds.error();
+            toast.error('Failed to swap');
+        }
+    };
+
     // Handle Ignore/Skip action
     const handleIgnore = async (card) => {
+        trackHesitation(card, 'ignore');
+        if (cardStates[card.id]?.status === 'partial') {
+            return handleRemainingItems(card, 'ignore');
+        }
+        
         try {
             sounds.ignore(); // Play ignore sound
             
-            await feedbackApi.submit(user.id, {
+            await feedbackApi.submit(accessToken, {
                 plan_id: plan.id,
                 item_type: 'card',
                 item_id: card.id,
@@ -273,7 +609,7 @@ export const DecisionCards = ({ onFeedbackComplete }) => {
             setCardStates(prev => {
                 const newStates = {
                     ...prev,
-                    [card.id]: { status: 'completed', action: 'ignore' }
+                    [card.id]: { status: 'completed', action: 'ignore', items: allItems(card, { action: 'ignore' }) }
                 };
                 
                 // Check if all cards are now completed
@@ -301,13 +637,209 @@ export const DecisionCards = ({ onFeedbackComplete }) => {
 
     // Handle Accept All
     const handleAcceptAll = async () => {
-        const pendingCards = cards.filter(c => cardStates[c.id]?.status === 'pending');
+        const pendingCards = cards.filter(c => cardStates[c.id]?.status !== 'completed');
         
         for (const card of pendingCards) {
             await handleAccept(card);
         }
     };
 
+    // Auto mode: accept the cards the shadow is confident about (the user can undo)
+    const handleAutoAccept = async (cardIds) => {
+        const targets = (plan?.compressed_decision_cards || []).filter(c => cardIds.includes(c.id));
+        
+        // Claim them first so the countdown can't pick them up twice
+        setCardStates(prev => ({
+            ...prev,
+            ...Object.fromEntries(targets.map(card => [card.id, { ...prev[card.id], autoHandled: true }])),
+        }));
+        
+        let accepted = 0;
+        for (const card of targets) {
+            try {
+                const data = await feedbackApi.submit(accessToken, {
+                    plan_id: plan.id,
+                    item_type: 'card',
+                    item_id: card.id,
+                    item_value: card.title,
+                    action: 'auto_accept',
+                    rating: 1,
+                    context: {
+                        cognitive_load: plan.cognitive_load,
+                        autonomy_level: plan.autonomy_level,
+                        confidence: card.confidence,
+                        card_items: card.items?.map(i => i.decision?.title || i.action),
+                    }
+                });
+                setCardStates(prev => ({
+                    ...prev,
+                    [card.id]: {
+                        status: 'completed',
+                        action: 'auto_accept',
+                        items: allItems(card, { action: 'auto_accept' }),
+                        autoHandled: true,
+                        feedbackId: data.feedback.id,
+                        undoUntil: new Date(data.undo_until).getTime(),
+                    }
+                }));
+                accepted++;
+            } catch (err) {
+                console.error('Failed to auto-accept card:', err);
+            }
+        }
+        
+        if (accepted > 0) {
+            sounds.accept();
+            toast.shadow(`Auto-accepted ${accepted} card${accepted > 1 ? 's' : ''}. You can undo for 2 minutes.`);
+            onFeedbackComplete?.('auto_accept');
+        }
+    };
+
+    // Undo an auto-accept while its undo window is open
+    const handleUndoAutoAccept = async (card) => {
+        try {
+            await feedbackApi.undo(accessToken, cardStates[card.id].feedbackId);
+            sounds.ignore();
+            setCardStates(prev => ({
+                ...prev,
+                [card.id]: { status: 'pending', action: null, items: {}, autoHandled: true }
+            }));
+            toast.shadow('Undone. Shadow will be more careful with this one.');
+            onFeedbackComplete?.('undo_auto_accept', card);
+        } catch (err) {
+            console.error('Failed to undo auto-accept:', err);
+            sounds.error();
+            toast.error(err.message || 'Could not undo');
+        }
+    };
+
+    // Change how confident the shadow must be before auto-accepting
+    const handleThresholdChange = async (value) => {
+        try {
+            await profileApi.update(accessToken, { auto_accept_threshold: value === 'off' ? null : Number(value) });
+            await refreshProfile();
+            setAutoStartedAt(Date.now());
+            setAutoPaused(false);
+        } catch (err) {
+            console.error('Failed to update auto-accept threshold:', err);
+            toast.error('Could not change auto-accept');
+        }
+    };
+
+    // Cancel the auto-accept countdown, or start it again
+    const toggleAutoPause = () => {
+        if (autoPaused) {
+            setAutoStartedAt(Date.now());
+        }
+        setAutoPaused(!autoPaused);
+    };
+
+    // Cards auto mode will accept when the countdown runs out
+    const autoThreshold = profile?.auto_accept_threshold ?? null;
+    const autoCards = plan?.autonomy_level === 'auto' && autoThreshold !== null
+        ? (plan.compressed_decision_cards || []).filter(card =>
+            cardStates[card.id]?.status === 'pending' &&
+            !cardStates[card.id]?.autoHandled &&
+            (card.confidence ?? 0) >= autoThreshold
+        )
+        : [];
+    const autoCardIds = autoCards.map(card => card.id).join(',');
+    const autoCountdownActive = autoCardIds !== '' && !autoPaused && autoStartedAt !== null;
+    const autoSecondsLeft = autoStartedAt === null ? AUTO_ACCEPT_DELAY_SECONDS :
+        Math.max(0, Math.ceil(AUTO_ACCEPT_DELAY_SECONDS - (clock - autoStartedAt) / 1000));
+    const undoWindowOpen = Object.values(cardStates).some(state => state.undoUntil > clock);
+
+    // Tick the clock while there's a countdown or undo window to show
+    const clockTicking = autoCountdownActive || undoWindowOpen;
+    useEffect(() => {
+        if (!clockTicking) return;
+        const timer = setInterval(() => setClock(Date.now()), 1000);
+        return () => clearInterval(timer);
+    }, [clockTicking]);
+
+    // Accept the confident cards once the countdown runs out
+    useEffect(() => {
+        autoAcceptRef.current = handleAutoAccept;
+    });
+    useEffect(() => {
+        if (!autoCountdownActive) return;
+        const delay = Math.max(0, autoStartedAt + AUTO_ACCEPT_DELAY_SECONDS * 1000 - Date.now());
+        const timer = setTimeout(() => autoAcceptRef.current(autoCardIds.split(',')), delay);
+        return () => clearTimeout(timer);
+    }, [autoCountdownActive, autoCardIds, autoStartedAt]);
+
+    // Undecided cards whose time has passed (the plan is today's, in local time)
+    const hasPlan = Boolean(plan);
+    useEffect(() => {
+        if (!hasPlan) return;
+        const timer = setInterval(() => setMinuteClock(new Date()), 60 * 1000);
+        return () => clearInterval(timer);
+    }, [hasPlan]);
+    const dayStart = minutesOf(plan?.schedule?.day_start || '00:00');
+    const dayEnd = minutesOf(plan?.schedule?.day_end || '23:59');
+    // Before the day starts is early morning, unless the day runs past midnight into it
+    const nowMinutes = minuteClock.getHours() * 60 + minuteClock.getMinutes();
+    const nowPosition = nowMinutes < dayStart && dayEnd < dayStart && nowMinutes <= dayEnd
+        ? nowMinutes + 24 * 60
+        : nowMinutes;
+    const overdueCards = (plan?.compressed_decision_cards || []).filter(card =>
+        card.end_time &&
+        cardStates[card.id]?.status !== 'completed' &&
+        dayPosition(card.end_time, dayStart) <= nowPosition
+    );
+    // Waving the offer away lasts until there's a new reason for it
+    const replanKey = replanReason || overdueCards.map(card => card.id).join(',');
+    const replanOffered = replanKey !== '' && replanKey !== replanDismissed;
+
+    const itemProgressControls = (card, item) => {
+        const status = progressOf(card, item);
+        const row = progress[progressKey(card.id, item.decision?.id)];
+        if (status === 'done') {
+            return (
+                <span style={{ ...styles.progressLabel, color: '#10B981' }}>
+                    ✓ Done{row?.actual_minutes ? ` in ${row.actual_minutes}m` : ''}
+                </span>
+            );
+        }
+        if (status === 'abandoned') {
+            return <span style={{ ...styles.progressLabel, color: currentTheme.textMuted }}>Dropped</span>;
+        }
+        if (status !== 'accepted' && status !== 'started') return null;
+
+        const elapsed = status === 'started' && row?.started_at
+            ? Math.max(0, Math.round((minuteClock - new Date(row.started_at)) / 60000))
+            : null;
+        return (
+            <span style={styles.itemActions}>
+                {status === 'accepted' ? (
+                    <button
+                        style={{ ...styles.itemActionButton, color: '#3B82F6' }}
+                        onClick={() => handleProgress(card, item, 'started')}
+                        title={`Start ${item.decision?.title} now`}
+                    >
+                        ▶ Start
+                    </button>
+                ) : (
+                    <span style={{ ...styles.progressLabel, color: '#3B82F6' }}>⏱ {elapsed}m</span>
+                )}
+                <button
+                    style={{ ...styles.itemActionButton, color: '#10B981' }}
+                    onClick={() => handleProgress(card, item, 'done')}
+                    title={`${item.decision?.title} is done`}
+                >
+                    ✓ Done
+                </button>
+                <button
+                    style={{ ...styles.itemActionButton, color: '#9CA3AF' }}
+                    onClick={() => handleProgress(card, item, 'abandoned')}
+                    title={`${item.decision?.title} isn't going to happen`}
+                >
+                    ✕ Drop
+                </button>
+            </span>
+        );
+    };
+
     // Get priority color
     const getPriorityColor = (priority) => {
         switch (priority) {
@@ -339,7 +871,7 @@ export const DecisionCards = ({ onFeedbackComplete }) => {
             borderColor: currentTheme.border,
         };
         
-        if (!state || state.status === 'pending') {
+        if (!state || state.status !== 'completed') {
             return {
                 ...baseCard,
                 borderLeftColor: getPriorityColor(card.priority),
@@ -372,6 +904,22 @@ export const DecisionCards = ({ onFeedbackComplete }) => {
                 opacity: 0.7,
             };
         }
+        if (state.action === 'auto_accept') {
+            return {
+                ...baseCard,
+                ...styles.cardCompleted,
+                borderLeftColor: '#8B5CF6',
+                backgroundColor: isDark ? '#4C1D9522' : '#F5F3FF',
+            };
+        }
+        if (state.action === 'mixed') {
+            return {
+                ...baseCard,
+                ...styles.cardCompleted,
+                borderLeftColor: '#6366F1',
+                backgroundColor: isDark ? '#312E8122' : '#EEF2FF',
+            };
+        }
         
         return baseCard;
     };
@@ -428,7 +976,7 @@ export const DecisionCards = ({ onFeedbackComplete }) => {
     }
 
     const cards = plan.compressed_decision_cards || [];
-    const pendingCount = cards.filter(c => cardStates[c.id]?.status === 'pending').length;
+    const pendingCount = cards.filter(c => cardStates[c.id]?.status !== 'completed').length;
     const completedCount = cards.length - pendingCount;
     const allCompleted = pendingCount === 0 && cards.length > 0;
 
@@ -470,6 +1018,9 @@ export const DecisionCards = ({ onFeedbackComplete }) => {
                 </div>
             )}
 
+            {/* The running focus session, if any */}
+            <FocusTimer focus={focus} />
+
             {error && <p style={styles.error}>{error}</p>}
 
             {/* All completed celebration */}
@@ -503,6 +1054,52 @@ export const DecisionCards = ({ onFeedbackComplete }) => {
                 </button>
             )}
 
+            {/* The day has drifted from the plan: offer to re-plan the rest of it */}
+            {replanOffered && (
+                <div style={{
+                    ...styles.replanBanner,
+                    backgroundColor: isDark ? '#1E3A8A22' : '#EFF6FF',
+                }}>
+                    <span style={{...styles.autoBannerText, color: currentTheme.textPrimary}}>
+                        {replanReason === 'override'
+                            ? '🧭 You changed the plan. Re-plan the rest of the day around it?'
+                            : `⏰ ${overdueCards.length} card${overdueCards.length > 1 ? 's' : ''} ran past ${overdueCards.length > 1 ? 'their' : 'its'} time. Re-plan the rest of the day from now?`}
+                    </span>
+                    <span style={styles.replanActions}>
+                        <button
+                            style={styles.replanButton}
+                            onClick={handleReplan}
+                            disabled={replanning}
+                        >
+                            {replanning ? '...' : 'Re-plan'}
+                        </button>
+                        <button
+                            style={styles.replanDismissButton}
+                            onClick={() => { setReplanDismissed(replanKey); setReplanReason(null); }}
+                        >
+                            Not now
+                        </button>
+                    </span>
+                </div>
+            )}
+
+            {/* Auto mode countdown for the cards the shadow is confident about */}
+            {autoCards.length > 0 && (
+                <div style={{
+                    ...styles.autoBanner,
+                    backgroundColor: isDark ? '#4C1D9522' : '#F5F3FF',
+                }}>
+                    <span style={{...styles.autoBannerText, color: currentTheme.textPrimary}}>
+                        {autoPaused
+                            ? `⏸ Auto-accept paused (${autoCards.length} confident card${autoCards.length > 1 ? 's' : ''})`
+                            : `⚡ Auto-accepting ${autoCards.length} card${autoCards.length > 1 ? 's' : ''} I'm at least ${Math.round(autoThreshold * 100)}% sure about in ${autoSecondsLeft}s`}
+                    </span>
+                    <button style={styles.autoBannerButton} onClick={toggleAutoPause}>
+                        {autoPaused ? 'Resume' : 'Cancel'}
+                    </button>
+                </div>
+            )}
+
             {cards.length === 0 ? (
                 <p style={{...styles.noCards, color: currentTheme.textMuted}}>No cards in this plan. Try adding more decisions!</p>
             ) : (
@@ -510,56 +1107,157 @@ export const DecisionCards = ({ onFeedbackComplete }) => {
                     {cards.map((card, index) => {
                         const state = cardStates[card.id];
                         const isCompleted = state?.status === 'completed';
+                        const isPartial = state?.status === 'partial';
+                        const decidedCount = Object.keys(state?.items || {}).length;
+                        const hasItemControls = card.items?.length > 1;
+                        // Progress of the card's accepted items
+                        const itemProgress = (card.items || []).map(item => progressOf(card, item)).filter(Boolean);
+                        const cardDone = itemProgress.length > 0 && itemProgress.every(p => p === 'done' || p === 'abandoned') &&
+                            itemProgress.includes('done');
+                        const cardStarted = itemProgress.includes('started');
                         
                         return (
                             <div 
                                 key={card.id || index} 
                                 style={getCardStyle(card)}
+                                onPointerEnter={() => markCardSeen(card)}
                             >
                                 {/* Completed badge */}
                                 {isCompleted && (
                                     <div style={{
                                         ...styles.completedBadge,
                                         backgroundColor: state.action === 'accept' ? '#10B981' : 
-                                                        state.action === 'override' ? '#F59E0B' : '#9CA3AF'
+                                                        state.action === 'override' ? '#F59E0B' :
+                                                        state.action === 'auto_accept' ? '#8B5CF6' : '#9CA3AF'
                                     }}>
-                                        {state.action === 'accept' ? '✓ Accepted' : 
+                                        {cardDone ? '🏁 Done' :
+                                         cardStarted ? '⏱ In progress' :
+                                         state.action === 'accept' ? '✓ Accepted' : 
+                                         state.action === 'auto_accept' ? '⚡ Auto-accepted' : 
                                          state.action === 'override' ? `↻ ${state.alternative || 'Changed'}` : 
+                                         state.action === 'mixed' ? '◐ Partly accepted' :
                                          '✕ Skipped'}
                                     </div>
                                 )}
 
+                                {/* Some items decided, some not */}
+                                {isPartial && (
+                                    <div style={{ ...styles.completedBadge, backgroundColor: '#6366F1' }}>
+                                        ◐ {decidedCount}/{card.items.length} decided
+                                    </div>
+                                )}
+
                                 {/* Card Header */}
                                 <div style={styles.cardHeader}>
                                     <span style={styles.cardEmoji}>{card.emoji || '📌'}</span>
                                     <span style={styles.cardTitle}>{card.title}</span>
+                                    {card.start_time && (
+                                        <span style={styles.cardTime}>{card.start_time}–{card.end_time}</span>
+                                    )}
                                     <span style={styles.cardDuration}>~{card.duration}min</span>
+                                    {plan.autonomy_level === 'auto' && card.confidence !== undefined && (
+                                        <span
+                                            style={styles.cardConfidence}
+                                            title="How sure your shadow is that you'll take this card"
+                                        >
+                                            {Math.round(card.confidence * 100)}% sure
+                                        </span>
+                                    )}
                                 </div>
 
                                 {/* Card Items */}
                                 <div style={styles.cardItems}>
-                                    {card.items?.map((item, i) => (
-                                        <div key={i} style={styles.cardItem}>
-                                            <span style={styles.itemIcon}>
-                                                {item.type === 'task' ? '✓' : item.type === 'break' ? '☕' : '🍴'}
-                                            </span>
-                                            <span style={{
-                                                ...styles.itemText,
-                                                textDecoration: isCompleted && state.action !== 'ignore' ? 'line-through' : 'none',
-                                                opacity: isCompleted ? 0.7 : 1,
-                                            }}>
-                                                {item.action}
-                                            </span>
-                                        </div>
-                                    ))}
+                                    {card.items?.map((item, i) => {
+                                        const itemState = state?.items?.[item.decision?.id];
+                                        return (
+                                            <div key={i} style={styles.cardItem}>
+                                                <span style={styles.itemIcon}>
+                                                    {item.type === 'task' ? '✓' : item.type === 'break' ? '☕' : '🍴'}
+                                                </span>
+                                                <span style={{
+                                                    ...styles.itemText,
+                                                    textDecoration: itemState && itemState.action !== 'ignore' ? 'line-through' : 'none',
+                                                    opacity: itemState ? 0.7 : 1,
+                                                }}>
+                                                    {item.action}
+                                                    {itemState?.action === 'override' && ` → ${itemState.alternative}`}
+                                                    {itemState?.action === 'ignore' && ' (skipped)'}
+                                                </span>
+
+                                                {canFocus(card, item) && (
+                                                    <span style={styles.itemActions}>
+                                                        <button
+                                                            style={{ ...styles.itemActionButton, color: '#8B5CF6' }}
+                                                            onClick={() => handleStartFocus(card, item)}
+                                                            title={`Focus on ${item.decision?.title} with a timer`}
+                                                        >
+                                                            ⏱ Focus
+                                                        </button>
+                                                    </span>
+                                                )}
+
+                                                {/* After accepting: start, finish or drop it */}
+                                                {itemProgressControls(card, item)}
+
+                                                {/* Per-item controls on multi-item cards */}
+                                                {hasItemControls && !itemState && (
+                                                    <span style={styles.itemActions}>
+                                                        <button
+                                                            style={{ ...styles.itemActionButton, color: '#10B981' }}
+                                                            onClick={() => handleItemAction(card, item, 'accept')}
+                                                            title={`Accept ${item.decision?.title}`}
+                                                        >
+                                                            ✓
+                                                        </button>
+                                                        <button
+                                                            style={{ ...styles.itemActionButton, color: '#F59E0B' }}
+                                                            onClick={() => handleOverride(card, item)}
+                                                            title={`Swap ${item.decision?.title} for something else`}
+                                                        >
+                                                            ↻
+                                                        </button>
+                                                        <button
+                                                            style={{ ...styles.itemActionButton, color: '#9CA3AF' }}
+                                                            onClick={() => handleItemAction(card, item, 'ignore')}
+                                                            title={`Skip ${item.decision?.title}`}
+                                                        >
+                                                            ✕
+                                                        </button>
+                                                    </span>
+                                                )}
+                                            </div>
+                                        );
+                                    })}
                                 </div>
 
                                 {/* Why Explanation */}
-                                <div style={styles.whyBadge}>
+                                <div
+                                    style={styles.whyBadge}
+                                    onClick={() => toggleWhy(card)}
+                                    title={expandedCards[card.id] ? 'Show less' : 'Show why'}
+                                >
                                     <span style={styles.whyIcon}>💡</span>
-                                    <span style={styles.whyText}>{card.why}</span>
+                                    <span style={{
+                                        ...styles.whyText,
+                                        ...(!expandedCards[card.id] && styles.whyTextCollapsed),
+                                    }}>
+                                        {card.why}
+                                    </span>
                                 </div>
 
+                                {/* Undo window after an auto-accept */}
+                                {state?.action === 'auto_accept' && state.undoUntil > clock && (
+                                    <div style={styles.cardActions}>
+                                        <button
+                                            style={styles.undoButton}
+                                            onClick={() => handleUndoAutoAccept(card)}
+                                            title="I didn't want this one"
+                                        >
+                                            ↶ Undo ({Math.ceil((state.undoUntil - clock) / 1000)}s)
+                                        </button>
+                                    </div>
+                                )}
+
                                 {/* Action Buttons - only show if pending */}
                                 {!isCompleted && (
                                     <div style={styles.cardActions} data-guide="card-actions">
@@ -568,21 +1266,23 @@ export const DecisionCards = ({ onFeedbackComplete }) => {
                                             onClick={() => handleAccept(card)}
                                             title="Yes, this works for me!"
                                         >
-                                            ✓ Accept
-                                        </button>
-                                        <button 
-                                            style={styles.overrideButton}
-                                            onClick={() => handleOverride(card)}
-                                            title="I prefer something else"
-                                        >
-                                            ↻ Override
+                                            {isPartial ? '✓ Accept rest' : '✓ Accept'}
                                         </button>
+                                        {!isPartial && (
+                                            <button 
+                                                style={styles.overrideButton}
+                                                onClick={() => handleOverride(card)}
+                                                title="I prefer something else"
+                                            >
+                                                ↻ Override
+                                            </button>
+                                        )}
                                         <button 
                                             style={styles.ignoreButton}
                                             onClick={() => handleIgnore(card)}
                                             title="Skip for now"
                                         >
-                                            ✕ Skip
+                                            {isPartial ? '✕ Skip rest' : '✕ Skip'}
                                         </button>
                                     </div>
                                 )}
@@ -592,20 +1292,109 @@ export const DecisionCards = ({ onFeedbackComplete }) => {
                 </div>
             )}
 
+            {/* Hard constraints the planner couldn't meet */}
+            {plan.schedule?.conflicts?.length > 0 && (
+                <div style={styles.conflicts}>
+                    <p style={styles.conflictsTitle}>⚠️ Some constraints couldn't be met today</p>
+                    {plan.schedule.conflicts.map((conflict, i) => (
+                        <p key={i} style={styles.conflictItem}>{conflict.reason}</p>
+                    ))}
+                </div>
+            )}
+
+            {/* Decisions that didn't fit between wake and sleep time */}
+            {plan.schedule?.unscheduled?.some(u => u.constraint === 'capacity') && (
+                <p style={{...styles.unscheduled, color: currentTheme.textMuted}}>
+                    Didn't fit today: {plan.schedule.unscheduled
+                        .filter(u => u.constraint === 'capacity')
+                        .map(u => u.title).join(', ')}
+                </p>
+            )}
+
+            {/* Fixed-time decisions that were already over when the day was re-planned */}
+            {plan.schedule?.unscheduled?.some(u => u.constraint === 'passed') && (
+                <p style={{...styles.unscheduled, color: currentTheme.textMuted}}>
+                    Already past (re-planned from {plan.schedule.replanned_from}): {plan.schedule.unscheduled
+                        .filter(u => u.constraint === 'passed')
+                        .map(u => u.title).join(', ')}
+                </p>
+            )}
+
             {/* Plan metadata */}
             <div style={styles.planMeta}>
                 <span>Load: {plan.cognitive_load}</span>
                 <span>•</span>
                 <span>Mode: {plan.autonomy_level}</span>
+                {plan.version > 1 && (
+                    <>
+                        <span>•</span>
+                        <button
+                            onClick={handleToggleChanges}
+                            style={styles.versionButton}
+                            title="What changed since the previous version"
+                        >
+                            Version {plan.version} {planChanges ? '▴' : '▾'}
+                        </button>
+                    </>
+                )}
+                {plan.autonomy_level === 'auto' && (
+                    <>
+                        <span>•</span>
+                        <label>
+                            Auto-accept:{' '}
+                            <select
+                                value={autoThreshold ?? 'off'}
+                                onChange={e => handleThresholdChange(e.target.value)}
+                                style={styles.thresholdSelect}
+                            >
+                                {AUTO_ACCEPT_THRESHOLDS.map(threshold => (
+                                    <option key={threshold ?? 'off'} value={threshold ?? 'off'}>
+                                        {threshold === null ? 'Off' : `≥ ${Math.round(threshold * 100)}% sure`}
+                                    </option>
+                                ))}
+                            </select>
+                        </label>
+                    </>
+                )}
             </div>
 
+            {/* What regenerating changed */}
+            {planChanges && (
+                <div style={{...styles.planChanges, color: currentTheme.textMuted}}>
+                    <p style={styles.planChangesTitle}>Since version {plan.version - 1}</p>
+                    {planChanges.added.map(slot => (
+                        <p key={`added-${slot.decision_id}-${slot.start_time}`} style={styles.planChange}>
+                            + {slot.title} at {slot.start_time}
+                        </p>
+                    ))}
+                    {planChanges.removed.map(slot => (
+                        <p key={`removed-${slot.decision_id}-${slot.start_time}`} style={styles.planChange}>
+                            − {slot.title} (was at {slot.start_time})
+                        </p>
+                    ))}
+                    {planChanges.moved.map(slot => (
+                        <p key={`moved-${slot.decision_id}-${slot.to.start_time}`} style={styles.planChange}>
+                            ↻ {slot.title}: {slot.from.start_time} → {slot.to.start_time}
+                        </p>
+                    ))}
+                    {planChanges.added.length + planChanges.removed.length + planChanges.moved.length === 0 && (
+                        <p style={styles.planChange}>Same schedule</p>
+                    )}
+                    {planChanges.cognitive_load.from !== planChanges.cognitive_load.to && (
+                        <p style={styles.planChange}>
+                            Load {planChanges.cognitive_load.from} → {planChanges.cognitive_load.to}
+                        </p>
+                    )}
+                </div>
+            )}
+
             {/* Override Modal */}
             {showOverrideModal && (
                 <div style={styles.modalOverlay} onClick={() => setShowOverrideModal(false)}>
                     <div style={styles.modal} onClick={e => e.stopPropagation()}>
                         <h4 style={styles.modalTitle}>Choose Alternative</h4>
                         <p style={styles.modalSubtitle}>
-                            What would you prefer instead of "{overrideCard?.title}"?
+                            What would you prefer instead of "{overrideItem ? overrideItem.decision?.title : overrideCard?.title}"?
                         </p>
                         
                         <div style={styles.alternativesList}>
@@ -820,6 +1609,66 @@ const styles = {
         cursor: 'pointer',
         marginBottom: '16px',
     },
+    autoBanner: {
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        gap: '12px',
+        padding: '10px 14px',
+        border: '1px solid #8B5CF6',
+        borderRadius: '8px',
+        marginBottom: '16px',
+    },
+    autoBannerText: {
+        fontSize: '13px',
+        fontWeight: '500',
+    },
+    autoBannerButton: {
+        padding: '6px 12px',
+        backgroundColor: 'white',
+        color: '#7C3AED',
+        border: '1px solid #8B5CF6',
+        borderRadius: '6px',
+        fontSize: '12px',
+        fontWeight: '600',
+        cursor: 'pointer',
+        flexShrink: 0,
+    },
+    replanBanner: {
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        gap: '12px',
+        padding: '10px 14px',
+        border: '1px solid #3B82F6',
+        borderRadius: '8px',
+        marginBottom: '16px',
+    },
+    replanActions: {
+        display: 'flex',
+        gap: '6px',
+        flexShrink: 0,
+    },
+    replanButton: {
+        padding: '6px 12px',
+        backgroundColor: '#3B82F6',
+        color: 'white',
+        border: '1px solid #3B82F6',
+        borderRadius: '6px',
+        fontSize: '12px',
+        fontWeight: '600',
+        cursor: 'pointer',
+    },
+    replanDismissButton: {
+        padding: '6px 12px',
+        backgroundColor: 'white',
+        color: '#2563EB',
+        border: '1px solid #3B82F6',
+        borderRadius: '6px',
+        fontSize: '12px',
+        fontWeight: '600',
+        cursor: 'pointer',
+    },
     error: {
         backgroundColor: '#FEE2E2',
         color: '#DC2626',
@@ -875,6 +1724,11 @@ const styles = {
         fontWeight: '600',
         color: '#1F2937',
     },
+    cardTime: {
+        fontSize: '12px',
+        fontWeight: '600',
+        color: '#4F46E5',
+    },
     cardDuration: {
         fontSize: '12px',
         color: '#6B7280',
@@ -882,6 +1736,14 @@ const styles = {
         padding: '2px 8px',
         borderRadius: '10px',
     },
+    cardConfidence: {
+        fontSize: '11px',
+        fontWeight: '600',
+        color: '#7C3AED',
+        backgroundColor: '#EDE9FE',
+        padding: '2px 8px',
+        borderRadius: '10px',
+    },
     cardItems: {
         display: 'flex',
         flexDirection: 'column',
@@ -904,6 +1766,25 @@ const styles = {
         flex: 1,
         transition: 'all 0.2s',
     },
+    itemActions: {
+        display: 'flex',
+        gap: '4px',
+        flexShrink: 0,
+    },
+    itemActionButton: {
+        padding: '2px 6px',
+        backgroundColor: 'transparent',
+        border: '1px solid #E5E7EB',
+        borderRadius: '4px',
+        cursor: 'pointer',
+        fontSize: '11px',
+        fontWeight: '600',
+    },
+    progressLabel: {
+        fontSize: '11px',
+        fontWeight: '600',
+        flexShrink: 0,
+    },
     whyBadge: {
         display: 'flex',
         alignItems: 'flex-start',
@@ -912,6 +1793,7 @@ const styles = {
         padding: '8px 10px',
         borderRadius: '6px',
         marginBottom: '12px',
+        cursor: 'pointer',
     },
     whyIcon: {
         fontSize: '12px',
@@ -922,6 +1804,11 @@ const styles = {
         fontStyle: 'italic',
         lineHeight: '1.4',
     },
+    whyTextCollapsed: {
+        whiteSpace: 'nowrap',
+        overflow: 'hidden',
+        textOverflow: 'ellipsis',
+    },
     cardActions: {
         display: 'flex',
         gap: '8px',
@@ -962,6 +1849,48 @@ const styles = {
         cursor: 'pointer',
         transition: 'all 0.2s',
     },
+    conflicts: {
+        backgroundColor: '#FEF3C7',
+        border: '1px solid #F59E0B',
+        borderRadius: '10px',
+        padding: '10px 14px',
+        marginTop: '12px',
+    },
+    conflictsTitle: {
+        margin: '0 0 6px',
+        fontSize: '13px',
+        fontWeight: '600',
+        color: '#92400E',
+    },
+    conflictItem: {
+        margin: '2px 0',
+        fontSize: '12px',
+        color: '#92400E',
+    },
+    unscheduled: {
+        fontSize: '12px',
+        textAlign: 'center',
+        marginTop: '12px',
+    },
+    undoButton: {
+        flex: 1,
+        padding: '8px',
+        backgroundColor: 'white',
+        color: '#7C3AED',
+        border: '1px solid #8B5CF6',
+        borderRadius: '6px',
+        fontSize: '13px',
+        fontWeight: '600',
+        cursor: 'pointer',
+    },
+    thresholdSelect: {
+        fontSize: '11px',
+        padding: '1px 4px',
+        borderRadius: '4px',
+        border: '1px solid #D1D5DB',
+        backgroundColor: 'transparent',
+        color: 'inherit',
+    },
     planMeta: {
         display: 'flex',
         justifyContent: 'center',
@@ -970,6 +1899,27 @@ const styles = {
         fontSize: '11px',
         color: '#9CA3AF',
     },
+    versionButton: {
+        padding: 0,
+        border: 'none',
+        background: 'none',
+        color: 'inherit',
+        fontSize: '11px',
+        textDecoration: 'underline',
+        cursor: 'pointer',
+    },
+    planChanges: {
+        marginTop: '8px',
+        fontSize: '12px',
+        textAlign: 'center',
+    },
+    planChangesTitle: {
+        margin: '0 0 4px',
+        fontWeight: '600',
+    },
+    planChange: {
+        margin: '2px 0',
+    },
     // Modal styles
     modalOverlay: {
         position: 'fixed',
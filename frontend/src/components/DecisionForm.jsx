@@ -6,13 +6,18 @@
  * - One-click preset templates
  * - Visual effort selector (dots instead of dropdown)
  * - Clickable tag chips
- * - Collapsible advanced options
+ * - Collapsible advanced options (incl. scheduling constraints)
  * - Theme support (dark/light mode)
+ * - Typing bursts are tracked as a fatigue signal (useTypingBursts)
+ * - Checked against the API's own request schema before sending, with
+ *   problems shown next to their fields (server-side ones too)
  */
 import { useState } from 'react';
 import { useToast } from './Toast';
 import { sounds } from '../lib/sounds';
 import { useTheme } from '../context/ThemeContext';
+import { useTypingBursts } from '../hooks/useTypingBursts';
+import { validate, decisionSchema } from '../../../shared/requestSchemas.mjs';
 
 // Preset templates for quick adding - expanded with more options
 const PRESETS = {
@@ -50,12 +55,39 @@ const PRESETS = {
     ],
 };
 
+// Day codes for custom recurrence (RRULE style)
+const WEEK_DAYS = [
+    { code: 'MO', label: 'M' },
+    { code: 'TU', label: 'T' },
+    { code: 'WE', label: 'W' },
+    { code: 'TH', label: 'T' },
+    { code: 'FR', label: 'F' },
+    { code: 'SA', label: 'S' },
+    { code: 'SU', label: 'S' },
+];
+
+// Whether an error key ('recurrence.end_date', 'tags[1]'...) is about a field
+const fieldMatches = (key, field) => key === field || key.startsWith(`${field}.`) || key.startsWith(`${field}[`);
+
+// Fields that live in the collapsed "Advanced options" section
+const ADVANCED_FIELDS = ['frequency', 'preferred_time', 'recurrence', 'fixed_time', 'deadline', 'max_per_day', 'depends_on', 'description'];
+
+const DEFAULT_RECURRENCE = {
+    freq: 'weekly',
+    interval: 1,
+    by_day: [],
+    start_date: '',
+    end_date: '',
+    exceptions: [],
+};
+
 // Suggested tags - expanded
 const SUGGESTED_TAGS = ['work', 'personal', 'health', 'urgent', 'quick', 'focus', 'energy', 'creative', 'relax', 'mindfulness'];
 
-export const DecisionForm = ({ onSubmit, onCancel, initialData = null }) => {
+export const DecisionForm = ({ onSubmit, onCancel, initialData = null, decisions = [] }) => {
     const toast = useToast();
     const { currentTheme, isDark } = useTheme();
+    const onTypingKeyDown = useTypingBursts('decision_form');
     
     const [formData, setFormData] = useState({
         type: initialData?.type || 'task',
@@ -67,17 +99,50 @@ export const DecisionForm = ({ onSubmit, onCancel, initialData = null }) => {
         meal_type: initialData?.meal_type || 'lunch',
         break_duration: initialData?.break_duration || 10,
         frequency: initialData?.frequency || 'daily',
+        recurrence: { ...DEFAULT_RECURRENCE, ...initialData?.recurrence },
         preferred_time: initialData?.preferred_time || '',
+        // Hard scheduling constraints
+        fixed_time: initialData?.fixed_time?.slice(0, 5) || '',
+        deadline: initialData?.deadline?.slice(0, 16) || '',
+        depends_on: initialData?.depends_on || '',
+        max_per_day: initialData?.max_per_day || '',
         active: initialData?.active ?? true,
     });
     
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState('');
+    const [fieldErrors, setFieldErrors] = useState({});
     const [showAdvanced, setShowAdvanced] = useState(false);
     const [quickInput, setQuickInput] = useState('');
+    const [newException, setNewException] = useState('');
+
+    // Editing a field clears its error (recurrence errors are named recurrence.<field>)
+    const clearFieldError = (field) => {
+        setFieldErrors(prev => {
+            const remaining = Object.fromEntries(Object.entries(prev).filter(([key]) => !fieldMatches(key, field)));
+            return Object.keys(remaining).length === Object.keys(prev).length ? prev : remaining;
+        });
+    };
 
     const updateForm = (field, value) => {
         setFormData(prev => ({ ...prev, [field]: value }));
+        clearFieldError(field);
+    };
+
+    const updateRecurrence = (field, value) => {
+        setFormData(prev => ({ ...prev, recurrence: { ...prev.recurrence, [field]: value } }));
+        clearFieldError(`recurrence.${field}`);
+    };
+
+    const toggleRecurrenceDay = (code) => {
+        const days = formData.recurrence.by_day;
+        updateRecurrence('by_day', days.includes(code) ? days.filter(d => d !== code) : [...days, code]);
+    };
+
+    const addException = () => {
+        if (!newException || formData.recurrence.exceptions.includes(newException)) return;
+        updateRecurrence('exceptions', [...formData.recurrence.exceptions, newException].sort());
+        setNewException('');
     };
 
     const toggleTag = (tag) => {
@@ -244,24 +309,45 @@ export const DecisionForm = ({ onSubmit, onCancel, initialData = null }) => {
     const handleSubmit = async (e) => {
         e.preventDefault();
         setError('');
+        setFieldErrors({});
         setLoading(true);
 
         try {
             const processedData = {
                 ...formData,
                 preferred_time: formData.preferred_time || null,
+                fixed_time: formData.fixed_time || null,
+                deadline: formData.deadline || null,
+                depends_on: formData.depends_on || null,
+                max_per_day: formData.max_per_day ? parseInt(formData.max_per_day) : null,
+                recurrence: formData.frequency === 'custom' ? {
+                    ...formData.recurrence,
+                    interval: parseInt(formData.recurrence.interval) || 1,
+                    by_day: formData.recurrence.freq === 'weekly' ? formData.recurrence.by_day : [],
+                    start_date: formData.recurrence.start_date || null,
+                    end_date: formData.recurrence.end_date || null,
+                } : null,
             };
 
             // Remove type-specific fields that don't apply
             if (processedData.type !== 'task') {
                 delete processedData.effort;
                 delete processedData.estimated_minutes;
+                delete processedData.deadline;
+                delete processedData.depends_on;
             }
             if (processedData.type !== 'meal') {
                 delete processedData.meal_type;
             }
             if (processedData.type !== 'break') {
                 delete processedData.break_duration;
+                delete processedData.max_per_day;
+            }
+
+            const { valid, errors } = validate(decisionSchema, processedData);
+            if (!valid) {
+                showFieldErrors(errors);
+                return;
             }
 
             await onSubmit(processedData);
@@ -280,10 +366,19 @@ export const DecisionForm = ({ onSubmit, onCancel, initialData = null }) => {
                 meal_type: 'lunch',
                 break_duration: 10,
                 frequency: 'daily',
+                recurrence: DEFAULT_RECURRENCE,
                 preferred_time: '',
+                fixed_time: '',
+                deadline: '',
+                depends_on: '',
+                max_per_day: '',
                 active: true,
             });
         } catch (err) {
+            if (err.fields) {
+                showFieldErrors(err.fields);
+                return;
+            }
             setError(err.message);
             sounds.error();
             toast.error('Failed to add decision');
@@ -292,6 +387,23 @@ export const DecisionForm = ({ onSubmit, onCancel, initialData = null }) => {
         }
     };
 
+    const showFieldErrors = (errors) => {
+        setFieldErrors(errors);
+        setError('Please fix the highlighted fields');
+        if (Object.keys(errors).some(key => ADVANCED_FIELDS.some(field => fieldMatches(key, field)))) {
+            setShowAdvanced(true);
+        }
+        sounds.error();
+    };
+
+    // The first error for a field (or inside it, for recurrence)
+    const renderFieldError = (field) => {
+        const key = Object.keys(fieldErrors).find(k => fieldMatches(k, field));
+        if (!key) return null;
+        const detail = key === field ? '' : `${key.slice(field.length + 1)} `;
+        return <span style={styles.fieldError}>{detail}{fieldErrors[key]}</span>;
+    };
+
     const typeConfig = {
         task: { emoji: '📋', color: '#4F46E5', label: 'Task' },
         meal: { emoji: '🍽️', color: '#10B981', label: 'Meal' },
@@ -328,7 +440,7 @@ export const DecisionForm = ({ onSubmit, onCancel, initialData = null }) => {
     };
 
     return (
-        <form onSubmit={handleSubmit} style={themedForm}>
+        <form onSubmit={handleSubmit} onKeyDown={onTypingKeyDown} style={themedForm}>
             {/* Header */}
             <div style={styles.header}>
                 <h3 style={themedFormTitle}>
@@ -359,6 +471,7 @@ export const DecisionForm = ({ onSubmit, onCancel, initialData = null }) => {
                         autoFocus
                     />
                 </div>
+                {renderFieldError('title')}
                 <p style={{...styles.quickHint, color: currentTheme.textMuted}}>
                     Smart detection: I'll figure out if it's a task, meal, or break!
                 </p>
@@ -548,8 +661,10 @@ export const DecisionForm = ({ onSubmit, onCancel, initialData = null }) => {
                                 <option value="daily">Daily</option>
                                 <option value="weekdays">Weekdays</option>
                                 <option value="weekends">Weekends</option>
-                                <option value="weekly">Weekly</option>
+                                <option value="weekly">Weekly (until done)</option>
+                                <option value="custom">Custom…</option>
                             </select>
+                            {renderFieldError('frequency')}
                         </div>
                         <div style={styles.advancedField}>
                             <label style={styles.advancedLabel}>Preferred Time</label>
@@ -559,8 +674,160 @@ export const DecisionForm = ({ onSubmit, onCancel, initialData = null }) => {
                                 onChange={(e) => updateForm('preferred_time', e.target.value)}
                                 style={styles.timeInput}
                             />
+                            {renderFieldError('preferred_time')}
                         </div>
                     </div>
+
+                    {/* Custom recurrence (RRULE style) */}
+                    {formData.frequency === 'custom' && (
+                        <div style={styles.recurrenceBox}>
+                            <div style={styles.recurrenceRow}>
+                                <span style={styles.advancedLabel}>Repeat every</span>
+                                <input
+                                    type="number"
+                                    min="1"
+                                    value={formData.recurrence.interval}
+                                    onChange={(e) => updateRecurrence('interval', e.target.value)}
+                                    style={styles.intervalInput}
+                                />
+                                <select
+                                    value={formData.recurrence.freq}
+                                    onChange={(e) => updateRecurrence('freq', e.target.value)}
+                                    style={{ ...styles.select, width: 'auto' }}
+                                >
+                                    <option value="daily">day(s)</option>
+                                    <option value="weekly">week(s)</option>
+                                </select>
+                            </div>
+
+                            {formData.recurrence.freq === 'weekly' && (
+                                <div style={styles.recurrenceRow}>
+                                    {WEEK_DAYS.map(day => (
+                                        <button
+                                            key={day.code}
+                                            type="button"
+                                            onClick={() => toggleRecurrenceDay(day.code)}
+                                            title={day.code}
+                                            style={{
+                                                ...styles.dayChip,
+                                                backgroundColor: formData.recurrence.by_day.includes(day.code) ? '#4F46E5' : '#F3F4F6',
+                                                color: formData.recurrence.by_day.includes(day.code) ? 'white' : '#6B7280',
+                                            }}
+                                        >
+                                            {day.label}
+                                        </button>
+                                    ))}
+                                    {formData.recurrence.by_day.length === 0 && (
+                                        <span style={styles.recurrenceHint}>No days = once that week, until done</span>
+                                    )}
+                                </div>
+                            )}
+
+                            <div style={styles.advancedRow}>
+                                <div style={styles.advancedField}>
+                                    <label style={styles.advancedLabel}>Starts</label>
+                                    <input
+                                        type="date"
+                                        value={formData.recurrence.start_date || ''}
+                                        onChange={(e) => updateRecurrence('start_date', e.target.value)}
+                                        style={styles.timeInput}
+                                    />
+                                </div>
+                                <div style={styles.advancedField}>
+                                    <label style={styles.advancedLabel}>Ends</label>
+                                    <input
+                                        type="date"
+                                        value={formData.recurrence.end_date || ''}
+                                        onChange={(e) => updateRecurrence('end_date', e.target.value)}
+                                        style={styles.timeInput}
+                                    />
+                                </div>
+                            </div>
+
+                            <label style={styles.advancedLabel}>Skip these days</label>
+                            <div style={styles.recurrenceRow}>
+                                <input
+                                    type="date"
+                                    value={newException}
+                                    onChange={(e) => setNewException(e.target.value)}
+                                    style={{ ...styles.timeInput, width: 'auto' }}
+                                />
+                                <button type="button" onClick={addException} style={styles.presetChip}>
+                                    + Skip
+                                </button>
+                                {formData.recurrence.exceptions.map(date => (
+                                    <button
+                                        key={date}
+                                        type="button"
+                                        onClick={() => updateRecurrence('exceptions', formData.recurrence.exceptions.filter(d => d !== date))}
+                                        style={{ ...styles.tagChip, backgroundColor: '#F3F4F6', color: '#6B7280' }}
+                                        title="Remove"
+                                    >
+                                        {date} ✕
+                                    </button>
+                                ))}
+                            </div>
+                            {renderFieldError('recurrence')}
+                        </div>
+                    )}
+
+                    {/* Hard constraints - the planner never bends these */}
+                    <div style={styles.advancedRow}>
+                        <div style={styles.advancedField}>
+                            <label style={styles.advancedLabel}>Must happen at</label>
+                            <input
+                                type="time"
+                                value={formData.fixed_time}
+                                onChange={(e) => updateForm('fixed_time', e.target.value)}
+                                style={styles.timeInput}
+                            />
+                            {renderFieldError('fixed_time')}
+                        </div>
+                        {formData.type === 'task' && (
+                            <div style={styles.advancedField}>
+                                <label style={styles.advancedLabel}>Deadline</label>
+                                <input
+                                    type="datetime-local"
+                                    value={formData.deadline}
+                                    onChange={(e) => updateForm('deadline', e.target.value)}
+                                    style={styles.timeInput}
+                                />
+                                {renderFieldError('deadline')}
+                            </div>
+                        )}
+                        {formData.type === 'break' && (
+                            <div style={styles.advancedField}>
+                                <label style={styles.advancedLabel}>Max per day</label>
+                                <input
+                                    type="number"
+                                    min="1"
+                                    value={formData.max_per_day}
+                                    onChange={(e) => updateForm('max_per_day', e.target.value)}
+                                    placeholder="No limit"
+                                    style={styles.timeInput}
+                                />
+                                {renderFieldError('max_per_day')}
+                            </div>
+                        )}
+                    </div>
+                    {formData.type === 'task' && (
+                        <div style={{ ...styles.advancedField, marginBottom: '12px' }}>
+                            <label style={styles.advancedLabel}>Only after</label>
+                            <select
+                                value={formData.depends_on}
+                                onChange={(e) => updateForm('depends_on', e.target.value)}
+                                style={styles.select}
+                            >
+                                <option value="">No dependency</option>
+                                {decisions
+                                    .filter(d => d.id !== initialData?.id && d.type !== 'break')
+                                    .map(d => (
+                                        <option key={d.id} value={d.id}>{d.title}</option>
+                                    ))}
+                            </select>
+                            {renderFieldError('depends_on')}
+                        </div>
+                    )}
                     <div style={styles.advancedField}>
                         <label style={styles.advancedLabel}>Description</label>
                         <textarea
@@ -570,6 +837,7 @@ export const DecisionForm = ({ onSubmit, onCancel, initialData = null }) => {
                             rows={2}
                             style={styles.textarea}
                         />
+                        {renderFieldError('description')}
                     </div>
                 </div>
             )}
@@ -853,6 +1121,45 @@ const styles = {
         marginBottom: '6px',
         fontWeight: '500',
     },
+    recurrenceBox: {
+        border: '1px dashed #C7D2FE',
+        borderRadius: '10px',
+        padding: '12px',
+        marginBottom: '12px',
+    },
+    recurrenceRow: {
+        display: 'flex',
+        alignItems: 'center',
+        flexWrap: 'wrap',
+        gap: '8px',
+        marginBottom: '12px',
+    },
+    fieldError: {
+        display: 'block',
+        fontSize: '12px',
+        color: '#DC2626',
+        marginTop: '4px',
+    },
+    recurrenceHint: {
+        fontSize: '12px',
+        color: '#9CA3AF',
+    },
+    intervalInput: {
+        width: '64px',
+        padding: '8px 10px',
+        border: '1px solid #E5E7EB',
+        borderRadius: '8px',
+        fontSize: '14px',
+    },
+    dayChip: {
+        width: '32px',
+        height: '32px',
+        borderRadius: '50%',
+        border: 'none',
+        fontSize: '13px',
+        fontWeight: '600',
+        cursor: 'pointer',
+    },
     select: {
         width: '100%',
         padding: '10px 12px',
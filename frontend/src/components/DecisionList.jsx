@@ -50,6 +50,25 @@ export const DecisionList = ({ decisions, onEdit, onDelete, onToggleActive }) =>
         ));
     };
 
+    // Human readable frequency, including custom recurrence rules
+    const describeFrequency = (decision) => {
+        const rule = decision.recurrence;
+        if (decision.frequency !== 'custom' || !rule) return decision.frequency;
+
+        const interval = rule.interval > 1 ? rule.interval : null;
+        let text;
+        if (rule.freq === 'daily') {
+            text = interval ? `every ${interval} days` : 'daily';
+        } else {
+            const days = rule.by_day?.length
+                ? rule.by_day.map(d => d.charAt(0) + d.charAt(1).toLowerCase()).join('/')
+                : 'once';
+            text = interval ? `every ${interval} weeks: ${days}` : `weekly: ${days}`;
+        }
+        if (rule.end_date) text += ` until ${rule.end_date}`;
+        return text;
+    };
+
     // Theme-aware styles
     const themedCard = {
         ...styles.card,
@@ -150,9 +169,17 @@ export const DecisionList = ({ decisions, onEdit, onDelete, onToggleActive }) =>
                             {/* Frequency */}
                             <div style={themedMetaChip}>
                                 <span>🔄</span>
-                                <span>{decision.frequency}</span>
+                                <span>{describeFrequency(decision)}</span>
                             </div>
 
+                            {/* Weekly items: done for this week? */}
+                            {decision.last_done_at && (decision.frequency === 'weekly' || decision.frequency === 'custom') && (
+                                <div style={themedMetaChip} title="Last done">
+                                    <span>✅</span>
+                                    <span>{new Date(decision.last_done_at).toLocaleDateString()}</span>
+                                </div>
+                            )}
+
                             {/* Task-specific: Effort dots */}
                             {decision.type === 'task' && decision.effort && (
                                 <div style={themedMetaChip}>
@@ -197,6 +224,32 @@ export const DecisionList = ({ decisions, onEdit, onDelete, onToggleActive }) =>
                                     <span>{decision.preferred_time}</span>
                                 </div>
                             )}
+
+                            {/* Hard constraints */}
+                            {decision.fixed_time && (
+                                <div style={themedMetaChip} title="Must happen at this time">
+                                    <span>📌</span>
+                                    <span>{decision.fixed_time.slice(0, 5)}</span>
+                                </div>
+                            )}
+                            {decision.deadline && (
+                                <div style={themedMetaChip} title="Deadline">
+                                    <span>⏰</span>
+                                    <span>{decision.deadline.slice(0, 16).replace('T', ' ')}</span>
+                                </div>
+                            )}
+                            {decision.depends_on && (
+                                <div style={themedMetaChip} title="Only after this decision">
+                                    <span>↳</span>
+                                    <span>after {decisions.find(d => d.id === decision.depends_on)?.title || 'another decision'}</span>
+                                </div>
+                            )}
+                            {decision.max_per_day && (
+                                <div style={themedMetaChip} title="Max per day">
+                                    <span>✋</span>
+                                    <span>max {decision.max_per_day}/day</span>
+                                </div>
+                            )}
                         </div>
 
                         {/* Tags */}
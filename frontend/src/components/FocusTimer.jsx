@@ -0,0 +1,142 @@
+/**
+ * FocusTimer Component
+ *
+ * PURPOSE:
+ * Shows the focus session started from a plan card (see useFocusSession):
+ * the countdown for the task, then for the break paired with it.
+ *
+ * FEATURES:
+ * - Time left and a progress bar for the current phase
+ * - Pause / Resume
+ * - Stop during focus (counts as an interrupted session), Skip during the break
+ * - Theme-aware (dark/light mode support)
+ */
+
+import { useTheme } from '../context/ThemeContext';
+
+// 'M:SS' for a number of milliseconds
+const formatRemaining = (ms) => {
+    const seconds = Math.ceil(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+export const FocusTimer = ({ focus }) => {
+    const { currentTheme, isDark } = useTheme();
+    const { session, remainingMs, pause, resume, stop } = focus;
+    if (!session) return null;
+
+    const isBreak = session.phase === 'break';
+    const paused = session.endsAt === null;
+    const phaseMs = (isBreak ? session.breakMinutes : session.focusMinutes) * 60 * 1000;
+    const accent = isBreak ? '#10B981' : '#8B5CF6';
+
+    return (
+        <div style={{
+            ...styles.container,
+            backgroundColor: isDark ? `${accent}22` : isBreak ? '#ECFDF5' : '#F5F3FF',
+            borderColor: accent,
+        }}>
+            <div style={styles.header}>
+                <span style={{...styles.phase, color: accent}}>
+                    {isBreak ? `☕ ${session.breakTitle}` : '🎯 Focus'}
+                    {paused && ' (paused)'}
+                </span>
+                <span style={{...styles.remaining, color: currentTheme.textPrimary}}>
+                    {formatRemaining(remainingMs)}
+                </span>
+            </div>
+
+            <div style={{...styles.title, color: currentTheme.textSecondary}}>
+                {isBreak ? `After ${session.title}` : session.title}
+                {!isBreak && session.breakMinutes > 0 && ` · then ${session.breakTitle} (${session.breakMinutes}min)`}
+            </div>
+
+            <div style={{
+                ...styles.bar,
+                backgroundColor: isDark ? currentTheme.backgroundSecondary : '#E5E7EB',
+            }}>
+                <div style={{
+                    ...styles.barFill,
+                    backgroundColor: accent,
+                    width: `${phaseMs > 0 ? Math.min(100, (1 - remainingMs / phaseMs) * 100) : 100}%`,
+                }} />
+            </div>
+
+            <div style={styles.actions}>
+                <button
+                    style={{...styles.button, backgroundColor: accent}}
+                    onClick={paused ? resume : pause}
+                >
+                    {paused ? '▶ Resume' : '⏸ Pause'}
+                </button>
+                <button
+                    style={{...styles.stopButton, color: currentTheme.textMuted}}
+                    onClick={stop}
+                    title={isBreak ? 'End the break now' : 'Stop focusing on this task'}
+                >
+                    {isBreak ? 'Skip break' : '■ Stop'}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+const styles = {
+    container: {
+        padding: '12px 14px',
+        borderRadius: '12px',
+        border: '1px solid',
+        marginBottom: '16px',
+    },
+    header: {
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+    },
+    phase: {
+        fontSize: '13px',
+        fontWeight: '600',
+    },
+    remaining: {
+        fontSize: '22px',
+        fontWeight: '700',
+        fontVariantNumeric: 'tabular-nums',
+    },
+    title: {
+        fontSize: '13px',
+        marginTop: '2px',
+    },
+    bar: {
+        height: '6px',
+        borderRadius: '3px',
+        overflow: 'hidden',
+        margin: '10px 0',
+    },
+    barFill: {
+        height: '100%',
+        borderRadius: '3px',
+        transition: 'width 1s linear',
+    },
+    actions: {
+        display: 'flex',
+        gap: '8px',
+    },
+    button: {
+        padding: '6px 14px',
+        border: 'none',
+        borderRadius: '8px',
+        color: 'white',
+        fontSize: '13px',
+        fontWeight: '500',
+        cursor: 'pointer',
+    },
+    stopButton: {
+        padding: '6px 10px',
+        border: 'none',
+        background: 'none',
+        fontSize: '13px',
+        cursor: 'pointer',
+    },
+};
+
+export default FocusTimer;
@@ -0,0 +1,300 @@
+/**
+ * LoadTrendChart Component
+ *
+ * PURPOSE:
+ * Shows how the cognitive load evolved today (by hour) or this week (by day):
+ * stacked bars for each factor's contribution, with the score as a line.
+ *
+ * Drawn in plain SVG - no charting library needed. Data comes from
+ * GET /profile/cognitive-load/history, which records the load each time it's
+ * calculated.
+ */
+
+import { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { useTheme } from '../context/ThemeContext';
+import { profileApi } from '../lib/api';
+
+// One color per factor, in registry order (falls back to gray)
+const FACTOR_COLORS = {
+    decisions: '#6366F1',
+    overrides: '#EF4444',
+    timeOnSite: '#F59E0B',
+    timeOfDay: '#10B981',
+    checkIn: '#EC4899',
+    skips: '#8B5CF6',
+    deadlines: '#0EA5E9',
+    hesitation: '#14B8A6',
+    secondGuessing: '#F97316',
+    typingCorrections: '#84CC16',
+    tabSwitching: '#A855F7',
+    rageClicks: '#DC2626',
+    focusInterruptions: '#7C3AED',
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Chart geometry (SVG units)
+const WIDTH = 300;
+const HEIGHT = 140;
+const PADDING = { top: 8, right: 8, bottom: 18, left: 24 };
+
+/**
+ * 'YYYY-MM-DD' in the browser's timezone
+ */
+const localToday = () => new Date().toLocaleDateString('en-CA');
+
+/**
+ * The calendar day `days` after 'YYYY-MM-DD'
+ */
+const addDays = (date, days) => {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+};
+
+/**
+ * The chart's x slots: the 24 hours of a day, or each day of the range
+ */
+function slotsFor(history, range) {
+    if (range === 'day') {
+        return Array.from({ length: 24 }, (_, hour) => {
+            const hh = String(hour).padStart(2, '0');
+            return { key: `${history.from}T${hh}:00`, label: hour % 6 === 0 ? `${hh}:00` : '', title: `${hh}:00` };
+        });
+    }
+
+    const slots = [];
+    for (let date = history.from; date <= history.to; date = addDays(date, 1)) {
+        const weekday = WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+        slots.push({ key: date, label: weekday, title: `${weekday} ${date}` });
+    }
+    return slots;
+}
+
+export const LoadTrendChart = ({ refreshToken, thresholds }) => {
+    const { accessToken } = useAuth();
+    const { currentTheme, isDark } = useTheme();
+    const [range, setRange] = useState('day');
+    const [history, setHistory] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!accessToken) return;
+
+        const fetchHistory = async () => {
+            try {
+                const today = localToday();
+                const params = range === 'day'
+                    ? { from: today, to: today, granularity: 'hour' }
+                    : { from: addDays(today, -6), to: today, granularity: 'day' };
+                const data = await profileApi.getCognitiveLoadHistory(accessToken, params);
+                setHistory(data);
+                setError(null);
+            } catch (err) {
+                console.error('Failed to fetch load history:', err);
+                setError('Could not load history');
+            }
+        };
+
+        fetchHistory();
+    }, [accessToken, range, refreshToken]);
+
+    const muted = currentTheme.textMuted;
+    const gridColor = isDark ? 'rgba(255,255,255,0.1)' : 'rgba(0,0,0,0.08)';
+
+    const renderChart = () => {
+        if (error) {
+            return <p style={{...styles.empty, color: muted}}>{error}</p>;
+        }
+        if (!history) {
+            return <p style={{...styles.empty, color: muted}}>Loading...</p>;
+        }
+        if (history.points.length === 0) {
+            return (
+                <p style={{...styles.empty, color: muted}}>
+                    No history yet - it builds up as you use ShadowMe.
+                </p>
+            );
+        }
+
+        const slots = slotsFor(history, range);
+        const pointsByStart = new Map(history.points.map(p => [p.start, p]));
+        const plotWidth = WIDTH - PADDING.left - PADDING.right;
+        const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+        const slotWidth = plotWidth / slots.length;
+        const barWidth = Math.max(2, slotWidth * 0.6);
+        const y = (value) => PADDING.top + plotHeight * (1 - Math.min(100, value) / 100);
+        const slotX = (i) => PADDING.left + slotWidth * i + slotWidth / 2;
+
+        // Score line through the slots that have data
+        const linePoints = slots
+            .map((slot, i) => pointsByStart.has(slot.key) ? `${slotX(i)},${y(pointsByStart.get(slot.key).score)}` : null)
+            .filter(Boolean)
+            .join(' ');
+
+        return (
+            <svg
+                viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+                style={styles.svg}
+                role="img"
+                aria-label={`Cognitive load ${range === 'day' ? 'today by hour' : 'this week by day'}`}
+            >
+                {/* Gridlines: 0/50/100 and the autonomy thresholds */}
+                {[0, 50, 100].map(value => (
+                    <g key={value}>
+                        <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(value)} y2={y(value)} stroke={gridColor} />
+                        <text x={PADDING.left - 4} y={y(value) + 3} textAnchor="end" fontSize="8" fill={muted}>{value}</text>
+                    </g>
+                ))}
+                {thresholds && [thresholds.assist, thresholds.auto].map(value => (
+                    <line
+                        key={`threshold-${value}`}
+                        x1={PADDING.left}
+                        x2={WIDTH - PADDING.right}
+                        y1={y(value)}
+                        y2={y(value)}
+                        stroke={gridColor}
+                        strokeDasharray="3 3"
+                    />
+                ))}
+
+                {/* Stacked factor contributions */}
+                {slots.map((slot, i) => {
+                    const point = pointsByStart.get(slot.key);
+                    if (!point) return null;
+
+                    let stacked = 0;
+                    const details = history.factors
+                        .map(f => `${f.label} ${Math.round(point.factors[f.key] || 0)}`)
+                        .join(', ');
+                    return (
+                        <g key={slot.key}>
+                            <title>{`${slot.title}: load ${point.score} (${details})`}</title>
+                            {history.factors.map(f => {
+                                const value = point.factors[f.key] || 0;
+                                if (value <= 0) return null;
+                                const top = y(stacked + value);
+                                const height = y(stacked) - top;
+                                stacked += value;
+                                return (
+                                    <rect
+                                        key={f.key}
+                                        x={slotX(i) - barWidth / 2}
+                                        y={top}
+                                        width={barWidth}
+                                        height={height}
+                                        fill={FACTOR_COLORS[f.key] || '#9CA3AF'}
+                                        opacity="0.75"
+                                    />
+                                );
+                            })}
+                        </g>
+                    );
+                })}
+
+                {/* Score */}
+                <polyline points={linePoints} fill="none" stroke={currentTheme.textPrimary} strokeWidth="1.5" />
+                {slots.map((slot, i) => pointsByStart.has(slot.key) && (
+                    <circle key={slot.key} cx={slotX(i)} cy={y(pointsByStart.get(slot.key).score)} r="2" fill={currentTheme.textPrimary} />
+                ))}
+
+                {/* X labels */}
+                {slots.map((slot, i) => slot.label && (
+                    <text key={slot.key} x={slotX(i)} y={HEIGHT - 4} textAnchor="middle" fontSize="8" fill={muted}>
+                        {slot.label}
+                    </text>
+                ))}
+            </svg>
+        );
+    };
+
+    return (
+        <div style={styles.container}>
+            <div style={styles.rangeToggle}>
+                {[['day', 'Today'], ['week', 'This week']].map(([value, label]) => (
+                    <button
+                        key={value}
+                        style={{
+                            ...styles.rangeButton,
+                            color: range === value ? 'white' : currentTheme.textSecondary,
+                            backgroundColor: range === value ? currentTheme.primary : 'transparent',
+                        }}
+                        onClick={() => setRange(value)}
+                    >
+                        {label}
+                    </button>
+                ))}
+            </div>
+
+            {renderChart()}
+
+            {history?.factors.length > 0 && (
+                <div style={styles.legend}>
+                    {history.factors.map(f => (
+                        <span key={f.key} style={{...styles.legendItem, color: muted}}>
+                            <span style={{...styles.legendSwatch, backgroundColor: FACTOR_COLORS[f.key] || '#9CA3AF'}} />
+                            {f.label}
+                        </span>
+                    ))}
+                    <span style={{...styles.legendItem, color: muted}}>
+                        <span style={{...styles.legendLine, backgroundColor: currentTheme.textPrimary}} />
+                        Score
+                    </span>
+                </div>
+            )}
+        </div>
+    );
+};
+
+const styles = {
+    container: {
+        marginTop: '12px',
+    },
+    rangeToggle: {
+        display: 'flex',
+        gap: '4px',
+        marginBottom: '8px',
+    },
+    rangeButton: {
+        padding: '4px 10px',
+        border: 'none',
+        borderRadius: '12px',
+        fontSize: '11px',
+        fontWeight: '600',
+        cursor: 'pointer',
+    },
+    svg: {
+        width: '100%',
+        height: 'auto',
+        display: 'block',
+    },
+    empty: {
+        margin: '12px 0',
+        fontSize: '12px',
+        textAlign: 'center',
+    },
+    legend: {
+        display: 'flex',
+        flexWrap: 'wrap',
+        gap: '8px',
+        marginTop: '6px',
+    },
+    legendItem: {
+        display: 'inline-flex',
+        alignItems: 'center',
+        gap: '4px',
+        fontSize: '10px',
+    },
+    legendSwatch: {
+        width: '8px',
+        height: '8px',
+        borderRadius: '2px',
+        opacity: 0.75,
+    },
+    legendLine: {
+        width: '10px',
+        height: '2px',
+    },
+};
+
+export default LoadTrendChart;
@@ -0,0 +1,303 @@
+/**
+ * WeekPlanView Component
+ *
+ * PURPOSE:
+ * Looks ahead at the next seven days: the provisional plan ShadowMe would make
+ * for each (GET /plan/week), with the load it expects, what gets scheduled
+ * and how the time splits between tasks, meals and breaks.
+ *
+ * FEATURES:
+ * - One row per day: forecast load (colored by autonomy level), a bar of the
+ *   scheduled minutes by type and how many decisions are on it
+ * - Click a day to see its cards
+ * - The week's balance between tasks, meals and breaks
+ * - Provisional: recomputed when decisions change, and each day is planned
+ *   again from scratch when it arrives
+ * - Theme-aware (dark/light mode support)
+ */
+
+import { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { useTheme } from '../context/ThemeContext';
+import { planApi } from '../lib/api';
+import { sounds } from '../lib/sounds';
+
+const WEEKDAYS = { MO: 'Mon', TU: 'Tue', WE: 'Wed', TH: 'Thu', FR: 'Fri', SA: 'Sat', SU: 'Sun' };
+
+const TYPES = [
+    { type: 'task', label: 'Tasks', color: '#8B5CF6' },
+    { type: 'meal', label: 'Meals', color: '#F59E0B' },
+    { type: 'break', label: 'Breaks', color: '#10B981' },
+];
+
+const LEVEL_COLORS = { manual: '#10B981', assist: '#F59E0B', auto: '#EF4444' };
+
+// Where a day's load forecast comes from
+const LOAD_BASIS = {
+    weekday: (samples) => `Your average on this weekday (${samples} day${samples === 1 ? '' : 's'})`,
+    recent: (samples) => `Your average over the last ${samples} day${samples === 1 ? '' : 's'}`,
+    current: () => 'Your load right now (no history yet)',
+};
+
+// '2h 15m' / '45m'
+const formatMinutes = (minutes) => {
+    const hours = Math.floor(minutes / 60);
+    if (hours === 0) return `${minutes}m`;
+    return minutes % 60 ? `${hours}h ${minutes % 60}m` : `${hours}h`;
+};
+
+export const WeekPlanView = ({ refreshToken }) => {
+    const { accessToken } = useAuth();
+    const { currentTheme, isDark } = useTheme();
+    const [week, setWeek] = useState(null);
+    const [error, setError] = useState(null);
+    const [openDay, setOpenDay] = useState(null);
+
+    useEffect(() => {
+        if (!accessToken) return;
+
+        const fetchWeek = async () => {
+            try {
+                const data = await planApi.getWeek(accessToken);
+                setWeek(data);
+                setError(null);
+            } catch (err) {
+                console.error('Failed to fetch week plan:', err);
+                setError('Could not plan the week');
+            }
+        };
+
+        fetchWeek();
+    }, [accessToken, refreshToken]);
+
+    const toggleDay = (date) => {
+        sounds.click();
+        setOpenDay(prev => (prev === date ? null : date));
+    };
+
+    const muted = currentTheme.textMuted;
+    const days = week?.days || [];
+    const longestDay = Math.max(1, ...days.map(day => day.summary.scheduled_minutes));
+    const weekTotals = TYPES.map(({ type }) => days.reduce((sum, day) => sum + day.summary.by_type[type].minutes, 0));
+    const weekMinutes = weekTotals.reduce((sum, minutes) => sum + minutes, 0);
+
+    const renderDays = () => {
+        if (error) {
+            return <p style={{...styles.empty, color: muted}}>{error}</p>;
+        }
+        if (!week) {
+            return <p style={{...styles.empty, color: muted}}>Loading...</p>;
+        }
+        if (days.length === 0) {
+            return <p style={{...styles.empty, color: muted}}>Add some decisions to see your week.</p>;
+        }
+
+        return days.map(day => {
+            const [, month, date] = day.plan_date.split('-').map(Number);
+            const isOpen = openDay === day.plan_date;
+            const context = day.generation_context || {};
+            const basis = LOAD_BASIS[context.load_basis];
+
+            return (
+                <div key={day.plan_date}>
+                    <div
+                        style={styles.dayRow}
+                        onClick={() => toggleDay(day.plan_date)}
+                        title={isOpen ? 'Hide cards' : 'Show cards'}
+                    >
+                        <span style={{...styles.dayLabel, color: currentTheme.textPrimary}}>
+                            {WEEKDAYS[day.weekday]} <span style={{ color: muted }}>{month}/{date}</span>
+                        </span>
+                        <span
+                            style={{...styles.loadBadge, backgroundColor: LEVEL_COLORS[day.autonomy_level] || '#6B7280'}}
+                            title={`Expected load ${day.cognitive_load} (${day.autonomy_level}). ${basis ? basis(context.load_samples) : ''}`}
+                        >
+                            {day.cognitive_load}
+                        </span>
+                        <span style={{
+                            ...styles.bar,
+                            backgroundColor: isDark ? currentTheme.backgroundSecondary : '#F3F4F6',
+                        }}>
+                            {TYPES.map(({ type, label, color }) => {
+                                const minutes = day.summary.by_type[type].minutes;
+                                if (minutes === 0) return null;
+                                return (
+                                    <span
+                                        key={type}
+                                        style={{...styles.barPart, backgroundColor: color, width: `${(minutes / longestDay) * 100}%`}}
+                                        title={`${label}: ${formatMinutes(minutes)}`}
+                                    />
+                                );
+                            })}
+                        </span>
+                        <span style={{...styles.dayCount, color: muted}}>
+                            {day.summary.decisions}
+                            {day.summary.unscheduled > 0 && <span title={`${day.summary.unscheduled} didn't fit`}> +{day.summary.unscheduled}</span>}
+                        </span>
+                    </div>
+
+                    {isOpen && (
+                        <div style={styles.dayCards}>
+                            {(day.compressed_decision_cards || []).map(card => (
+                                <div key={card.id} style={{...styles.dayCard, color: currentTheme.textSecondary}}>
+                                    <span style={{ color: muted }}>{card.start_time}</span>
+                                    <span>{card.emoji || '📌'} {card.title}</span>
+                                    <span style={{...styles.dayCardItems, color: muted}}>
+                                        {card.items.map(item => item.decision?.title).join(', ')}
+                                    </span>
+                                </div>
+                            ))}
+                            {day.schedule?.unscheduled?.length > 0 && (
+                                <div style={{...styles.dayCard, color: muted}}>
+                                    Didn't fit: {day.schedule.unscheduled.map(u => u.title).join(', ')}
+                                </div>
+                            )}
+                        </div>
+                    )}
+                </div>
+            );
+        });
+    };
+
+    return (
+        <div style={{
+            ...styles.container,
+            backgroundColor: currentTheme.cardBg,
+            boxShadow: currentTheme.shadow,
+            borderColor: isDark ? currentTheme.border : '#E5E7EB',
+        }}>
+            <div style={styles.header}>
+                <h3 style={{...styles.title, color: currentTheme.textPrimary}}>
+                    <span style={styles.emoji}>🗓️</span>
+                    The Week Ahead
+                </h3>
+                <span style={{...styles.subtitle, color: muted}} title="Planned again from scratch when each day arrives">
+                    Provisional
+                </span>
+            </div>
+
+            {renderDays()}
+
+            {/* The week's balance between tasks, meals and breaks */}
+            {weekMinutes > 0 && (
+                <div style={styles.legend}>
+                    {TYPES.map(({ type, label, color }, i) => (
+                        <span key={type} style={{...styles.legendItem, color: muted}}>
+                            <span style={{...styles.legendDot, backgroundColor: color}} />
+                            {label} {formatMinutes(weekTotals[i])} ({Math.round((weekTotals[i] / weekMinutes) * 100)}%)
+                        </span>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+const styles = {
+    container: {
+        backgroundColor: 'white',
+        borderRadius: '16px',
+        padding: '20px',
+        boxShadow: '0 2px 10px rgba(0, 0, 0, 0.08)',
+        border: '1px solid #E5E7EB',
+    },
+    header: {
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginBottom: '12px',
+    },
+    title: {
+        margin: 0,
+        fontSize: '16px',
+        fontWeight: '600',
+        color: '#333',
+        display: 'flex',
+        alignItems: 'center',
+        gap: '8px',
+    },
+    emoji: {
+        fontSize: '20px',
+    },
+    subtitle: {
+        fontSize: '12px',
+        fontStyle: 'italic',
+    },
+    empty: {
+        margin: 0,
+        fontSize: '13px',
+    },
+    dayRow: {
+        display: 'flex',
+        alignItems: 'center',
+        gap: '8px',
+        padding: '5px 0',
+        cursor: 'pointer',
+    },
+    dayLabel: {
+        width: '72px',
+        flexShrink: 0,
+        fontSize: '13px',
+        fontWeight: '500',
+    },
+    loadBadge: {
+        minWidth: '26px',
+        padding: '1px 4px',
+        borderRadius: '8px',
+        color: 'white',
+        fontSize: '11px',
+        fontWeight: '600',
+        textAlign: 'center',
+        flexShrink: 0,
+    },
+    bar: {
+        flex: 1,
+        display: 'flex',
+        height: '10px',
+        borderRadius: '5px',
+        overflow: 'hidden',
+    },
+    barPart: {
+        height: '100%',
+    },
+    dayCount: {
+        width: '32px',
+        flexShrink: 0,
+        fontSize: '12px',
+        textAlign: 'right',
+    },
+    dayCards: {
+        display: 'flex',
+        flexDirection: 'column',
+        gap: '4px',
+        padding: '4px 0 8px 80px',
+    },
+    dayCard: {
+        display: 'flex',
+        gap: '6px',
+        fontSize: '12px',
+        flexWrap: 'wrap',
+    },
+    dayCardItems: {
+        fontSize: '11px',
+    },
+    legend: {
+        display: 'flex',
+        flexWrap: 'wrap',
+        gap: '12px',
+        marginTop: '12px',
+    },
+    legendItem: {
+        display: 'flex',
+        alignItems: 'center',
+        gap: '4px',
+        fontSize: '12px',
+    },
+    legendDot: {
+        width: '8px',
+        height: '8px',
+        borderRadius: '50%',
+    },
+};
+
+export default WeekPlanView;
@@ -18,6 +18,7 @@ export const useAuth = () => {
 
 export const AuthProvider = ({ children }) => {
     const [user, setUser] = useState(null);
+    const [session, setSession] = useState(null);
     const [profile, setProfile] = useState(null);
     const [loading, setLoading] = useState(true);
     const [profileLoading, setProfileLoading] = useState(false);
@@ -27,10 +28,11 @@ export const AuthProvider = ({ children }) => {
         const getSession = async () => {
             try {
                 const { data: { session } } = await supabase.auth.getSession();
+                setSession(session);
                 setUser(session?.user ?? null);
                 
                 if (session?.user) {
-                    await fetchProfile(session.user.id);
+                    await fetchProfile(session.access_token);
                 }
             } catch (error) {
                 console.error('Error getting session:', error);
@@ -45,10 +47,11 @@ export const AuthProvider = ({ children }) => {
         const { data: { subscription } } = supabase.auth.onAuthStateChange(
             async (event, session) => {
                 console.log('Auth event:', event);
+                setSession(session);
                 setUser(session?.user ?? null);
                 
                 if (session?.user) {
-                    await fetchProfile(session.user.id);
+                    await fetchProfile(session.access_token);
                 } else {
                     setProfile(null);
                 }
@@ -59,10 +62,20 @@ export const AuthProvider = ({ children }) => {
     }, []);
 
     // Fetch user profile from backend
-    const fetchProfile = async (userId) => {
+    const fetchProfile = async (accessToken) => {
         setProfileLoading(true);
         try {
-            const data = await profileApi.get(userId);
+            const data = await profileApi.get(accessToken);
+
+            // Profiles created before timezones were captured: backfill from the browser
+            if (data.profile && !data.profile.timezone) {
+                const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+                if (timezone) {
+                    const updated = await profileApi.update(accessToken, { timezone });
+                    data.profile = updated.profile;
+                }
+            }
+
             setProfile(data.profile);
             return data;
         } catch (error) {
@@ -100,6 +113,7 @@ export const AuthProvider = ({ children }) => {
     const signOut = async () => {
         const { error } = await supabase.auth.signOut();
         if (error) throw error;
+        setSession(null);
         setUser(null);
         setProfile(null);
     };
@@ -111,13 +125,16 @@ export const AuthProvider = ({ children }) => {
 
     // Refresh profile data
     const refreshProfile = async () => {
-        if (user) {
-            return await fetchProfile(user.id);
+        if (session?.access_token) {
+            return await fetchProfile(session.access_token);
         }
     };
 
     const value = {
         user,
+        session,
+        // Bearer token for backend requests (refreshed by Supabase automatically)
+        accessToken: session?.access_token ?? null,
         profile,
         loading,
         profileLoading,
@@ -7,8 +7,9 @@
  * 
  * HOW IT WORKS:
  * 1. Wraps the app and starts passive tracking (page load, visibility, idle)
- * 2. Provides trackAction() function to any child component
- * 3. Components call trackAction('accept', { cardId: 'card_1' }) to log actions
+ * 2. Provides trackAction() and trackEvent() functions to any child component
+ * 3. Components call trackAction('accept', { cardId: 'card_1' }) to log actions,
+ *    and trackEvent('card_expand', { card_id: 'card_1' }) for other signals
  */
 
 import { createContext, useContext } from 'react';
@@ -16,6 +17,7 @@ import { useEventTracker } from '../hooks/useEventTracker';
 
 const EventTrackerContext = createContext({
     trackAction: () => {},
+    trackEvent: () => {},
     sessionId: null,
 });
 
@@ -24,10 +26,10 @@ export const useEventTrackerContext = () => {
 };
 
 export const EventTrackerProvider = ({ children }) => {
-    const { trackAction, sessionId } = useEventTracker();
+    const { trackAction, trackEvent, sessionId } = useEventTracker();
 
     return (
-        <EventTrackerContext.Provider value={{ trackAction, sessionId }}>
+        <EventTrackerContext.Provider value={{ trackAction, trackEvent, sessionId }}>
             {children}
         </EventTrackerContext.Provider>
     );
@@ -9,18 +9,50 @@
  * - Page load: When user opens the app
  * - Page unload: When user closes the app
  * - Visibility change: When user switches tabs (focus/blur)
- * - Idle time: When user stops moving mouse/typing for 60 seconds
+ * - Idle time: When user stops moving mouse/typing for 60 seconds, and when
+ *   they come back (idle_end) - the backend's sessionizer uses both to tell
+ *   active time from idle time
+ * - Rapid tab switching: RAPID_SWITCH_COUNT tab switches within a minute
+ * - Rage clicks: RAGE_CLICK_COUNT clicks in the same spot within a second
  * - Manual actions: Accept, override, ignore (called explicitly)
+ * - Other fine-grained signals, sent by the components that see them through
+ *   trackEvent(): hesitation before a card action, card expansions, override
+ *   modal opens (DecisionCards), typing bursts (useTypingBursts) and focus
+ *   timer starts, pauses, completions and interruptions (useFocusSession)
+ * 
+ * Each signal is its own event_type with structured metadata; the backend's
+ * load factors (backend/src/services/loadFactors) read them as fatigue indicators.
+ * 
+ * DELIVERY:
+ * Events go through an event queue (lib/eventQueue.js): batched, kept in
+ * localStorage until the server has them, retried with backoff, and sent with
+ * navigator.sendBeacon when the page closes so session_end isn't lost.
  * 
  * HOW TO USE:
  * 1. Import this hook in your component
  * 2. Call useEventTracker() - it starts tracking automatically
- * 3. Use trackAction() to manually log user actions
+ * 3. Use trackAction() to manually log user actions, trackEvent() for other signals
  */
 
 import { useEffect, useRef, useCallback } from 'react';
 import { useAuth } from '../context/AuthContext';
-import { eventsApi } from '../lib/api';
+import { createEventQueue } from '../lib/eventQueue';
+
+// Rapid tab switching: this many switches away from the tab within the window
+const RAPID_SWITCH_COUNT = 4;
+const RAPID_SWITCH_WINDOW_MS = 60000;
+
+// Rage clicks: this many clicks within the window and radius
+const RAGE_CLICK_COUNT = 3;
+const RAGE_CLICK_WINDOW_MS = 1000;
+const RAGE_CLICK_RADIUS_PX = 30;
+
+// Short description of a clicked element, e.g. "button: ✓ Accept"
+const describeTarget = (element) => {
+    const tag = element?.tagName?.toLowerCase() || 'unknown';
+    const text = element?.innerText?.trim().slice(0, 30);
+    return text ? `${tag}: ${text}` : tag;
+};
 
 // Generate a unique session ID for grouping events
 const generateSessionId = () => {
@@ -28,32 +60,34 @@ const generateSessionId = () => {
 };
 
 export const useEventTracker = () => {
-    const { user } = useAuth();
+    const { user, accessToken } = useAuth();
+    // Kept in a ref so token refreshes don't restart the tracking listeners
+    const accessTokenRef = useRef(accessToken);
+    accessTokenRef.current = accessToken;
     const sessionIdRef = useRef(generateSessionId());
     const idleTimerRef = useRef(null);
     const sessionStartRef = useRef(Date.now());
     const isTrackingRef = useRef(false);
-
-    // Helper function to send an event to the backend
-    const sendEvent = useCallback(async (eventType, metadata = {}) => {
-        if (!user?.id) return; // Don't track if not logged in
-
-        try {
-            await eventsApi.record(user.id, {
-                event_type: eventType,
-                metadata: {
-                    ...metadata,
-                    session_duration_ms: Date.now() - sessionStartRef.current,
-                },
-                session_id: sessionIdRef.current,
-                timestamp: new Date().toISOString(),
-            });
-            console.log(`[EventTracker] Logged: ${eventType}`, metadata);
-        } catch (error) {
-            // Silently fail - we don't want tracking errors to break the app
-            console.warn('[EventTracker] Failed to log event:', error.message);
-        }
-    }, [user?.id]);
+    const tabSwitchesRef = useRef([]);
+    const recentClicksRef = useRef([]);
+    const queueRef = useRef(null);
+    const idleSinceRef = useRef(null); // last activity before going idle, while idle
+
+    // Helper function to queue an event for the backend
+    const sendEvent = useCallback((eventType, metadata = {}) => {
+        if (!queueRef.current) return; // Don't track if not logged in
+
+        queueRef.current.enqueue({
+            event_type: eventType,
+            metadata: {
+                ...metadata,
+                session_duration_ms: Date.now() - sessionStartRef.current,
+            },
+            session_id: sessionIdRef.current,
+            timestamp: new Date().toISOString(),
+        });
+        console.log(`[EventTracker] Queued: ${eventType}`, metadata);
+    }, []);
 
     // Function to manually track user actions (accept, override, ignore, etc.)
     const trackAction = useCallback((action, details = {}) => {
@@ -64,15 +98,27 @@ export const useEventTracker = () => {
         });
     }, [sendEvent]);
 
+    // Log any other structured signal (hesitation, card_expand, typing_burst, ...)
+    const trackEvent = useCallback((eventType, metadata = {}) => {
+        sendEvent(eventType, metadata);
+    }, [sendEvent]);
+
     // Reset the idle timer (called when user moves mouse or types)
     const resetIdleTimer = useCallback(() => {
         if (idleTimerRef.current) {
             clearTimeout(idleTimerRef.current);
         }
 
+        // Back from being idle
+        if (idleSinceRef.current) {
+            sendEvent('idle_end', { idle_seconds: Math.round((Date.now() - idleSinceRef.current) / 1000) });
+            idleSinceRef.current = null;
+        }
+
         // Set new timer - if no activity for 60 seconds, log idle event
         idleTimerRef.current = setTimeout(() => {
             sendEvent('idle', { idle_seconds: 60 });
+            idleSinceRef.current = Date.now() - 60000;
         }, 60000); // 60 seconds
     }, [sendEvent]);
 
@@ -81,6 +127,9 @@ export const useEventTracker = () => {
         if (!user?.id || isTrackingRef.current) return;
         isTrackingRef.current = true;
 
+        const queue = createEventQueue(user.id, () => accessTokenRef.current);
+        queueRef.current = queue;
+
         // --- PAGE LOAD ---
         // Log when the app is opened
         sendEvent('page_load', {
@@ -100,6 +149,22 @@ export const useEventTracker = () => {
         const handleVisibilityChange = () => {
             if (document.visibilityState === 'hidden') {
                 sendEvent('visibility_change', { visible: false });
+
+                // --- RAPID TAB SWITCHING ---
+                const now = Date.now();
+                const switches = [...tabSwitchesRef.current, now].filter(t => now - t <= RAPID_SWITCH_WINDOW_MS);
+                if (switches.length >= RAPID_SWITCH_COUNT) {
+                    sendEvent('rapid_tab_switch', {
+                        switches: switches.length,
+                        window_ms: now - switches[0],
+                    });
+                    tabSwitchesRef.current = [];
+                } else {
+                    tabSwitchesRef.current = switches;
+                }
+
+                // Mobile browsers may discard a hidden tab without an unload
+                queue.flushWithBeacon();
             } else {
                 sendEvent('visibility_change', { visible: true });
             }
@@ -117,6 +182,25 @@ export const useEventTracker = () => {
         // Start the idle timer
         resetIdleTimer();
 
+        // --- RAGE CLICKS ---
+        // Repeated clicks on the same spot usually mean something isn't responding fast enough
+        const handleClick = (e) => {
+            const now = Date.now();
+            const clicks = [...recentClicksRef.current, { time: now, x: e.clientX, y: e.clientY }]
+                .filter(c => now - c.time <= RAGE_CLICK_WINDOW_MS &&
+                    Math.hypot(c.x - e.clientX, c.y - e.clientY) <= RAGE_CLICK_RADIUS_PX);
+            if (clicks.length >= RAGE_CLICK_COUNT) {
+                sendEvent('rage_click', {
+                    clicks: clicks.length,
+                    target: describeTarget(e.target),
+                });
+                recentClicksRef.current = [];
+            } else {
+                recentClicksRef.current = clicks;
+            }
+        };
+        window.addEventListener('click', handleClick);
+
         // --- PAGE UNLOAD ---
         // Log when user closes the app or navigates away
         const handleBeforeUnload = () => {
@@ -126,6 +210,7 @@ export const useEventTracker = () => {
             sendEvent('session_end', {
                 total_duration_ms: Date.now() - sessionStartRef.current,
             });
+            queue.flushWithBeacon();
         };
         window.addEventListener('beforeunload', handleBeforeUnload);
 
@@ -138,17 +223,21 @@ export const useEventTracker = () => {
             window.removeEventListener('click', handleActivity);
             window.removeEventListener('scroll', handleActivity);
             window.removeEventListener('beforeunload', handleBeforeUnload);
+            window.removeEventListener('click', handleClick);
 
             if (idleTimerRef.current) {
                 clearTimeout(idleTimerRef.current);
             }
 
+            // Anything still queued stays in storage for the next visit
+            queue.stop();
+            queueRef.current = null;
             isTrackingRef.current = false;
         };
     }, [user?.id, sendEvent, resetIdleTimer]);
 
-    // Return the trackAction function so components can manually log actions
-    return { trackAction, sessionId: sessionIdRef.current };
+    // Return the tracking functions so components can manually log actions and signals
+    return { trackAction, trackEvent, sessionId: sessionIdRef.current };
 };
 
 export default useEventTracker;
@@ -0,0 +1,258 @@
+/**
+ * useFocusSession Hook
+ *
+ * PURPOSE:
+ * A Pomodoro-style focus session for a task on a plan card: count down the
+ * task's time, then the break paired with it on the card, so the user doesn't
+ * have to time Focus Blocks somewhere else. Stopping a session before its
+ * focus time is up is a fatigue signal for the cognitive load score.
+ *
+ * HOW TO USE:
+ * const focus = useFocusSession();
+ * focus.start(card, item);   // a task item on the card
+ * <FocusTimer focus={focus} />
+ *
+ * HOW IT WORKS:
+ * - Focus time is the task's planned minutes on the card (its estimated_minutes,
+ *   or what it has really been taking - see cspLearning on the backend); the
+ *   break is the break item right after the task on the card, if there is one
+ * - The session is kept in localStorage with the wall-clock time its phase
+ *   ends, so it survives reloads; phases that ended while the page was closed
+ *   are caught up on the next tick. A session from an earlier day is dropped
+ * - Cues play through lib/sounds.js and these events go to the tracker:
+ *     focus_start     { card_id, decision_id, planned_minutes, break_minutes }
+ *     focus_pause     { card_id, decision_id, remaining_seconds }
+ *     focus_resume    { card_id, decision_id, paused_seconds }
+ *     focus_complete  { card_id, decision_id, planned_minutes, paused_seconds }
+ *     focus_interrupt { card_id, decision_id, focused_minutes, remaining_seconds }
+ *   (focus_interrupt is the focusInterruptions load factor)
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { useEventTrackerContext } from '../context/EventTrackerContext';
+import { useToast } from '../components/Toast';
+import { sounds } from '../lib/sounds';
+
+// Focus time for a task whose card doesn't say how long it takes
+const DEFAULT_FOCUS_MINUTES = 25;
+
+const storageKey = (userId) => `shadowme_focus_session_${userId}`;
+
+// Minutes an item was planned to take on its card ('HH:MM' times, may cross midnight)
+const plannedMinutes = (item) => {
+    if (!item?.start_time || !item?.end_time) return null;
+    const toMinutes = (time) => {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    };
+    const minutes = toMinutes(item.end_time) - toMinutes(item.start_time);
+    return minutes < 0 ? minutes + 24 * 60 : minutes;
+};
+
+const loadSession = (userId) => {
+    try {
+        const session = JSON.parse(localStorage.getItem(storageKey(userId)));
+        if (!session) return null;
+        return new Date(session.startedAt).toDateString() === new Date().toDateString() ? session : null;
+    } catch {
+        return null;
+    }
+};
+
+const saveSession = (userId, session) => {
+    try {
+        if (session) {
+            localStorage.setItem(storageKey(userId), JSON.stringify(session));
+        } else {
+            localStorage.removeItem(storageKey(userId));
+        }
+    } catch (e) {
+        console.warn('[FocusSession] Could not save the session:', e);
+    }
+};
+
+// Move a running session past the phases that have ended by `now`
+// Returns { session (null once the last phase ended), ended: ['focus', 'break'] }
+const advance = (session, now) => {
+    const ended = [];
+    let current = session;
+    while (current && current.endsAt !== null && current.endsAt <= now) {
+        ended.push(current.phase);
+        current = current.phase === 'focus' && current.breakMinutes
+            ? { ...current, phase: 'break', endsAt: current.endsAt + current.breakMinutes * 60 * 1000 }
+            : null;
+    }
+    return { session: current, ended };
+};
+
+// What every focus event says about the session
+const eventIds = (session) => ({ card_id: session.cardId, decision_id: session.decisionId });
+
+export const useFocusSession = () => {
+    const { user } = useAuth();
+    const { trackEvent } = useEventTrackerContext();
+    const toast = useToast();
+
+    const userId = user?.id || null;
+    const [session, setSession] = useState(() => (userId ? loadSession(userId) : null));
+    // Whose stored session `session` is - the user can arrive after the first render
+    const [loadedFor, setLoadedFor] = useState(userId);
+    if (loadedFor !== userId) {
+        setLoadedFor(userId);
+        setSession(userId ? loadSession(userId) : null);
+    }
+    const [now, setNow] = useState(() => Date.now());
+    const sessionRef = useRef(session);
+
+    // Latest trackEvent/toast without restarting the ticking when they change
+    const trackEventRef = useRef(trackEvent);
+    const toastRef = useRef(toast);
+    useEffect(() => {
+        trackEventRef.current = trackEvent;
+        toastRef.current = toast;
+    });
+
+    // Keep the stored session in step (once it's loaded, so it isn't overwritten before)
+    useEffect(() => {
+        sessionRef.current = session;
+        if (userId && loadedFor === userId) saveSession(userId, session);
+    }, [userId, loadedFor, session]);
+
+    // Tick every second while a phase is running, catching up on ended phases
+    const running = Boolean(session && session.endsAt !== null);
+    useEffect(() => {
+        if (!running) return;
+        const tick = () => {
+            const at = Date.now();
+            setNow(at);
+
+            const current = sessionRef.current;
+            if (!current) return;
+            const { session: next, ended } = advance(current, at);
+            if (ended.length === 0) return;
+
+            if (ended.includes('focus')) {
+                trackEventRef.current('focus_complete', {
+                    ...eventIds(current),
+                    planned_minutes: current.focusMinutes,
+                    paused_seconds: Math.round(current.pausedMs / 1000),
+                });
+            }
+            if (next) {
+                sounds.focusEnd();
+                toastRef.current.shadow(`Time's up on ${current.title}. ${next.breakTitle} for ${next.breakMinutes} min.`);
+            } else if (ended.includes('break')) {
+                sounds.breakEnd();
+                toastRef.current.shadow(`Break's over. Ready for what's next?`);
+            } else {
+                sounds.focusEnd();
+                toastRef.current.success(`Focus session done: ${current.title}`);
+            }
+            sessionRef.current = next;
+            setSession(next);
+        };
+        const first = setTimeout(tick, 0);
+        const timer = setInterval(tick, 1000);
+        return () => {
+            clearTimeout(first);
+            clearInterval(timer);
+        };
+    }, [running]);
+
+    // Start focusing on a task item of a card (one session at a time: the caller
+    // only offers this while none is running)
+    const start = useCallback((card, item) => {
+        const breakItem = card.items[card.items.indexOf(item) + 1];
+        const focusMinutes = plannedMinutes(item) || item.decision?.estimated_minutes || DEFAULT_FOCUS_MINUTES;
+        const breakMinutes = breakItem?.type === 'break' ? plannedMinutes(breakItem) || breakItem.decision?.estimated_minutes || 0 : 0;
+        const at = Date.now();
+
+        const next = {
+            cardId: card.id,
+            decisionId: item.decision?.id,
+            title: item.decision?.title || 'your task',
+            focusMinutes,
+            breakTitle: breakMinutes ? breakItem.decision?.title || 'Break' : null,
+            breakMinutes,
+            phase: 'focus',
+            startedAt: at,
+            endsAt: at + focusMinutes * 60 * 1000,
+            remainingMs: null,
+            pausedAt: null,
+            pausedMs: 0,
+        };
+        setNow(at);
+        setSession(next);
+
+        sounds.focusStart();
+        trackEventRef.current('focus_start', {
+            ...eventIds(next),
+            planned_minutes: focusMinutes,
+            break_minutes: breakMinutes,
+        });
+    }, []);
+
+    const pause = useCallback(() => {
+        const current = sessionRef.current;
+        if (!current || current.endsAt === null) return;
+        const at = Date.now();
+        const remainingMs = Math.max(0, current.endsAt - at);
+
+        setSession({ ...current, endsAt: null, remainingMs, pausedAt: at });
+        sounds.click();
+        trackEventRef.current('focus_pause', {
+            ...eventIds(current),
+            remaining_seconds: Math.round(remainingMs / 1000),
+        });
+    }, []);
+
+    const resume = useCallback(() => {
+        const current = sessionRef.current;
+        if (!current || current.endsAt !== null) return;
+        const at = Date.now();
+        const pausedMs = at - current.pausedAt;
+
+        setNow(at);
+        setSession({
+            ...current,
+            endsAt: at + current.remainingMs,
+            remainingMs: null,
+            pausedAt: null,
+            pausedMs: current.pausedMs + pausedMs,
+        });
+        sounds.click();
+        trackEventRef.current('focus_resume', {
+            ...eventIds(current),
+            paused_seconds: Math.round(pausedMs / 1000),
+        });
+    }, []);
+
+    // End the session early (before the focus time is up, that's an interruption)
+    const stop = useCallback(() => {
+        const current = sessionRef.current;
+        if (!current) return;
+
+        if (current.phase === 'focus') {
+            const at = Date.now();
+            const remainingMs = current.endsAt === null ? current.remainingMs : Math.max(0, current.endsAt - at);
+            const focusedMs = current.focusMinutes * 60 * 1000 - remainingMs;
+            trackEventRef.current('focus_interrupt', {
+                ...eventIds(current),
+                focused_minutes: Math.round(focusedMs / 60000),
+                remaining_seconds: Math.round(remainingMs / 1000),
+            });
+            sounds.ignore();
+        } else {
+            sounds.click();
+        }
+        setSession(null);
+    }, []);
+
+    const remainingMs = !session ? 0 :
+        session.endsAt === null ? session.remainingMs : Math.max(0, session.endsAt - now);
+
+    return { session, remainingMs, start, pause, resume, stop };
+};
+
+export default useFocusSession;
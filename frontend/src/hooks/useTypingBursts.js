@@ -0,0 +1,76 @@
+/**
+ * useTypingBursts Hook
+ *
+ * PURPOSE:
+ * Turns typing in a form into "typing burst" events: a run of keystrokes
+ * ending with a pause. How much of a burst is corrections (backspace/delete)
+ * is a fatigue signal for the cognitive load score.
+ *
+ * HOW TO USE:
+ * const onKeyDown = useTypingBursts('decision_form');
+ * <form onKeyDown={onKeyDown}>...</form>
+ *
+ * Each burst is sent as event_type 'typing_burst' with
+ * { form, keys, deletions, duration_ms }.
+ */
+
+import { useEffect, useRef, useCallback } from 'react';
+import { useEventTrackerContext } from '../context/EventTrackerContext';
+
+// A pause this long ends a burst
+const BURST_PAUSE_MS = 2000;
+
+// Shorter bursts (a quick fix, a tab) aren't worth an event
+const MIN_BURST_KEYS = 5;
+
+export const useTypingBursts = (form) => {
+    const { trackEvent } = useEventTrackerContext();
+    const burstRef = useRef(null);
+    const timerRef = useRef(null);
+
+    // Latest trackEvent without restarting anything when it changes
+    const trackEventRef = useRef(trackEvent);
+    useEffect(() => {
+        trackEventRef.current = trackEvent;
+    });
+
+    // Send the current burst (if it's long enough) and start over
+    const flush = useCallback(() => {
+        const burst = burstRef.current;
+        burstRef.current = null;
+        if (!burst || burst.keys < MIN_BURST_KEYS) return;
+
+        trackEventRef.current('typing_burst', {
+            form,
+            keys: burst.keys,
+            deletions: burst.deletions,
+            duration_ms: burst.lastAt - burst.startedAt,
+        });
+    }, [form]);
+
+    const onKeyDown = useCallback((e) => {
+        const isDeletion = e.key === 'Backspace' || e.key === 'Delete';
+        if (e.key.length !== 1 && !isDeletion) return; // ignore Tab, arrows, modifiers...
+
+        const now = Date.now();
+        if (!burstRef.current) {
+            burstRef.current = { startedAt: now, lastAt: now, keys: 0, deletions: 0 };
+        }
+        burstRef.current.keys += 1;
+        if (isDeletion) burstRef.current.deletions += 1;
+        burstRef.current.lastAt = now;
+
+        clearTimeout(timerRef.current);
+        timerRef.current = setTimeout(flush, BURST_PAUSE_MS);
+    }, [flush]);
+
+    // Send whatever was being typed when the form goes away
+    useEffect(() => () => {
+        clearTimeout(timerRef.current);
+        flush();
+    }, [flush]);
+
+    return onKeyDown;
+};
+
+export default useTypingBursts;
@@ -0,0 +1,138 @@
+/**
+ * API Client (generated - do not edit)
+ *
+ * Written by `npm run generate-client` (backend) from shared/apiRoutes.mjs.
+ * Change the route list there and re-run it. Import from ./api.
+ */
+import { apiRequest, withQuery } from './apiRequest';
+
+// Profile: Onboarding preferences, the CSP and the cognitive load score
+export const profileApi = {
+    // GET /profile - Get the user's profile
+    get: (token) => apiRequest('/profile', { method: 'GET' }, token),
+    // POST /profile - Create the profile (onboarding) and initialize the CSP
+    create: (token, body) => apiRequest('/profile', {
+        method: 'POST',
+        body: JSON.stringify(body),
+    }, token),
+    // PUT /profile - Update the profile
+    update: (token, body) => apiRequest('/profile', {
+        method: 'PUT',
+        body: JSON.stringify(body),
+    }, token),
+    // GET /profile/cognitive-load - Current cognitive load score, autonomy level and per-factor breakdown
+    getCognitiveLoad: (token) => apiRequest('/profile/cognitive-load', { method: 'GET' }, token),
+    // GET /profile/cognitive-load/history - Cognitive load over time
+    getCognitiveLoadHistory: (token, query = {}) => apiRequest(withQuery('/profile/cognitive-load/history', query), { method: 'GET' }, token),
+    // GET /profile/cognitive-load/config - Load model factors and thresholds, with their defaults
+    getCognitiveLoadConfig: (token) => apiRequest('/profile/cognitive-load/config', { method: 'GET' }, token),
+    // PUT /profile/cognitive-load/config - Customize the load model
+    updateCognitiveLoadConfig: (token, body) => apiRequest('/profile/cognitive-load/config', {
+        method: 'PUT',
+        body: JSON.stringify(body),
+    }, token),
+    // GET /profile/csp - The CSP (Cognitive Shadow Profile) vector
+    getCsp: (token) => apiRequest('/profile/csp', { method: 'GET' }, token),
+};
+
+// Decisions: Recurring tasks, meals and breaks
+export const decisionsApi = {
+    // GET /decisions - List the user's decisions
+    list: (token, query = {}) => apiRequest(withQuery('/decisions', query), { method: 'GET' }, token),
+    // GET /decisions/{id} - Get one decision
+    get: (token, id) => apiRequest(`/decisions/${encodeURIComponent(id)}`, { method: 'GET' }, token),
+    // POST /decisions - Create a decision
+    create: (token, body) => apiRequest('/decisions', {
+        method: 'POST',
+        body: JSON.stringify(body),
+    }, token),
+    // PUT /decisions/{id} - Update a decision
+    update: (token, id, body) => apiRequest(`/decisions/${encodeURIComponent(id)}`, {
+        method: 'PUT',
+        body: JSON.stringify(body),
+    }, token),
+    // DELETE /decisions/{id} - Delete a decision (and what was learned about it)
+    delete: (token, id) => apiRequest(`/decisions/${encodeURIComponent(id)}`, { method: 'DELETE' }, token),
+};
+
+// Plan: Daily plans of compressed decision cards
+export const planApi = {
+    // POST /plan/generate - Generate today's plan
+    generate: (token, query = {}) => apiRequest(withQuery('/plan/generate', query), { method: 'POST' }, token),
+    // POST /plan/replan - Re-plan the rest of today from now on
+    replan: (token) => apiRequest('/plan/replan', { method: 'POST' }, token),
+    // GET /plan/today - Today's plan (its latest version), if there is one
+    getToday: (token) => apiRequest('/plan/today', { method: 'GET' }, token),
+    // POST /plan/accept - Accept a plan
+    accept: (token, body) => apiRequest('/plan/accept', {
+        method: 'POST',
+        body: JSON.stringify(body),
+    }, token),
+    // GET /plan/history - Recent plans (the latest version of each day), newest first
+    getHistory: (token, query = {}) => apiRequest(withQuery('/plan/history', query), { method: 'GET' }, token),
+    // GET /plan/week - Provisional plans for the next 7 days, with load forecasts
+    getWeek: (token) => apiRequest('/plan/week', { method: 'GET' }, token),
+    // GET /plan/{id}/versions - Every version of a plan's day, oldest first
+    getVersions: (token, id) => apiRequest(`/plan/${encodeURIComponent(id)}/versions`, { method: 'GET' }, token),
+};
+
+// Feedback: Accepts, overrides, ignores and auto-accepts
+export const feedbackApi = {
+    // POST /feedback - Record feedback for a card, or for one task/meal/break in it
+    submit: (token, body) => apiRequest('/feedback', {
+        method: 'POST',
+        body: JSON.stringify(body),
+    }, token),
+    // POST /feedback/{id}/undo - Undo an auto-accept
+    undo: (token, id) => apiRequest(`/feedback/${encodeURIComponent(id)}/undo`, { method: 'POST' }, token),
+    // GET /feedback - Feedback history, newest first
+    list: (token, query = {}) => apiRequest(withQuery('/feedback', query), { method: 'GET' }, token),
+    // GET /feedback/stats - Accept, override and ignore counts and rates
+    getStats: (token) => apiRequest('/feedback/stats', { method: 'GET' }, token),
+};
+
+// Progress: Whether accepted plan items got done, and how long they took
+export const progressApi = {
+    // POST /progress - Mark an accepted plan item started, done or abandoned
+    record: (token, body) => apiRequest('/progress', {
+        method: 'POST',
+        body: JSON.stringify(body),
+    }, token),
+    // GET /progress - A day's accepted plan items and what became of them
+    list: (token, query = {}) => apiRequest(withQuery('/progress', query), { method: 'GET' }, token),
+};
+
+// Events: Interaction tracking and sessions
+export const eventsApi = {
+    // POST /events - Record an interaction event
+    record: (token, body) => apiRequest('/events', {
+        method: 'POST',
+        body: JSON.stringify(body),
+    }, token),
+    // POST /events/batch - Record a batch of events
+    recordBatch: (token, body) => apiRequest('/events/batch', {
+        method: 'POST',
+        body: JSON.stringify(body),
+    }, token),
+    // GET /events/today-stats - Today's event counts and session time
+    getTodayStats: (token) => apiRequest('/events/today-stats', { method: 'GET' }, token),
+    // GET /events/sessions - Sessions rebuilt from the events, with active, idle and away time
+    getSessions: (token, query = {}) => apiRequest(withQuery('/events/sessions', query), { method: 'GET' }, token),
+    // GET /events - Raw interaction events, newest first
+    list: (token, query = {}) => apiRequest(withQuery('/events', query), { method: 'GET' }, token),
+};
+
+// Check-ins: Self-reported energy, mood, stress and sleep
+export const checkInsApi = {
+    // POST /check-ins - Record a check-in
+    create: (token, body) => apiRequest('/check-ins', {
+        method: 'POST',
+        body: JSON.stringify(body),
+    }, token),
+    // GET /check-ins - Check-in history, newest first
+    list: (token, query = {}) => apiRequest(withQuery('/check-ins', query), { method: 'GET' }, token),
+    // GET /check-ins/today - Today's latest check-in (the one the load score uses)
+    getToday: (token) => apiRequest('/check-ins/today', { method: 'GET' }, token),
+    // GET /check-ins/insights - How check-ins correlate with accepts and overrides
+    getInsights: (token) => apiRequest('/check-ins/insights', { method: 'GET' }, token),
+};
@@ -1,112 +1,22 @@
 /**
  * API Client for Backend Communication
- * Handles all HTTP requests to the Express backend
+ * The API objects are generated from the backend's route list (api.generated.js,
+ * npm run generate-client in backend/); this adds what isn't a plain request.
  */
+import { API_URL, apiRequest } from './apiRequest';
+import { eventsApi as generatedEventsApi } from './api.generated';
 
-const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
-
-// Debug: Log API URL on load
-console.log('[API] Backend URL:', API_URL);
-
-/**
- * Make an API request with user authentication
- * @param {string} endpoint - API endpoint (e.g., '/decisions')
- * @param {object} options - Fetch options
- * @param {string} userId - User ID for x-user-id header
- */
-export async function apiRequest(endpoint, options = {}, userId) {
-    const url = `${API_URL}${endpoint}`;
-    
-    const headers = {
-        'Content-Type': 'application/json',
-        ...options.headers,
-    };
-    
-    // Add user ID header for authentication (hackathon simplification)
-    if (userId) {
-        headers['x-user-id'] = userId;
-    }
-    
-    const response = await fetch(url, {
-        ...options,
-        headers,
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-        throw new Error(data.error || 'API request failed');
-    }
-    
-    return data;
-}
-
-// Profile API
-export const profileApi = {
-    get: (userId) => apiRequest('/profile', { method: 'GET' }, userId),
-    create: (userId, data) => apiRequest('/profile', {
-        method: 'POST',
-        body: JSON.stringify(data),
-    }, userId),
-    update: (userId, data) => apiRequest('/profile', {
-        method: 'PUT',
-        body: JSON.stringify(data),
-    }, userId),
-    getCsp: (userId) => apiRequest('/profile/csp', { method: 'GET' }, userId),
-    getCognitiveLoad: (userId) => apiRequest('/profile/cognitive-load', { method: 'GET' }, userId),
-};
-
-// Decisions API
-export const decisionsApi = {
-    list: (userId, filters = {}) => {
-        const params = new URLSearchParams(filters).toString();
-        const endpoint = params ? `/decisions?${params}` : '/decisions';
-        return apiRequest(endpoint, { method: 'GET' }, userId);
-    },
-    get: (userId, id) => apiRequest(`/decisions/${id}`, { method: 'GET' }, userId),
-    create: (userId, data) => apiRequest('/decisions', {
-        method: 'POST',
-        body: JSON.stringify(data),
-    }, userId),
-    update: (userId, id, data) => apiRequest(`/decisions/${id}`, {
-        method: 'PUT',
-        body: JSON.stringify(data),
-    }, userId),
-    delete: (userId, id) => apiRequest(`/decisions/${id}`, { method: 'DELETE' }, userId),
-};
-
-// Plan API
-export const planApi = {
-    generate: (userId) => apiRequest('/plan/generate', { method: 'POST' }, userId),
-    getToday: (userId) => apiRequest('/plan/today', { method: 'GET' }, userId),
-    accept: (userId, planId) => apiRequest('/plan/accept', {
-        method: 'POST',
-        body: JSON.stringify({ plan_id: planId }),
-    }, userId),
-    getHistory: (userId, limit = 7) => apiRequest(`/plan/history?limit=${limit}`, { method: 'GET' }, userId),
-};
-
-// Feedback API
-export const feedbackApi = {
-    submit: (userId, data) => apiRequest('/feedback', {
-        method: 'POST',
-        body: JSON.stringify(data),
-    }, userId),
-    list: (userId, planId = null) => {
-        const endpoint = planId ? `/feedback?plan_id=${planId}` : '/feedback';
-        return apiRequest(endpoint, { method: 'GET' }, userId);
-    },
-    getStats: (userId) => apiRequest('/feedback/stats', { method: 'GET' }, userId),
-};
+export { apiRequest };
+export { profileApi, decisionsApi, planApi, feedbackApi, progressApi, checkInsApi } from './api.generated';
 
 // Events API (for interaction tracking)
 export const eventsApi = {
-    record: (userId, event) => apiRequest('/events', {
-        method: 'POST',
-        body: JSON.stringify(event),
-    }, userId),
-    recordBatch: (userId, events) => apiRequest('/events/batch', {
-        method: 'POST',
-        body: JSON.stringify({ events }),
-    }, userId),
+    ...generatedEventsApi,
+    // For a closing page: sendBeacon can't set headers, so the token goes in the
+    // (text/plain) body. Returns false if the browser wouldn't queue it.
+    beaconBatch: (token, events) => {
+        if (!navigator.sendBeacon) return false;
+        const body = new Blob([JSON.stringify({ access_token: token, events })], { type: 'text/plain' });
+        return navigator.sendBeacon(`${API_URL}/events/batch`, body);
+    },
 };
@@ -0,0 +1,57 @@
+/**
+ * HTTP requests to the Express backend
+ * Used by the generated client (api.generated.js) - import the API objects from ./api
+ */
+
+export const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+// Debug: Log API URL on load
+console.log('[API] Backend URL:', API_URL);
+
+/**
+ * Make an API request with user authentication
+ * @param {string} endpoint - API endpoint (e.g., '/decisions')
+ * @param {object} options - Fetch options
+ * @param {string} token - Supabase session access token (sent as a Bearer token)
+ */
+export async function apiRequest(endpoint, options = {}, token) {
+    const url = `${API_URL}${endpoint}`;
+
+    const headers = {
+        'Content-Type': 'application/json',
+        ...options.headers,
+    };
+
+    // The backend verifies this JWT and derives the user from its `sub` claim
+    if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
+    }
+
+    const response = await fetch(url, {
+        ...options,
+        headers,
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+        const error = new Error(data.error || 'API request failed');
+        error.status = response.status;
+        // Invalid requests (400) also list the problem with each field: { field: message }
+        error.fields = data.fields;
+        throw error;
+    }
+
+    return data;
+}
+
+/**
+ * Append query params to an endpoint, leaving out null/undefined ones
+ * @param {string} endpoint - e.g. '/plan/history'
+ * @param {object} params - e.g. { limit: 7 }
+ */
+export function withQuery(endpoint, params = {}) {
+    const entries = Object.entries(params).filter(([, value]) => value !== undefined && value !== null);
+    if (entries.length === 0) return endpoint;
+    return `${endpoint}?${new URLSearchParams(entries.map(([key, value]) => [key, String(value)]))}`;
+}
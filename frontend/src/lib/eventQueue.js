@@ -0,0 +1,179 @@
+/**
+ * Event Queue
+ *
+ * PURPOSE:
+ * Gets tracker events to the backend reliably. Instead of one request per
+ * event (dropped if it fails), events are queued, kept in localStorage and
+ * sent in batches to POST /events/batch.
+ *
+ * HOW IT WORKS:
+ * - enqueue() stamps each event with a client_event_id and stores it
+ * - A batch goes out every FLUSH_INTERVAL_MS, or straight away once BATCH_SIZE
+ *   events are waiting
+ * - A failed batch stays queued and is retried with exponential backoff
+ *   (RETRY_BASE_MS, doubling up to RETRY_MAX_MS); coming back online retries at once
+ * - When the page closes, flushWithBeacon() hands what's left to navigator.sendBeacon
+ * - Events still queued after a reload go out with the next batch. The backend
+ *   skips client_event_ids it already has, so a batch sent twice (a retry after
+ *   a lost response, two tabs) is only stored once
+ *
+ * localStorage is the source of truth so every tab of the same user shares one
+ * queue; if it's unavailable the queue lives in memory.
+ */
+
+import { eventsApi } from './api';
+
+// Events per request
+const BATCH_SIZE = 20;
+
+// How often queued events are sent when there are fewer than BATCH_SIZE
+const FLUSH_INTERVAL_MS = 10000;
+
+// Backoff after a failed batch
+const RETRY_BASE_MS = 2000;
+const RETRY_MAX_MS = 5 * 60 * 1000;
+
+// Past this the oldest events are dropped, so a long time offline can't fill storage
+const MAX_QUEUED = 500;
+
+// Beacons are capped at ~64KB; keep the last one well under
+const MAX_BEACON_EVENTS = 100;
+
+const storageKey = (userId) => `shadowme_event_queue_${userId}`;
+
+const generateEventId = () => {
+    if (window.crypto?.randomUUID) return window.crypto.randomUUID();
+    return 'event_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+};
+
+/**
+ * A queue for one user's events
+ * @param {string} userId - Events are stored per user, so they're never sent with someone else's token
+ * @param {function} getToken - Returns the current access token (or null while signed out)
+ * @returns {object} - { enqueue, flush, flushWithBeacon, stop }
+ */
+export function createEventQueue(userId, getToken) {
+    const key = storageKey(userId);
+    let memoryQueue = [];
+    let timer = null;
+    let sending = false;
+    let retryDelay = 0; // 0 = not backing off
+
+    const read = () => {
+        try {
+            const saved = localStorage.getItem(key);
+            return saved ? JSON.parse(saved) : [];
+        } catch {
+            return memoryQueue;
+        }
+    };
+
+    const write = (queue) => {
+        memoryQueue = queue.slice(-MAX_QUEUED);
+        try {
+            localStorage.setItem(key, JSON.stringify(memoryQueue));
+        } catch {
+            // Storage full or blocked - the in-memory copy still gets sent
+        }
+    };
+
+    const remove = (events) => {
+        const ids = new Set(events.map(e => e.client_event_id));
+        write(read().filter(e => !ids.has(e.client_event_id)));
+    };
+
+    const schedule = (delay) => {
+        clearTimeout(timer);
+        timer = setTimeout(flush, delay);
+    };
+
+    // Send the oldest batch, then schedule the next one (or a retry)
+    const flush = async () => {
+        clearTimeout(timer);
+        timer = null;
+        if (sending) return;
+
+        const token = getToken();
+        const batch = read().slice(0, BATCH_SIZE);
+        if (batch.length === 0) return;
+        if (!token || navigator.onLine === false) {
+            // Nothing to do until we're signed in / online again
+            schedule(FLUSH_INTERVAL_MS);
+            return;
+        }
+
+        sending = true;
+        try {
+            await eventsApi.recordBatch(token, { events: batch });
+            remove(batch);
+            retryDelay = 0;
+        } catch (error) {
+            if (error.status >= 400 && error.status < 500 && ![401, 408, 429].includes(error.status)) {
+                // The server will never take this batch - drop it rather than block the queue
+                console.warn('[EventQueue] Dropping rejected batch:', error.message);
+                remove(batch);
+            } else {
+                retryDelay = Math.min(retryDelay ? retryDelay * 2 : RETRY_BASE_MS, RETRY_MAX_MS);
+                console.warn(`[EventQueue] Send failed, retrying in ${retryDelay / 1000}s:`, error.message);
+            }
+        } finally {
+            sending = false;
+        }
+
+        const waiting = read().length;
+        if (retryDelay) {
+            schedule(retryDelay);
+        } else if (waiting > 0) {
+            schedule(waiting >= BATCH_SIZE ? 0 : FLUSH_INTERVAL_MS);
+        }
+    };
+
+    /**
+     * Queue an event ({ event_type, metadata, session_id, timestamp })
+     */
+    const enqueue = (event) => {
+        const queue = read();
+        queue.push({ ...event, client_event_id: generateEventId() });
+        write(queue);
+
+        if (queue.length >= BATCH_SIZE && !retryDelay && !sending) {
+            flush();
+        } else if (!timer) {
+            schedule(FLUSH_INTERVAL_MS);
+        }
+    };
+
+    /**
+     * Send what's queued with navigator.sendBeacon - for a page that's closing,
+     * where a fetch would be cancelled
+     */
+    const flushWithBeacon = () => {
+        const token = getToken();
+        const batch = read().slice(0, MAX_BEACON_EVENTS);
+        if (!token || batch.length === 0) return;
+
+        // If the browser won't take it, the events stay queued for next time
+        if (eventsApi.beaconBatch(token, batch)) {
+            remove(batch);
+        }
+    };
+
+    const handleOnline = () => {
+        retryDelay = 0;
+        flush();
+    };
+    window.addEventListener('online', handleOnline);
+
+    // Events left over from a previous visit
+    if (read().length > 0) schedule(0);
+
+    const stop = () => {
+        clearTimeout(timer);
+        timer = null;
+        window.removeEventListener('online', handleOnline);
+    };
+
+    return { enqueue, flush, flushWithBeacon, stop };
+}
+
+export default createEventQueue;
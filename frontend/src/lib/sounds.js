@@ -129,6 +129,25 @@ class SoundEffects {
         this.playTone(880, 0.1);
     }
 
+    // Focus session started - soft rising fifth
+    focusStart() {
+        this.playTone(392, 0.12); // G4
+        setTimeout(() => this.playTone(587.33, 0.2), 120); // D5
+    }
+
+    // Focus time is up - three-note chime into the break
+    focusEnd() {
+        this.playTone(783.99, 0.15); // G5
+        setTimeout(() => this.playTone(659.25, 0.15), 180); // E5
+        setTimeout(() => this.playTone(523.25, 0.3), 360); // C5
+    }
+
+    // Break is over - double ping
+    breakEnd() {
+        this.playTone(880, 0.1);
+        setTimeout(() => this.playTone(880, 0.15), 200);
+    }
+
     // Generate sound - whoosh-like
     generate() {
         if (!this.enabled) return;
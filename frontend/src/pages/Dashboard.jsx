@@ -11,7 +11,9 @@ import { decisionsApi, profileApi } from '../lib/api';
 import { DecisionForm } from '../components/DecisionForm';
 import { DecisionList } from '../components/DecisionList';
 import { CognitiveLoadMeter } from '../components/CognitiveLoadMeter';
+import { CheckInWidget } from '../components/CheckInWidget';
 import { DecisionCards } from '../components/DecisionCards';
+import { WeekPlanView } from '../components/WeekPlanView';
 import { ShadowMascot } from '../components/ShadowMascot';
 import { ThemeToggle } from '../components/ThemeToggle';
 import { sounds } from '../lib/sounds';
@@ -29,7 +31,7 @@ const getGreeting = () => {
 };
 
 export const Dashboard = () => {
-    const { user, profile, signOut } = useAuth();
+    const { user, profile, accessToken, signOut } = useAuth();
     const { currentTheme, isDark } = useTheme();
     const toast = useToast();
     
@@ -44,6 +46,8 @@ export const Dashboard = () => {
     
     // Cognitive load state
     const [cognitiveLoad, setCognitiveLoad] = useState(null);
+    // Bumped to make the meter recalculate (e.g. after a check-in)
+    const [loadRefresh, setLoadRefresh] = useState(0);
     
     // CSP stats state
     const [cspStats, setCspStats] = useState(null);
@@ -81,7 +85,7 @@ export const Dashboard = () => {
     // Fetch CSP stats
     const fetchCspStats = async () => {
         try {
-            const data = await profileApi.getCsp(user.id);
+            const data = await profileApi.getCsp(accessToken);
             setCspStats(data.csp_vector);
         } catch (err) {
             console.error('Failed to fetch CSP stats:', err);
@@ -109,7 +113,7 @@ export const Dashboard = () => {
     const fetchDecisions = async () => {
         try {
             setLoading(true);
-            const data = await decisionsApi.list(user.id);
+            const data = await decisionsApi.list(accessToken);
             setDecisions(data.decisions || []);
         } catch (err) {
             setError('Failed to load decisions');
@@ -120,13 +124,13 @@ export const Dashboard = () => {
     };
 
     const handleCreateDecision = async (formData) => {
-        await decisionsApi.create(user.id, formData);
+        await decisionsApi.create(accessToken, formData);
         await fetchDecisions();
         setShowForm(false);
     };
 
     const handleUpdateDecision = async (formData) => {
-        await decisionsApi.update(user.id, editingDecision.id, formData);
+        await decisionsApi.update(accessToken, editingDecision.id, formData);
         await fetchDecisions();
         setEditingDecision(null);
     };
@@ -135,7 +139,7 @@ export const Dashboard = () => {
         if (!window.confirm('Delete this decision?')) return;
         
         try {
-            await decisionsApi.delete(user.id, id);
+            await decisionsApi.delete(accessToken, id);
             await fetchDecisions();
         } catch (err) {
             setError('Failed to delete decision');
@@ -144,7 +148,7 @@ export const Dashboard = () => {
 
     const handleToggleActive = async (decision) => {
         try {
-            await decisionsApi.update(user.id, decision.id, { active: !decision.active });
+            await decisionsApi.update(accessToken, decision.id, { active: !decision.active });
             await fetchDecisions();
         } catch (err) {
             setError('Failed to update decision');
@@ -323,6 +327,7 @@ export const Dashboard = () => {
                     {/* Add Form */}
                     {showForm && (
                         <DecisionForm 
+                            decisions={decisions}
                             onSubmit={handleCreateDecision}
                             onCancel={() => setShowForm(false)}
                         />
@@ -332,6 +337,7 @@ export const Dashboard = () => {
                     {editingDecision && (
                         <DecisionForm 
                             initialData={editingDecision}
+                            decisions={decisions}
                             onSubmit={handleUpdateDecision}
                             onCancel={() => setEditingDecision(null)}
                         />
@@ -380,11 +386,17 @@ export const Dashboard = () => {
                         />
                     </div>
 
+                    {/* Provisional plans for the next seven days */}
+                    <WeekPlanView refreshToken={decisions} />
+
                     {/* Real Cognitive Load Meter */}
                     <div data-guide="cognitive-meter">
-                        <CognitiveLoadMeter onLoadChange={handleCognitiveLoadChange} />
+                        <CognitiveLoadMeter onLoadChange={handleCognitiveLoadChange} refreshToken={loadRefresh} />
                     </div>
 
+                    {/* Self-reported check-in, blended into the load */}
+                    <CheckInWidget onCheckIn={() => setLoadRefresh(n => n + 1)} />
+
                     {/* CSP Stats - Learning Visualization */}
                     <div style={themedStyles.placeholderCard} data-guide="shadow-stats">
                         <h3 style={themedStyles.placeholderTitle}>Your Shadow Stats</h3>
@@ -7,8 +7,30 @@ import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { profileApi } from '../lib/api';
 
+// Plans, load and stats are all computed in this timezone
+const DETECTED_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+const COMMON_TIMEZONES = [
+    'UTC',
+    'America/Los_Angeles',
+    'America/Denver',
+    'America/Chicago',
+    'America/New_York',
+    'America/Sao_Paulo',
+    'Europe/London',
+    'Europe/Berlin',
+    'Africa/Lagos',
+    'Asia/Dubai',
+    'Asia/Kolkata',
+    'Asia/Singapore',
+    'Asia/Tokyo',
+    'Australia/Sydney',
+];
+const TIMEZONE_OPTIONS = COMMON_TIMEZONES.includes(DETECTED_TIMEZONE)
+    ? COMMON_TIMEZONES
+    : [DETECTED_TIMEZONE, ...COMMON_TIMEZONES];
+
 export const Onboarding = () => {
-    const { user, refreshProfile } = useAuth();
+    const { accessToken, refreshProfile } = useAuth();
     const navigate = useNavigate();
     
     const [step, setStep] = useState(1);
@@ -24,6 +46,7 @@ export const Onboarding = () => {
         diet_preference: 'balanced',
         work_style: 'flexible',
         break_preference: 'short',
+        timezone: DETECTED_TIMEZONE,
     });
 
     const updateForm = (field, value) => {
@@ -35,7 +58,7 @@ export const Onboarding = () => {
         setError('');
 
         try {
-            await profileApi.create(user.id, formData);
+            await profileApi.create(accessToken, formData);
             await refreshProfile();
             navigate('/dashboard');
         } catch (err) {
@@ -117,6 +140,21 @@ export const Onboarding = () => {
                             </div>
                         </div>
 
+                        <div style={styles.inputGroup}>
+                            <label style={styles.label}>Your timezone</label>
+                            <select
+                                value={formData.timezone}
+                                onChange={(e) => updateForm('timezone', e.target.value)}
+                                style={styles.select}
+                            >
+                                {TIMEZONE_OPTIONS.map((zone) => (
+                                    <option key={zone} value={zone}>
+                                        {zone.replace(/_/g, ' ')}{zone === DETECTED_TIMEZONE ? ' (detected)' : ''}
+                                    </option>
+                                ))}
+                            </select>
+                        </div>
+
                         <button onClick={nextStep} style={styles.button}>
                             Continue
                         </button>
@@ -212,6 +250,10 @@ export const Onboarding = () => {
                                 <span>Schedule:</span>
                                 <span>{formData.wake_time} - {formData.sleep_time}</span>
                             </div>
+                            <div style={styles.summaryItem}>
+                                <span>Timezone:</span>
+                                <span>{formData.timezone.replace(/_/g, ' ')}</span>
+                            </div>
                             <div style={styles.summaryItem}>
                                 <span>Peak Focus:</span>
                                 <span>{formData.peak_focus_start} - {formData.peak_focus_end}</span>
@@ -4,4 +4,8 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  server: {
+    // Request schemas are shared with the backend from ../shared
+    fs: { allow: ['..'] },
+  },
 })
@@ -0,0 +1,219 @@
+/**
+ * API Routes
+ *
+ * PURPOSE:
+ * Every endpoint the backend serves, described once. From this list:
+ * - shared/openapi.mjs builds the OpenAPI document (GET /openapi.json, GET /docs)
+ * - backend/scripts/generateClient.js writes the frontend's API client
+ *   (frontend/src/lib/api.generated.js)
+ * - backend/scripts/checkContract.js checks the Express app serves exactly these,
+ *   and answers as the OpenAPI document says
+ *
+ * HOW IT WORKS:
+ * Each route is
+ *   method, path   - path params as {id}
+ *   tag            - group in the docs; its client object is TAGS[tag].client
+ *   client         - method name on that client object (null = not in the client)
+ *   summary        - one line for the docs and the client's comment
+ *   description    - more detail (optional)
+ *   body / query   - name of a request schema in requestSchemas.mjs; partial: true
+ *                    for updates (required fields may be left out)
+ *   response       - name of the success response's schema in responseSchemas.mjs
+ *   status         - success status (default 200); also: [other success statuses]
+ *   errors         - error statuses besides 401 (authenticated routes), 400
+ *                    (routes with a schema) and 500, which every route gets
+ *   public         - no access token needed
+ *   html           - responds with an HTML page instead of JSON
+ */
+
+export const TAGS = {
+    meta: { name: 'Meta', description: 'Health and API documentation', client: null },
+    profile: { name: 'Profile', description: 'Onboarding preferences, the CSP and the cognitive load score', client: 'profileApi' },
+    decisions: { name: 'Decisions', description: 'Recurring tasks, meals and breaks', client: 'decisionsApi' },
+    plan: { name: 'Plan', description: 'Daily plans of compressed decision cards', client: 'planApi' },
+    feedback: { name: 'Feedback', description: 'Accepts, overrides, ignores and auto-accepts', client: 'feedbackApi' },
+    progress: { name: 'Progress', description: 'Whether accepted plan items got done, and how long they took', client: 'progressApi' },
+    events: { name: 'Events', description: 'Interaction tracking and sessions', client: 'eventsApi' },
+    checkIns: { name: 'Check-ins', description: 'Self-reported energy, mood, stress and sleep', client: 'checkInsApi' },
+};
+
+export const ROUTES = [
+    // ===== META =====
+    { method: 'get', path: '/health', tag: 'meta', client: null, response: 'healthResponse', public: true, summary: 'Health check' },
+    { method: 'get', path: '/openapi.json', tag: 'meta', client: null, response: 'openApiResponse', public: true, summary: 'This OpenAPI document' },
+    { method: 'get', path: '/docs', tag: 'meta', client: null, public: true, html: true, summary: 'Browsable API documentation (HTML)' },
+
+    // ===== PROFILE =====
+    {
+        method: 'get', path: '/profile', tag: 'profile', client: 'get', response: 'profileLookupResponse',
+        summary: 'Get the user\'s profile',
+        description: 'Used to decide whether onboarding is needed: { exists: false, profile: null } before it',
+    },
+    {
+        method: 'post', path: '/profile', tag: 'profile', client: 'create', body: 'profileSchema', status: 201, errors: [409], response: 'profileResponse',
+        summary: 'Create the profile (onboarding) and initialize the CSP',
+    },
+    {
+        method: 'put', path: '/profile', tag: 'profile', client: 'update', body: 'profileSchema', partial: true, errors: [404], response: 'profileResponse',
+        summary: 'Update the profile',
+        description: 'The CSP vector can\'t be changed here - it is only learned',
+    },
+    {
+        method: 'get', path: '/profile/cognitive-load', tag: 'profile', client: 'getCognitiveLoad', response: 'cognitiveLoadResponse',
+        summary: 'Current cognitive load score, autonomy level and per-factor breakdown',
+    },
+    {
+        method: 'get', path: '/profile/cognitive-load/history', tag: 'profile', client: 'getCognitiveLoadHistory', query: 'loadHistoryQuery', response: 'loadHistoryResponse',
+        summary: 'Cognitive load over time',
+        description: 'from/to are local dates (default the last 7 days, at most 31); granularity raw, hour or day (default hour for one day, day otherwise)',
+    },
+    {
+        method: 'get', path: '/profile/cognitive-load/config', tag: 'profile', client: 'getCognitiveLoadConfig', errors: [404], response: 'loadConfigResponse',
+        summary: 'Load model factors and thresholds, with their defaults',
+    },
+    {
+        method: 'put', path: '/profile/cognitive-load/config', tag: 'profile', client: 'updateCognitiveLoadConfig', body: 'loadConfigSchema', errors: [404], response: 'loadConfigResponse',
+        summary: 'Customize the load model',
+        description: 'config: { factors: { [key]: { enabled, weight, curve } }, thresholds: { assist, auto } }; null goes back to the defaults',
+    },
+    {
+        method: 'get', path: '/profile/csp', tag: 'profile', client: 'getCsp', errors: [404], response: 'cspResponse',
+        summary: 'The CSP (Cognitive Shadow Profile) vector',
+    },
+
+    // ===== DECISIONS =====
+    {
+        method: 'get', path: '/decisions', tag: 'decisions', client: 'list', query: 'decisionListQuery', response: 'decisionListResponse',
+        summary: 'List the user\'s decisions',
+    },
+    {
+        method: 'get', path: '/decisions/{id}', tag: 'decisions', client: 'get', errors: [404], response: 'decisionResponse',
+        summary: 'Get one decision',
+    },
+    {
+        method: 'post', path: '/decisions', tag: 'decisions', client: 'create', body: 'decisionSchema', status: 201, response: 'decisionResponse',
+        summary: 'Create a decision',
+    },
+    {
+        method: 'put', path: '/decisions/{id}', tag: 'decisions', client: 'update', body: 'decisionSchema', partial: true, errors: [404], response: 'decisionResponse',
+        summary: 'Update a decision',
+    },
+    {
+        method: 'delete', path: '/decisions/{id}', tag: 'decisions', client: 'delete', response: 'messageResponse',
+        summary: 'Delete a decision (and what was learned about it)',
+    },
+
+    // ===== PLAN =====
+    {
+        method: 'post', path: '/plan/generate', tag: 'plan', client: 'generate', query: 'planGenerateQuery', status: [200, 201], errors: [409], response: 'planGenerateResponse',
+        summary: 'Generate today\'s plan',
+        description: 'Returns the existing plan (200) unless force=true, which adds a new version of it (the old one and its feedback are kept); a new plan or version is 201',
+    },
+    {
+        method: 'post', path: '/plan/replan', tag: 'plan', client: 'replan', status: 201, errors: [404, 409], response: 'replanResponse',
+        summary: 'Re-plan the rest of today from now on',
+        description: 'Cards already decided on are kept (with card.completed); the decisions left are scheduled again from the current time at the current cognitive load. Adds a new version of today\'s plan',
+    },
+    {
+        method: 'get', path: '/plan/today', tag: 'plan', client: 'getToday', response: 'planLookupResponse',
+        summary: 'Today\'s plan (its latest version), if there is one',
+    },
+    {
+        method: 'post', path: '/plan/accept', tag: 'plan', client: 'accept', body: 'planAcceptSchema', errors: [404], response: 'planResponse',
+        summary: 'Accept a plan',
+    },
+    {
+        method: 'get', path: '/plan/history', tag: 'plan', client: 'getHistory', query: 'planHistoryQuery', response: 'planHistoryResponse',
+        summary: 'Recent plans (the latest version of each day), newest first',
+    },
+    {
+        method: 'get', path: '/plan/week', tag: 'plan', client: 'getWeek', response: 'weekPlanResponse',
+        summary: 'Provisional plans for the next 7 days, with load forecasts',
+        description: 'From tomorrow. Each day is planned from the recurrence rules and CSP at its forecast load (the average on that weekday in the last 4 weeks); summary counts the scheduled decisions and minutes by type. Recomputed when decisions or the profile change - never turned into the day\'s plan',
+    },
+    {
+        method: 'get', path: '/plan/{id}/versions', tag: 'plan', client: 'getVersions', errors: [404], response: 'planVersionsResponse',
+        summary: 'Every version of a plan\'s day, oldest first',
+        description: 'Each version has changes: the slots added, removed and moved since the version before it (null for the first)',
+    },
+
+    // ===== FEEDBACK =====
+    {
+        method: 'post', path: '/feedback', tag: 'feedback', client: 'submit', body: 'feedbackSchema', status: 201, response: 'feedbackResponse',
+        summary: 'Record feedback for a card, or for one task/meal/break in it',
+        description: 'auto_accept records a card auto mode accepted for the user; it can be undone for 2 minutes',
+    },
+    {
+        method: 'post', path: '/feedback/{id}/undo', tag: 'feedback', client: 'undo', errors: [400, 404, 409], response: 'feedbackResponse',
+        summary: 'Undo an auto-accept',
+    },
+    {
+        method: 'get', path: '/feedback', tag: 'feedback', client: 'list', query: 'feedbackListQuery', response: 'feedbackListResponse',
+        summary: 'Feedback history, newest first',
+    },
+    {
+        method: 'get', path: '/feedback/stats', tag: 'feedback', client: 'getStats', response: 'feedbackStatsResponse',
+        summary: 'Accept, override and ignore counts and rates',
+    },
+
+    // ===== PROGRESS =====
+    {
+        method: 'post', path: '/progress', tag: 'progress', client: 'record', body: 'progressSchema', errors: [404, 409], response: 'progressResponse',
+        summary: 'Mark an accepted plan item started, done or abandoned',
+        description: 'accepted -> started -> done, or abandoned; done straight from accepted records no actual duration. Finishing a started task teaches its duration to the CSP',
+    },
+    {
+        method: 'get', path: '/progress', tag: 'progress', client: 'list', query: 'progressListQuery', response: 'progressListResponse',
+        summary: 'A day\'s accepted plan items and what became of them',
+        description: 'date is a local date (default today)',
+    },
+
+    // ===== EVENTS =====
+    {
+        method: 'post', path: '/events', tag: 'events', client: 'record', body: 'eventSchema', status: 201, response: 'eventResponse',
+        summary: 'Record an interaction event',
+    },
+    {
+        method: 'post', path: '/events/batch', tag: 'events', client: 'recordBatch', body: 'eventBatchSchema', status: 201, response: 'eventBatchResponse',
+        summary: 'Record a batch of events',
+        description: 'Repeats of a client_event_id are skipped. Also accepted as a text/plain JSON body with the token in access_token (navigator.sendBeacon)',
+    },
+    {
+        method: 'get', path: '/events/today-stats', tag: 'events', client: 'getTodayStats', response: 'todayStatsResponse',
+        summary: 'Today\'s event counts and session time',
+    },
+    {
+        method: 'get', path: '/events/sessions', tag: 'events', client: 'getSessions', query: 'sessionsQuery', response: 'sessionsResponse',
+        summary: 'Sessions rebuilt from the events, with active, idle and away time',
+        description: 'from/to are local dates (default today, at most 31 days)',
+    },
+    {
+        method: 'get', path: '/events', tag: 'events', client: 'list', query: 'eventListQuery', response: 'eventListResponse',
+        summary: 'Raw interaction events, newest first',
+    },
+
+    // ===== CHECK-INS =====
+    {
+        method: 'post', path: '/check-ins', tag: 'checkIns', client: 'create', body: 'checkInSchema', status: 201, response: 'checkInResponse',
+        summary: 'Record a check-in',
+    },
+    {
+        method: 'get', path: '/check-ins', tag: 'checkIns', client: 'list', query: 'checkInListQuery', response: 'checkInListResponse',
+        summary: 'Check-in history, newest first',
+    },
+    {
+        method: 'get', path: '/check-ins/today', tag: 'checkIns', client: 'getToday', response: 'checkInTodayResponse',
+        summary: 'Today\'s latest check-in (the one the load score uses)',
+    },
+    {
+        method: 'get', path: '/check-ins/insights', tag: 'checkIns', client: 'getInsights', errors: [404], response: 'checkInInsightsResponse',
+        summary: 'How check-ins correlate with accepts and overrides',
+    },
+];
+
+/**
+ * Path params of a route path ('/decisions/{id}' -> ['id'])
+ */
+export function pathParams(path) {
+    return [...path.matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+}
@@ -0,0 +1,245 @@
+/**
+ * OpenAPI Document
+ *
+ * PURPOSE:
+ * Builds the OpenAPI 3 description of the API from the route list
+ * (apiRoutes.mjs) and the request schemas (requestSchemas.mjs), so the docs
+ * can't drift from what the backend actually validates.
+ *
+ * HOW IT WORKS:
+ * - Each request schema becomes a component schema (decisionSchema -> Decision;
+ *   routes with partial: true use a copy without required fields, DecisionUpdate)
+ * - Query schemas become query parameters, {id} in a path a path parameter
+ * - Every route documents its success status, 400 (ValidationError) when it
+ *   has a schema, 401 unless public, its own extra errors, and 500
+ * - Success bodies are typed with the route's response schema
+ *   (responseSchemas.mjs: planResponse -> PlanResponse, planRow -> PlanRow).
+ *   They list the fields clients rely on and allow more
+ */
+
+import * as requestSchemas from './requestSchemas.mjs';
+import * as responseSchemas from './responseSchemas.mjs';
+import { ROUTES, TAGS, pathParams } from './apiRoutes.mjs';
+
+export const OPENAPI_VERSION = '3.0.3';
+
+const TIME_PATTERN = '^([01]\\d|2[0-3]):[0-5]\\d(:[0-5]\\d)?$';
+const LOCAL_DATETIME_PATTERN = '^\\d{4}-\\d{2}-\\d{2}[T ]([01]\\d|2[0-3]):[0-5]\\d(:[0-5]\\d(\\.\\d+)?)?$';
+
+// Request and response schemas have distinct names, so one lookup serves both
+const schemas = { ...requestSchemas, ...responseSchemas };
+
+const ERROR_DESCRIPTIONS = {
+    400: 'Invalid request - fields lists the problem with each field',
+    401: 'Missing, invalid or expired access token',
+    404: 'Not found',
+    409: 'Conflict with the current state',
+    500: 'Server error',
+};
+
+/**
+ * Component name of a request or response schema ('decisionSchema' -> 'Decision', 'planHistoryQuery' -> 'PlanHistoryQuery')
+ */
+export function componentName(schemaName, partial = false) {
+    const base = schemaName.replace(/Schema$/, '');
+    return `${base[0].toUpperCase()}${base.slice(1)}${partial ? 'Update' : ''}`;
+}
+
+/**
+ * JSON Schema (OpenAPI 3.0 flavour) for one validator rule
+ */
+function ruleToJsonSchema(rule) {
+    let schema;
+    if (rule.enum) {
+        const types = [...new Set(rule.enum.map(value => Number.isInteger(value) ? 'integer' : typeof value))];
+        schema = { type: types.length === 1 ? types[0] : 'string', enum: rule.enum };
+    } else {
+        switch (rule.type) {
+            case 'integer':
+            case 'number':
+                schema = { type: rule.type };
+                if (rule.min !== undefined) schema.minimum = rule.min;
+                if (rule.max !== undefined) schema.maximum = rule.max;
+                break;
+            case 'time':
+                schema = { type: 'string', pattern: TIME_PATTERN, example: '14:30' };
+                break;
+            case 'date':
+                schema = { type: 'string', format: 'date', example: '2025-01-31' };
+                break;
+            case 'datetime':
+                schema = { type: 'string', description: 'Date and time (ISO 8601)', example: '2025-01-31T17:00' };
+                break;
+            case 'localdatetime':
+                schema = { type: 'string', pattern: LOCAL_DATETIME_PATTERN, description: 'Wall-clock date and time in the user\'s timezone, no offset', example: '2025-01-31T17:00' };
+                break;
+            case 'timezone':
+                schema = { type: 'string', description: 'IANA timezone name', example: 'Europe/Berlin' };
+                break;
+            case 'object':
+                schema = rule.fields ? objectSchema(rule) : { type: 'object', additionalProperties: true };
+                break;
+            case 'array':
+                schema = { type: 'array', items: rule.items ? itemSchema(rule.items) : {} };
+                if (rule.maxItems) schema.maxItems = rule.maxItems;
+                break;
+            default:
+                schema = { type: rule.type || 'string' };
+                if (rule.maxLength) schema.maxLength = rule.maxLength;
+        }
+    }
+    if (rule.nullable) schema.nullable = true;
+    return schema;
+}
+
+// Array items that are one of the request or response schemas are referenced, not repeated
+function itemSchema(items) {
+    const name = Object.keys(schemas).find(key => schemas[key] === items);
+    if (name) return { $ref: `#/components/schemas/${componentName(name)}` };
+    return items.fields ? objectSchema(items) : ruleToJsonSchema(items);
+}
+
+function objectSchema(schema, partial = false) {
+    const required = partial ? [] : Object.keys(schema.fields).filter(field => schema.fields[field].required);
+    return {
+        type: 'object',
+        ...(schema.description && { description: schema.description }),
+        properties: Object.fromEntries(Object.entries(schema.fields).map(([field, rule]) => [field, ruleToJsonSchema(rule)])),
+        ...(required.length > 0 && { required }),
+    };
+}
+
+function queryParameters(schemaName) {
+    const schema = schemas[schemaName];
+    return Object.entries(schema.fields).map(([field, rule]) => ({
+        name: field,
+        in: 'query',
+        required: Boolean(rule.required),
+        schema: ruleToJsonSchema(rule),
+    }));
+}
+
+function errorResponse(status) {
+    return {
+        description: ERROR_DESCRIPTIONS[status],
+        content: {
+            'application/json': {
+                schema: { $ref: `#/components/schemas/${status === 400 ? 'ValidationError' : 'Error'}` },
+            },
+        },
+    };
+}
+
+/**
+ * Operation id of a route ('profileApi' + 'getCsp' -> 'profile.getCsp', meta routes by path)
+ */
+export function operationId(route) {
+    if (!route.client) return `${route.tag}.${route.method}${route.path.replace(/\W+(\w)?/g, (_, c) => (c || '').toUpperCase())}`;
+    return `${route.tag}.${route.client}`;
+}
+
+function operation(route) {
+    const successes = [].concat(route.status || 200);
+    const errors = new Set(route.errors || []);
+    if (route.body || route.query) errors.add(400);
+    if (!route.public) errors.add(401);
+    errors.add(500);
+
+    const parameters = [
+        ...pathParams(route.path).map(name => ({ name, in: 'path', required: true, schema: { type: 'string' } })),
+        ...(route.query ? queryParameters(route.query) : []),
+    ];
+
+    return {
+        operationId: operationId(route),
+        tags: [TAGS[route.tag].name],
+        summary: route.summary,
+        ...(route.description && { description: route.description }),
+        ...(route.public && { security: [] }),
+        ...(parameters.length > 0 && { parameters }),
+        ...(route.body && {
+            requestBody: {
+                required: true,
+                content: {
+                    'application/json': {
+                        schema: { $ref: `#/components/schemas/${componentName(route.body, route.partial)}` },
+                    },
+                },
+            },
+        }),
+        responses: Object.fromEntries([
+            ...successes.map(status => [String(status), {
+                description: status === 201 ? 'Created' : 'OK',
+                content: route.html
+                    ? { 'text/html': { schema: { type: 'string' } } }
+                    : { 'application/json': { schema: route.response ? { $ref: `#/components/schemas/${componentName(route.response)}` } : { type: 'object' } } },
+            }]),
+            ...[...errors].sort().map(status => [String(status), errorResponse(status)]),
+        ]),
+    };
+}
+
+/**
+ * The OpenAPI document
+ * @param {object} [options] - { serverUrl: base URL of the API (default: same origin) }
+ * @returns {object}
+ */
+export function buildOpenApiSpec({ serverUrl = '/' } = {}) {
+    const bodySchemas = {};
+    for (const route of ROUTES.filter(r => r.body)) {
+        bodySchemas[componentName(route.body, route.partial)] = objectSchema(schemas[route.body], route.partial);
+    }
+    // Schemas only used inside others (e.g. one event inside a batch)
+    for (const [name, schema] of Object.entries(schemas)) {
+        const component = componentName(name);
+        if (name.endsWith('Schema') && !bodySchemas[component]) bodySchemas[component] = objectSchema(schema);
+    }
+    const responseComponents = {};
+    for (const [name, schema] of Object.entries(responseSchemas)) {
+        if (schema.fields) responseComponents[componentName(name)] = objectSchema(schema);
+    }
+
+    const paths = {};
+    for (const route of ROUTES) {
+        paths[route.path] = { ...paths[route.path], [route.method]: operation(route) };
+    }
+
+    return {
+        openapi: OPENAPI_VERSION,
+        info: {
+            title: 'ShadowMe API',
+            version: '1.0.0',
+            description: 'Your AI Cognitive Twin. All endpoints except the Meta ones need a Supabase access token: Authorization: Bearer <token>.',
+        },
+        servers: [{ url: serverUrl }],
+        tags: Object.values(TAGS).map(({ name, description }) => ({ name, description })),
+        security: [{ bearerAuth: [] }],
+        paths,
+        components: {
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+            },
+            schemas: {
+                Error: {
+                    type: 'object',
+                    properties: { error: { type: 'string' } },
+                    required: ['error'],
+                },
+                ValidationError: {
+                    type: 'object',
+                    properties: {
+                        error: { type: 'string', description: 'Every invalid field with its problem, in one line' },
+                        fields: {
+                            type: 'object',
+                            description: 'Problem with each invalid field (nested ones as recurrence.freq, events[2].event_type)',
+                            additionalProperties: { type: 'string' },
+                        },
+                    },
+                    required: ['error', 'fields'],
+                },
+                ...bodySchemas,
+                ...responseComponents,
+            },
+        },
+    };
+}
@@ -0,0 +1,245 @@
+/**
+ * Request Schemas
+ *
+ * PURPOSE:
+ * What the API accepts, declared once (see validate.mjs for the rule format).
+ * The backend validates every request against these before its route runs
+ * (backend/src/middleware/validate.js) and the frontend checks its forms
+ * against the same schemas before sending.
+ *
+ * Checks that need the database (depends_on chains, the cognitive load
+ * config, whether an auto-accept is allowed) stay in the routes. A schema's
+ * description explains its check() for the API docs (shared/openapi.mjs).
+ */
+
+import { validate } from './validate.mjs';
+
+export { validate };
+
+export const DECISION_TYPES = ['task', 'meal', 'break'];
+export const MEAL_TYPES = ['breakfast', 'lunch', 'dinner', 'snack'];
+export const FREQUENCIES = ['daily', 'weekly', 'weekdays', 'weekends', 'custom'];
+export const DAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+export const WORK_STYLES = ['flexible', 'structured', 'deep_work'];
+export const BREAK_PREFERENCES = ['short', 'long'];
+export const FEEDBACK_ITEM_TYPES = ['card', 'task', 'meal', 'break'];
+export const FEEDBACK_ACTIONS = ['accept', 'override', 'ignore', 'auto_accept'];
+// What an accepted item can move on to (see backend/src/services/taskProgress.js)
+export const PROGRESS_STATUSES = ['started', 'done', 'abandoned'];
+
+// Most events a single batch may carry
+export const MAX_EVENT_BATCH_SIZE = 200;
+
+// ===== PROFILE =====
+
+export const profileSchema = {
+    fields: {
+        wake_time: { type: 'time' },
+        sleep_time: { type: 'time' },
+        peak_focus_start: { type: 'time' },
+        peak_focus_end: { type: 'time' },
+        diet_preference: { type: 'string', maxLength: 50 },
+        work_style: { enum: WORK_STYLES },
+        break_preference: { enum: BREAK_PREFERENCES },
+        timezone: { type: 'timezone', nullable: true },
+        // A confidence from 0.5 to 1, or null to turn auto-accept off
+        auto_accept_threshold: { type: 'number', min: 0.5, max: 1, nullable: true },
+        // Checked against the load factors by the route
+        cognitive_load_config: { type: 'object', nullable: true },
+    },
+};
+
+export const loadConfigSchema = {
+    fields: {
+        config: { type: 'object', nullable: true },
+    },
+};
+
+export const loadHistoryQuery = {
+    fields: {
+        from: { type: 'date' },
+        to: { type: 'date' },
+        // raw | hour | day - checked by the route against services/loadHistory.js
+        granularity: { type: 'string' },
+    },
+};
+
+// ===== DECISIONS =====
+
+// A custom recurrence rule (see backend/src/services/recurrence.js)
+export const recurrenceSchema = {
+    description: 'end_date must be on or after start_date',
+    fields: {
+        freq: { enum: ['daily', 'weekly'], required: true },
+        interval: { type: 'integer', min: 1 },
+        by_day: { type: 'array', items: { enum: DAY_CODES } },
+        start_date: { type: 'date', nullable: true },
+        end_date: { type: 'date', nullable: true },
+        exceptions: { type: 'array', items: { type: 'date' } },
+    },
+    check: ({ start_date, end_date }) => (
+        start_date && end_date && end_date < start_date ? { end_date: 'must be on or after start_date' } : null
+    ),
+};
+
+export const decisionSchema = {
+    fields: {
+        type: { enum: DECISION_TYPES, required: true },
+        title: { type: 'string', required: true, maxLength: 200 },
+        description: { type: 'string', nullable: true, maxLength: 2000 },
+        tags: { type: 'array', maxItems: 20, items: { type: 'string', maxLength: 50 } },
+        effort: { type: 'integer', min: 1, max: 5, nullable: true },
+        estimated_minutes: { type: 'integer', min: 1, max: 1440, nullable: true },
+        meal_type: { enum: MEAL_TYPES, nullable: true },
+        break_duration: { type: 'integer', min: 1, max: 240, nullable: true },
+        frequency: { enum: FREQUENCIES },
+        recurrence: { type: 'object', nullable: true, ...recurrenceSchema },
+        preferred_time: { type: 'time', nullable: true },
+        deadline: { type: 'localdatetime', nullable: true },
+        fixed_time: { type: 'time', nullable: true },
+        depends_on: { type: 'string', nullable: true },
+        max_per_day: { type: 'integer', min: 1, nullable: true },
+        active: { type: 'boolean' },
+    },
+};
+
+export const decisionListQuery = {
+    fields: {
+        type: { enum: DECISION_TYPES },
+        active: { enum: ['true', 'false'] },
+    },
+};
+
+// ===== PLAN =====
+
+export const planGenerateQuery = {
+    fields: {
+        force: { enum: ['true', 'false'] },
+    },
+};
+
+export const planAcceptSchema = {
+    fields: {
+        plan_id: { type: 'string', required: true },
+    },
+};
+
+export const planHistoryQuery = {
+    fields: {
+        limit: { type: 'integer', min: 1, max: 365 },
+    },
+};
+
+// ===== FEEDBACK =====
+
+export const feedbackSchema = {
+    description: 'item_id is required except for card feedback, and for auto_accept (which is only for whole cards)',
+    fields: {
+        plan_id: { type: 'string', required: true },
+        item_type: { enum: FEEDBACK_ITEM_TYPES, required: true },
+        // The card ID for 'card', the decision ID for task/meal/break
+        item_id: { type: 'string', nullable: true },
+        item_value: { type: 'string', nullable: true, maxLength: 500 },
+        action: { enum: FEEDBACK_ACTIONS, required: true },
+        override_value: { type: 'string', nullable: true, maxLength: 500 },
+        rating: { enum: [-1, 0, 1] },
+        context: { type: 'object', nullable: true },
+    },
+    check: ({ item_type, item_id, action }) => {
+        if (action === 'auto_accept' && item_type !== 'card') {
+            return { item_type: 'must be card for auto_accept (it accepts whole cards)' };
+        }
+        if (!item_id && item_type !== 'card') {
+            return { item_id: 'is required (the decision ID) for task, meal and break feedback' };
+        }
+        if (!item_id && action === 'auto_accept') {
+            return { item_id: 'is required (the card ID) for auto_accept' };
+        }
+        return null;
+    },
+};
+
+export const feedbackListQuery = {
+    fields: {
+        plan_id: { type: 'string' },
+        limit: { type: 'integer', min: 1, max: 500 },
+    },
+};
+
+// ===== PROGRESS =====
+
+export const progressSchema = {
+    fields: {
+        plan_id: { type: 'string', required: true },
+        card_id: { type: 'string', required: true },
+        decision_id: { type: 'string', required: true },
+        status: { enum: PROGRESS_STATUSES, required: true },
+    },
+};
+
+export const progressListQuery = {
+    fields: {
+        date: { type: 'date' },
+    },
+};
+
+// ===== CHECK-INS =====
+
+// Same ranges as CHECK_IN_FIELDS in backend/src/services/checkIns.js
+export const checkInSchema = {
+    description: 'At least one of energy, mood, stress and sleep_hours',
+    fields: {
+        energy: { type: 'integer', min: 1, max: 5, nullable: true },
+        mood: { type: 'integer', min: 1, max: 5, nullable: true },
+        stress: { type: 'integer', min: 1, max: 5, nullable: true },
+        sleep_hours: { type: 'number', min: 0, max: 24, nullable: true },
+        note: { type: 'string', nullable: true, maxLength: 1000 },
+    },
+    check: (data) => (
+        ['energy', 'mood', 'stress', 'sleep_hours'].some(field => data[field] !== undefined && data[field] !== null)
+            ? null
+            : { energy: 'is required unless mood, stress or sleep_hours is given' }
+    ),
+};
+
+export const checkInListQuery = {
+    fields: {
+        from: { type: 'date' },
+        to: { type: 'date' },
+        limit: { type: 'integer', min: 1, max: 365 },
+    },
+};
+
+// ===== EVENTS =====
+
+export const eventSchema = {
+    fields: {
+        event_type: { type: 'string', required: true, maxLength: 50 },
+        metadata: { type: 'object', nullable: true },
+        session_id: { type: 'string', nullable: true, maxLength: 100 },
+        timestamp: { type: 'datetime', nullable: true },
+        // Makes retries safe (see POST /events/batch)
+        client_event_id: { type: 'string', nullable: true, maxLength: 100 },
+    },
+};
+
+export const eventBatchSchema = {
+    fields: {
+        events: { type: 'array', required: true, maxItems: MAX_EVENT_BATCH_SIZE, items: eventSchema },
+    },
+};
+
+export const eventListQuery = {
+    fields: {
+        limit: { type: 'integer', min: 1, max: 1000 },
+        event_type: { type: 'string' },
+        session_id: { type: 'string' },
+    },
+};
+
+export const sessionsQuery = {
+    fields: {
+        from: { type: 'date' },
+        to: { type: 'date' },
+    },
+};
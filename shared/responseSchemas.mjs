@@ -0,0 +1,475 @@
+/**
+ * Response Schemas
+ *
+ * PURPOSE:
+ * What the API answers with, in the same rule format as the request schemas
+ * (see validate.mjs). Each route in apiRoutes.mjs names its success response
+ * here; the OpenAPI document types its responses with them (shared/openapi.mjs)
+ * and the contract check (backend/scripts/checkContract.js) checks real
+ * responses against that document.
+ *
+ * Only the fields clients rely on are listed - responses may carry more (rows
+ * have every column in supabase.sql). required = always present.
+ */
+
+import {
+    DECISION_TYPES, MEAL_TYPES, FREQUENCIES, WORK_STYLES, BREAK_PREFERENCES,
+    FEEDBACK_ITEM_TYPES, FEEDBACK_ACTIONS, PROGRESS_STATUSES,
+} from './requestSchemas.mjs';
+
+export const AUTONOMY_LEVELS = ['manual', 'assist', 'auto'];
+
+const id = { type: 'string', required: true };
+const timestamp = { type: 'datetime', required: true };
+const message = { type: 'string', required: true };
+const count = { type: 'integer', min: 0, required: true };
+const load = { type: 'integer', min: 0, max: 100 };
+
+// ===== ROWS =====
+
+export const profileRow = {
+    fields: {
+        id,
+        wake_time: { type: 'time', required: true },
+        sleep_time: { type: 'time', required: true },
+        peak_focus_start: { type: 'time', required: true },
+        peak_focus_end: { type: 'time', required: true },
+        work_style: { enum: WORK_STYLES, required: true },
+        break_preference: { enum: BREAK_PREFERENCES, required: true },
+        timezone: { type: 'timezone', nullable: true },
+        auto_accept_threshold: { type: 'number', min: 0.5, max: 1, nullable: true },
+        cognitive_load_config: { type: 'object', nullable: true },
+        csp_vector: { type: 'object', required: true },
+        created_at: timestamp,
+        updated_at: timestamp,
+    },
+};
+
+export const decisionRow = {
+    fields: {
+        id,
+        user_id: id,
+        type: { enum: DECISION_TYPES, required: true },
+        title: { type: 'string', required: true },
+        description: { type: 'string', nullable: true },
+        tags: { type: 'array', items: { type: 'string' } },
+        effort: { type: 'integer', min: 1, max: 5, nullable: true },
+        estimated_minutes: { type: 'integer', nullable: true },
+        meal_type: { enum: MEAL_TYPES, nullable: true },
+        break_duration: { type: 'integer', nullable: true },
+        frequency: { enum: FREQUENCIES, required: true },
+        recurrence: { type: 'object', nullable: true },
+        preferred_time: { type: 'time', nullable: true },
+        deadline: { type: 'localdatetime', nullable: true },
+        fixed_time: { type: 'time', nullable: true },
+        depends_on: { type: 'string', nullable: true },
+        max_per_day: { type: 'integer', min: 1, nullable: true },
+        last_done_at: { type: 'datetime', nullable: true },
+        active: { type: 'boolean', required: true },
+        created_at: timestamp,
+    },
+};
+
+// One compressed decision card of a plan (see services/decisionEngine.js)
+export const decisionCard = {
+    fields: {
+        id,
+        title: { type: 'string', required: true },
+        autonomy_level: { enum: AUTONOMY_LEVELS, required: true },
+        start_time: { type: 'time', nullable: true },
+        end_time: { type: 'time', nullable: true },
+        confidence: { type: 'number', min: 0, max: 1 },
+        items: {
+            type: 'array',
+            required: true,
+            items: {
+                fields: {
+                    type: { enum: DECISION_TYPES, required: true },
+                    decision: { type: 'object', required: true },
+                    start_time: { type: 'time', nullable: true },
+                    end_time: { type: 'time', nullable: true },
+                },
+            },
+        },
+    },
+};
+
+export const planRow = {
+    fields: {
+        id,
+        user_id: id,
+        plan_date: { type: 'date', required: true },
+        version: { type: 'integer', min: 1, required: true },
+        previous_plan_id: { type: 'string', nullable: true },
+        superseded_at: { type: 'datetime', nullable: true },
+        compressed_decision_cards: { type: 'array', required: true, items: decisionCard },
+        schedule: { type: 'object', nullable: true },
+        cognitive_load: { ...load, required: true },
+        autonomy_level: { enum: AUTONOMY_LEVELS, required: true },
+        accepted: { type: 'boolean' },
+        generation_context: { type: 'object', nullable: true },
+        created_at: timestamp,
+        // GET /plan/{id}/versions: what changed since the version before (null for the first)
+        changes: { type: 'object', nullable: true },
+    },
+};
+
+// A provisional plan for a day of the week ahead (services/weekPlan.js)
+export const weekDayRow = {
+    fields: {
+        plan_date: { type: 'date', required: true },
+        weekday: { type: 'string', required: true },
+        compressed_decision_cards: { type: 'array', required: true, items: decisionCard },
+        schedule: { type: 'object', required: true },
+        cognitive_load: { ...load, required: true },
+        autonomy_level: { enum: AUTONOMY_LEVELS, required: true },
+        generation_context: { type: 'object', required: true },
+        summary: {
+            type: 'object',
+            required: true,
+            fields: {
+                decisions: count,
+                scheduled_minutes: count,
+                unscheduled: count,
+                by_type: { type: 'object', required: true },
+            },
+        },
+    },
+};
+
+export const feedbackRow = {
+    fields: {
+        id,
+        plan_id: id,
+        item_type: { enum: FEEDBACK_ITEM_TYPES, required: true },
+        item_id: { type: 'string', nullable: true },
+        item_value: { type: 'string', nullable: true },
+        action: { enum: FEEDBACK_ACTIONS, required: true },
+        override_value: { type: 'string', nullable: true },
+        rating: { enum: [-1, 0, 1] },
+        context: { type: 'object', nullable: true },
+        undone_at: { type: 'datetime', nullable: true },
+        created_at: timestamp,
+    },
+};
+
+export const progressRow = {
+    fields: {
+        id,
+        plan_id: id,
+        plan_date: { type: 'date', required: true },
+        card_id: id,
+        decision_id: id,
+        status: { enum: ['accepted', ...PROGRESS_STATUSES], required: true },
+        accepted_at: timestamp,
+        started_at: { type: 'datetime', nullable: true },
+        done_at: { type: 'datetime', nullable: true },
+        abandoned_at: { type: 'datetime', nullable: true },
+        actual_minutes: { type: 'integer', min: 0, nullable: true },
+    },
+};
+
+export const eventRow = {
+    fields: {
+        id,
+        event_type: { type: 'string', required: true },
+        metadata: { type: 'object', nullable: true },
+        session_id: { type: 'string', nullable: true },
+        timestamp,
+    },
+};
+
+export const checkInRow = {
+    fields: {
+        id,
+        energy: { type: 'integer', min: 1, max: 5, nullable: true },
+        mood: { type: 'integer', min: 1, max: 5, nullable: true },
+        stress: { type: 'integer', min: 1, max: 5, nullable: true },
+        sleep_hours: { type: 'number', min: 0, max: 24, nullable: true },
+        note: { type: 'string', nullable: true },
+        created_at: timestamp,
+    },
+};
+
+// ===== META =====
+
+export const healthResponse = {
+    fields: {
+        status: { enum: ['ok'], required: true },
+        service: { type: 'string', required: true },
+        timestamp,
+    },
+};
+
+export const openApiResponse = {
+    fields: {
+        openapi: { type: 'string', required: true },
+        info: { type: 'object', required: true },
+        paths: { type: 'object', required: true },
+        components: { type: 'object', required: true },
+    },
+};
+
+export const messageResponse = {
+    fields: { message },
+};
+
+// ===== PROFILE =====
+
+export const profileLookupResponse = {
+    fields: {
+        exists: { type: 'boolean', required: true },
+        profile: { type: 'object', required: true, nullable: true, ...profileRow },
+    },
+};
+
+export const profileResponse = {
+    fields: {
+        message,
+        profile: { type: 'object', required: true, ...profileRow },
+    },
+};
+
+export const cognitiveLoadResponse = {
+    fields: {
+        score: { ...load, required: true },
+        autonomyLevel: { enum: AUTONOMY_LEVELS, required: true },
+        breakdown: { type: 'object', required: true },
+        thresholds: { type: 'object', required: true },
+        calculatedAt: timestamp,
+        description: { type: 'string', required: true },
+    },
+};
+
+export const loadHistoryResponse = {
+    fields: {
+        from: { type: 'date', required: true },
+        to: { type: 'date', required: true },
+        granularity: { type: 'string', required: true },
+        timezone: { type: 'timezone', required: true },
+        factors: { type: 'array', required: true },
+        points: { type: 'array', required: true },
+    },
+};
+
+export const loadConfigResponse = {
+    fields: {
+        factors: { type: 'array', required: true },
+        thresholds: { type: 'object', required: true },
+        default_thresholds: { type: 'object', required: true },
+        customized: { type: 'boolean', required: true },
+    },
+};
+
+export const cspResponse = {
+    fields: {
+        csp_vector: { type: 'object', required: true },
+        last_updated: { type: 'datetime', nullable: true },
+    },
+};
+
+// ===== DECISIONS =====
+
+export const decisionListResponse = {
+    fields: {
+        decisions: { type: 'array', required: true, items: decisionRow },
+    },
+};
+
+export const decisionResponse = {
+    fields: {
+        message: { type: 'string' },
+        decision: { type: 'object', required: true, ...decisionRow },
+    },
+};
+
+// ===== PLAN =====
+
+export const planGenerateResponse = {
+    description: 'plan is null when there are no decisions to plan (then cognitiveLoad and autonomyLevel say why)',
+    fields: {
+        message,
+        plan: { type: 'object', required: true, nullable: true, ...planRow },
+        regenerated: { type: 'boolean' },
+    },
+};
+
+export const replanResponse = {
+    fields: {
+        message,
+        plan: { type: 'object', required: true, ...planRow },
+        kept: count,
+    },
+};
+
+export const planLookupResponse = {
+    fields: {
+        exists: { type: 'boolean', required: true },
+        plan: { type: 'object', required: true, nullable: true, ...planRow },
+    },
+};
+
+export const planResponse = {
+    fields: {
+        message,
+        plan: { type: 'object', required: true, ...planRow },
+    },
+};
+
+export const planHistoryResponse = {
+    fields: {
+        plans: { type: 'array', required: true, items: planRow },
+    },
+};
+
+export const weekPlanResponse = {
+    fields: {
+        from: { type: 'date', required: true },
+        to: { type: 'date', required: true },
+        regenerated: { type: 'boolean', required: true },
+        days: { type: 'array', required: true, items: weekDayRow },
+    },
+};
+
+export const planVersionsResponse = {
+    fields: {
+        plan_date: { type: 'date', required: true },
+        latest_version: { type: 'integer', min: 1, required: true },
+        versions: { type: 'array', required: true, items: planRow },
+    },
+};
+
+// ===== FEEDBACK =====
+
+export const feedbackResponse = {
+    description: 'undo_until is only there for an auto_accept',
+    fields: {
+        message,
+        feedback: { type: 'object', required: true, ...feedbackRow },
+        csp_updated: { type: 'boolean' },
+        csp_snapshot: { type: 'object', nullable: true },
+        undo_until: { type: 'datetime' },
+    },
+};
+
+export const feedbackListResponse = {
+    fields: {
+        feedback: { type: 'array', required: true, items: feedbackRow },
+    },
+};
+
+export const feedbackStatsResponse = {
+    fields: {
+        stats: {
+            type: 'object',
+            required: true,
+            fields: {
+                total: count,
+                accepts: count,
+                overrides: count,
+                ignores: count,
+                auto_accepts: count,
+                auto_undos: count,
+            },
+        },
+    },
+};
+
+// ===== PROGRESS =====
+
+export const progressResponse = {
+    fields: {
+        message,
+        progress: { type: 'object', required: true, ...progressRow },
+    },
+};
+
+export const progressListResponse = {
+    fields: {
+        date: { type: 'date', required: true },
+        progress: { type: 'array', required: true, items: progressRow },
+    },
+};
+
+// ===== EVENTS =====
+
+export const eventResponse = {
+    fields: {
+        message,
+        event: { type: 'object', required: true, ...eventRow },
+    },
+};
+
+export const eventBatchResponse = {
+    fields: {
+        message,
+        count,
+        duplicates: count,
+    },
+};
+
+export const todayStatsResponse = {
+    fields: {
+        stats: {
+            type: 'object',
+            required: true,
+            fields: {
+                total_events: count,
+                event_counts: { type: 'object', required: true },
+                sessions: count,
+                active_minutes: count,
+                idle_minutes: count,
+                away_minutes: count,
+                action_breakdown: { type: 'object', required: true },
+                updated_at: timestamp,
+            },
+        },
+        date: { type: 'date', required: true },
+        timezone: { type: 'timezone', required: true },
+    },
+};
+
+export const sessionsResponse = {
+    fields: {
+        from: { type: 'date', required: true },
+        to: { type: 'date', required: true },
+        timezone: { type: 'timezone', required: true },
+        sessions: { type: 'array', required: true },
+        totals: { type: 'object', required: true },
+    },
+};
+
+export const eventListResponse = {
+    fields: {
+        events: { type: 'array', required: true, items: eventRow },
+    },
+};
+
+// ===== CHECK-INS =====
+
+export const checkInResponse = {
+    fields: {
+        message,
+        check_in: { type: 'object', required: true, ...checkInRow },
+    },
+};
+
+export const checkInListResponse = {
+    fields: {
+        check_ins: { type: 'array', required: true, items: checkInRow },
+    },
+};
+
+export const checkInTodayResponse = {
+    fields: {
+        check_in: { type: 'object', required: true, nullable: true, ...checkInRow },
+        date: { type: 'date', required: true },
+    },
+};
+
+export const checkInInsightsResponse = {
+    fields: {
+        correlations: { type: 'object', required: true },
+        insight: { type: 'string', required: true, nullable: true },
+    },
+};
@@ -0,0 +1,187 @@
+/**
+ * Request Validation
+ *
+ * PURPOSE:
+ * One small validator shared by the backend (every route checks its body and
+ * query against a schema) and the frontend (forms check the same schema before
+ * sending), so both sides agree on what a valid request is and report
+ * problems the same way: one message per invalid field.
+ *
+ * HOW IT WORKS:
+ * A schema is { fields: { name: rule }, check(data) } where a rule is
+ *   type      - string | integer | number | boolean | object | array
+ *               | time (HH:MM[:SS]) | date (YYYY-MM-DD) | datetime
+ *               | localdatetime (YYYY-MM-DDTHH:MM[:SS], wall-clock time with no offset)
+ *               | timezone (IANA name)
+ *   required  - must be present (and not an empty string)
+ *   nullable  - null is allowed
+ *   enum      - allowed values
+ *   min, max  - bounds for numbers
+ *   maxLength - for strings
+ *   maxItems, items - for arrays: their length and a rule (or { fields } schema) for each item
+ *   fields    - for objects: a nested schema
+ * and check() (optional) returns extra { field: message } errors for rules
+ * that involve more than one field.
+ *
+ * validate() keeps only the schema's fields, so unknown properties (user_id,
+ * csp_vector...) never reach the database.
+ */
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const LOCAL_DATETIME_PATTERN = /^(\d{4}-\d{2}-\d{2})[T ]([01]\d|2[0-3]):[0-5]\d(:[0-5]\d(\.\d+)?)?$/;
+
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+function isValidDate(value) {
+    if (!DATE_PATTERN.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+}
+
+function isValidTimezone(value) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: value });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+const describeRange = (rule) => {
+    if (rule.min !== undefined && rule.max !== undefined) return ` from ${rule.min} to ${rule.max}`;
+    if (rule.min !== undefined) return ` of at least ${rule.min}`;
+    if (rule.max !== undefined) return ` of at most ${rule.max}`;
+    return '';
+};
+
+/**
+ * Check one value against its rule
+ * @returns {string|null} - Error message (without the field name), or null if valid
+ */
+function checkValue(rule, value, errors, path) {
+    if (rule.enum) {
+        return rule.enum.includes(value) ? null : `must be one of: ${rule.enum.join(', ')}`;
+    }
+
+    switch (rule.type) {
+        case 'string':
+            if (typeof value !== 'string') return 'must be text';
+            if (rule.maxLength && value.length > rule.maxLength) return `must be at most ${rule.maxLength} characters`;
+            return null;
+        case 'integer':
+        case 'number': {
+            const ok = typeof value === 'number' && Number.isFinite(value) &&
+                (rule.type === 'number' || Number.isInteger(value)) &&
+                (rule.min === undefined || value >= rule.min) &&
+                (rule.max === undefined || value <= rule.max);
+            return ok ? null : `must be ${rule.type === 'integer' ? 'a whole number' : 'a number'}${describeRange(rule)}`;
+        }
+        case 'boolean':
+            return typeof value === 'boolean' ? null : 'must be true or false';
+        case 'time':
+            return typeof value === 'string' && TIME_PATTERN.test(value) ? null : 'must be a time like 14:30';
+        case 'date':
+            return typeof value === 'string' && isValidDate(value) ? null : 'must be a date (YYYY-MM-DD)';
+        case 'datetime':
+            return typeof value === 'string' && !isNaN(Date.parse(value)) ? null : 'must be a date/time like 2025-01-31T17:00';
+        case 'localdatetime': {
+            const match = typeof value === 'string' && value.match(LOCAL_DATETIME_PATTERN);
+            return match && isValidDate(match[1]) ? null : 'must be a local date/time like 2025-01-31T17:00 (no timezone)';
+        }
+        case 'timezone':
+            return typeof value === 'string' && isValidTimezone(value) ? null : `is not a known timezone: ${value}`;
+        case 'object':
+            if (!isPlainObject(value)) return 'must be an object';
+            if (rule.fields) collectErrors(rule, value, errors, `${path}.`);
+            return null;
+        case 'array':
+            if (!Array.isArray(value)) return 'must be a list';
+            if (rule.maxItems && value.length > rule.maxItems) return `can hold at most ${rule.maxItems} items`;
+            if (rule.items) {
+                value.forEach((item, i) => {
+                    const itemPath = `${path}[${i}]`;
+                    if (rule.items.fields) {
+                        if (!isPlainObject(item)) errors[itemPath] = 'must be an object';
+                        else collectErrors(rule.items, item, errors, `${itemPath}.`);
+                    } else {
+                        const message = checkValue(rule.items, item, errors, itemPath);
+                        if (message) errors[itemPath] = message;
+                    }
+                });
+            }
+            return null;
+        default:
+            return null;
+    }
+}
+
+function collectErrors(schema, data, errors, prefix, partial = false) {
+    for (const [field, rule] of Object.entries(schema.fields)) {
+        const value = data[field];
+        const path = `${prefix}${field}`;
+        if (value === undefined) {
+            if (rule.required && !partial) errors[path] = 'is required';
+            continue;
+        }
+        if (value === null) {
+            if (!rule.nullable) errors[path] = rule.required ? 'is required' : 'must not be empty';
+            continue;
+        }
+        if (rule.required && typeof value === 'string' && value.trim() === '') {
+            errors[path] = 'is required';
+            continue;
+        }
+
+        const message = checkValue(rule, value, errors, path);
+        if (message) errors[path] = message;
+    }
+
+    if (schema.check && Object.keys(errors).length === 0) {
+        for (const [field, message] of Object.entries(schema.check(data, { partial }) || {})) {
+            errors[`${prefix}${field}`] = message;
+        }
+    }
+}
+
+/**
+ * Query strings only carry text: read numbers and booleans out of it
+ */
+function coerce(schema, data) {
+    const coerced = { ...data };
+    for (const [field, rule] of Object.entries(schema.fields)) {
+        const value = coerced[field];
+        if (typeof value !== 'string' || rule.enum) continue;
+        if ((rule.type === 'integer' || rule.type === 'number') && value.trim() !== '' && !isNaN(Number(value))) {
+            coerced[field] = Number(value);
+        } else if (rule.type === 'boolean' && (value === 'true' || value === 'false')) {
+            coerced[field] = value === 'true';
+        }
+    }
+    return coerced;
+}
+
+/**
+ * Validate data against a schema
+ * @param {object} schema - { fields, check }
+ * @param {object} data - Request body or query
+ * @param {object} [options] - { partial: true for updates (required fields may be left out),
+ *   coerce: true to read numbers and booleans from strings (query params) }
+ * @returns {object} - { valid, errors: { field: message }, value: data with only the schema's fields }
+ */
+export function validate(schema, data, { partial = false, coerce: coerceStrings = false } = {}) {
+    const errors = {};
+    if (!isPlainObject(data)) {
+        return { valid: false, errors: { body: 'must be a JSON object' }, value: {} };
+    }
+    if (coerceStrings) data = coerce(schema, data);
+
+    collectErrors(schema, data, errors, '', partial);
+
+    const value = {};
+    for (const field of Object.keys(schema.fields)) {
+        if (data[field] !== undefined) value[field] = data[field];
+    }
+
+    return { valid: Object.keys(errors).length === 0, errors, value };
+}
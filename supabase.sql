@@ -23,6 +23,11 @@ CREATE TABLE profiles (
     diet_preference TEXT DEFAULT 'balanced', -- balanced, vegetarian, vegan, keto, etc.
     work_style TEXT DEFAULT 'flexible', -- flexible, structured, deep_work
     break_preference TEXT DEFAULT 'short', -- short (5-10min), long (15-20min)
+    timezone TEXT, -- IANA name like 'Europe/Berlin'; NULL = not captured yet (treated as UTC)
+    -- Auto mode accepts cards at least this confident (0.5-1); NULL = never auto-accept
+    auto_accept_threshold REAL DEFAULT 0.8 CHECK (auto_accept_threshold IS NULL OR (auto_accept_threshold >= 0.5 AND auto_accept_threshold <= 1)),
+    -- Overrides for the cognitive load model (factor weights/curves, thresholds); NULL = defaults
+    cognitive_load_config JSONB,
     
     -- Cognitive Shadow Profile (CSP) - Behavioral Vector Model
     -- This stores weighted preferences learned from user behavior
@@ -81,9 +86,20 @@ CREATE TABLE decisions (
     break_duration INT DEFAULT 10, -- minutes
     
     -- Scheduling
-    frequency TEXT DEFAULT 'daily' CHECK (frequency IN ('daily', 'weekly', 'weekdays', 'weekends')),
+    frequency TEXT DEFAULT 'daily' CHECK (frequency IN ('daily', 'weekly', 'weekdays', 'weekends', 'custom')),
+    -- RRULE-style rule used when frequency = 'custom'
+    -- { freq: 'daily'|'weekly', interval, by_day: ['MO','WE'], start_date, end_date, exceptions: [] }
+    recurrence JSONB,
+    -- When it was last done (weekly items are suggested until done that week)
+    last_done_at TIMESTAMPTZ,
     preferred_time TIME, -- optional preferred time of day
     
+    -- Hard scheduling constraints (CSP weights are only soft preferences)
+    deadline TIMESTAMP, -- must be done by this local date/time
+    fixed_time TIME, -- must happen at exactly this time of day
+    depends_on UUID REFERENCES decisions(id) ON DELETE SET NULL, -- only after this decision
+    max_per_day INT CHECK (max_per_day >= 1), -- at most this many times per day
+    
     -- State
     active BOOLEAN DEFAULT TRUE,
     
@@ -100,13 +116,28 @@ CREATE TABLE daily_plans (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
     
-    -- Plan date (one plan per day per user)
+    -- Plan date
     plan_date DATE NOT NULL DEFAULT CURRENT_DATE,
     
+    -- Regenerating a day's plan adds a version instead of replacing it, so
+    -- feedback stays on the version it was given on. The day's plan is its
+    -- highest version; older ones get superseded_at.
+    version INT NOT NULL DEFAULT 1 CHECK (version >= 1),
+    previous_plan_id UUID REFERENCES daily_plans(id) ON DELETE SET NULL,
+    superseded_at TIMESTAMPTZ,
+    
     -- Compressed Decision Cards - bundles to reduce micro-decisions
     -- Each card contains: title, recommended_action, why, items[], autonomy_level
+    -- (+ completed: { action, alternative, items } on cards kept by a re-plan)
     compressed_decision_cards JSONB DEFAULT '[]'::jsonb,
     
+    -- Whole-day timeline the cards were cut from (wake_time -> sleep_time)
+    -- { day_start, day_end, peak_focus_start, peak_focus_end,
+    --   slots: [{ type, decision_id, title, start_time, end_time, card_id }],
+    --   unscheduled: [{ decision_id, title, type, constraint, reason }],
+    --   replanned_from (re-planned versions: the time the rest of the day starts) }
+    schedule JSONB DEFAULT '{}'::jsonb,
+    
     -- Cognitive Load Meter (0-100)
     -- Computed from: decisions today, overrides, time on site, time-of-day
     cognitive_load INT DEFAULT 50 CHECK (cognitive_load >= 0 AND cognitive_load <= 100),
@@ -128,8 +159,8 @@ CREATE TABLE daily_plans (
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW(),
     
-    -- Ensure one plan per day per user
-    UNIQUE(user_id, plan_date)
+    -- One plan per day per user, in versions
+    UNIQUE(user_id, plan_date, version)
 );
 
 -- =====================================================
@@ -149,8 +180,8 @@ CREATE TABLE feedback (
     item_id TEXT, -- references the item within the card
     item_value TEXT, -- what was suggested
     
-    -- User action
-    action TEXT NOT NULL CHECK (action IN ('accept', 'override', 'ignore')),
+    -- User action ('auto_accept' = accepted by auto mode, nobody clicked)
+    action TEXT NOT NULL CHECK (action IN ('accept', 'override', 'ignore', 'auto_accept')),
     
     -- If overridden, what did user choose instead
     override_value TEXT,
@@ -161,6 +192,9 @@ CREATE TABLE feedback (
     -- Context at time of feedback (for CSP learning)
     context JSONB DEFAULT '{}'::jsonb, -- time_of_day, cognitive_load, etc.
     
+    -- When the user undid an auto_accept (within the undo window)
+    undone_at TIMESTAMPTZ,
+    
     -- Metadata
     created_at TIMESTAMPTZ DEFAULT NOW()
 );
@@ -189,9 +223,180 @@ CREATE TABLE interaction_events (
     -- Session ID to group events
     session_id TEXT,
     
+    -- Generated by the client so retried batches aren't stored twice
+    client_event_id TEXT,
+    
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    
+    UNIQUE(user_id, client_event_id)
+);
+
+-- =====================================================
+-- 6. CHECK_INS TABLE
+-- Self-reported energy, mood, stress and sleep (time series)
+-- Blended into the cognitive load score
+-- =====================================================
+CREATE TABLE check_ins (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    
+    -- 1 (very low) to 5 (very high); any of them may be skipped
+    energy INT CHECK (energy >= 1 AND energy <= 5),
+    mood INT CHECK (mood >= 1 AND mood <= 5),
+    stress INT CHECK (stress >= 1 AND stress <= 5),
+    
+    -- Hours slept last night
+    sleep_hours REAL CHECK (sleep_hours >= 0 AND sleep_hours <= 24),
+    
+    note TEXT,
+    
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- =====================================================
+-- 7. COGNITIVE_LOAD_SNAPSHOTS TABLE
+-- Cognitive load score over time (recorded when it's calculated)
+-- =====================================================
+CREATE TABLE cognitive_load_snapshots (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    
+    score INT NOT NULL CHECK (score >= 0 AND score <= 100),
+    autonomy_level TEXT NOT NULL CHECK (autonomy_level IN ('manual', 'assist', 'auto')),
+    
+    -- Points each factor contributed: { "decisions": 6, "timeOfDay": 14, ... }
+    factors JSONB DEFAULT '{}'::jsonb,
+    
     created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- =====================================================
+-- 8. SESSIONS TABLE
+-- Sessions reconstructed by the backend from interaction_events
+-- (rebuilt per local day, so a session crossing midnight is split in two)
+-- =====================================================
+CREATE TABLE sessions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    
+    -- The client's session_id (one per page load), if the events had one
+    session_id TEXT,
+    
+    -- Local day (user's timezone) the session was rebuilt for
+    session_date DATE NOT NULL,
+    
+    started_at TIMESTAMPTZ NOT NULL,
+    ended_at TIMESTAMPTZ NOT NULL,
+    
+    -- Where the time went: active + idle + away = ended_at - started_at
+    active_seconds INT DEFAULT 0 CHECK (active_seconds >= 0),
+    idle_seconds INT DEFAULT 0 CHECK (idle_seconds >= 0),
+    away_seconds INT DEFAULT 0 CHECK (away_seconds >= 0),
+    
+    event_count INT DEFAULT 0,
+    
+    -- false while the session may still be going on
+    closed BOOLEAN DEFAULT false,
+    
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- =====================================================
+-- 9. EVENT_ROLLUPS TABLE
+-- One summary of interaction_events per user per local day, kept after the
+-- raw events are deleted (see EVENT_RETENTION_DAYS)
+-- =====================================================
+CREATE TABLE event_rollups (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    rollup_date DATE NOT NULL,
+    
+    total_events INT DEFAULT 0,
+    
+    -- { "page_load": 3, "idle": 5, "hesitation": 12, ... }
+    event_counts JSONB DEFAULT '{}'::jsonb,
+    
+    -- "action" events by action: { "accepts": 4, "overrides": 1, "ignores": 0 }
+    action_breakdown JSONB DEFAULT '{}'::jsonb,
+    
+    -- From the day's rebuilt sessions
+    sessions INT DEFAULT 0,
+    active_minutes INT DEFAULT 0,
+    idle_minutes INT DEFAULT 0,
+    away_minutes INT DEFAULT 0,
+    
+    -- What the fine-grained load factors need:
+    -- { "hesitations": 6, "hesitation_median_ms": 4200, "typing_keys": 120, "typing_deletions": 14 }
+    signals JSONB DEFAULT '{}'::jsonb,
+    
+    -- When the day was last rolled up from its events (storing events only adds to the counters)
+    rolled_up_at TIMESTAMPTZ DEFAULT NOW(),
+    
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    
+    UNIQUE(user_id, rollup_date)
+);
+
+-- =====================================================
+-- 10. TASK_PROGRESS TABLE
+-- What happened to an accepted plan item (one decision on one card) after it
+-- was accepted: accepted -> started -> done or abandoned. Accepting only
+-- agrees with a suggestion; this records whether it got done, and how long
+-- it really took. Cards keep their IDs through a re-plan, so rows are per day.
+-- =====================================================
+CREATE TABLE task_progress (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    
+    -- The plan version the item was accepted on, and its day
+    plan_id UUID REFERENCES daily_plans(id) ON DELETE CASCADE NOT NULL,
+    plan_date DATE NOT NULL,
+    card_id TEXT NOT NULL,
+    decision_id UUID REFERENCES decisions(id) ON DELETE CASCADE NOT NULL,
+    
+    status TEXT NOT NULL DEFAULT 'accepted' CHECK (status IN ('accepted', 'started', 'done', 'abandoned')),
+    accepted_at TIMESTAMPTZ DEFAULT NOW(),
+    started_at TIMESTAMPTZ,
+    done_at TIMESTAMPTZ,
+    abandoned_at TIMESTAMPTZ,
+    
+    -- started_at -> done_at, when it was started
+    actual_minutes INT CHECK (actual_minutes >= 0),
+    
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    
+    UNIQUE(user_id, plan_date, card_id, decision_id)
+);
+
+-- =====================================================
+-- 11. PROVISIONAL_PLANS TABLE
+-- Plans worked out ahead for the coming week (GET /plan/week). They're only a
+-- forecast: recomputed whenever the decisions or profile change, and never
+-- turned into the day's plan - when a day arrives it's planned from scratch.
+-- =====================================================
+CREATE TABLE provisional_plans (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    plan_date DATE NOT NULL,
+    
+    -- Same shapes as daily_plans
+    compressed_decision_cards JSONB DEFAULT '[]'::jsonb,
+    schedule JSONB DEFAULT '{}'::jsonb,
+    
+    -- Forecast load the day was planned at, and its autonomy level
+    cognitive_load INT CHECK (cognitive_load >= 0 AND cognitive_load <= 100),
+    autonomy_level TEXT CHECK (autonomy_level IN ('manual', 'assist', 'auto')),
+    
+    -- { "fingerprint": "...", "load_basis": "weekday", "load_samples": 3, "total_decisions": 8 }
+    generation_context JSONB DEFAULT '{}'::jsonb,
+    
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    
+    UNIQUE(user_id, plan_date)
+);
+
 -- =====================================================
 -- ROW LEVEL SECURITY (RLS) POLICIES
 -- Users can only access their own data
@@ -203,6 +408,12 @@ ALTER TABLE decisions ENABLE ROW LEVEL SECURITY;
 ALTER TABLE daily_plans ENABLE ROW LEVEL SECURITY;
 ALTER TABLE feedback ENABLE ROW LEVEL SECURITY;
 ALTER TABLE interaction_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE check_ins ENABLE ROW LEVEL SECURITY;
+ALTER TABLE cognitive_load_snapshots ENABLE ROW LEVEL SECURITY;
+ALTER TABLE sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE event_rollups ENABLE ROW LEVEL SECURITY;
+ALTER TABLE task_progress ENABLE ROW LEVEL SECURITY;
+ALTER TABLE provisional_plans ENABLE ROW LEVEL SECURITY;
 
 -- PROFILES policies
 CREATE POLICY "Users can view own profile"
@@ -265,6 +476,40 @@ CREATE POLICY "Users can insert own events"
     ON interaction_events FOR INSERT
     WITH CHECK (auth.uid() = user_id);
 
+-- CHECK_INS policies
+CREATE POLICY "Users can view own check-ins"
+    ON check_ins FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own check-ins"
+    ON check_ins FOR INSERT
+    WITH CHECK (auth.uid() = user_id);
+
+-- COGNITIVE_LOAD_SNAPSHOTS policies
+CREATE POLICY "Users can view own load snapshots"
+    ON cognitive_load_snapshots FOR SELECT
+    USING (auth.uid() = user_id);
+
+-- SESSIONS policies
+CREATE POLICY "Users can view own sessions"
+    ON sessions FOR SELECT
+    USING (auth.uid() = user_id);
+
+-- EVENT_ROLLUPS policies
+CREATE POLICY "Users can view own event rollups"
+    ON event_rollups FOR SELECT
+    USING (auth.uid() = user_id);
+
+-- TASK_PROGRESS policies
+CREATE POLICY "Users can view own task progress"
+    ON task_progress FOR SELECT
+    USING (auth.uid() = user_id);
+
+-- PROVISIONAL_PLANS policies
+CREATE POLICY "Users can view own provisional plans"
+    ON provisional_plans FOR SELECT
+    USING (auth.uid() = user_id);
+
 -- =====================================================
 -- SERVICE ROLE POLICIES (for backend with service key)
 -- These allow the backend to access data with service role
@@ -284,6 +529,11 @@ CREATE INDEX idx_feedback_plan_id ON feedback(plan_id);
 CREATE INDEX idx_interaction_events_user_id ON interaction_events(user_id);
 CREATE INDEX idx_interaction_events_timestamp ON interaction_events(timestamp);
 CREATE INDEX idx_interaction_events_session ON interaction_events(session_id);
+CREATE INDEX idx_check_ins_user_created ON check_ins(user_id, created_at);
+CREATE INDEX idx_load_snapshots_user_created ON cognitive_load_snapshots(user_id, created_at);
+CREATE INDEX idx_sessions_user_date ON sessions(user_id, session_date);
+CREATE INDEX idx_task_progress_user_date ON task_progress(user_id, plan_date);
+CREATE INDEX idx_provisional_plans_user_date ON provisional_plans(user_id, plan_date);
 
 -- =====================================================
 -- HELPER FUNCTIONS (optional, for future use)
@@ -311,6 +561,53 @@ CREATE TRIGGER update_daily_plans_updated_at
     BEFORE UPDATE ON daily_plans
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_event_rollups_updated_at
+    BEFORE UPDATE ON event_rollups
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_task_progress_updated_at
+    BEFORE UPDATE ON task_progress
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- =====================================================
+-- UPGRADING AN EXISTING DATABASE
+-- Fresh installs already have everything above. If you created the tables
+-- with an older version of this file, run these statements once.
+-- Tables added since then (check_ins, cognitive_load_snapshots, sessions, event_rollups,
+-- task_progress, provisional_plans) aren't repeated here: run their CREATE TABLE,
+-- RLS policies, indexes and triggers from above.
+-- =====================================================
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS timezone TEXT;
+ALTER TABLE daily_plans ADD COLUMN IF NOT EXISTS schedule JSONB DEFAULT '{}'::jsonb;
+ALTER TABLE decisions ADD COLUMN IF NOT EXISTS deadline TIMESTAMP;
+ALTER TABLE decisions ADD COLUMN IF NOT EXISTS fixed_time TIME;
+ALTER TABLE decisions ADD COLUMN IF NOT EXISTS depends_on UUID REFERENCES decisions(id) ON DELETE SET NULL;
+ALTER TABLE decisions ADD COLUMN IF NOT EXISTS max_per_day INT CHECK (max_per_day >= 1);
+ALTER TABLE decisions ADD COLUMN IF NOT EXISTS recurrence JSONB;
+ALTER TABLE decisions ADD COLUMN IF NOT EXISTS last_done_at TIMESTAMPTZ;
+ALTER TABLE decisions DROP CONSTRAINT IF EXISTS decisions_frequency_check;
+ALTER TABLE decisions ADD CONSTRAINT decisions_frequency_check
+    CHECK (frequency IN ('daily', 'weekly', 'weekdays', 'weekends', 'custom'));
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS auto_accept_threshold REAL DEFAULT 0.8
+    CHECK (auto_accept_threshold IS NULL OR (auto_accept_threshold >= 0.5 AND auto_accept_threshold <= 1));
+ALTER TABLE feedback ADD COLUMN IF NOT EXISTS undone_at TIMESTAMPTZ;
+ALTER TABLE feedback DROP CONSTRAINT IF EXISTS feedback_action_check;
+ALTER TABLE feedback ADD CONSTRAINT feedback_action_check
+    CHECK (action IN ('accept', 'override', 'ignore', 'auto_accept'));
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS cognitive_load_config JSONB;
+ALTER TABLE interaction_events ADD COLUMN IF NOT EXISTS client_event_id TEXT;
+ALTER TABLE interaction_events DROP CONSTRAINT IF EXISTS interaction_events_user_id_client_event_id_key;
+ALTER TABLE interaction_events ADD CONSTRAINT interaction_events_user_id_client_event_id_key
+    UNIQUE (user_id, client_event_id);
+ALTER TABLE daily_plans ADD COLUMN IF NOT EXISTS version INT NOT NULL DEFAULT 1 CHECK (version >= 1);
+ALTER TABLE daily_plans ADD COLUMN IF NOT EXISTS previous_plan_id UUID REFERENCES daily_plans(id) ON DELETE SET NULL;
+ALTER TABLE daily_plans ADD COLUMN IF NOT EXISTS superseded_at TIMESTAMPTZ;
+ALTER TABLE daily_plans DROP CONSTRAINT IF EXISTS daily_plans_user_id_plan_date_key;
+ALTER TABLE daily_plans DROP CONSTRAINT IF EXISTS daily_plans_user_id_plan_date_version_key;
+ALTER TABLE daily_plans ADD CONSTRAINT daily_plans_user_id_plan_date_version_key
+    UNIQUE (user_id, plan_date, version);
+ALTER TABLE event_rollups ADD COLUMN IF NOT EXISTS rolled_up_at TIMESTAMPTZ DEFAULT NOW();
+
 -- =====================================================
 -- DONE! Your database is ready for ShadowMe
 -- =====================================================